@@ -16,7 +16,9 @@ module.exports = {
     ],
 
     // Test patterns
+    // The suites in tests/ are named test_<module>.js
     testMatch: [
+        '**/tests/test_*.js',
         '**/tests/**/*.test.js',
         '**/?(*.)+(spec|test).js'
     ],
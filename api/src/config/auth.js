@@ -0,0 +1,39 @@
+/**
+ * Authentication Configuration
+ *
+ * Settings for the JWT access/refresh tokens and password hashing
+ * used by /api/auth (see routes/auth.routes.js).
+ *
+ * Environment variables:
+ * - JWT_SECRET:       Secret used to sign tokens (required when NODE_ENV=production)
+ * - JWT_ACCESS_TTL:   Access token lifetime, e.g. 15m (default)
+ * - JWT_REFRESH_TTL:  Refresh token lifetime, e.g. 7d (default)
+ * - BCRYPT_ROUNDS:    bcrypt cost factor (default 10)
+ */
+
+// Only used outside production, so the API runs without any setup
+const DEVELOPMENT_SECRET = 'development-only-jwt-secret';
+
+/**
+ * Read the token signing secret
+ * Running production with a well-known secret would let anyone forge tokens,
+ * so a missing JWT_SECRET is a startup error there
+ */
+function getJwtSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    return DEVELOPMENT_SECRET;
+}
+
+module.exports = {
+    jwtSecret: getJwtSecret(),
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenTtl: process.env.JWT_REFRESH_TTL || '7d',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10
+};
@@ -0,0 +1,96 @@
+/**
+ * Enabled Databases
+ *
+ * The API can serve tasks from MySQL, PostgreSQL and SQLite.
+ * ENABLED_DATABASES chooses which of them are mounted and checked at startup,
+ * as a comma-separated list. For example:
+ *
+ *   ENABLED_DATABASES=sqlite                  # run without Docker
+ *   ENABLED_DATABASES=postgresql,sqlite       # skip MySQL entirely
+ *
+ * When it is not set, all supported databases are enabled.
+ */
+
+// Every database the API knows how to talk to
+const SUPPORTED_DATABASES = ['mysql', 'postgresql', 'sqlite'];
+
+/**
+ * Read the list of enabled databases from the environment
+ * Throws if the list names a database we don't support, so a typo
+ * fails at startup instead of silently disabling a backend
+ */
+function getEnabledDatabases(value = process.env.ENABLED_DATABASES) {
+    if (!value || !value.trim()) {
+        return [...SUPPORTED_DATABASES];
+    }
+
+    const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !SUPPORTED_DATABASES.includes(name));
+
+    if (unknown.length > 0) {
+        throw new Error(
+            `Unknown database in ENABLED_DATABASES: ${unknown.join(', ')}. ` +
+            `Supported: ${SUPPORTED_DATABASES.join(', ')}`
+        );
+    }
+
+    // Remove duplicates while keeping the supported order
+    return SUPPORTED_DATABASES.filter(name => names.includes(name));
+}
+
+/**
+ * Choose the database that stores user accounts
+ *
+ * Users are shared by every task database, so they live in one place.
+ * AUTH_DATABASE picks it; by default PostgreSQL is used when it is enabled
+ * (it is the only database in production), otherwise the first enabled one.
+ */
+function getAuthDatabase(enabled = getEnabledDatabases(), value = process.env.AUTH_DATABASE) {
+    if (!value || !value.trim()) {
+        return enabled.includes('postgresql') ? 'postgresql' : enabled[0];
+    }
+
+    const name = value.trim().toLowerCase();
+    if (!enabled.includes(name)) {
+        throw new Error(
+            `AUTH_DATABASE must be one of the enabled databases: ${enabled.join(', ')}`
+        );
+    }
+
+    return name;
+}
+
+/**
+ * Choose the databases the API can't do without
+ *
+ * REQUIRED_DATABASES is a comma-separated list of enabled databases.
+ * /health/ready only reports ready when all of them are reachable; the
+ * others are reported too, but never make the API unready. For example:
+ *
+ *   REQUIRED_DATABASES=postgresql     # on Render, where MySQL is not available
+ *
+ * When it is not set, every enabled database is required.
+ */
+function getRequiredDatabases(enabled = getEnabledDatabases(), value = process.env.REQUIRED_DATABASES) {
+    if (!value || !value.trim()) {
+        return [...enabled];
+    }
+
+    const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const notEnabled = names.filter(name => !enabled.includes(name));
+
+    if (notEnabled.length > 0) {
+        throw new Error(
+            `REQUIRED_DATABASES must only list enabled databases (${enabled.join(', ')}), got: ${notEnabled.join(', ')}`
+        );
+    }
+
+    return enabled.filter(name => names.includes(name));
+}
+
+module.exports = {
+    SUPPORTED_DATABASES,
+    getEnabledDatabases,
+    getAuthDatabase,
+    getRequiredDatabases
+};
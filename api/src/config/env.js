@@ -0,0 +1,37 @@
+/**
+ * Environment Variable Helpers
+ *
+ * Shared by the settings that are read from the environment (see
+ * config/rateLimit.js, config/trash.js, config/webhooks.js and utils/retry.js),
+ * so every one of them accepts the same values and fails the same way.
+ */
+
+/**
+ * Read a whole number from an environment variable
+ * Throws on anything else, so a typo stops the server at startup instead
+ * of silently falling back to the default
+ *
+ * @param {string} name - e.g. 'RATE_LIMIT_WINDOW_MS'
+ * @param {number} fallback - Used when the variable is unset or empty
+ * @param {object} [options]
+ * @param {number} [options.min=0] - Smallest value accepted
+ * @returns {number}
+ */
+function readWholeNumber(name, fallback, { min = 0 } = {}) {
+    const value = process.env[name];
+
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+        const atLeast = min > 0 ? ` of at least ${min}` : '';
+        throw new Error(`Invalid ${name} "${value}". Must be a whole number${atLeast}`);
+    }
+
+    return Number(value);
+}
+
+module.exports = {
+    readWholeNumber
+};
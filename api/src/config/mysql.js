@@ -9,6 +9,7 @@
 // Import the mysql2 library with promise support
 // The '/promise' import gives us async/await functionality instead of callbacks
 const mysql = require('mysql2/promise');
+const { logger } = require('../utils/logger');
 
 /**
  * Create a connection pool
@@ -21,14 +22,15 @@ const mysql = require('mysql2/promise');
  * - waitForConnections: If true, queue requests when all connections are in use
  * - connectionLimit: Maximum number of connections in the pool
  * - queueLimit: Maximum number of queued connection requests (0 = unlimited)
+ * - dateStrings: Column types returned as strings instead of Date objects
  */
 const pool = mysql.createPool({
   // In Docker Compose, services can reference each other by service name
   // 'mysql' is the service name defined in docker-compose.yml
   host: process.env.MYSQL_HOST || 'mysql',
   
-  // Default MySQL port
-  port: process.env.MYSQL_PORT || 3306,
+  // Default MySQL port (environment variables are strings)
+  port: Number(process.env.MYSQL_PORT) || 3306,
   
   // Database credentials
   // These should match the values in docker-compose.yml
@@ -39,7 +41,11 @@ const pool = mysql.createPool({
   // Pool configuration for optimal performance
   waitForConnections: true,
   connectionLimit: 10,  // Adjust based on your application's needs
-  queueLimit: 0         // No limit on queued requests
+  queueLimit: 0,        // No limit on queued requests
+
+  // A DATE (like a task's due_date) has no time or time zone, so keep it as
+  // 'YYYY-MM-DD' rather than turning it into midnight in the server's zone
+  dateStrings: ['DATE']
 });
 
 /**
@@ -49,18 +55,53 @@ const pool = mysql.createPool({
 async function testConnection() {
   try {
     const connection = await pool.getConnection();
-    console.log('✅ MySQL database connected successfully');
-    connection.release(); // Always release connections back to the pool
+    try {
+      // Run a trivial query to make sure the server answers
+      await connection.execute('SELECT 1');
+    } finally {
+      connection.release(); // Always release connections back to the pool
+    }
+    logger.debug('MySQL database connected successfully', { database: 'MySQL' });
     return true;
   } catch (error) {
-    console.error('❌ MySQL connection failed:', error.message);
+    logger.error('MySQL connection failed', { database: 'MySQL', error: error.message });
     return false;
   }
 }
 
+/**
+ * Ask the server for its version, for /health
+ * Runs on a pooled connection, so a probe doesn't open a new one
+ *
+ * @returns {Promise<string>} e.g. '8.0.36'
+ */
+async function getServerVersion() {
+  const [rows] = await pool.query('SELECT VERSION() AS version');
+  return rows[0].version;
+}
+
+/**
+ * Count the pool's connections, for the /metrics endpoint
+ * mysql2 has no public API for this, so it reads the core pool's queues
+ *
+ * @returns {{ active: number, idle: number, waiting: number }}
+ */
+function getPoolStats() {
+  const core = pool.pool;
+  const idle = core._freeConnections.length;
+
+  return {
+    active: core._allConnections.length - idle,
+    idle,
+    waiting: core._connectionQueue.length
+  };
+}
+
 // Export the pool for use in route handlers
 // Also export the test function for health checks
 module.exports = {
   pool,
-  testConnection
+  testConnection,
+  getServerVersion,
+  getPoolStats
 };
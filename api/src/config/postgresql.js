@@ -9,7 +9,14 @@
  */
 
 // Import the Pool class from the pg library
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { logger } = require('../utils/logger');
+const { connectionLost } = require('../utils/databaseStatus');
+
+// A DATE (like a task's due_date) has no time or time zone, so keep it as
+// 'YYYY-MM-DD' rather than turning it into midnight in the server's zone
+// (1082 is the type ID of DATE)
+types.setTypeParser(1082, value => value);
 
 /**
  * Create a PostgreSQL connection pool
@@ -28,8 +35,8 @@ const pool = new Pool({
     // In Docker Compose, 'postgresql' is the service name
     host: process.env.POSTGRES_HOST || 'postgresql',
 
-    // PostgreSQL default port
-    port: process.env.POSTGRES_PORT || 5432,
+    // PostgreSQL default port (environment variables are strings)
+    port: Number(process.env.POSTGRES_PORT) || 5432,
 
     // Database credentials
     // These should match the values in docker-compose.yml
@@ -49,22 +56,15 @@ const pool = new Pool({
  */
 async function testConnection() {
     try {
-        // Attempt to acquire a client from the pool
-        const client = await pool.connect();
-
         // Run a simple query to verify the connection works
-        const result = await client.query('SELECT NOW()');
-
-        console.log('✅ PostgreSQL database connected successfully');
-        console.log('   Server time:', result.rows[0].now);
+        // pool.query() acquires a client and releases it back to the pool afterwards
+        await pool.query('SELECT 1');
 
-        // Release the client back to the pool
-        // This is important to prevent connection leaks
-        client.release();
+        logger.debug('PostgreSQL database connected successfully', { database: 'PostgreSQL' });
 
         return true;
     } catch (error) {
-        console.error('❌ PostgreSQL connection failed:', error.message);
+        logger.error('PostgreSQL connection failed', { database: 'PostgreSQL', error: error.message });
         return false;
     }
 }
@@ -73,14 +73,44 @@ async function testConnection() {
  * Handle pool errors
  * This catches errors that occur on idle clients
  * For example, if the database server goes down
+ *
+ * The pool drops the broken client and opens new ones when asked, so the
+ * API keeps running: PostgreSQL routes answer 503 until a background
+ * reconnect succeeds (see utils/databaseStatus.js)
  */
 pool.on('error', (err, client) => {
-    console.error('Unexpected error on idle PostgreSQL client', err);
-    process.exit(-1);
+    logger.error('Unexpected error on idle PostgreSQL client', { database: 'PostgreSQL', error: err });
+    connectionLost('postgresql', err);
 });
 
+/**
+ * Ask the server for its version, for /health
+ * pool.query() borrows an idle client, so a probe doesn't open a new connection
+ *
+ * @returns {Promise<string>} e.g. '16.2'
+ */
+async function getServerVersion() {
+    const result = await pool.query("SELECT current_setting('server_version') AS version");
+    return result.rows[0].version;
+}
+
+/**
+ * Count the pool's clients, for the /metrics endpoint
+ *
+ * @returns {{ active: number, idle: number, waiting: number }}
+ */
+function getPoolStats() {
+    return {
+        active: pool.totalCount - pool.idleCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount
+    };
+}
+
 // Export the pool and test function
 module.exports = {
     pool,
-    testConnection
+    testConnection,
+    getServerVersion,
+    getPoolStats
 };
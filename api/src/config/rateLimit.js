@@ -0,0 +1,54 @@
+/**
+ * Rate Limit Configuration
+ *
+ * Budgets for the task endpoints (see middleware/rateLimit.js).
+ * Each client gets a number of requests per window, counted separately
+ * for reads (GET) and writes (POST, PUT, DELETE), and separately per IP
+ * address and per logged-in user:
+ *
+ * - The IP budget stops floods before the access token is even checked
+ * - The user budget stops one account from filling the tables from many IPs
+ *
+ * Environment variables (0 turns a budget off):
+ * - RATE_LIMIT_WINDOW_MS:    Length of a window (default 60000, one minute)
+ * - RATE_LIMIT_IP_READS:     Reads per IP address per window (default 600)
+ * - RATE_LIMIT_IP_WRITES:    Writes per IP address per window (default 120)
+ * - RATE_LIMIT_USER_READS:   Reads per user per window (default 300)
+ * - RATE_LIMIT_USER_WRITES:  Writes per user per window (default 60)
+ *
+ * The IP budgets are higher because several users can share one address
+ * (an office, a mobile carrier). Behind a proxy, set TRUST_PROXY so the
+ * client's address is used instead of the proxy's.
+ */
+
+const { readWholeNumber } = require('./env');
+
+const DEFAULT_RATE_LIMITS = {
+    windowMs: 60000,
+    ip: { read: 600, write: 120 },
+    user: { read: 300, write: 60 }
+};
+
+/**
+ * Read the rate limits from the environment
+ *
+ * @returns {{ windowMs: number, ip: { read: number, write: number }, user: { read: number, write: number } }}
+ */
+function getRateLimits() {
+    return {
+        windowMs: readWholeNumber('RATE_LIMIT_WINDOW_MS', DEFAULT_RATE_LIMITS.windowMs, { min: 1 }),
+        ip: {
+            read: readWholeNumber('RATE_LIMIT_IP_READS', DEFAULT_RATE_LIMITS.ip.read),
+            write: readWholeNumber('RATE_LIMIT_IP_WRITES', DEFAULT_RATE_LIMITS.ip.write)
+        },
+        user: {
+            read: readWholeNumber('RATE_LIMIT_USER_READS', DEFAULT_RATE_LIMITS.user.read),
+            write: readWholeNumber('RATE_LIMIT_USER_WRITES', DEFAULT_RATE_LIMITS.user.write)
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    getRateLimits
+};
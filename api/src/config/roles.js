@@ -0,0 +1,53 @@
+/**
+ * Roles and Permissions
+ *
+ * Every user has one role, stored in the users table and copied into
+ * their access token. A role grants a fixed list of permissions:
+ *
+ * | Permission        | viewer | editor | admin |
+ * |-------------------|--------|--------|-------|
+ * | tasks:read        |   ✓    |   ✓    |   ✓   |
+ * | tasks:create      |        |   ✓    |   ✓   |
+ * | tasks:update      |        |   ✓    |   ✓   |
+ * | tasks:delete      |        |        |   ✓   |
+ * | tasks:purge       |        |        |   ✓   |
+ * | tasks:all_owners  |        |        |   ✓   |
+ * | sync:run          |        |        |   ✓   |
+ * | users:manage      |        |        |   ✓   |
+ * | webhooks:manage   |        |        |   ✓   |
+ *
+ * Without tasks:all_owners a user only sees and changes their own tasks
+ * (see scopeTasksToOwner in middleware/auth.js). tasks:delete moves tasks
+ * to the trash and restores them; tasks:purge deletes them for good.
+ */
+
+// Every role, from least to most privileged
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// The role given to newly registered users (matches the column default)
+const DEFAULT_ROLE = 'editor';
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+    viewer: ['tasks:read'],
+    editor: ['tasks:read', 'tasks:create', 'tasks:update'],
+    admin: [
+        'tasks:read', 'tasks:create', 'tasks:update', 'tasks:delete', 'tasks:purge', 'tasks:all_owners',
+        'sync:run', 'users:manage', 'webhooks:manage'
+    ]
+};
+
+/**
+ * Check whether a role grants a permission
+ * Unknown roles (e.g. a missing claim in an old token) grant nothing
+ */
+function hasPermission(role, permission) {
+    return Object.hasOwn(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+    hasPermission
+};
@@ -0,0 +1,90 @@
+/**
+ * Security Configuration
+ *
+ * Which browser origins may call the API (CORS) and how large a request
+ * body may be (see middleware/security.js).
+ *
+ * Environment variables:
+ * - CORS_ORIGINS:  Comma-separated origins allowed to call the API. A * matches
+ *                  one part of a host name, for preview deployments:
+ *
+ *                    CORS_ORIGINS=https://example.com,https://nodejs-example-*.vercel.app
+ *
+ *                  FRONTEND_URL is always allowed too. When neither is set,
+ *                  only http://localhost:3000 (the Nuxt dev server) is allowed.
+ * - BODY_LIMIT:    Largest JSON or form body accepted, e.g. 100kb (default) or 1mb.
+ *                  Larger bodies get 413.
+ */
+
+const DEFAULT_ORIGIN = 'http://localhost:3000';
+const DEFAULT_BODY_LIMIT = '100kb';
+
+// scheme://host[:port] - no path, no trailing slash; * only inside the host
+const ORIGIN_PATTERN = /^https?:\/\/[a-z0-9*.-]+(:\d+)?$/i;
+
+/**
+ * Read the allowed origins
+ * Throws on an entry that isn't an origin, e.g. one with a path, because a
+ * browser never sends that and the entry would silently match nothing
+ *
+ * @returns {string[]} Origins, possibly with * wildcards
+ */
+function getCorsOrigins(value = process.env.CORS_ORIGINS, frontendUrl = process.env.FRONTEND_URL) {
+    const origins = (value || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+    if (frontendUrl) {
+        origins.push(frontendUrl.trim().replace(/\/+$/, ''));
+    }
+
+    const invalid = origins.filter(origin => !ORIGIN_PATTERN.test(origin));
+    if (invalid.length > 0) {
+        throw new Error(
+            `Invalid origin in CORS_ORIGINS or FRONTEND_URL: ${invalid.join(', ')}. ` +
+            'Use scheme://host[:port], e.g. https://example.com'
+        );
+    }
+
+    return origins.length > 0 ? [...new Set(origins)] : [DEFAULT_ORIGIN];
+}
+
+/**
+ * Turn allowed origins into a check for the Origin header
+ * A * matches one DNS label (letters, digits and dashes), so
+ * https://app-*.vercel.app allows https://app-git-main.vercel.app
+ * but not https://app-x.evil.com/.vercel.app or https://app-.vercel.app.evil.com
+ *
+ * @param {string[]} origins - From getCorsOrigins()
+ * @returns {Function} (origin) => boolean
+ */
+function createOriginMatcher(origins) {
+    const patterns = origins.map(origin => new RegExp(
+        '^' + origin.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]+') + '$',
+        'i'
+    ));
+
+    return (origin) => patterns.some(pattern => pattern.test(origin));
+}
+
+/**
+ * Read the body size limit, in the format body-parser accepts
+ */
+function getBodyLimit(value = process.env.BODY_LIMIT) {
+    if (!value || !value.trim()) {
+        return DEFAULT_BODY_LIMIT;
+    }
+
+    const limit = value.trim().toLowerCase();
+    if (!/^\d+(b|kb|mb)?$/.test(limit)) {
+        throw new Error(`Invalid BODY_LIMIT "${value}". Use bytes or a size like 100kb or 1mb`);
+    }
+
+    return limit;
+}
+
+module.exports = {
+    DEFAULT_ORIGIN,
+    DEFAULT_BODY_LIMIT,
+    getCorsOrigins,
+    createOriginMatcher,
+    getBodyLimit
+};
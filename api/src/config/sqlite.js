@@ -0,0 +1,76 @@
+/**
+ * SQLite Database Configuration
+ *
+ * This file opens an embedded SQLite database.
+ * Unlike MySQL and PostgreSQL there is no server to connect to - the database
+ * lives in a single file (or in memory), so the API can run without Docker.
+ *
+ * The 'better-sqlite3' library is synchronous: queries return results directly
+ * instead of promises. That is fine for SQLite because queries run in-process.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { logger } = require('../utils/logger');
+
+/**
+ * Database location
+ *
+ * - ':memory:' (default) keeps everything in memory - data is lost on restart
+ * - A file path (e.g. ./data/tasks.db) persists data between restarts
+ */
+const filename = process.env.SQLITE_PATH || ':memory:';
+
+// Make sure the directory for a file-based database exists
+if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+}
+
+/**
+ * Open the database
+ *
+ * Options:
+ * - timeout: How long to wait for a locked database before failing
+ */
+const db = new Database(filename, {
+    timeout: 5000
+});
+
+// Write-ahead logging lets readers and a writer work at the same time
+if (filename !== ':memory:') {
+    db.pragma('journal_mode = WAL');
+}
+
+/**
+ * Test the database connection
+ *
+ * The schema is created by the migrations in src/migrations/sqlite,
+ * which startServer() always applies to SQLite
+ */
+async function testConnection() {
+    try {
+        const result = db.prepare('SELECT sqlite_version() AS version').get();
+        logger.debug('SQLite database opened successfully', { database: 'SQLite', filename, version: result.version });
+        return true;
+    } catch (error) {
+        logger.error('SQLite connection failed', { database: 'SQLite', error: error.message });
+        return false;
+    }
+}
+
+/**
+ * The SQLite library version, for /health
+ *
+ * @returns {Promise<string>} e.g. '3.45.3'
+ */
+async function getServerVersion() {
+    return db.prepare('SELECT sqlite_version() AS version').get().version;
+}
+
+// Export the database handle and test function
+module.exports = {
+    db,
+    testConnection,
+    getServerVersion
+};
@@ -0,0 +1,46 @@
+/**
+ * Task Stream Configuration
+ *
+ * GET /api/{database}/tasks/stream pushes task changes to the browser as
+ * Server-Sent Events (see services/taskStream.service.js).
+ *
+ * Environment variables:
+ * - TASK_STREAM_HEARTBEAT_MS:  How often an idle stream sends a comment, so proxies
+ *                              don't close it (default 25000)
+ * - PG_LISTEN_NOTIFY:          true to take PostgreSQL changes from LISTEN/NOTIFY
+ *                              instead of the routes, so changes made outside this
+ *                              API instance are pushed too (default false)
+ */
+
+const DEFAULT_TASK_STREAM_SETTINGS = {
+    heartbeatMs: 25000,
+    postgresNotify: false
+};
+
+/**
+ * Read the task stream settings from the environment
+ *
+ * @returns {{ heartbeatMs: number, postgresNotify: boolean }}
+ */
+function getTaskStreamSettings() {
+    const heartbeat = process.env.TASK_STREAM_HEARTBEAT_MS;
+    const notify = process.env.PG_LISTEN_NOTIFY;
+
+    if (heartbeat !== undefined && heartbeat !== '' && !/^[1-9]\d*$/.test(heartbeat)) {
+        throw new Error(`Invalid TASK_STREAM_HEARTBEAT_MS "${heartbeat}". Must be a number of milliseconds`);
+    }
+
+    if (notify !== undefined && notify !== '' && !['true', 'false'].includes(notify)) {
+        throw new Error(`Invalid PG_LISTEN_NOTIFY "${notify}". Must be true or false`);
+    }
+
+    return {
+        heartbeatMs: heartbeat ? Number(heartbeat) : DEFAULT_TASK_STREAM_SETTINGS.heartbeatMs,
+        postgresNotify: notify ? notify === 'true' : DEFAULT_TASK_STREAM_SETTINGS.postgresNotify
+    };
+}
+
+module.exports = {
+    DEFAULT_TASK_STREAM_SETTINGS,
+    getTaskStreamSettings
+};
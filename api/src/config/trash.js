@@ -0,0 +1,35 @@
+/**
+ * Trash Configuration
+ *
+ * Deleting a task moves it to the trash (GET /tasks/trash), where it can be
+ * restored until the trash purge (see services/trash.service.js) removes it
+ * for good.
+ *
+ * Environment variables:
+ * - TRASH_RETENTION_DAYS:     Days a task stays in the trash (default 30, 0 keeps it forever)
+ * - TRASH_PURGE_INTERVAL_MS:  How often the purge runs (default 3600000, one hour)
+ */
+
+const { readWholeNumber } = require('./env');
+
+const DEFAULT_TRASH_SETTINGS = {
+    retentionDays: 30,
+    purgeIntervalMs: 60 * 60 * 1000
+};
+
+/**
+ * Read the trash settings from the environment
+ *
+ * @returns {{ retentionDays: number, purgeIntervalMs: number }}
+ */
+function getTrashSettings() {
+    return {
+        retentionDays: readWholeNumber('TRASH_RETENTION_DAYS', DEFAULT_TRASH_SETTINGS.retentionDays),
+        purgeIntervalMs: readWholeNumber('TRASH_PURGE_INTERVAL_MS', DEFAULT_TRASH_SETTINGS.purgeIntervalMs, { min: 1 })
+    };
+}
+
+module.exports = {
+    DEFAULT_TRASH_SETTINGS,
+    getTrashSettings
+};
@@ -0,0 +1,46 @@
+/**
+ * Webhook Configuration
+ *
+ * Admins register URLs that receive task changes as signed HTTP POSTs (see
+ * services/webhook.service.js). A delivery that fails is retried with
+ * exponential backoff - RETRY_BASE_MS, then twice that, and so on up to
+ * RETRY_MAX_MS - until it has been tried MAX_ATTEMPTS times, when it moves
+ * to the dead-letter list.
+ *
+ * Environment variables:
+ * - WEBHOOK_MAX_ATTEMPTS:      Attempts before a delivery is dead (default 8)
+ * - WEBHOOK_RETRY_BASE_MS:     Wait after the first failed attempt (default 10000)
+ * - WEBHOOK_RETRY_MAX_MS:      Longest wait between attempts (default 3600000, one hour)
+ * - WEBHOOK_TIMEOUT_MS:        How long a receiver has to answer (default 5000)
+ * - WEBHOOK_POLL_INTERVAL_MS:  How often due retries are looked for (default 5000)
+ */
+
+const { readWholeNumber } = require('./env');
+
+const DEFAULT_WEBHOOK_SETTINGS = {
+    maxAttempts: 8,
+    retryBaseMs: 10 * 1000,
+    retryMaxMs: 60 * 60 * 1000,
+    timeoutMs: 5000,
+    pollIntervalMs: 5000
+};
+
+/**
+ * Read the webhook settings from the environment
+ *
+ * @returns {{ maxAttempts: number, retryBaseMs: number, retryMaxMs: number, timeoutMs: number, pollIntervalMs: number }}
+ */
+function getWebhookSettings() {
+    return {
+        maxAttempts: readWholeNumber('WEBHOOK_MAX_ATTEMPTS', DEFAULT_WEBHOOK_SETTINGS.maxAttempts, { min: 1 }),
+        retryBaseMs: readWholeNumber('WEBHOOK_RETRY_BASE_MS', DEFAULT_WEBHOOK_SETTINGS.retryBaseMs, { min: 1 }),
+        retryMaxMs: readWholeNumber('WEBHOOK_RETRY_MAX_MS', DEFAULT_WEBHOOK_SETTINGS.retryMaxMs, { min: 1 }),
+        timeoutMs: readWholeNumber('WEBHOOK_TIMEOUT_MS', DEFAULT_WEBHOOK_SETTINGS.timeoutMs, { min: 1 }),
+        pollIntervalMs: readWholeNumber('WEBHOOK_POLL_INTERVAL_MS', DEFAULT_WEBHOOK_SETTINGS.pollIntervalMs, { min: 1 })
+    };
+}
+
+module.exports = {
+    DEFAULT_WEBHOOK_SETTINGS,
+    getWebhookSettings
+};
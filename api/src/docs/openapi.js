@@ -0,0 +1,1224 @@
+/**
+ * OpenAPI Specification
+ *
+ * Builds the OpenAPI 3 document served at /openapi.json and rendered at /docs.
+ *
+ * The request schemas are generated from the same validation schemas the
+ * routes use (see schemas/ and utils/validation.js), so the documented limits
+ * can't drift from the enforced ones. tests/test_openapi.js checks that every
+ * mounted route is documented and every documented route exists.
+ */
+
+const { version } = require('../../package.json');
+const { ROLES } = require('../config/roles');
+const { VALID_STATUSES, VALID_PRIORITIES } = require('../utils/taskQuery');
+const { TASK_EVENT_ACTIONS } = require('../repositories/task.repository');
+const { WEBHOOK_EVENTS } = require('../services/webhook.service');
+const { createWebhookSchema, deliveryListQuerySchema, DELIVERY_STATUSES } = require('../schemas/webhook.schemas');
+const { syncTasksSchema } = require('../schemas/sync.schemas');
+const {
+    createTaskSchema,
+    updateTaskSchema,
+    deleteTaskQuerySchema,
+    taskListQuerySchema,
+    bulkTaskSchema,
+    bulkOperationSchema,
+    exportTaskQuerySchema,
+    importTaskQuerySchema,
+    importTaskRowSchema,
+    IMPORT_MAX_ROWS,
+    searchTaskQuerySchema,
+    overdueTaskQuerySchema
+} = require('../schemas/task.schemas');
+const { EXPORT_COLUMNS } = require('../services/taskTransfer.service');
+
+// How each database is named in paths, tags and operation IDs
+const DATABASE_LABELS = {
+    mysql: 'MySQL',
+    postgresql: 'PostgreSQL',
+    sqlite: 'SQLite'
+};
+
+// Databases whose repository supports transactions, so POST /tasks/bulk is mounted
+const TRANSACTIONAL_DATABASES = ['mysql', 'postgresql'];
+
+/**
+ * Convert one validation rule set (see utils/validation.js) to a JSON Schema
+ */
+function fieldToJsonSchema(rules) {
+    const schema = {};
+
+    switch (rules.type) {
+        case 'string':
+            schema.type = 'string';
+            if (rules.minLength !== undefined) schema.minLength = rules.minLength;
+            if (rules.maxLength !== undefined) schema.maxLength = rules.maxLength;
+            if (rules.maxBytes !== undefined) schema.description = `At most ${rules.maxBytes} bytes (UTF-8)`;
+            if (rules.enum) schema.enum = rules.enum;
+            break;
+        case 'integer':
+            schema.type = 'integer';
+            if (rules.min !== undefined) schema.minimum = rules.min;
+            if (rules.max !== undefined) schema.maximum = rules.max;
+            break;
+        case 'date':
+            schema.type = 'string';
+            schema.format = 'date-time';
+            schema.description = 'ISO 8601 date or timestamp';
+            break;
+        case 'day':
+            schema.type = 'string';
+            schema.format = 'date';
+            break;
+        case 'list':
+            schema.type = 'array';
+            schema.items = rules.enum ? { type: 'string', enum: rules.enum } : { type: 'string' };
+            break;
+        case 'array':
+            schema.type = 'array';
+            if (rules.minItems !== undefined) schema.minItems = rules.minItems;
+            if (rules.maxItems !== undefined) schema.maxItems = rules.maxItems;
+            if (rules.enum) schema.items = { type: 'string', enum: rules.enum };
+            break;
+        case 'boolean':
+            schema.type = 'boolean';
+            break;
+    }
+
+    if (rules.default !== undefined) {
+        schema.default = rules.default;
+    }
+
+    if (rules.nullable) {
+        schema.nullable = true;
+    }
+
+    return schema;
+}
+
+/**
+ * Convert a body validation schema to a JSON Schema object
+ */
+function toJsonSchema(schema) {
+    const properties = {};
+    const required = [];
+
+    for (const [name, rules] of Object.entries(schema.fields)) {
+        properties[name] = fieldToJsonSchema(rules);
+        if (rules.required) {
+            required.push(name);
+        }
+    }
+
+    return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 ? { required } : {}),
+        ...(schema.requireAny ? { minProperties: 1 } : {})
+    };
+}
+
+/**
+ * Convert a query string validation schema to OpenAPI parameters
+ * Lists are sent comma-separated (?status=pending,completed)
+ */
+function toQueryParameters(schema) {
+    return Object.entries(schema.fields).map(([name, rules]) => ({
+        name,
+        in: 'query',
+        required: Boolean(rules.required),
+        schema: fieldToJsonSchema(rules),
+        ...(rules.type === 'list' ? { style: 'form', explode: false } : {})
+    }));
+}
+
+// Shorthands for $ref objects
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * A JSON response built on the success envelope
+ */
+function envelope(description, properties) {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: {
+                    allOf: [ref('SuccessEnvelope'), { type: 'object', properties }]
+                }
+            }
+        }
+    };
+}
+
+/**
+ * A JSON request body
+ */
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+const idParameter = (description) => ({
+    name: 'id',
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'integer', minimum: 1 }
+});
+
+const bearerAuth = [{ bearerAuth: [] }];
+
+// A task's ETag is its version in quotes (see utils/etag.js)
+const etagHeader = { schema: { type: 'string', example: '"3"' }, description: 'The task version' };
+
+const conditionalHeader = (name, description) => ({
+    name,
+    in: 'header',
+    required: false,
+    description,
+    schema: { type: 'string', example: '"3"' }
+});
+
+/**
+ * Shared schemas and responses
+ */
+const components = {
+    securitySchemes: {
+        bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT',
+            description: 'Access token from /api/auth/login, /register or /refresh'
+        }
+    },
+    schemas: {
+        SuccessEnvelope: {
+            type: 'object',
+            required: ['success'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                message: { type: 'string' }
+            }
+        },
+        ErrorEnvelope: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string', description: 'What went wrong' },
+                message: { type: 'string', description: 'More detail, when available' }
+            }
+        },
+        ValidationErrorEnvelope: {
+            allOf: [
+                ref('ErrorEnvelope'),
+                {
+                    type: 'object',
+                    properties: {
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['field', 'message'],
+                                properties: {
+                                    field: { type: 'string', nullable: true, description: 'null when the problem is not one field' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            ]
+        },
+        Task: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                title: { type: 'string' },
+                description: { type: 'string', nullable: true },
+                status: { type: 'string', enum: VALID_STATUSES },
+                priority: { type: 'string', enum: VALID_PRIORITIES },
+                due_date: { type: 'string', format: 'date', nullable: true, description: 'The day the task is due' },
+                owner_id: { type: 'integer', nullable: true, description: 'The user who created the task' },
+                version: { type: 'integer', description: 'Starts at 1 and goes up with every change; sent as the ETag' },
+                deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the task was moved to the trash' },
+                created_at: { type: 'string', format: 'date-time' },
+                updated_at: { type: 'string', format: 'date-time' }
+            }
+        },
+        TaskEvent: {
+            type: 'object',
+            description: 'One change to a task. Changes made outside the API (PostgreSQL only) have no actor.',
+            properties: {
+                id: { type: 'integer' },
+                task_id: { type: 'integer' },
+                action: { type: 'string', enum: TASK_EVENT_ACTIONS },
+                old_values: { ...ref('Task'), nullable: true, description: 'The task before the change; null for create' },
+                new_values: { ...ref('Task'), nullable: true, description: 'The task after the change; null for purge' },
+                actor_id: { type: 'integer', nullable: true, description: 'The user who made the change' },
+                actor_email: { type: 'string', nullable: true },
+                request_id: { type: 'string', nullable: true, description: 'X-Request-Id of the request that made the change' },
+                created_at: { type: 'string', format: 'date-time' }
+            }
+        },
+        CreateTask: toJsonSchema(createTaskSchema),
+        UpdateTask: toJsonSchema(updateTaskSchema),
+        BulkOperation: {
+            description: 'id is required for update and delete. create and update take the CreateTask and UpdateTask fields.',
+            allOf: [
+                toJsonSchema(bulkOperationSchema),
+                { type: 'object', properties: toJsonSchema(updateTaskSchema).properties }
+            ]
+        },
+        BulkRequest: (() => {
+            const schema = toJsonSchema(bulkTaskSchema);
+            schema.properties.operations.items = ref('BulkOperation');
+            return schema;
+        })(),
+        BulkResult: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: bulkTaskSchema.fields.mode.enum },
+                applied: { type: 'boolean', description: 'false when an atomic batch was rolled back' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                results: {
+                    type: 'array',
+                    description: 'One per operation, in request order',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            index: { type: 'integer' },
+                            op: { type: 'string', enum: bulkOperationSchema.fields.op.enum },
+                            id: { type: 'integer' },
+                            success: { type: 'boolean' },
+                            status: {
+                                type: 'integer',
+                                description: 'What the single-task endpoint would have answered. ' +
+                                    '424 when the operation was rolled back because another one failed.'
+                            },
+                            data: ref('Task'),
+                            error: { type: 'string' },
+                            errors: { type: 'array', items: { type: 'object' }, description: 'Field errors, as in ValidationErrorEnvelope' }
+                        }
+                    }
+                }
+            }
+        },
+        SearchResult: {
+            allOf: [
+                ref('Task'),
+                {
+                    type: 'object',
+                    properties: {
+                        rank: { type: 'number', description: 'How well the task matches; higher is better. Only comparable within one database.' },
+                        highlight: {
+                            type: 'object',
+                            description: 'HTML: the text escaped, with the matching words in <mark> tags',
+                            properties: {
+                                title: { type: 'string', example: 'Write the <mark>deploy</mark>ment docs' },
+                                description: { type: 'string', nullable: true, description: 'Cut down to the part around the first match when long' }
+                            }
+                        }
+                    }
+                }
+            ]
+        },
+        ImportRow: {
+            ...toJsonSchema(importTaskRowSchema),
+            description: 'One task. id, created_at and updated_at are only used in upsert mode.'
+        },
+        ImportResult: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: importTaskQuerySchema.fields.mode.enum },
+                total: { type: 'integer', description: 'Rows imported' },
+                created: { type: 'integer' },
+                updated: { type: 'integer', description: 'Existing tasks overwritten (upsert mode)' }
+            }
+        },
+        ImportErrorEnvelope: {
+            allOf: [
+                ref('ErrorEnvelope'),
+                {
+                    type: 'object',
+                    properties: {
+                        errors: {
+                            type: 'array',
+                            description: 'Every problem found, by row. Nothing was imported.',
+                            items: {
+                                type: 'object',
+                                required: ['row', 'field', 'message'],
+                                properties: {
+                                    row: { type: 'integer', description: 'Counted from 1, without the CSV header' },
+                                    field: { type: 'string', nullable: true, description: 'null when the problem is not one field' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            ]
+        },
+        User: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                email: { type: 'string', format: 'email' },
+                role: { type: 'string', enum: ROLES },
+                created_at: { type: 'string', format: 'date-time' }
+            }
+        },
+        Credentials: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: {
+                email: { type: 'string', format: 'email' },
+                password: { type: 'string', minLength: 8, maxLength: 72 }
+            }
+        },
+        RefreshTokenBody: {
+            type: 'object',
+            required: ['refreshToken'],
+            properties: {
+                refreshToken: { type: 'string' }
+            }
+        },
+        Webhook: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                url: { type: 'string', format: 'uri' },
+                events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+                secret: { type: 'string', description: 'Only returned when the webhook is created' },
+                created_by: { type: 'integer', nullable: true, description: 'The admin who created it' },
+                created_at: { type: 'string', format: 'date-time' }
+            }
+        },
+        WebhookDelivery: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                webhook_id: { type: 'integer' },
+                event_id: { type: 'string', format: 'uuid', description: 'Sent as X-Webhook-Id' },
+                event_type: { type: 'string', enum: WEBHOOK_EVENTS },
+                payload: {
+                    type: 'object',
+                    description: 'The request body: { id, type, created_at, database, data }',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        type: { type: 'string', enum: WEBHOOK_EVENTS },
+                        created_at: { type: 'string', format: 'date-time' },
+                        database: { type: 'string', enum: Object.keys(DATABASE_LABELS) },
+                        data: {
+                            type: 'object',
+                            description: '{ task }, { task, previous_status } for task.status_changed, or { id } for task.deleted'
+                        }
+                    }
+                },
+                status: { type: 'string', enum: DELIVERY_STATUSES, description: 'dead after WEBHOOK_MAX_ATTEMPTS failed attempts' },
+                attempts: { type: 'integer' },
+                next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+                response_status: { type: 'integer', nullable: true, description: 'HTTP status of the latest attempt' },
+                last_error: { type: 'string', nullable: true },
+                created_at: { type: 'string', format: 'date-time' },
+                delivered_at: { type: 'string', format: 'date-time', nullable: true }
+            }
+        },
+        TokenPair: {
+            type: 'object',
+            properties: {
+                user: ref('User'),
+                accessToken: { type: 'string' },
+                refreshToken: { type: 'string' },
+                tokenType: { type: 'string', enum: ['Bearer'] },
+                expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' }
+            }
+        }
+    },
+    responses: {
+        ValidationError: {
+            description: 'The request is invalid',
+            content: { 'application/json': { schema: ref('ValidationErrorEnvelope') } }
+        },
+        BadRequest: {
+            description: 'The request is invalid',
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        Unauthorized: {
+            description: 'Missing, invalid or expired access token',
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        Forbidden: {
+            description: "The user's role does not allow this",
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        NotFound: {
+            description: 'Not found (or owned by another user)',
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        PayloadTooLarge: {
+            description: 'The request body is larger than BODY_LIMIT',
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        TooManyRequests: {
+            description: 'Rate limit reached - try again after Retry-After seconds',
+            headers: {
+                'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the window starts over' },
+                'RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed in the window' },
+                'RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the window' },
+                'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the window starts over' }
+            },
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        NotModified: {
+            description: 'The task still has the version in If-None-Match',
+            headers: { ETag: etagHeader }
+        },
+        PreconditionFailed: {
+            description: 'The task was modified since the version in If-Match. The body holds the current task.',
+            headers: { ETag: etagHeader },
+            content: {
+                'application/json': {
+                    schema: { allOf: [ref('ErrorEnvelope'), { type: 'object', properties: { data: ref('Task') } }] }
+                }
+            }
+        },
+        ServerError: {
+            description: 'Unexpected database or server error',
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        },
+        Unavailable: {
+            description: 'The database is unreachable (degraded mode) - try again after Retry-After seconds',
+            headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the next reconnect attempt' } },
+            content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+        }
+    }
+};
+
+/**
+ * The task endpoints for one database
+ */
+function taskPaths(database) {
+    const label = DATABASE_LABELS[database];
+    const tags = [`${label} tasks`];
+    const taskResponse = (description) => ({
+        ...envelope(description, { data: ref('Task') }),
+        headers: { ETag: etagHeader }
+    });
+    const taskPage = (description) => envelope(description, {
+        data: { type: 'array', items: ref('Task') },
+        count: { type: 'integer', description: 'Tasks in this page' },
+        total: { type: 'integer', description: 'Tasks matching the filters' },
+        nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor for the next page' }
+    });
+    const ifMatch = conditionalHeader('If-Match', 'Only apply the change while the task has this ETag');
+    const secured = { tags, security: bearerAuth };
+    const errors = {
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        429: response('TooManyRequests'),
+        500: response('ServerError'),
+        503: response('Unavailable')
+    };
+
+    return {
+        [`/api/${database}/tasks`]: {
+            get: {
+                ...secured,
+                operationId: `list${label}Tasks`,
+                summary: `List tasks in ${label}`,
+                description: 'Filtered, sorted and cursor-paginated. Admins see every task, other users only their own.',
+                parameters: toQueryParameters(taskListQuerySchema),
+                responses: {
+                    200: taskPage('A page of tasks'),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            },
+            post: {
+                ...secured,
+                operationId: `create${label}Task`,
+                summary: `Create a task in ${label}`,
+                description: 'Requires the editor or admin role. The task is owned by the caller.',
+                requestBody: jsonBody(ref('CreateTask')),
+                responses: { 201: taskResponse('The created task'), 400: response('ValidationError'), ...errors }
+            }
+        },
+        [`/api/${database}/tasks/trash`]: {
+            get: {
+                ...secured,
+                operationId: `list${label}TrashedTasks`,
+                summary: `List trashed tasks in ${label}`,
+                description: 'Deleted tasks, with the same parameters as the task list. They are purged for good ' +
+                    'TRASH_RETENTION_DAYS after deleted_at.',
+                parameters: toQueryParameters(taskListQuerySchema),
+                responses: {
+                    200: taskPage('A page of trashed tasks'),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/overdue`]: {
+            get: {
+                ...secured,
+                operationId: `list${label}OverdueTasks`,
+                summary: `List overdue tasks in ${label}`,
+                description: 'Live tasks due before today (UTC) that are not completed, with the same parameters as ' +
+                    'the task list. Sorted by due_date, oldest first, by default.',
+                parameters: toQueryParameters(overdueTaskQuerySchema),
+                responses: {
+                    200: taskPage('A page of overdue tasks'),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/search`]: {
+            get: {
+                ...secured,
+                operationId: `search${label}Tasks`,
+                summary: `Search tasks in ${label}`,
+                description: 'Full-text search of the titles and descriptions of live tasks, best match first. ' +
+                    'Every word of q must match, as a whole word or the start of one; punctuation is ignored. ' +
+                    'Title matches rank higher than description matches.',
+                parameters: toQueryParameters(searchTaskQuerySchema),
+                responses: {
+                    200: envelope('The matching tasks', {
+                        data: { type: 'array', items: ref('SearchResult') },
+                        count: { type: 'integer', description: 'Tasks in this page' },
+                        total: { type: 'integer', description: 'Tasks matching the search' }
+                    }),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/stream`]: {
+            get: {
+                ...secured,
+                operationId: `stream${label}Tasks`,
+                summary: `Receive task changes in ${label} as they happen`,
+                description: 'Server-Sent Events. The response stays open and sends an event for every change to ' +
+                    'a task the caller can see: created, updated and restored with data {"id", "task"}, and deleted ' +
+                    'with data {"id"}. Events are not replayed, so reload the task list after reconnecting.',
+                responses: {
+                    200: {
+                        description: 'An event stream',
+                        content: {
+                            'text/event-stream': {
+                                schema: { type: 'string' },
+                                example: 'event: updated\ndata: {"id":7,"task":{"id":7,"title":"Write docs","version":2}}\n\n'
+                            }
+                        }
+                    },
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/export`]: {
+            get: {
+                ...secured,
+                operationId: `export${label}Tasks`,
+                summary: `Export tasks from ${label}`,
+                description: 'Every task matching the filters, oldest ID first, as a file download with the columns ' +
+                    `${EXPORT_COLUMNS.join(', ')}. The file is streamed while the tasks are read; if the database ` +
+                    'fails halfway, the connection is closed before the file is complete.',
+                parameters: toQueryParameters(exportTaskQuerySchema),
+                responses: {
+                    200: {
+                        description: 'The tasks, in the requested format',
+                        headers: {
+                            'Content-Disposition': {
+                                schema: { type: 'string', example: `attachment; filename="tasks-${database}-2024-01-31.csv"` }
+                            }
+                        },
+                        content: {
+                            'application/json': { schema: { type: 'array', items: ref('ImportRow') } },
+                            'application/x-ndjson': { schema: { type: 'string' }, example: '{"id":1,"title":"Write docs","status":"pending"}\n' },
+                            'text/csv': { schema: { type: 'string' }, example: `${EXPORT_COLUMNS.join(',')}\r\n` }
+                        }
+                    },
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/import`]: {
+            post: {
+                ...secured,
+                operationId: `import${label}Tasks`,
+                summary: `Import tasks into ${label}`,
+                description: `Up to ${IMPORT_MAX_ROWS} tasks, in the format of the Content-Type (CSV needs a header ` +
+                    'row). Every row is checked first; if any is invalid nothing is imported. append creates a task ' +
+                    'per row. upsert updates the task with the row\'s id or creates it with that id, and needs the ' +
+                    'admin role. MySQL and PostgreSQL import in one transaction.',
+                parameters: toQueryParameters(importTaskQuerySchema),
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: { type: 'array', items: ref('ImportRow') } },
+                        'application/x-ndjson': { schema: { type: 'string', description: 'One ImportRow object per line' } },
+                        'text/csv': { schema: { type: 'string', description: 'A header row naming the ImportRow fields, then one task per row' } }
+                    }
+                },
+                responses: {
+                    200: envelope('The tasks were imported', { data: ref('ImportResult') }),
+                    400: {
+                        description: 'Invalid rows, or a file that could not be read',
+                        content: { 'application/json': { schema: ref('ImportErrorEnvelope') } }
+                    },
+                    415: {
+                        description: 'The Content-Type is not JSON, NDJSON or CSV',
+                        content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+                    },
+                    ...errors
+                }
+            }
+        },
+        ...(TRANSACTIONAL_DATABASES.includes(database) ? {
+            [`/api/${database}/tasks/bulk`]: {
+                post: {
+                    ...secured,
+                    operationId: `bulk${label}Tasks`,
+                    summary: `Create, update and delete many tasks in ${label}`,
+                    description: 'Runs up to 100 operations in one transaction. Each operation needs the permission ' +
+                        'of its single-task endpoint. In atomic mode (the default) one failed operation rolls the ' +
+                        'whole batch back and the response has its status; in best_effort mode failed operations ' +
+                        'are undone on their own and the response is 207.',
+                    requestBody: jsonBody(ref('BulkRequest')),
+                    responses: {
+                        200: envelope('Every operation was applied', { data: ref('BulkResult') }),
+                        207: {
+                            description: 'best_effort: some operations failed, the others were applied',
+                            content: {
+                                'application/json': {
+                                    schema: { allOf: [ref('ErrorEnvelope'), { type: 'object', properties: { data: ref('BulkResult') } }] }
+                                }
+                            }
+                        },
+                        400: response('ValidationError'),
+                        404: response('NotFound'),
+                        ...errors
+                    }
+                }
+            }
+        } : {}),
+        [`/api/${database}/tasks/{id}`]: {
+            parameters: [idParameter('Task ID')],
+            get: {
+                ...secured,
+                operationId: `get${label}Task`,
+                summary: `Get a task from ${label}`,
+                parameters: [conditionalHeader('If-None-Match', 'Answer 304 if the task still has this ETag')],
+                responses: {
+                    200: taskResponse('The task'),
+                    304: response('NotModified'),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            },
+            put: {
+                ...secured,
+                operationId: `update${label}Task`,
+                summary: `Update a task in ${label}`,
+                description: 'Requires the editor or admin role. Send If-Match to only overwrite the version you read.',
+                parameters: [ifMatch],
+                requestBody: jsonBody(ref('UpdateTask')),
+                responses: {
+                    200: taskResponse('The updated task'),
+                    400: response('ValidationError'),
+                    404: response('NotFound'),
+                    412: response('PreconditionFailed'),
+                    ...errors
+                }
+            },
+            delete: {
+                ...secured,
+                operationId: `delete${label}Task`,
+                summary: `Delete a task from ${label}`,
+                description: 'Requires the admin role. Moves the task to the trash, or deletes it for good with ' +
+                    'hard=true. Send If-Match to only delete the version you read.',
+                parameters: [...toQueryParameters(deleteTaskQuerySchema), ifMatch],
+                responses: {
+                    200: envelope('The task was moved to the trash or deleted', {}),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    412: response('PreconditionFailed'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/{id}/restore`]: {
+            parameters: [idParameter('Task ID')],
+            post: {
+                ...secured,
+                operationId: `restore${label}Task`,
+                summary: `Restore a trashed task in ${label}`,
+                description: 'Requires the admin role.',
+                responses: {
+                    200: taskResponse('The restored task'),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        },
+        [`/api/${database}/tasks/{id}/history`]: {
+            parameters: [idParameter('Task ID')],
+            get: {
+                ...secured,
+                operationId: `get${label}TaskHistory`,
+                summary: `Get the change history of a task in ${label}`,
+                description: 'Every create, update, delete, restore and purge of the task, oldest first. ' +
+                    'Works for trashed tasks too.',
+                responses: {
+                    200: envelope('The changes to the task', {
+                        data: { type: 'array', items: ref('TaskEvent') },
+                        count: { type: 'integer' }
+                    }),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Account and token endpoints
+ */
+function authPaths() {
+    const tags = ['Authentication'];
+    const tokens = (description) => envelope(description, { data: ref('TokenPair') });
+
+    return {
+        '/api/auth/register': {
+            post: {
+                tags,
+                operationId: 'register',
+                summary: 'Create an account and sign in',
+                requestBody: jsonBody(ref('Credentials')),
+                responses: {
+                    201: tokens('The new user and their tokens'),
+                    400: response('BadRequest'),
+                    409: { description: 'The email is already registered', content: { 'application/json': { schema: ref('ErrorEnvelope') } } },
+                    500: response('ServerError'),
+                    503: response('Unavailable')
+                }
+            }
+        },
+        '/api/auth/login': {
+            post: {
+                tags,
+                operationId: 'login',
+                summary: 'Exchange email and password for tokens',
+                requestBody: jsonBody(ref('Credentials')),
+                responses: { 200: tokens('The user and their tokens'), 400: response('BadRequest'), 401: response('Unauthorized'), 500: response('ServerError'), 503: response('Unavailable') }
+            }
+        },
+        '/api/auth/refresh': {
+            post: {
+                tags,
+                operationId: 'refreshToken',
+                summary: 'Exchange a refresh token for a new token pair',
+                description: 'Each refresh token can be used once.',
+                requestBody: jsonBody(ref('RefreshTokenBody')),
+                responses: { 200: tokens('A new token pair'), 401: response('Unauthorized'), 500: response('ServerError'), 503: response('Unavailable') }
+            }
+        },
+        '/api/auth/logout': {
+            post: {
+                tags,
+                operationId: 'logout',
+                summary: 'Revoke a refresh token',
+                requestBody: jsonBody(ref('RefreshTokenBody')),
+                responses: { 200: envelope('Logged out', {}), 400: response('BadRequest'), 500: response('ServerError'), 503: response('Unavailable') }
+            }
+        }
+    };
+}
+
+/**
+ * Admin endpoints
+ */
+function adminPaths() {
+    const tags = ['Admin'];
+    const errors = { 401: response('Unauthorized'), 403: response('Forbidden'), 500: response('ServerError'), 503: response('Unavailable') };
+
+    return {
+        '/api/admin/users': {
+            get: {
+                tags,
+                security: bearerAuth,
+                operationId: 'listUsers',
+                summary: 'List every user and their role',
+                responses: {
+                    200: envelope('Every user', { data: { type: 'array', items: ref('User') }, count: { type: 'integer' } }),
+                    ...errors
+                }
+            }
+        },
+        '/api/admin/users/{id}/role': {
+            parameters: [idParameter('User ID')],
+            put: {
+                tags,
+                security: bearerAuth,
+                operationId: 'setUserRole',
+                summary: "Change a user's role",
+                description: "Applies from the user's next login or token refresh. Admins can't change their own role.",
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['role'],
+                    properties: { role: { type: 'string', enum: ROLES } }
+                }),
+                responses: {
+                    200: envelope('The updated user', { data: ref('User') }),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Webhook endpoints
+ */
+function webhookPaths() {
+    const tags = ['Webhooks'];
+    const errors = { 401: response('Unauthorized'), 403: response('Forbidden'), 500: response('ServerError'), 503: response('Unavailable') };
+    const deliveryList = (description) => envelope(description, {
+        data: { type: 'array', items: ref('WebhookDelivery') },
+        count: { type: 'integer' }
+    });
+
+    return {
+        '/api/webhooks': {
+            get: {
+                tags,
+                security: bearerAuth,
+                operationId: 'listWebhooks',
+                summary: 'List every webhook',
+                description: 'Requires the admin role. Secrets are left out.',
+                responses: {
+                    200: envelope('Every webhook', { data: { type: 'array', items: ref('Webhook') }, count: { type: 'integer' } }),
+                    ...errors
+                }
+            },
+            post: {
+                tags,
+                security: bearerAuth,
+                operationId: 'createWebhook',
+                summary: 'Register a URL that receives task events',
+                description: 'Deliveries are signed with the secret: X-Webhook-Signature is ' +
+                    'sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"). ' +
+                    'Without a secret one is generated; either way it is only returned here.',
+                requestBody: jsonBody(toJsonSchema(createWebhookSchema)),
+                responses: {
+                    201: envelope('The new webhook, with its secret', { data: ref('Webhook') }),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        '/api/webhooks/dead-letters': {
+            get: {
+                tags,
+                security: bearerAuth,
+                operationId: 'listDeadLetters',
+                summary: 'List the deliveries that ran out of attempts',
+                parameters: toQueryParameters(deliveryListQuerySchema).filter(parameter => parameter.name === 'limit'),
+                responses: {
+                    200: deliveryList('Dead deliveries of every webhook, newest first'),
+                    400: response('ValidationError'),
+                    ...errors
+                }
+            }
+        },
+        '/api/webhooks/{id}': {
+            parameters: [idParameter('Webhook ID')],
+            get: {
+                tags,
+                security: bearerAuth,
+                operationId: 'getWebhook',
+                summary: 'Get a webhook',
+                responses: {
+                    200: envelope('The webhook', { data: ref('Webhook') }),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            },
+            delete: {
+                tags,
+                security: bearerAuth,
+                operationId: 'deleteWebhook',
+                summary: 'Remove a webhook and its deliveries',
+                responses: {
+                    200: envelope('Webhook deleted', {}),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        },
+        '/api/webhooks/{id}/deliveries': {
+            parameters: [idParameter('Webhook ID')],
+            get: {
+                tags,
+                security: bearerAuth,
+                operationId: 'listWebhookDeliveries',
+                summary: "Get a webhook's delivery log",
+                parameters: toQueryParameters(deliveryListQuerySchema),
+                responses: {
+                    200: deliveryList('The deliveries, newest first'),
+                    400: response('ValidationError'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        },
+        '/api/webhooks/deliveries/{id}/retry': {
+            parameters: [idParameter('Delivery ID')],
+            post: {
+                tags,
+                security: bearerAuth,
+                operationId: 'retryWebhookDelivery',
+                summary: 'Send a dead delivery again',
+                description: 'The delivery goes back to pending with a fresh set of attempts.',
+                responses: {
+                    200: envelope('The queued delivery', { data: ref('WebhookDelivery') }),
+                    400: response('BadRequest'),
+                    404: response('NotFound'),
+                    ...errors
+                }
+            }
+        }
+    };
+}
+
+/**
+ * The sync endpoint
+ */
+function syncPaths() {
+    return {
+        '/api/sync': {
+            post: {
+                tags: ['Sync'],
+                security: bearerAuth,
+                operationId: 'syncTasks',
+                summary: 'Copy or reconcile tasks between MySQL and PostgreSQL',
+                description: 'Requires the admin role. force and prune are only supported for one-way syncs.',
+                requestBody: jsonBody(toJsonSchema(syncTasksSchema)),
+                responses: {
+                    200: envelope('The planned or applied changes', {
+                        data: {
+                            type: 'object',
+                            properties: {
+                                direction: { type: 'string' },
+                                dryRun: { type: 'boolean' },
+                                summary: {
+                                    type: 'object',
+                                    properties: Object.fromEntries(
+                                        ['created', 'updated', 'trashed', 'restored', 'deleted', 'unchanged', 'conflicts'].map(key => [key, { type: 'integer' }])
+                                    )
+                                },
+                                changes: { type: 'array', items: { type: 'object' } },
+                                conflicts: { type: 'array', items: { type: 'object' } }
+                            }
+                        }
+                    }),
+                    400: response('BadRequest'),
+                    401: response('Unauthorized'),
+                    403: response('Forbidden'),
+                    500: response('ServerError'),
+                    503: response('Unavailable')
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Endpoints served by the app itself
+ */
+function serverPaths() {
+    const database = {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['connected', 'disconnected', 'disabled'] },
+            required: { type: 'boolean', description: 'Whether /health/ready depends on it (REQUIRED_DATABASES)' },
+            latencyMs: { type: 'number', example: 2.1 },
+            serverVersion: { type: 'string', example: '16.2' },
+            migrationVersion: { type: 'string', nullable: true, example: '005' },
+            pool: {
+                type: 'object',
+                description: 'MySQL and PostgreSQL only',
+                properties: {
+                    active: { type: 'integer' },
+                    idle: { type: 'integer' },
+                    waiting: { type: 'integer' }
+                }
+            }
+        }
+    };
+    const databases = {
+        type: 'object',
+        properties: { mysql: database, postgresql: database, sqlite: database }
+    };
+    const health = {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy', 'draining'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            checkedAt: { type: 'string', format: 'date-time', description: 'When the databases were checked (cached for HEALTH_CACHE_TTL_MS)' },
+            environment: { type: 'string' },
+            uptime: { type: 'integer', description: 'Seconds since the process started' },
+            databases
+        }
+    };
+    const readiness = {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ready', 'not ready', 'draining'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            databases: {
+                type: 'object',
+                description: 'Status of each required database',
+                additionalProperties: { type: 'string', enum: ['connected', 'disconnected'] }
+            }
+        }
+    };
+    const liveness = {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['alive'] },
+            uptime: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    };
+
+    return {
+        '/': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getApiInfo',
+                summary: 'API name, version and links',
+                responses: { 200: { description: 'API information', content: { 'application/json': { schema: { type: 'object' } } } } }
+            }
+        },
+        '/health': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getHealth',
+                summary: 'Diagnose the database connections',
+                description: 'Latency, pool usage, server version and migration version of every database.',
+                responses: {
+                    200: { description: 'Every required database is reachable (degraded if an optional one is not)', content: { 'application/json': { schema: health } } },
+                    503: { description: 'A required database is unreachable, or the server is shutting down', content: { 'application/json': { schema: health } } }
+                }
+            }
+        },
+        '/health/live': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getLiveness',
+                summary: 'Liveness probe',
+                description: 'Answers while the process is running. Never checks a database.',
+                responses: {
+                    200: { description: 'The process is running', content: { 'application/json': { schema: liveness } } }
+                }
+            }
+        },
+        '/health/ready': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getReadiness',
+                summary: 'Readiness probe',
+                description: 'Ready when every database in REQUIRED_DATABASES is reachable and the server is not shutting down.',
+                responses: {
+                    200: { description: 'Ready for traffic', content: { 'application/json': { schema: readiness } } },
+                    503: { description: 'A required database is unreachable, or the server is shutting down', content: { 'application/json': { schema: readiness } } }
+                }
+            }
+        },
+        '/metrics': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getMetrics',
+                summary: 'Prometheus metrics',
+                description: 'Request counts and latency by route and status, query latency and errors by database, and connection pool sizes.',
+                responses: {
+                    200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+                    500: response('ServerError')
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                tags: ['Server'],
+                operationId: 'getOpenApiSpec',
+                summary: 'This document',
+                responses: { 200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+            }
+        }
+    };
+}
+
+/**
+ * Build the OpenAPI document for the mounted databases
+ *
+ * @param {object} options
+ * @param {string[]} options.databases - Enabled databases (see config/databases.js)
+ * @returns {object} OpenAPI 3.0 document
+ */
+function buildOpenApiSpec({ databases }) {
+    const paths = {
+        ...serverPaths(),
+        ...authPaths(),
+        ...adminPaths(),
+        ...webhookPaths()
+    };
+
+    for (const database of databases) {
+        Object.assign(paths, taskPaths(database));
+    }
+
+    // Sync is only mounted when both of its databases are
+    if (databases.includes('mysql') && databases.includes('postgresql')) {
+        Object.assign(paths, syncPaths());
+    }
+
+    // Any operation with a body can exceed BODY_LIMIT
+    for (const operations of Object.values(paths)) {
+        for (const operation of Object.values(operations)) {
+            if (operation.requestBody) {
+                operation.responses[413] = response('PayloadTooLarge');
+            }
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Node.js Example API',
+            version,
+            description: 'The same task API on MySQL, PostgreSQL and SQLite. ' +
+                'Every response uses the { success, data, error, message } envelope.'
+        },
+        paths,
+        components
+    };
+}
+
+module.exports = {
+    buildOpenApiSpec,
+    toJsonSchema,
+    toQueryParameters
+};
@@ -5,8 +5,9 @@
  * It sets up the Express server, configures middleware, registers routes,
  * and handles database connections.
  * 
- * The server provides RESTful endpoints for both MySQL and PostgreSQL databases,
+ * The server provides RESTful endpoints for MySQL, PostgreSQL and SQLite databases,
  * allowing you to see how to work with different databases in the same application.
+ * ENABLED_DATABASES (see config/databases.js) chooses which ones are served.
  */
 
 // Load environment variables from .env file
@@ -20,10 +21,36 @@ const cors = require('cors');
 // Import database configurations
 const mysqlDb = require('./config/mysql');
 const postgresDb = require('./config/postgresql');
+const sqliteDb = require('./config/sqlite');
+const { SUPPORTED_DATABASES, getEnabledDatabases, getAuthDatabase, getRequiredDatabases } = require('./config/databases');
+const { getMigrator } = require('./migrations');
+const { logger } = require('./utils/logger');
+const { requestLogger } = require('./middleware/logging');
+const { securityHeaders, createCorsOptions } = require('./middleware/security');
+const { getCorsOrigins, getBodyLimit } = require('./config/security');
+const { recordRequestMetrics, registerPool } = require('./utils/metrics');
+const { createGracefulShutdown } = require('./utils/shutdown');
+const { registerDatabase, connectDatabase, stopReconnecting, isAvailable } = require('./utils/databaseStatus');
+const { createHealthCheck } = require('./services/health.service');
+const { createTrashPurger } = require('./services/trash.service');
+const { getTrashSettings } = require('./config/trash');
+const { getTaskStreamSettings } = require('./config/taskStream');
+const { getTaskStream, closeTaskStreams, createPostgresTaskListener } = require('./services/taskStream.service');
+const { getWebhookDispatcher } = require('./services/webhook.service');
+const { getTaskRepository } = require('./repositories');
+const { requireDatabases } = require('./middleware/availability');
 
 // Import route handlers
 const mysqlRoutes = require('./routes/mysql.routes');
 const postgresRoutes = require('./routes/postgresql.routes');
+const sqliteRoutes = require('./routes/sqlite.routes');
+const syncRoutes = require('./routes/sync.routes');
+const authRoutes = require('./routes/auth.routes');
+const adminRoutes = require('./routes/admin.routes');
+const webhookRoutes = require('./routes/webhooks.routes');
+const docsRoutes = require('./routes/docs.routes');
+const metricsRoutes = require('./routes/metrics.routes');
+const { createHealthRouter } = require('./routes/health.routes');
 
 // Create Express application instance
 const app = express();
@@ -32,6 +59,43 @@ const app = express();
 // Use environment variable if available, otherwise default to 3001
 const PORT = process.env.PORT || 3001;
 
+// Shutdown state - counts in-flight requests so SIGTERM can wait for them
+// SHUTDOWN_TIMEOUT_MS sets how long to wait (see utils/shutdown.js)
+const shutdown = createGracefulShutdown();
+
+// The HTTP server, once startServer() is listening
+let server = null;
+
+// Which databases to serve, e.g. ENABLED_DATABASES=sqlite to run without Docker
+const enabledDatabases = getEnabledDatabases();
+const isEnabled = (name) => enabledDatabases.includes(name);
+
+// Largest request body accepted, e.g. BODY_LIMIT=1mb
+const bodyLimit = getBodyLimit();
+
+// Which of them the API is not ready without, e.g. REQUIRED_DATABASES=postgresql on Render
+const requiredDatabases = getRequiredDatabases(enabledDatabases);
+
+// Behind a proxy (Render, a load balancer), req.ip is the proxy's address
+// TRUST_PROXY=1 trusts one hop, so req.ip is the client's address instead
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+/**
+ * Database Connections
+ *
+ * Every enabled database is registered (below) with utils/databaseStatus.js, which
+ * retries it in the background whenever it is unreachable. Once it is back,
+ * pending migrations are applied before it serves requests again.
+ */
+const databaseConfigs = {
+    mysql: { label: 'MySQL', config: mysqlDb },
+    postgresql: { label: 'PostgreSQL', config: postgresDb },
+    sqlite: { label: 'SQLite', config: sqliteDb }
+};
+
 /**
  * Middleware Configuration
  * 
@@ -39,86 +103,109 @@ const PORT = process.env.PORT || 3001;
  * or end the request-response cycle
  */
 
+// Security headers (see middleware/security.js)
+// Content-Security-Policy, Strict-Transport-Security, X-Frame-Options and similar
+app.use(securityHeaders);
+
 // CORS (Cross-Origin Resource Sharing) middleware
 // This allows the frontend (running on a different port/domain) to make requests to this API
-// In production, you would configure this to only allow specific origins
-app.use(cors({
-    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    credentials: true
-}));
+// Only origins in CORS_ORIGINS and FRONTEND_URL are allowed; a * in CORS_ORIGINS
+// matches Vercel preview deployments (see config/security.js)
+app.use(cors(createCorsOptions(getCorsOrigins())));
+
+// Count in-flight requests, so a shutdown can wait for them to finish
+app.use(shutdown.trackRequests);
+
+// Request logging middleware (see middleware/logging.js)
+// Gives each request an ID (X-Request-Id) and writes a JSON log line with its
+// status, latency, client IP and database once the response is sent
+// LOG_LEVEL controls how much is logged (debug, info, warn, error or silent)
+app.use(requestLogger);
+
+// Request metrics middleware (see utils/metrics.js)
+// Counts and times every request for the /metrics endpoint
+app.use(recordRequestMetrics);
 
 // Body parsing middleware
 // express.json() parses incoming requests with JSON payloads
 // This makes req.body available in route handlers
-app.use(express.json());
+// Bodies larger than BODY_LIMIT (default 100kb) are rejected with 413 by the error handler below
+// Parsed after the request is logged, so rejected bodies still get a log line
+app.use(express.json({ limit: bodyLimit }));
 
 // express.urlencoded() parses form data
 // extended: true allows for rich objects and arrays to be encoded
-app.use(express.urlencoded({ extended: true }));
-
-// Request logging middleware (simple version)
-// This logs all incoming requests to the console
-// In production, you'd use a proper logging library like Winston or Morgan
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next(); // Pass control to the next middleware
-});
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
+// Report the connection pools of the enabled databases in /metrics
+// SQLite is embedded and has no pool
+if (isEnabled('mysql')) {
+    registerPool('mysql', mysqlDb.getPoolStats);
+}
+if (isEnabled('postgresql')) {
+    registerPool('postgresql', postgresDb.getPoolStats);
+}
 
 /**
  * Route Registration
  * 
  * Routes are organized by database type
  * Each route file handles all CRUD operations for that database
+ * Routes for disabled databases are not mounted at all
+ * requireDatabases() answers 503 while a route's database is unreachable
+ * (degraded mode), so the other databases keep serving
  */
 
+// Health - liveness (/health/live), readiness (/health/ready) and diagnostics (/health)
+// Each enabled database reports its server version, latest migration and,
+// for MySQL and PostgreSQL, its pool (see services/health.service.js)
+const healthCheck = createHealthCheck({
+    databases: Object.fromEntries(enabledDatabases.map(name => [name, {
+        getServerVersion: databaseConfigs[name].config.getServerVersion,
+        getPoolStats: databaseConfigs[name].config.getPoolStats,
+        getMigrationVersion: () => getMigrator(name).currentVersion()
+    }])),
+    required: requiredDatabases,
+    supported: SUPPORTED_DATABASES
+});
+app.use(createHealthRouter({ healthCheck, isDraining: shutdown.isDraining }));
+
+// Documentation - the OpenAPI document at /openapi.json and Swagger UI at /docs
+app.use(docsRoutes);
+
+// Metrics - Prometheus scrapes GET /metrics
+app.use(metricsRoutes);
+
+// Auth routes - register, log in and manage tokens at /api/auth
+// Task routes below require the access token these endpoints issue
+app.use('/api/auth', requireDatabases(getAuthDatabase(enabledDatabases)), authRoutes);
+
+// Admin routes - manage user roles at /api/admin (admins only)
+app.use('/api/admin', requireDatabases(getAuthDatabase(enabledDatabases)), adminRoutes);
+
+// Webhook routes - register URLs that receive task changes at /api/webhooks (admins only)
+// Webhooks are stored in the AUTH_DATABASE, like the users
+app.use('/api/webhooks', requireDatabases(getAuthDatabase(enabledDatabases)), webhookRoutes);
+
 // MySQL routes - all will be prefixed with /api/mysql
-app.use('/api/mysql', mysqlRoutes);
+if (isEnabled('mysql')) {
+    app.use('/api/mysql', requireDatabases('mysql'), mysqlRoutes);
+}
 
 // PostgreSQL routes - all will be prefixed with /api/postgresql
-app.use('/api/postgresql', postgresRoutes);
+if (isEnabled('postgresql')) {
+    app.use('/api/postgresql', requireDatabases('postgresql'), postgresRoutes);
+}
 
-/**
- * Health Check Endpoint
- * 
- * This endpoint is useful for monitoring and container health checks
- * It verifies that the API is running and can connect to databases
- * 
- * In production (Render), MySQL is not available so we only check PostgreSQL
- * Locally with Docker, both databases are checked
- */
-app.get('/health', async (req, res) => {
-    try {
-        // Test both database connections
-        const mysqlStatus = await mysqlDb.testConnection();
-        const postgresStatus = await postgresDb.testConnection();
-
-        // In production, only PostgreSQL is required
-        // MySQL is only available in local development
-        const isProduction = process.env.NODE_ENV === 'production';
-        const isHealthy = isProduction
-            ? postgresStatus  // Production: only need PostgreSQL
-            : (mysqlStatus && postgresStatus);  // Development: need both
-
-        res.status(isHealthy ? 200 : 503).json({
-            status: isHealthy ? 'healthy' : 'unhealthy',
-            timestamp: new Date().toISOString(),
-            environment: process.env.NODE_ENV || 'development',
-            databases: {
-                mysql: mysqlStatus ? 'connected' : 'disconnected',
-                postgresql: postgresStatus ? 'connected' : 'disconnected'
-            },
-            note: isProduction ? 'MySQL not available in production (free tier limitation)' : null
-        });
-    } catch (error) {
-        // If health check itself fails, return 503
-        console.error('Health check error:', error);
-        res.status(503).json({
-            status: 'unhealthy',
-            error: 'Health check failed',
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// SQLite routes - all will be prefixed with /api/sqlite
+if (isEnabled('sqlite')) {
+    app.use('/api/sqlite', requireDatabases('sqlite'), sqliteRoutes);
+}
+
+// Sync routes - copy tasks between MySQL and PostgreSQL, so both must be enabled
+if (isEnabled('mysql') && isEnabled('postgresql')) {
+    app.use('/api/sync', requireDatabases('mysql', 'postgresql'), syncRoutes);
+}
 
 /**
  * Root Endpoint
@@ -130,17 +217,47 @@ app.get('/', (req, res) => {
         message: 'Node.js Example API',
         version: '1.0.0',
         endpoints: {
-            health: '/health',
+            health: {
+                diagnostics: '/health',
+                live: '/health/live',
+                ready: '/health/ready'
+            },
+            openapi: '/openapi.json',
+            metrics: '/metrics',
+            auth: {
+                register: '/api/auth/register',
+                login: '/api/auth/login',
+                refresh: '/api/auth/refresh',
+                logout: '/api/auth/logout'
+            },
+            admin: {
+                users: '/api/admin/users',
+                role: '/api/admin/users/:id/role'
+            },
+            webhooks: {
+                webhooks: '/api/webhooks',
+                deliveries: '/api/webhooks/:id/deliveries',
+                deadLetters: '/api/webhooks/dead-letters'
+            },
             mysql: {
                 tasks: '/api/mysql/tasks',
-                task: '/api/mysql/tasks/:id'
+                task: '/api/mysql/tasks/:id',
+                stream: '/api/mysql/tasks/stream'
             },
             postgresql: {
                 tasks: '/api/postgresql/tasks',
-                task: '/api/postgresql/tasks/:id'
-            }
+                task: '/api/postgresql/tasks/:id',
+                stream: '/api/postgresql/tasks/stream'
+            },
+            sqlite: {
+                tasks: '/api/sqlite/tasks',
+                task: '/api/sqlite/tasks/:id',
+                stream: '/api/sqlite/tasks/stream'
+            },
+            sync: '/api/sync'
         },
-        documentation: 'See README.md for detailed API documentation'
+        enabledDatabases,
+        documentation: '/docs'
     });
 });
 
@@ -166,77 +283,199 @@ app.use((req, res) => {
  * Express recognizes this as an error handler because it has 4 parameters
  */
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    // A body larger than BODY_LIMIT
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: 'Payload too large',
+            message: `Request bodies are limited to ${bodyLimit}`
+        });
+    }
+
+    // A body that isn't valid JSON
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid JSON',
+            message: 'The request body could not be parsed as JSON'
+        });
+    }
+
+    // Other problems with the request itself (body-parser sets expose on those),
+    // e.g. an unsupported charset or a body that was cut off
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            error: 'Invalid request body'
+        });
+    }
+
+    logger.error('Unhandled error', { requestId: req.id, error: err });
 
-    res.status(err.status || 500).json({
+    // Never send err.message or the stack - database errors can name tables,
+    // columns or hosts. They are in the log line above, under the request ID.
+    res.status(500).json({
         success: false,
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : undefined,
-        // Only show stack trace in development
-        stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+        error: 'Internal server error'
+    });
+});
+
+// Apply pending schema migrations (see src/migrations)
+// AUTO_MIGRATE=true migrates every connected database
+// SQLite is embedded, so nothing else can migrate it - it is always migrated
+async function migrate(name) {
+    if (process.env.AUTO_MIGRATE === 'true' || name === 'sqlite') {
+        const applied = await getMigrator(name).up();
+        logger.info(applied.length ? 'Migrations applied' : 'Migrations up to date', { database: name, applied });
+    }
+}
+
+for (const name of enabledDatabases) {
+    const { label, config } = databaseConfigs[name];
+    registerDatabase(name, {
+        label,
+        testConnection: config.testConnection,
+        onReconnect: () => migrate(name)
     });
+}
+
+// Remove tasks that have been in the trash longer than TRASH_RETENTION_DAYS
+// (see services/trash.service.js); started once the server is listening
+const trashSettings = getTrashSettings();
+const trashPurger = createTrashPurger({
+    repositories: Object.fromEntries(enabledDatabases.map(name => [name, getTaskRepository(name)])),
+    retentionDays: trashSettings.retentionDays,
+    intervalMs: trashSettings.purgeIntervalMs,
+    isAvailable
 });
 
+// With PG_LISTEN_NOTIFY=true, PostgreSQL task changes reach GET /api/postgresql/tasks/stream
+// through LISTEN/NOTIFY, including those made outside this instance (see services/taskStream.service.js)
+const postgresListener = isEnabled('postgresql') && getTaskStreamSettings().postgresNotify
+    ? createPostgresTaskListener({
+        pool: postgresDb.pool,
+        stream: getTaskStream('postgresql'),
+        repository: getTaskRepository('postgresql')
+    })
+    : null;
+
+// Sends task changes to the registered webhooks and retries failed deliveries
+// (see services/webhook.service.js); started once the server is listening
+const webhookDispatcher = getWebhookDispatcher();
+
 /**
  * Start the Server
  * 
- * Test database connections first, then start listening for requests
- * In production, MySQL is not available so we only require PostgreSQL
+ * Connect to every enabled database, retrying with exponential backoff
+ * (DB_CONNECT_RETRIES, see utils/retry.js), then start listening.
+ * A database that is still unreachable doesn't stop the server: its routes
+ * answer 503 (degraded mode) while it is retried in the background.
+ * This is also how the server runs on Render, where MySQL is not available.
  */
 async function startServer() {
     try {
-        console.log('🚀 Starting server...');
-        console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log('📊 Testing database connections...');
-
-        const isProduction = process.env.NODE_ENV === 'production';
-
-        // Test database connections
-        // In production, MySQL connection will fail but that's expected
-        const mysqlConnected = await mysqlDb.testConnection();
-        const postgresConnected = await postgresDb.testConnection();
+        logger.info('Starting server', {
+            environment: process.env.NODE_ENV || 'development',
+            enabledDatabases
+        });
 
-        if (!postgresConnected) {
-            throw new Error('PostgreSQL connection failed - cannot start server');
-        }
+        // Connect to the databases in parallel, so one slow database doesn't delay the others
+        const connected = Object.fromEntries(await Promise.all(
+            enabledDatabases.map(async name => [name, await connectDatabase(name)])
+        ));
 
-        if (!mysqlConnected && !isProduction) {
-            console.warn('⚠️  MySQL connection failed (expected in production)');
+        for (const name of enabledDatabases) {
+            if (connected[name]) {
+                await migrate(name);
+            }
         }
 
-        console.log(`✅ PostgreSQL: ${postgresConnected ? 'Connected' : 'Disconnected'}`);
-        console.log(`${isProduction ? '⚠️ ' : '✅'} MySQL: ${mysqlConnected ? 'Connected' : 'Disconnected (not available in production)'}`);
+        // e.g. { mysql: 'connected', postgresql: 'unavailable', sqlite: 'connected' }
+        const databases = Object.fromEntries(
+            enabledDatabases.map(name => [name, connected[name] ? 'connected' : 'unavailable'])
+        );
+        logger.info('Database connections checked', { databases });
 
         // Start the Express server
         // Bind to 0.0.0.0 to accept connections from any network interface
         // This is important for Docker and cloud deployments
-        app.listen(PORT, '0.0.0.0', () => {
-            console.log(`✅ Server is running on port ${PORT}`);
-            console.log(`📍 API available at http://localhost:${PORT}`);
-            console.log(`🏥 Health check at http://localhost:${PORT}/health`);
-            console.log(`\n📚 API Endpoints:`);
-            console.log(`   PostgreSQL: http://localhost:${PORT}/api/postgresql/tasks`);
-            if (!isProduction) {
-                console.log(`   MySQL:      http://localhost:${PORT}/api/mysql/tasks`);
-            }
+        server = app.listen(PORT, '0.0.0.0', () => {
+            logger.info('Server is running', {
+                port: Number(PORT),
+                url: `http://localhost:${PORT}`,
+                health: `http://localhost:${PORT}/health`,
+                docs: `http://localhost:${PORT}/docs`
+            });
         });
+
+        trashPurger.start();
+        webhookDispatcher.start();
+
+        // Retries on its own while PostgreSQL is unavailable
+        if (postgresListener) {
+            postgresListener.start();
+        }
     } catch (error) {
-        console.error('❌ Failed to start server:', error);
+        // e.g. a migration failed - a broken schema won't fix itself by retrying
+        logger.error('Failed to start server', { error });
         process.exit(1); // Exit with error code
     }
 }
 
-// Start the server
-startServer();
+/**
+ * Stop the Server
+ *
+ * Drains in-flight requests, stops the webhook dispatcher, then closes the
+ * connection pools of every enabled database (see utils/shutdown.js).
+ * Exits with code 1 if requests had to be cut off or a database failed to close.
+ */
+async function stopServer(signal) {
+    // Nothing to drain if the server never started listening
+    if (!server) {
+        logger.info('Shutdown before the server started', { signal });
+        process.exit(0);
+    }
 
-// Handle graceful shutdown
-// This ensures connections are properly closed when the server stops
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    process.exit(0);
-});
+    // Closing the pools would make any running reconnect attempt (or purge) fail
+    stopReconnecting();
+    trashPurger.stop();
 
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
-    process.exit(0);
-});
+    // The pool only closes once the listener has given its client back
+    if (postgresListener) {
+        postgresListener.stop();
+    }
+
+    // Task streams stay open until the client leaves, so end them to let the server drain
+    closeTaskStreams();
+
+    const closeDatabase = {
+        mysql: () => mysqlDb.pool.end(),
+        postgresql: () => postgresDb.pool.end(),
+        sqlite: () => sqliteDb.db.close()
+    };
+
+    const { timedOut, failed } = await shutdown.shutdown({
+        signal,
+        server,
+        // Requests that are draining can still queue webhook deliveries, so the
+        // dispatcher stops after them. Deliveries being sent save their outcome
+        // (at most WEBHOOK_TIMEOUT_MS); the pending ones are retried after the next start
+        beforeClose: () => webhookDispatcher.stop(),
+        closers: enabledDatabases.map(name => ({ name, close: closeDatabase[name] }))
+    });
+
+    process.exit(timedOut || failed.length > 0 ? 1 : 0);
+}
+
+// Start the server when run directly (node src/index.js)
+// Tests require this file to inspect the app without starting it
+if (require.main === module) {
+    startServer();
+
+    // Handle graceful shutdown
+    // SIGTERM is sent by Docker and Render when stopping or redeploying, SIGINT by Ctrl+C
+    process.on('SIGTERM', () => stopServer('SIGTERM'));
+    process.on('SIGINT', () => stopServer('SIGINT'));
+}
+
+module.exports = app;
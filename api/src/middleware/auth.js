@@ -0,0 +1,55 @@
+/**
+ * Authentication Middleware
+ *
+ * requireAuth checks the access token on a request and sets req.user.
+ * scopeTasksToOwner then limits every task query to that user's tasks
+ * by setting req.taskScope, which the task router passes to its repository.
+ * Admins are not limited (see config/roles.js).
+ */
+
+const { verifyToken } = require('../services/auth.service');
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Reject requests without a valid "Authorization: Bearer <access token>" header
+ * On success, req.user is { id, email, role }
+ */
+function requireAuth(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    const payload = verifyToken(token, 'access');
+    if (!payload) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+
+    // The subject claim holds the user ID as a string
+    req.user = { id: Number(payload.sub), email: payload.email, role: payload.role };
+    next();
+}
+
+/**
+ * Scope task queries to the authenticated user
+ * Roles with tasks:all_owners get an empty scope, which matches every task
+ * Must run after requireAuth
+ */
+function scopeTasksToOwner(req, res, next) {
+    req.taskScope = hasPermission(req.user.role, 'tasks:all_owners') ? {} : { ownerId: req.user.id };
+    next();
+}
+
+module.exports = {
+    requireAuth,
+    scopeTasksToOwner
+};
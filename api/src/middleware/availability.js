@@ -0,0 +1,42 @@
+/**
+ * Availability Middleware
+ *
+ * requireDatabases(...names) answers 503 while any of the databases is
+ * unavailable (see utils/databaseStatus.js), instead of letting every
+ * request wait for a connection timeout. The other databases keep serving.
+ *
+ * Usage:
+ *   app.use('/api/mysql', requireDatabases('mysql'), mysqlRoutes);
+ */
+
+const { isAvailable, getRetryAfter, getLabel } = require('../utils/databaseStatus');
+
+/**
+ * Create middleware that requires databases to be available
+ * The response says when to try again:
+ * 503, Retry-After: 4, { success: false, error: 'Database unavailable', message: '...' }
+ *
+ * @param {...string} names - e.g. 'mysql', 'postgresql'
+ * @returns {Function} Express middleware
+ */
+function requireDatabases(...names) {
+    return (req, res, next) => {
+        const unavailable = names.find(name => !isAvailable(name));
+
+        if (unavailable) {
+            const retryAfter = getRetryAfter(unavailable);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(503).json({
+                success: false,
+                error: 'Database unavailable',
+                message: `${getLabel(unavailable)} is not reachable right now. Try again in ${retryAfter} seconds.`
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    requireDatabases
+};
@@ -0,0 +1,72 @@
+/**
+ * Request Logging Middleware
+ *
+ * requestLogger gives every request a correlation ID and writes one log
+ * line when its response is sent:
+ *
+ *   {"level":"info","msg":"Request completed","requestId":"3f1c...","method":"GET",
+ *    "path":"/api/mysql/tasks","status":200,"latencyMs":12.4,"ip":"203.0.113.7","database":"MySQL"}
+ *
+ * The ID comes from the incoming X-Request-Id header when it has one (e.g.
+ * set by a proxy), or is generated. It is available as req.id, echoed in
+ * the X-Request-Id response header, and should be added to any error
+ * logged while handling the request, so the failure can be traced.
+ *
+ * Routers that talk to a database name it with logDatabase(label).
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are written to the logs, so only accept short, plain values
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign a request ID and log the request once the response is sent
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : 'info';
+
+        logger[level]('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            latencyMs: Math.round(latencyMs * 10) / 10,
+            ip: req.ip,
+            database: res.locals.database,
+            userId: req.user && req.user.id
+        });
+    });
+
+    next();
+}
+
+/**
+ * Create middleware that names the database used by a router's requests
+ *
+ * @param {string} label - e.g. 'MySQL' (a repository's label)
+ * @returns {Function} Express middleware
+ */
+function logDatabase(label) {
+    return (req, res, next) => {
+        res.locals.database = label;
+        next();
+    };
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestLogger,
+    logDatabase
+};
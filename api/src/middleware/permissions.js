@@ -0,0 +1,40 @@
+/**
+ * Permission Middleware
+ *
+ * requirePermission(permission) only lets a request through when the
+ * authenticated user's role grants that permission (see config/roles.js).
+ * It must run after requireAuth, which sets req.user.
+ *
+ * Usage:
+ *   router.delete('/tasks/:id', requirePermission('tasks:delete'), handler);
+ */
+
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Create middleware that requires a permission
+ * Every refusal uses the same 403 response:
+ * { success: false, error: 'Insufficient permissions', message: '...' }
+ *
+ * @param {string} permission - e.g. 'tasks:delete'
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const { role } = req.user;
+
+        if (!hasPermission(role, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: `The ${role || 'current'} role does not have the ${permission} permission`
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    requirePermission
+};
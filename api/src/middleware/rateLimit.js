@@ -0,0 +1,126 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Counts requests per client and answers 429 once a budget is used up
+ * (see config/rateLimit.js for the budgets and utils/rateLimitStore.js for
+ * where the counts live). Every limited response carries the standard
+ * headers, so clients can slow down before they hit the limit:
+ *
+ *   RateLimit-Limit: 60         # Requests allowed in the window
+ *   RateLimit-Remaining: 12     # Requests left in the window
+ *   RateLimit-Reset: 37         # Seconds until the window starts over
+ *
+ * and a 429 also has Retry-After. The task routers use two limiters:
+ *
+ *   router.use(limitByIp, requireAuth, limitByUser, ...)
+ *
+ * Both are shared by every task router, so a client's budget covers
+ * /api/mysql, /api/postgresql and /api/sqlite together.
+ */
+
+const { getRateLimits } = require('../config/rateLimit');
+const { assertRateLimitStore, createMemoryStore } = require('../utils/rateLimitStore');
+const { logger } = require('../utils/logger');
+
+// Requests that only read; everything else spends the write budget
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Where the shared limiters count, in memory unless useRateLimitStore() swaps it
+let defaultStore = createMemoryStore();
+
+/**
+ * Count requests in another store, e.g. one shared by every API instance
+ * Call it at startup, before the first request
+ *
+ * @param {object} store - Implements the store interface (see utils/rateLimitStore.js)
+ */
+function useRateLimitStore(store) {
+    defaultStore = assertRateLimitStore(store);
+}
+
+/**
+ * Set the RateLimit-* headers, unless another limiter on this request
+ * already reported a budget with fewer requests left
+ */
+function setRateLimitHeaders(res, { limit, remaining, reset }) {
+    const previous = res.locals.rateLimit;
+    if (previous && previous.remaining <= remaining) {
+        return;
+    }
+
+    res.locals.rateLimit = { limit, remaining, reset };
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(reset)
+    });
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {object} options
+ * @param {string} options.name - 'ip' or 'user', prefixes the store keys and names the client in messages
+ * @param {Function} options.key - (req) => the client's key, or null to skip the request
+ * @param {{ read: number, write: number }} options.limits - Requests per window; 0 turns a budget off
+ * @param {number} options.windowMs - Length of a window
+ * @param {object} [options.store] - Where to count (defaults to the shared store)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ name, key, limits, windowMs, store }) {
+    if (store) {
+        assertRateLimitStore(store);
+    }
+
+    const client = name === 'ip' ? 'IP address' : name;
+
+    return async (req, res, next) => {
+        const kind = READ_METHODS.includes(req.method) ? 'read' : 'write';
+        const limit = limits[kind];
+        const id = key(req);
+
+        if (!limit || id === null || id === undefined) {
+            return next();
+        }
+
+        let count;
+        let resetAt;
+        try {
+            ({ count, resetAt } = await (store || defaultStore).increment(`${name}:${kind}:${id}`, windowMs));
+        } catch (error) {
+            // A shared store being down shouldn't take the API down with it
+            logger.error('Rate limit store error', { requestId: req.id, error });
+            return next();
+        }
+
+        const reset = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        setRateLimitHeaders(res, { limit, remaining: Math.max(0, limit - count), reset });
+
+        if (count > limit) {
+            logger.warn('Rate limit exceeded', { requestId: req.id, limiter: name, kind, ip: req.ip, userId: req.user && req.user.id });
+            res.set('Retry-After', String(reset));
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests',
+                message: `Limit of ${limit} ${kind} requests per ${windowMs / 1000} seconds reached for this ${client}. Try again in ${reset} seconds.`
+            });
+        }
+
+        next();
+    };
+}
+
+const { windowMs, ip, user } = getRateLimits();
+
+// Limits every request by client address, before the access token is checked
+const limitByIp = createRateLimiter({ name: 'ip', key: req => req.ip, limits: ip, windowMs });
+
+// Limits every request by account; must run after requireAuth (middleware/auth.js)
+const limitByUser = createRateLimiter({ name: 'user', key: req => req.user && req.user.id, limits: user, windowMs });
+
+module.exports = {
+    createRateLimiter,
+    useRateLimitStore,
+    limitByIp,
+    limitByUser
+};
@@ -0,0 +1,59 @@
+/**
+ * Security Middleware
+ *
+ * - securityHeaders:  Standard response headers that tell browsers to be
+ *                     strict with the API's responses (helmet):
+ *                       Content-Security-Policy     only load scripts and styles from the API
+ *                                                   itself (the /docs page needs nothing else)
+ *                       Strict-Transport-Security   only talk to the API over HTTPS
+ *                       X-Frame-Options             never show the API inside a frame
+ *                       X-Content-Type-Options      don't guess content types
+ *                       Referrer-Policy             don't send URLs to other sites
+ *                     and X-Powered-By is removed, so the framework isn't advertised.
+ * - createCorsOptions(): Options for the cors package that allow the origins
+ *                     in CORS_ORIGINS and FRONTEND_URL (see config/security.js)
+ */
+
+const helmet = require('helmet');
+const { createOriginMatcher } = require('../config/security');
+const { REQUEST_ID_HEADER } = require('./logging');
+
+const securityHeaders = helmet({
+    contentSecurityPolicy: {
+        directives: {
+            // Would make the browser load /docs assets over HTTPS, which breaks
+            // http://localhost:3001/docs - HSTS already keeps deployments on HTTPS
+            upgradeInsecureRequests: null
+        }
+    }
+});
+
+/**
+ * Create the CORS options for a list of allowed origins
+ * Requests without an Origin header (curl, server-to-server, health checks)
+ * are not cross-origin and always pass. Other origins get no CORS headers,
+ * so the browser blocks the response.
+ *
+ * @param {string[]} origins - From getCorsOrigins() (config/security.js)
+ * @returns {object} Options for cors()
+ */
+function createCorsOptions(origins) {
+    const isAllowed = createOriginMatcher(origins);
+
+    return {
+        origin: (origin, callback) => callback(null, !origin || isAllowed(origin)),
+        credentials: true,
+        // Let the frontend read the request ID, e.g. to show it in error reports,
+        // the rate limit headers (see middleware/rateLimit.js), task ETags (see utils/etag.js)
+        // and the file name of a task export
+        exposedHeaders: [
+            REQUEST_ID_HEADER, 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'ETag',
+            'Content-Disposition'
+        ]
+    };
+}
+
+module.exports = {
+    securityHeaders,
+    createCorsOptions
+};
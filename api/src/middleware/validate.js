@@ -0,0 +1,53 @@
+/**
+ * Validation Middleware
+ *
+ * validate(schema, source) checks req.body or req.query against a schema
+ * (see utils/validation.js and schemas/) before the route handler runs.
+ *
+ * - Valid requests continue with req[source] replaced by the normalised
+ *   value: unknown fields removed, strings trimmed, query values converted.
+ * - Invalid requests get a 400 listing every problem, one entry per field:
+ *
+ *   {
+ *     "success": false,
+ *     "error": "title is required; status must be one of: pending, in_progress, completed",
+ *     "errors": [
+ *       { "field": "title", "message": "title is required" },
+ *       { "field": "status", "message": "status must be one of: pending, in_progress, completed" }
+ *     ]
+ *   }
+ *
+ * Usage:
+ *   router.post('/tasks', validate(createTaskSchema), handler);
+ *   router.get('/tasks', validate(taskListQuerySchema, 'query'), handler);
+ */
+
+const { validate: validateInput } = require('../utils/validation');
+
+/**
+ * Create middleware that validates one part of the request
+ *
+ * @param {object} schema - Schema describing the accepted fields
+ * @param {'body'|'query'} [source='body'] - Which part of the request to check
+ * @returns {Function} Express middleware
+ */
+function validate(schema, source = 'body') {
+    return (req, res, next) => {
+        const { value, errors } = validateInput(schema, req[source]);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.map(({ message }) => message).join('; '),
+                errors
+            });
+        }
+
+        req[source] = value;
+        next();
+    };
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ *
+ * Usage (from the api directory):
+ *   npm run migrate -- up                         # apply all pending migrations
+ *   npm run migrate -- up --to 001                # apply up to and including version 001
+ *   npm run migrate -- down                       # revert the latest migration
+ *   npm run migrate -- down --steps 2             # revert the latest two migrations
+ *   npm run migrate -- status                     # show applied and pending migrations
+ *
+ * Every command runs against all enabled databases (see ENABLED_DATABASES),
+ * or only the one given with --database mysql|postgresql|sqlite.
+ */
+
+// Load environment variables the same way the server does
+require('dotenv').config();
+
+const { getEnabledDatabases } = require('../config/databases');
+const { getMigrator } = require('./index');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+/**
+ * Parse "command --flag value" arguments
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const flags = {};
+
+    for (let i = 0; i < rest.length; i += 2) {
+        if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+            throw new Error(`Unexpected argument: ${rest[i]}`);
+        }
+        flags[rest[i].slice(2)] = rest[i + 1];
+    }
+
+    return { command, flags };
+}
+
+/**
+ * Close the connection for a database so the process can exit
+ */
+async function closeConnection(database) {
+    if (database === 'mysql') {
+        await require('../config/mysql').pool.end();
+    } else if (database === 'postgresql') {
+        await require('../config/postgresql').pool.end();
+    } else if (database === 'sqlite') {
+        require('../config/sqlite').db.close();
+    }
+}
+
+async function run(database, command, flags) {
+    const migrator = getMigrator(database);
+
+    if (command === 'up') {
+        const applied = await migrator.up({ to: flags.to });
+        console.log(`✅ ${database}: ${applied.length ? `applied ${applied.join(', ')}` : 'already up to date'}`);
+    } else if (command === 'down') {
+        const steps = flags.steps === undefined ? 1 : Number(flags.steps);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('--steps must be a positive integer');
+        }
+        const reverted = await migrator.down({ steps });
+        console.log(`✅ ${database}: ${reverted.length ? `reverted ${reverted.join(', ')}` : 'nothing to revert'}`);
+    } else {
+        console.log(`\n📋 ${database} migrations:`);
+        for (const migration of await migrator.status()) {
+            const state = migration.missing ? 'applied (file missing)' : (migration.applied ? 'applied' : 'pending');
+            const when = migration.appliedAt ? ` at ${new Date(migration.appliedAt).toISOString()}` : '';
+            console.log(`   ${migration.version}_${migration.name}: ${state}${when}`);
+        }
+    }
+}
+
+async function main() {
+    const { command, flags } = parseArgs(process.argv.slice(2));
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`Usage: migrate <${COMMANDS.join('|')}> [--database name] [--to version] [--steps n]`);
+        process.exit(1);
+    }
+
+    const databases = flags.database ? [flags.database] : getEnabledDatabases();
+
+    if (databases.includes('sqlite') && !process.env.SQLITE_PATH) {
+        console.warn('⚠️  SQLITE_PATH is not set - migrating an in-memory SQLite database has no lasting effect');
+    }
+
+    let failed = false;
+    for (const database of databases) {
+        try {
+            await run(database, command, flags);
+        } catch (error) {
+            failed = true;
+            console.error(`❌ ${database}: ${error.message}`);
+        } finally {
+            await closeConnection(database);
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
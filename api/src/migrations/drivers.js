@@ -0,0 +1,149 @@
+/**
+ * Migration Drivers
+ *
+ * A migration driver gives the runner (runner.js) a small, uniform way to
+ * talk to one database:
+ * - dialect:           Folder name holding this database's migration files
+ * - placeholder(i):    Parameter placeholder for the i-th value ('?' or '$1')
+ * - exec(script):      Run a script that may contain several statements
+ * - query(sql, values): Run one statement and resolve to its rows
+ * - transaction(fn):   Call fn(tx) with a driver bound to one connection inside a transaction
+ */
+
+/**
+ * Split a MySQL script into single statements
+ *
+ * The pool does not enable multipleStatements (it would make SQL injection
+ * worse everywhere else), so we run statements one by one. Statements end
+ * with ";" at the end of a line - MySQL migrations must not define procedures.
+ */
+function splitStatements(script) {
+    return script
+        .replace(/^\s*--.*$/gm, '')
+        .split(/;\s*$/m)
+        .map(statement => statement.trim())
+        .filter(Boolean);
+}
+
+/**
+ * MySQL driver on a mysql2 promise pool
+ * Note: MySQL commits DDL statements implicitly, so a failed migration
+ * can leave earlier statements of the same file applied
+ */
+function createMysqlDriver(pool) {
+    const bind = (connection) => ({
+        async exec(script) {
+            for (const statement of splitStatements(script)) {
+                await connection.query(statement);
+            }
+        },
+        async query(sql, values = []) {
+            const [rows] = await connection.query(sql, values);
+            return rows;
+        }
+    });
+
+    return {
+        dialect: 'mysql',
+        placeholder: () => '?',
+        ...bind(pool),
+
+        async transaction(fn) {
+            // Always release connections back to the pool
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                await fn(bind(connection));
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        }
+    };
+}
+
+/**
+ * PostgreSQL driver on a pg pool
+ * PostgreSQL supports transactional DDL, so a failed migration is rolled back completely
+ */
+function createPostgresDriver(pool) {
+    const bind = (client) => ({
+        async exec(script) {
+            // Without parameters pg uses the simple query protocol,
+            // which accepts several statements in one call
+            await client.query(script);
+        },
+        async query(sql, values = []) {
+            const result = await client.query(sql, values);
+            return result.rows;
+        }
+    });
+
+    return {
+        dialect: 'postgresql',
+        placeholder: (index) => `$${index}`,
+        ...bind(pool),
+
+        async transaction(fn) {
+            // A transaction must run on one client, not on the pool
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await fn(bind(client));
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+/**
+ * SQLite driver on a better-sqlite3 database
+ * db.transaction() only accepts synchronous functions, so we issue BEGIN/COMMIT ourselves
+ */
+function createSqliteDriver(db) {
+    const driver = {
+        dialect: 'sqlite',
+        placeholder: () => '?',
+
+        async exec(script) {
+            db.exec(script);
+        },
+
+        async query(sql, values = []) {
+            const statement = db.prepare(sql);
+            if (statement.reader) {
+                return statement.all(...values);
+            }
+            statement.run(...values);
+            return [];
+        },
+
+        async transaction(fn) {
+            db.exec('BEGIN');
+            try {
+                await fn(driver);
+                db.exec('COMMIT');
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+
+    return driver;
+}
+
+module.exports = {
+    splitStatements,
+    createMysqlDriver,
+    createPostgresDriver,
+    createSqliteDriver
+};
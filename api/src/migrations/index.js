@@ -0,0 +1,31 @@
+/**
+ * Migrations Entry Point
+ *
+ * Builds a migrator for a database by name, using the shared connection
+ * from config/. Used by both the CLI (cli.js) and startServer() in index.js.
+ */
+
+const { createMigrator } = require('./runner');
+const { createMysqlDriver, createPostgresDriver, createSqliteDriver } = require('./drivers');
+
+/**
+ * Create a migrator for 'mysql', 'postgresql' or 'sqlite'
+ * Config modules are required lazily so asking for one database
+ * doesn't open connections to the others
+ */
+function getMigrator(database) {
+    switch (database) {
+        case 'mysql':
+            return createMigrator(createMysqlDriver(require('../config/mysql').pool));
+        case 'postgresql':
+            return createMigrator(createPostgresDriver(require('../config/postgresql').pool));
+        case 'sqlite':
+            return createMigrator(createSqliteDriver(require('../config/sqlite').db));
+        default:
+            throw new Error(`No migrations for unknown database: ${database}`);
+    }
+}
+
+module.exports = {
+    getMigrator
+};
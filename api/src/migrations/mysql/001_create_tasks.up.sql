@@ -0,0 +1,24 @@
+-- Create the tasks table
+-- This is the schema that database/mysql/init.sql used to create.
+-- IF NOT EXISTS lets databases created by that script adopt this migration safely.
+-- Note: statements in MySQL migrations are split on ";" at the end of a line
+CREATE TABLE IF NOT EXISTS tasks (
+    -- Primary key with auto-increment
+    id INT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Title of the task (required field)
+    title VARCHAR(255) NOT NULL,
+
+    -- Detailed description of the task (optional)
+    description TEXT,
+
+    -- Status field using ENUM to restrict values to a predefined set
+    status ENUM('pending', 'in_progress', 'completed') DEFAULT 'pending',
+
+    -- Timestamps maintained by MySQL itself
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    -- Index on status for faster filtering queries
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- Remove the sample tasks (tasks created by users are left alone)
+DELETE FROM tasks WHERE title IN (
+    'Set up project',
+    'Create API endpoints',
+    'Build frontend',
+    'Write documentation',
+    'Deploy application'
+);
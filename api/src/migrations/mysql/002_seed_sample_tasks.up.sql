@@ -0,0 +1,11 @@
+-- Insert sample data so a new database has something to show
+-- The NOT EXISTS check skips the seed for databases that already hold tasks
+INSERT INTO tasks (title, description, status)
+SELECT title, description, status FROM (
+    SELECT 'Set up project' AS title, 'Initialize Node.js project with Express and database connections' AS description, 'completed' AS status
+    UNION ALL SELECT 'Create API endpoints', 'Build RESTful API for task management', 'in_progress'
+    UNION ALL SELECT 'Build frontend', 'Develop Nuxt.js frontend to consume the API', 'pending'
+    UNION ALL SELECT 'Write documentation', 'Create comprehensive README and code comments', 'pending'
+    UNION ALL SELECT 'Deploy application', 'Set up Docker containers and deploy to production', 'pending'
+) AS samples
+WHERE NOT EXISTS (SELECT 1 FROM tasks);
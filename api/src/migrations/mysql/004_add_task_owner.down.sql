@@ -0,0 +1,3 @@
+ALTER TABLE tasks
+    DROP INDEX idx_owner,
+    DROP COLUMN owner_id;
@@ -0,0 +1,7 @@
+-- Every task belongs to the user who created it
+-- There is no foreign key: accounts live in the AUTH_DATABASE,
+-- which may be a different database than this one.
+-- Tasks created before this migration have no owner.
+ALTER TABLE tasks
+    ADD COLUMN owner_id INT NULL AFTER status,
+    ADD INDEX idx_owner (owner_id);
@@ -0,0 +1,4 @@
+-- Every user has a role that decides what they may do with tasks
+-- (see config/roles.js). Existing and newly registered users are editors.
+ALTER TABLE users
+    ADD COLUMN role ENUM('viewer', 'editor', 'admin') NOT NULL DEFAULT 'editor' AFTER password_hash;
@@ -0,0 +1,6 @@
+-- Trashed tasks would become live again, so remove them for good first
+DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE tasks
+    DROP INDEX idx_deleted_at,
+    DROP COLUMN deleted_at;
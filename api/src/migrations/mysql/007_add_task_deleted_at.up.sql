@@ -0,0 +1,6 @@
+-- Deleting a task moves it to the trash instead of removing the row
+-- deleted_at is NULL for live tasks and the time of deletion for trashed ones.
+-- Trashed tasks can be restored until they are purged (TRASH_RETENTION_DAYS).
+ALTER TABLE tasks
+    ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL AFTER version,
+    ADD INDEX idx_deleted_at (deleted_at);
@@ -0,0 +1,26 @@
+-- Task change history
+-- The task repository adds a row here for every create, update, delete,
+-- restore and purge, in the same transaction as the change, with the task
+-- before and after it.
+CREATE TABLE IF NOT EXISTS task_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+
+    -- No foreign key: the history outlives a purged task
+    task_id INT NOT NULL,
+
+    -- create, update, delete (to the trash), restore or purge
+    action VARCHAR(10) NOT NULL,
+
+    old_values JSON NULL,
+    new_values JSON NULL,
+
+    -- Who made the change and in which request
+    -- Users may live in another database (AUTH_DATABASE), so no foreign key either
+    actor_id INT NULL,
+    actor_email VARCHAR(255) NULL,
+    request_id VARCHAR(255) NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_task_events_task_id (task_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
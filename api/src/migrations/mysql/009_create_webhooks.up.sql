@@ -0,0 +1,45 @@
+-- Outbound webhooks (see services/webhook.service.js)
+-- Like the users, they are stored in the AUTH_DATABASE
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+
+    -- Signs every delivery with HMAC-SHA256; only shown when the webhook is created
+    secret VARCHAR(255) NOT NULL,
+
+    -- The event types to send, e.g. ["task.created", "task.deleted"]
+    events JSON NOT NULL,
+
+    -- The admin who registered it (no foreign key, like task_events.actor_id)
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per event sent to a webhook: the outbox the dispatcher works
+-- through, and afterwards the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+
+    -- Sent as X-Webhook-Id, the same on every attempt, so receivers can skip repeats
+    event_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(30) NOT NULL,
+    payload JSON NOT NULL,
+
+    -- pending (waiting for its next attempt), delivered, or dead (out of
+    -- attempts: the dead-letter list)
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- The HTTP status and error of the latest attempt
+    response_status INT NULL DEFAULT NULL,
+    last_error VARCHAR(500) NULL DEFAULT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL DEFAULT NULL,
+
+    INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+    INDEX idx_webhook_deliveries_webhook (webhook_id),
+    CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1 @@
+ALTER TABLE tasks DROP INDEX idx_tasks_fulltext;
@@ -0,0 +1,4 @@
+-- Full-text search over task titles and descriptions (GET /tasks/search)
+-- InnoDB FULLTEXT indexes skip stopwords and words shorter than
+-- innodb_ft_min_token_size (3 by default)
+ALTER TABLE tasks ADD FULLTEXT INDEX idx_tasks_fulltext (title, description);
@@ -0,0 +1,4 @@
+ALTER TABLE tasks
+    DROP INDEX idx_due_date,
+    DROP COLUMN due_date,
+    DROP COLUMN priority;
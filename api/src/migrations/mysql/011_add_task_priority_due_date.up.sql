@@ -0,0 +1,8 @@
+-- Plan work with a priority and an optional due date per task
+-- Existing tasks get the medium priority and no due date.
+-- due_date is a calendar day; a task is overdue from the day after it
+-- (GET /tasks/overdue) until it is completed.
+ALTER TABLE tasks
+    ADD COLUMN priority ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium' AFTER status,
+    ADD COLUMN due_date DATE NULL DEFAULT NULL AFTER priority,
+    ADD INDEX idx_due_date (due_date);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS tasks;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP TYPE IF EXISTS task_status;
@@ -0,0 +1,41 @@
+-- Create the tasks table
+-- This is the schema that database/postgresql/init.sql used to create.
+-- Every statement is guarded so databases created by that script
+-- (or by the manual steps in DATABASE_INIT.md) adopt this migration safely.
+
+-- Custom type for task status
+-- CREATE TYPE has no IF NOT EXISTS, so we check pg_type first
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'task_status') THEN
+        CREATE TYPE task_status AS ENUM ('pending', 'in_progress', 'completed');
+    END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS tasks (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status task_status DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index on the status column for faster filtering
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+
+-- PostgreSQL has no ON UPDATE CURRENT_TIMESTAMP, so a trigger keeps updated_at current
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,13 @@
+-- Only touch updated_at when the UPDATE didn't set it itself
+-- This matches MySQL, where assigning updated_at explicitly disables
+-- ON UPDATE CURRENT_TIMESTAMP, so tasks copied between databases
+-- keep their original timestamps
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+        NEW.updated_at = CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,10 @@
+-- Every user has a role that decides what they may do with tasks
+-- (see config/roles.js). Existing and newly registered users are editors.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'user_role') THEN
+        CREATE TYPE user_role AS ENUM ('viewer', 'editor', 'admin');
+    END IF;
+END$$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role user_role NOT NULL DEFAULT 'editor';
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS record_tasks_event ON tasks;
+DROP FUNCTION IF EXISTS record_task_event();
+DROP TABLE IF EXISTS task_events;
@@ -0,0 +1,70 @@
+-- Task change history
+-- Every insert, update and delete on tasks adds a row here, with the task
+-- before and after the change. A trigger records them, so writes that skip
+-- the task routes (sync, the trash purge, psql) are recorded too.
+CREATE TABLE IF NOT EXISTS task_events (
+    id SERIAL PRIMARY KEY,
+    -- No foreign key: the history outlives a purged task
+    task_id INTEGER NOT NULL,
+    -- create, update, delete (to the trash), restore or purge
+    action VARCHAR(10) NOT NULL,
+    old_values JSONB,
+    new_values JSONB,
+    -- Who made the change and in which request; NULL for background jobs
+    -- Users may live in another database (AUTH_DATABASE), so no foreign key either
+    actor_id INTEGER,
+    actor_email VARCHAR(255),
+    request_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events(task_id);
+
+-- The task repository passes the actor and request ID in the app.* settings
+-- with set_config(..., true), which only last until the end of the transaction
+CREATE OR REPLACE FUNCTION record_task_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    event_action VARCHAR(10);
+    old_row JSONB;
+    new_row JSONB;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        event_action := 'create';
+        new_row := to_jsonb(NEW);
+    ELSIF TG_OP = 'DELETE' THEN
+        event_action := 'purge';
+        old_row := to_jsonb(OLD);
+    ELSE
+        old_row := to_jsonb(OLD);
+        new_row := to_jsonb(NEW);
+        IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+            event_action := 'delete';
+        ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+            event_action := 'restore';
+        ELSE
+            event_action := 'update';
+        END IF;
+    END IF;
+
+    INSERT INTO task_events (task_id, action, old_values, new_values, actor_id, actor_email, request_id)
+    VALUES (
+        COALESCE((new_row->>'id')::INTEGER, (old_row->>'id')::INTEGER),
+        event_action,
+        old_row,
+        new_row,
+        NULLIF(current_setting('app.actor_id', true), '')::INTEGER,
+        NULLIF(current_setting('app.actor_email', true), ''),
+        NULLIF(current_setting('app.request_id', true), '')
+    );
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- AFTER, so the rows hold what was actually written (updated_at included)
+DROP TRIGGER IF EXISTS record_tasks_event ON tasks;
+CREATE TRIGGER record_tasks_event
+    AFTER INSERT OR UPDATE OR DELETE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION record_task_event();
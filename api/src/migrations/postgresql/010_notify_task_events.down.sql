@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS notify_task_events ON task_events;
+DROP FUNCTION IF EXISTS notify_task_event();
@@ -0,0 +1,25 @@
+-- Announce every task change on the task_events channel
+-- The API LISTENs when PG_LISTEN_NOTIFY=true and pushes the change to
+-- GET /api/postgresql/tasks/stream, whichever client or instance made it.
+-- NOTIFY is only delivered on commit, so rolled back changes are never announced.
+-- Payloads are limited to 8000 bytes, so only the IDs are sent; the listener
+-- reads the task itself.
+CREATE OR REPLACE FUNCTION notify_task_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_notify('task_events', json_build_object(
+        'id', NEW.id,
+        'task_id', NEW.task_id,
+        'action', NEW.action,
+        'owner_id', (COALESCE(NEW.new_values, NEW.old_values)->>'owner_id')::INTEGER
+    )::TEXT);
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS notify_task_events ON task_events;
+CREATE TRIGGER notify_task_events
+    AFTER INSERT ON task_events
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_task_event();
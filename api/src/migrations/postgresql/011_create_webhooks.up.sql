@@ -0,0 +1,37 @@
+-- Outbound webhooks (see services/webhook.service.js)
+-- Like the users, they are stored in the AUTH_DATABASE
+CREATE TABLE IF NOT EXISTS webhooks (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    -- Signs every delivery with HMAC-SHA256; only shown when the webhook is created
+    secret VARCHAR(255) NOT NULL,
+    -- The event types to send, e.g. ["task.created", "task.deleted"]
+    events JSONB NOT NULL,
+    -- The admin who registered it (no foreign key, like task_events.actor_id)
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event sent to a webhook: the outbox the dispatcher works
+-- through, and afterwards the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    -- Sent as X-Webhook-Id, the same on every attempt, so receivers can skip repeats
+    event_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(30) NOT NULL,
+    payload JSONB NOT NULL,
+    -- pending (waiting for its next attempt), delivered, or dead (out of
+    -- attempts: the dead-letter list)
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- The HTTP status and error of the latest attempt
+    response_status INTEGER,
+    last_error VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
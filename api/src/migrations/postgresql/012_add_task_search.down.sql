@@ -0,0 +1,4 @@
+-- record_task_event() keeps removing search_vector from its snapshots,
+-- which does nothing once the column is gone
+DROP INDEX IF EXISTS idx_tasks_search;
+ALTER TABLE tasks DROP COLUMN IF EXISTS search_vector;
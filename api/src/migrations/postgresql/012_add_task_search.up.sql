@@ -0,0 +1,51 @@
+-- Full-text search over task titles and descriptions (GET /tasks/search)
+-- search_vector is kept up to date by PostgreSQL itself. Title words weigh
+-- more (A) than description words (B) when results are ranked.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN (search_vector);
+
+-- Keep search_vector out of the task snapshots in task_events (see migration 009)
+CREATE OR REPLACE FUNCTION record_task_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    event_action VARCHAR(10);
+    old_row JSONB;
+    new_row JSONB;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        event_action := 'create';
+        new_row := to_jsonb(NEW) - 'search_vector';
+    ELSIF TG_OP = 'DELETE' THEN
+        event_action := 'purge';
+        old_row := to_jsonb(OLD) - 'search_vector';
+    ELSE
+        old_row := to_jsonb(OLD) - 'search_vector';
+        new_row := to_jsonb(NEW) - 'search_vector';
+        IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+            event_action := 'delete';
+        ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+            event_action := 'restore';
+        ELSE
+            event_action := 'update';
+        END IF;
+    END IF;
+
+    INSERT INTO task_events (task_id, action, old_values, new_values, actor_id, actor_email, request_id)
+    VALUES (
+        COALESCE((new_row->>'id')::INTEGER, (old_row->>'id')::INTEGER),
+        event_action,
+        old_row,
+        new_row,
+        NULLIF(current_setting('app.actor_id', true), '')::INTEGER,
+        NULLIF(current_setting('app.actor_email', true), ''),
+        NULLIF(current_setting('app.request_id', true), '')
+    );
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_tasks_due_date;
+ALTER TABLE tasks
+    DROP COLUMN IF EXISTS due_date,
+    DROP COLUMN IF EXISTS priority;
+DROP TYPE IF EXISTS task_priority;
@@ -0,0 +1,19 @@
+-- Plan work with a priority and an optional due date per task
+-- Existing tasks get the medium priority and no due date.
+-- due_date is a calendar day; a task is overdue from the day after it
+-- (GET /tasks/overdue) until it is completed.
+
+-- CREATE TYPE has no IF NOT EXISTS, so we check pg_type first (as for task_status)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'task_priority') THEN
+        CREATE TYPE task_priority AS ENUM ('low', 'medium', 'high', 'urgent');
+    END IF;
+END
+$$;
+
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS priority task_priority NOT NULL DEFAULT 'medium',
+    ADD COLUMN IF NOT EXISTS due_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
@@ -0,0 +1,186 @@
+/**
+ * Schema Migration Runner
+ *
+ * Migrations are numbered SQL files, one folder per database dialect:
+ *
+ *   src/migrations/postgresql/001_create_tasks.up.sql
+ *   src/migrations/postgresql/001_create_tasks.down.sql
+ *
+ * The number is the version, "up" applies a change and "down" reverts it.
+ * Applied versions are recorded in a schema_migrations table, so every
+ * database (including existing deployments) only receives what it is missing.
+ *
+ * The runner itself is dialect-agnostic: it talks to a migration driver
+ * (see drivers.js) that knows how to run scripts on one database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// Matches e.g. 001_create_tasks.up.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Tracking table - this SQL is valid on MySQL, PostgreSQL and SQLite
+const CREATE_MIGRATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`;
+
+/**
+ * Read the migrations for one dialect from disk, ordered by version
+ *
+ * @param {string} directory - Folder holding the .up.sql / .down.sql files
+ * @returns {Array<{ version: string, name: string, up: string, down: string|null }>}
+ */
+function loadMigrations(directory) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) {
+            continue;
+        }
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+        }
+
+        migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+        if (!migration.up) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+        }
+    }
+
+    return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Create a migrator for one database
+ *
+ * @param {object} driver - Migration driver from drivers.js
+ * @param {object} [options]
+ * @param {string} [options.directory] - Override the migrations folder (used by tests)
+ */
+function createMigrator(driver, { directory } = {}) {
+    const migrations = loadMigrations(directory || path.join(__dirname, driver.dialect));
+    const placeholder = driver.placeholder;
+
+    async function appliedMigrations() {
+        await driver.exec(CREATE_MIGRATIONS_TABLE);
+        const rows = await driver.query('SELECT version, name, applied_at FROM schema_migrations');
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    return {
+        dialect: driver.dialect,
+
+        /**
+         * The latest applied version (e.g. '005'), or null when nothing is applied yet
+         * Read-only, unlike status(), so it is safe for health checks
+         */
+        async currentVersion() {
+            try {
+                const rows = await driver.query('SELECT MAX(version) AS version FROM schema_migrations');
+                return rows[0].version || null;
+            } catch (error) {
+                // The tracking table doesn't exist until the first migration run
+                return null;
+            }
+        },
+
+        /**
+         * List every known migration and whether it has been applied
+         * Versions recorded in the database but missing on disk are included
+         * with missing: true, which usually means the code is older than the schema
+         */
+        async status() {
+            const applied = await appliedMigrations();
+
+            const known = migrations.map(({ version, name }) => ({
+                version,
+                name,
+                applied: applied.has(version),
+                appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+            }));
+
+            const missing = [...applied.values()]
+                .filter(row => !migrations.some(m => m.version === row.version))
+                .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }));
+
+            return [...known, ...missing].sort((a, b) => Number(a.version) - Number(b.version));
+        },
+
+        /**
+         * Apply pending migrations in version order
+         *
+         * @param {object} [options]
+         * @param {string|number} [options.to] - Stop after this version
+         * @returns {Promise<string[]>} Versions that were applied
+         */
+        async up({ to } = {}) {
+            const applied = await appliedMigrations();
+            const pending = migrations.filter(m =>
+                !applied.has(m.version) && (to === undefined || Number(m.version) <= Number(to))
+            );
+
+            for (const migration of pending) {
+                // Each migration and its tracking row are committed together
+                // (MySQL commits DDL implicitly, so there it is best effort)
+                await driver.transaction(async (tx) => {
+                    await tx.exec(migration.up);
+                    await tx.query(
+                        `INSERT INTO schema_migrations (version, name) VALUES (${placeholder(1)}, ${placeholder(2)})`,
+                        [migration.version, migration.name]
+                    );
+                });
+                logger.debug('Migration applied', { database: driver.dialect, migration: `${migration.version}_${migration.name}` });
+            }
+
+            return pending.map(m => m.version);
+        },
+
+        /**
+         * Revert the most recently applied migrations
+         *
+         * @param {object} [options]
+         * @param {number} [options.steps=1] - How many migrations to revert
+         * @returns {Promise<string[]>} Versions that were reverted
+         */
+        async down({ steps = 1 } = {}) {
+            const applied = await appliedMigrations();
+            const targets = [...applied.keys()]
+                .sort((a, b) => Number(b) - Number(a))
+                .slice(0, steps);
+
+            for (const version of targets) {
+                const migration = migrations.find(m => m.version === version);
+                if (!migration || !migration.down) {
+                    throw new Error(`Cannot revert ${driver.dialect} migration ${version}: no .down.sql file`);
+                }
+
+                await driver.transaction(async (tx) => {
+                    await tx.exec(migration.down);
+                    await tx.query(`DELETE FROM schema_migrations WHERE version = ${placeholder(1)}`, [version]);
+                });
+                logger.debug('Migration reverted', { database: driver.dialect, migration: `${migration.version}_${migration.name}` });
+            }
+
+            return targets;
+        }
+    };
+}
+
+module.exports = {
+    loadMigrations,
+    createMigrator
+};
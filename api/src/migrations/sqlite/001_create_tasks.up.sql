@@ -0,0 +1,31 @@
+-- Create the tasks table
+-- SQLite has fewer column types, so the schema leans on constraints instead
+CREATE TABLE IF NOT EXISTS tasks (
+    -- INTEGER PRIMARY KEY is SQLite's equivalent to AUTO_INCREMENT / SERIAL
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- SQLite does not enforce VARCHAR lengths, so we add a CHECK constraint
+    title VARCHAR(255) NOT NULL CHECK (length(title) <= 255),
+
+    description TEXT,
+
+    -- SQLite has no ENUM type - a CHECK constraint restricts the allowed values
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'in_progress', 'completed')),
+
+    -- Timestamps are stored as UTC text in 'YYYY-MM-DD HH:MM:SS' format
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+
+-- Like PostgreSQL, SQLite needs a trigger to keep updated_at current
+-- The WHEN clause skips updates that already set updated_at themselves
+CREATE TRIGGER IF NOT EXISTS update_tasks_updated_at
+    AFTER UPDATE ON tasks
+    FOR EACH ROW
+    WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,23 @@
+-- Create the users table and the refresh token list used by /api/auth
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    -- Emails are stored lowercase; UNIQUE stops duplicate accounts
+    email VARCHAR(255) NOT NULL UNIQUE CHECK (length(email) <= 255),
+    -- bcrypt hash of the password - the password itself is never stored
+    password_hash TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per issued refresh token, keyed by the token's jti claim
+-- Logging out or refreshing sets revoked_at, so a token can only be used once
+-- Timestamps use the same UTC text format as the tasks table
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
@@ -0,0 +1,3 @@
+-- DROP COLUMN needs SQLite 3.35+ and fails while an index uses the column
+DROP INDEX IF EXISTS idx_tasks_owner;
+ALTER TABLE tasks DROP COLUMN owner_id;
@@ -0,0 +1,4 @@
+-- Every user has a role that decides what they may do with tasks
+-- (see config/roles.js). Existing and newly registered users are editors.
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'editor'
+    CHECK (role IN ('viewer', 'editor', 'admin'));
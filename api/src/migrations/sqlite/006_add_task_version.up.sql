@@ -0,0 +1,5 @@
+-- Every task has a version that goes up by one on each change
+-- GET /tasks/:id sends it as the ETag, and PUT/DELETE with If-Match
+-- only change the task while it is still at that version.
+-- Existing tasks start at version 1.
+ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,6 @@
+-- Trashed tasks would become live again, so remove them for good first
+DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+
+-- DROP COLUMN needs SQLite 3.35+ and fails while an index uses the column
+DROP INDEX IF EXISTS idx_tasks_deleted_at;
+ALTER TABLE tasks DROP COLUMN deleted_at;
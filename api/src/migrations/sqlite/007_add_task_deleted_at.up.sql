@@ -0,0 +1,7 @@
+-- Deleting a task moves it to the trash instead of removing the row
+-- deleted_at is NULL for live tasks and the time of deletion (UTC text,
+-- like the other timestamps) for trashed ones.
+-- Trashed tasks can be restored until they are purged (TRASH_RETENTION_DAYS).
+ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at);
@@ -0,0 +1,20 @@
+-- Task change history
+-- The task repository adds a row here for every create, update, delete,
+-- restore and purge, with the task before and after it as JSON text.
+-- Timestamps use the same UTC text format as the tasks table
+CREATE TABLE IF NOT EXISTS task_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    -- No foreign key: the history outlives a purged task
+    task_id INTEGER NOT NULL,
+    -- create, update, delete (to the trash), restore or purge
+    action TEXT NOT NULL,
+    old_values TEXT,
+    new_values TEXT,
+    -- Who made the change and in which request
+    actor_id INTEGER,
+    actor_email TEXT,
+    request_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events(task_id);
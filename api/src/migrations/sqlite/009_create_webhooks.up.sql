@@ -0,0 +1,40 @@
+-- Outbound webhooks (see services/webhook.service.js)
+-- Like the users, they are stored in the AUTH_DATABASE
+-- Timestamps use the same UTC text format as the tasks table
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL CHECK (length(url) <= 2048),
+    -- Signs every delivery with HMAC-SHA256; only shown when the webhook is created
+    secret TEXT NOT NULL,
+    -- JSON array of the event types to send, e.g. ["task.created", "task.deleted"]
+    events TEXT NOT NULL,
+    -- The admin who registered it
+    created_by INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event sent to a webhook: the outbox the dispatcher works
+-- through, and afterwards the delivery log
+-- Foreign keys aren't enforced here, so the repository deletes a webhook's deliveries itself
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    -- Sent as X-Webhook-Id, the same on every attempt, so receivers can skip repeats
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    -- JSON text
+    payload TEXT NOT NULL,
+    -- pending (waiting for its next attempt), delivered, or dead (out of
+    -- attempts: the dead-letter list)
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    -- The HTTP status and error of the latest attempt
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
@@ -0,0 +1,37 @@
+-- Full-text search over task titles and descriptions (GET /tasks/search)
+-- An FTS5 index that reads its text from the tasks table (external content),
+-- so the text isn't stored twice. Search terms are prefixes ("deploy" finds
+-- "deployment"); the porter stemmer is left out because it stems a word and
+-- its longer forms differently ("deploy" -> "deploi", "deployment" -> "deploy").
+CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+    title,
+    description,
+    content = 'tasks',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Index the tasks that exist already
+INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild');
+
+-- Triggers keep the index in step with the table. An external content
+-- index removes a row by being given its old text.
+CREATE TRIGGER IF NOT EXISTS tasks_fts_insert
+    AFTER INSERT ON tasks
+BEGIN
+    INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_delete
+    AFTER DELETE ON tasks
+BEGIN
+    INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+END;
+
+-- Only when the text changes, not for every status or version update
+CREATE TRIGGER IF NOT EXISTS tasks_fts_update
+    AFTER UPDATE OF title, description ON tasks
+BEGIN
+    INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+    INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
@@ -0,0 +1,4 @@
+-- DROP COLUMN needs SQLite 3.35+ and fails while an index uses the column
+DROP INDEX IF EXISTS idx_tasks_due_date;
+ALTER TABLE tasks DROP COLUMN due_date;
+ALTER TABLE tasks DROP COLUMN priority;
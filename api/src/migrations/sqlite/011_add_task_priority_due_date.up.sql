@@ -0,0 +1,11 @@
+-- Plan work with a priority and an optional due date per task
+-- Existing tasks get the medium priority and no due date.
+-- due_date is a calendar day stored as 'YYYY-MM-DD' text; a task is overdue
+-- from the day after it (GET /tasks/overdue) until it is completed.
+ALTER TABLE tasks ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium'
+    CHECK (priority IN ('low', 'medium', 'high', 'urgent'));
+
+ALTER TABLE tasks ADD COLUMN due_date TEXT
+    CHECK (due_date IS NULL OR date(due_date) = due_date);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
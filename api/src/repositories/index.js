@@ -0,0 +1,78 @@
+/**
+ * Repositories Entry Point
+ *
+ * Builds repositories for a database by name, using the shared connection
+ * from config/. Used where the database is chosen at runtime, like the
+ * AUTH_DATABASE that stores user accounts, and by jobs that run outside
+ * the routes, like the trash purge.
+ */
+
+const { createMysqlUserRepository } = require('./mysql.user.repository');
+const { createPostgresUserRepository } = require('./postgresql.user.repository');
+const { createSqliteUserRepository } = require('./sqlite.user.repository');
+const { createMysqlTaskRepository } = require('./mysql.repository');
+const { createPostgresTaskRepository } = require('./postgresql.repository');
+const { createSqliteTaskRepository } = require('./sqlite.repository');
+const { createMysqlWebhookRepository } = require('./mysql.webhook.repository');
+const { createPostgresWebhookRepository } = require('./postgresql.webhook.repository');
+const { createSqliteWebhookRepository } = require('./sqlite.webhook.repository');
+const { instrumentRepository } = require('../utils/metrics');
+
+/**
+ * Create a user repository for 'mysql', 'postgresql' or 'sqlite'
+ * Config modules are required lazily so asking for one database
+ * doesn't open connections to the others
+ * Its queries are timed for /metrics
+ */
+function getUserRepository(database) {
+    switch (database) {
+        case 'mysql':
+            return instrumentRepository(createMysqlUserRepository(require('../config/mysql').pool));
+        case 'postgresql':
+            return instrumentRepository(createPostgresUserRepository(require('../config/postgresql').pool));
+        case 'sqlite':
+            return instrumentRepository(createSqliteUserRepository(require('../config/sqlite').db));
+        default:
+            throw new Error(`No user repository for unknown database: ${database}`);
+    }
+}
+
+/**
+ * Create a task repository for 'mysql', 'postgresql' or 'sqlite'
+ * Like getUserRepository(), its queries are timed for /metrics
+ */
+function getTaskRepository(database) {
+    switch (database) {
+        case 'mysql':
+            return instrumentRepository(createMysqlTaskRepository(require('../config/mysql').pool));
+        case 'postgresql':
+            return instrumentRepository(createPostgresTaskRepository(require('../config/postgresql').pool));
+        case 'sqlite':
+            return instrumentRepository(createSqliteTaskRepository(require('../config/sqlite').db));
+        default:
+            throw new Error(`No task repository for unknown database: ${database}`);
+    }
+}
+
+/**
+ * Create a webhook repository for 'mysql', 'postgresql' or 'sqlite'
+ * Webhooks are stored in the AUTH_DATABASE (see services/webhook.service.js)
+ */
+function getWebhookRepository(database) {
+    switch (database) {
+        case 'mysql':
+            return instrumentRepository(createMysqlWebhookRepository(require('../config/mysql').pool));
+        case 'postgresql':
+            return instrumentRepository(createPostgresWebhookRepository(require('../config/postgresql').pool));
+        case 'sqlite':
+            return instrumentRepository(createSqliteWebhookRepository(require('../config/sqlite').db));
+        default:
+            throw new Error(`No webhook repository for unknown database: ${database}`);
+    }
+}
+
+module.exports = {
+    getUserRepository,
+    getTaskRepository,
+    getWebhookRepository
+};
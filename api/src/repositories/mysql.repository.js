@@ -0,0 +1,318 @@
+/**
+ * MySQL Task Repository
+ *
+ * Implements the task repository interface (see task.repository.js)
+ * on top of a mysql2 connection pool.
+ *
+ * MySQL specifics:
+ * - Uses ? placeholders for parameterized queries
+ * - pool.query() resolves to [rows, fields]
+ * - No RETURNING clause, so writes are followed by a SELECT
+ * - A connection from pool.getConnection() has the same query() method,
+ *   so transactions reuse the repository on that one connection
+ * - No trigger can see who made a change, so the repository writes the
+ *   task_events rows itself, in the same transaction as the change
+ */
+
+const { buildTaskListQuery, buildScopeFilter, buildVersionFilter } = require('../utils/taskQuery');
+const { buildSearchFilter } = require('../utils/taskSearch');
+const { WRITABLE_FIELDS, RECORDED_WRITES, putEventAction } = require('./task.repository');
+
+// MySQL dialect for the shared list query builder
+// The utf8mb4_unicode_ci collation already makes LIKE case-insensitive
+const dialect = {
+    placeholder: () => '?',
+    likeOperator: 'LIKE'
+};
+
+/**
+ * Create a MySQL task repository
+ *
+ * @param {import('mysql2/promise').Pool} pool - Pool from config/mysql.js
+ *                                               (or one connection, inside a transaction)
+ */
+function createMysqlTaskRepository(pool) {
+    async function findById(id, scope) {
+        const owner = buildScopeFilter(scope, dialect.placeholder);
+        const [rows] = await pool.query(
+            `SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL${owner.sql}`,
+            [id, ...owner.values]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Read a task, live or trashed, and lock it until the transaction ends
+     * so its history holds exactly what the change replaced
+     */
+    async function lockTask(id) {
+        const [rows] = await pool.query('SELECT * FROM tasks WHERE id = ? FOR UPDATE', [id]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Add a row to the task's history (see migration 008)
+     * before and after are the whole task; one of them is null for create and purge
+     */
+    async function recordEvent(action, before, after, { actorId, actorEmail, requestId } = {}) {
+        await pool.query(
+            `INSERT INTO task_events (task_id, action, old_values, new_values, actor_id, actor_email, request_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                (after || before).id, action,
+                before && JSON.stringify(before), after && JSON.stringify(after),
+                actorId ?? null, actorEmail ?? null, requestId ?? null
+            ]
+        );
+    }
+
+    const repository = {
+        label: 'MySQL',
+
+        async list(options, scope) {
+            const { where, values, pageWhere, pageValues, orderBy } = buildTaskListQuery(options, dialect, scope);
+
+            // Fetch one extra row so the router knows whether there is another page
+            const [rows] = await pool.query(
+                `SELECT * FROM tasks ${pageWhere} ${orderBy} LIMIT ?`,
+                [...pageValues, options.limit + 1]
+            );
+
+            if (options.skipTotal) {
+                return { rows, total: null };
+            }
+
+            // Count every matching row (ignoring the cursor) for the total
+            const [countRows] = await pool.query(
+                `SELECT COUNT(*) AS total FROM tasks ${where}`,
+                values
+            );
+
+            return { rows, total: Number(countRows[0].total) };
+        },
+
+        findById,
+
+        async create({ title, description, status, priority, due_date, owner_id }, audit) {
+            // MySQL will auto-generate the ID and timestamps
+            const [result] = await pool.query(
+                'INSERT INTO tasks (title, description, status, priority, due_date, owner_id) VALUES (?, ?, ?, ?, ?, ?)',
+                [title, description || null, status || 'pending', priority || 'medium', due_date || null, owner_id || null]
+            );
+
+            // Fetch the newly created task to return it with all fields
+            const task = await findById(result.insertId);
+            await recordEvent('create', null, task, audit);
+            return task;
+        },
+
+        async update(id, changes, scope, { version, ...audit } = {}) {
+            // Build the SET clause from the provided fields only (partial update)
+            // Every change moves the task to its next version
+            const fields = WRITABLE_FIELDS.filter(field => changes[field] !== undefined);
+            const values = fields.map(field => changes[field]);
+            const assignments = [...fields.map(field => `${field} = ?`), 'version = version + 1'];
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+
+            const before = await lockTask(id);
+            const [result] = await pool.query(
+                `UPDATE tasks SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL${owner.sql}${current.sql}`,
+                [...values, id, ...owner.values, ...current.values]
+            );
+
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            // Fetch and return the updated task
+            const task = await findById(id);
+            await recordEvent('update', before, task, audit);
+            return task;
+        },
+
+        async remove(id, scope, { version, ...audit } = {}) {
+            // Move the task to the trash - restore() brings it back
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+
+            const before = await lockTask(id);
+            const [result] = await pool.query(
+                `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+                 WHERE id = ? AND deleted_at IS NULL${owner.sql}${current.sql}`,
+                [id, ...owner.values, ...current.values]
+            );
+
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            // findById() skips trashed tasks, so read the row as it is now
+            await recordEvent('delete', before, await lockTask(id), audit);
+            return true;
+        },
+
+        async restore(id, scope, audit) {
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+
+            const before = await lockTask(id);
+            const [result] = await pool.query(
+                `UPDATE tasks SET deleted_at = NULL, version = version + 1
+                 WHERE id = ? AND deleted_at IS NOT NULL${owner.sql}`,
+                [id, ...owner.values]
+            );
+
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            const task = await findById(id);
+            await recordEvent('restore', before, task, audit);
+            return task;
+        },
+
+        async purge(id, scope, { version, ...audit } = {}) {
+            // Live or trashed, the row is gone for good - its history stays
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+
+            const before = await lockTask(id);
+            const [result] = await pool.query(
+                `DELETE FROM tasks WHERE id = ?${owner.sql}${current.sql}`,
+                [id, ...owner.values, ...current.values]
+            );
+
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            await recordEvent('purge', before, null, audit);
+            return true;
+        },
+
+        async search({ terms, statuses, limit, offset }, scope) {
+            // Boolean mode, every term required (+) and matched as a prefix (*)
+            // The terms are plain words (see utils/taskSearch.js), so they can't add operators.
+            // InnoDB leaves out stopwords and words shorter than innodb_ft_min_token_size.
+            const { where, values } = buildSearchFilter({ statuses }, dialect, scope);
+            const against = terms.map(term => `+${term}*`).join(' ');
+            const match = 'MATCH(title, description) AGAINST (? IN BOOLEAN MODE)';
+
+            // rank is a reserved word in MySQL 8, so the score is read as relevance
+            const [rows] = await pool.query(
+                `SELECT *, ${match} AS relevance FROM tasks ${where} AND ${match}
+                 ORDER BY relevance DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [against, ...values, against, limit, offset]
+            );
+            const [countRows] = await pool.query(
+                `SELECT COUNT(*) AS total FROM tasks ${where} AND ${match}`,
+                [...values, against]
+            );
+
+            return {
+                rows: rows.map(({ relevance, ...task }) => ({ ...task, rank: relevance })),
+                total: Number(countRows[0].total)
+            };
+        },
+
+        async history(id, scope) {
+            // Trashed tasks have a history too
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const [tasks] = await pool.query(`SELECT id FROM tasks WHERE id = ?${owner.sql}`, [id, ...owner.values]);
+
+            if (tasks.length === 0) {
+                return null;
+            }
+
+            // mysql2 parses JSON columns, so old_values and new_values come back as objects
+            const [events] = await pool.query('SELECT * FROM task_events WHERE task_id = ? ORDER BY id', [id]);
+            return events;
+        },
+
+        async purgeDeleted(before) {
+            const [result] = await pool.query('DELETE FROM tasks WHERE deleted_at < ?', [before]);
+            return result.affectedRows;
+        },
+
+        async put({ id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at }, audit) {
+            // Assigning updated_at explicitly stops ON UPDATE CURRENT_TIMESTAMP from overwriting it
+            const before = await lockTask(id);
+            await pool.query(
+                `INSERT INTO tasks (id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                     title = VALUES(title),
+                     description = VALUES(description),
+                     status = VALUES(status),
+                     priority = VALUES(priority),
+                     due_date = VALUES(due_date),
+                     owner_id = VALUES(owner_id),
+                     created_at = VALUES(created_at),
+                     updated_at = VALUES(updated_at),
+                     version = version + 1,
+                     deleted_at = VALUES(deleted_at)`,
+                [id, title, description, status, priority || 'medium', due_date ?? null, owner_id ?? null, created_at, updated_at, deleted_at ?? null]
+            );
+
+            const task = await lockTask(id);
+            await recordEvent(putEventAction(before, task), before, task, audit);
+            return task;
+        },
+
+        async transaction(work) {
+            // Always release connections back to the pool
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await work(createTransactionRepository(connection));
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        }
+    };
+
+    // On the pool, each recorded write runs in its own transaction so the
+    // change and its history row are saved together. A repository on one
+    // connection is already inside a transaction (and has no getConnection)
+    if (pool.getConnection) {
+        for (const method of RECORDED_WRITES) {
+            repository[method] = (...args) => repository.transaction(tx => tx[method](...args));
+        }
+    }
+
+    return repository;
+}
+
+/**
+ * A repository bound to one connection inside a transaction
+ * savepoint(work) undoes only work's changes when it fails
+ */
+function createTransactionRepository(connection) {
+    const { transaction, ...repository } = createMysqlTaskRepository(connection);
+
+    return {
+        ...repository,
+
+        async savepoint(work) {
+            await connection.query('SAVEPOINT task_operation');
+            try {
+                const result = await work();
+                await connection.query('RELEASE SAVEPOINT task_operation');
+                return result;
+            } catch (error) {
+                await connection.query('ROLLBACK TO SAVEPOINT task_operation');
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createMysqlTaskRepository
+};
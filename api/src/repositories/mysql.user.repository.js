@@ -0,0 +1,78 @@
+/**
+ * MySQL User Repository
+ *
+ * Implements the user repository interface (see user.repository.js)
+ * on top of a mysql2 connection pool.
+ */
+
+/**
+ * Create a MySQL user repository
+ *
+ * @param {import('mysql2/promise').Pool} pool - Pool from config/mysql.js
+ */
+function createMysqlUserRepository(pool) {
+    async function findById(id) {
+        const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id]);
+        return rows[0] || null;
+    }
+
+    return {
+        label: 'MySQL',
+
+        async findByEmail(email) {
+            const [rows] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
+            return rows[0] || null;
+        },
+
+        findById,
+
+        async create({ email, password_hash }) {
+            try {
+                const [result] = await pool.query(
+                    'INSERT INTO users (email, password_hash) VALUES (?, ?)',
+                    [email, password_hash]
+                );
+
+                return findById(result.insertId);
+            } catch (error) {
+                // Another request registered the email first
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async list() {
+            const [rows] = await pool.query('SELECT * FROM users ORDER BY id');
+            return rows;
+        },
+
+        async updateRole(id, role) {
+            const [result] = await pool.query('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+
+            // affectedRows is 0 when no user has this ID
+            return result.affectedRows > 0 ? findById(id) : null;
+        },
+
+        async saveRefreshToken({ id, user_id, expires_at }) {
+            await pool.query(
+                'INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES (?, ?, ?)',
+                [id, user_id, expires_at]
+            );
+        },
+
+        async revokeRefreshToken(id) {
+            // Only an unrevoked token matches, so each token can be revoked once
+            const [result] = await pool.query(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = {
+    createMysqlUserRepository
+};
@@ -0,0 +1,148 @@
+/**
+ * MySQL Webhook Repository
+ *
+ * Implements the webhook repository interface (see webhook.repository.js)
+ * on top of a mysql2 connection pool. mysql2 parses JSON columns, so events
+ * and payload come back as objects.
+ */
+
+const { DELIVERY_UPDATE_FIELDS } = require('./webhook.repository');
+
+/**
+ * Create a MySQL webhook repository
+ *
+ * @param {import('mysql2/promise').Pool} pool - Pool from config/mysql.js
+ */
+function createMysqlWebhookRepository(pool) {
+    async function findById(id) {
+        const [rows] = await pool.query('SELECT * FROM webhooks WHERE id = ?', [id]);
+        return rows[0] || null;
+    }
+
+    async function findDelivery(id) {
+        const [rows] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        return rows[0] || null;
+    }
+
+    return {
+        label: 'MySQL',
+
+        async create({ url, secret, events, created_by }) {
+            const [result] = await pool.query(
+                'INSERT INTO webhooks (url, secret, events, created_by) VALUES (?, ?, ?, ?)',
+                [url, secret, JSON.stringify(events), created_by ?? null]
+            );
+
+            return findById(result.insertId);
+        },
+
+        async list() {
+            const [rows] = await pool.query('SELECT * FROM webhooks ORDER BY id');
+            return rows;
+        },
+
+        findById,
+
+        async remove(id) {
+            // The foreign key deletes the webhook's deliveries
+            const [result] = await pool.query('DELETE FROM webhooks WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        },
+
+        async addDeliveries(deliveries) {
+            if (deliveries.length === 0) {
+                return;
+            }
+
+            // mysql2 expands a nested array into (...), (...) for a multi-row insert
+            await pool.query(
+                'INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at) VALUES ?',
+                [deliveries.map(delivery => [
+                    delivery.webhook_id, delivery.event_id, delivery.event_type,
+                    JSON.stringify(delivery.payload), delivery.next_attempt_at
+                ])]
+            );
+        },
+
+        async claimDueDeliveries(now, limit, until) {
+            // The rows stay locked until the transaction ends, and SKIP LOCKED
+            // passes over the ones another instance is claiming at the same time
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const [rows] = await connection.query(
+                    `SELECT d.*, w.url, w.secret
+                     FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                     WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+                     ORDER BY d.next_attempt_at, d.id
+                     LIMIT ?
+                     FOR UPDATE OF d SKIP LOCKED`,
+                    [now, limit]
+                );
+
+                if (rows.length > 0) {
+                    // mysql2 expands an array into a list for IN (?)
+                    await connection.query(
+                        'UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id IN (?)',
+                        [until, rows.map(row => row.id)]
+                    );
+                }
+                await connection.commit();
+                return rows.map(row => ({ ...row, next_attempt_at: until }));
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        },
+
+        async updateDelivery(id, changes) {
+            const fields = DELIVERY_UPDATE_FIELDS.filter(field => changes[field] !== undefined);
+            if (fields.length === 0) {
+                return;
+            }
+
+            await pool.query(
+                `UPDATE webhook_deliveries SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...fields.map(field => changes[field]), id]
+            );
+        },
+
+        async listDeliveries({ webhookId, status, limit }) {
+            const conditions = [];
+            const values = [];
+
+            if (webhookId !== undefined) {
+                conditions.push('webhook_id = ?');
+                values.push(webhookId);
+            }
+            if (status !== undefined) {
+                conditions.push('status = ?');
+                values.push(status);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const [rows] = await pool.query(
+                `SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ?`,
+                [...values, limit]
+            );
+            return rows;
+        },
+
+        async retryDelivery(id, now) {
+            // Only a dead delivery matches, so a pending one isn't sent twice
+            const [result] = await pool.query(
+                `UPDATE webhook_deliveries
+                 SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+                 WHERE id = ? AND status = 'dead'`,
+                [now, id]
+            );
+            return result.affectedRows > 0 ? findDelivery(id) : null;
+        }
+    };
+}
+
+module.exports = {
+    createMysqlWebhookRepository
+};
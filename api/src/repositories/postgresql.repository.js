@@ -0,0 +1,306 @@
+/**
+ * PostgreSQL Task Repository
+ *
+ * Implements the task repository interface (see task.repository.js)
+ * on top of a pg connection pool.
+ *
+ * PostgreSQL specifics:
+ * - Uses $1, $2, etc. for query parameters instead of ?
+ * - pool.query() resolves to { rows, rowCount, ... }
+ * - RETURNING gives back inserted/updated rows in the same query
+ * - A client from pool.connect() has the same query() method,
+ *   so transactions reuse the repository on that one client
+ * - A trigger records every change in task_events; writes tell it who
+ *   made them through auditContext() below
+ */
+
+const { buildTaskListQuery, buildScopeFilter, buildVersionFilter } = require('../utils/taskQuery');
+const { buildSearchFilter } = require('../utils/taskSearch');
+const { WRITABLE_FIELDS } = require('./task.repository');
+
+// PostgreSQL dialect for the shared list query builder
+// LIKE is case-sensitive in PostgreSQL, so search uses ILIKE
+// TIMESTAMP columns keep microseconds, but a cursor only holds a JS Date
+const dialect = {
+    placeholder: (index) => `$${index}`,
+    likeOperator: 'ILIKE',
+    truncateTimestamp: (column) => `date_trunc('milliseconds', ${column})`
+};
+
+// The columns of a task, named instead of * so the search_vector column
+// (see migration 012) stays in the database
+const TASK_COLUMNS = 'id, title, description, status, priority, due_date, owner_id, version, deleted_at, created_at, updated_at';
+
+/**
+ * Tell the task_events trigger (see migration 009) who is writing
+ *
+ * The write joins this one-row CTE, so set_config() has run by the time the
+ * AFTER trigger reads the settings back with current_setting(). They are
+ * local to the statement's transaction, so a pooled connection doesn't pass
+ * them on to the next query.
+ *
+ * @param {object} [audit] - { actorId, actorEmail, requestId }
+ * @param {number} index - Placeholder number of the first setting
+ */
+function auditContext({ actorId, actorEmail, requestId } = {}, index) {
+    return {
+        sql: `WITH audit AS (
+                  SELECT set_config('app.actor_id', $${index}, true) AS actor_id,
+                         set_config('app.actor_email', $${index + 1}, true) AS actor_email,
+                         set_config('app.request_id', $${index + 2}, true) AS request_id
+              )`,
+        values: [actorId == null ? '' : String(actorId), actorEmail || '', requestId || '']
+    };
+}
+
+/**
+ * Create a PostgreSQL task repository
+ *
+ * @param {import('pg').Pool} pool - Pool from config/postgresql.js
+ *                                   (or one client, inside a transaction)
+ */
+function createPostgresTaskRepository(pool) {
+    return {
+        label: 'PostgreSQL',
+
+        async list(options, scope) {
+            const { where, values, pageWhere, pageValues, orderBy } = buildTaskListQuery(options, dialect, scope);
+
+            // Fetch one extra row so the router knows whether there is another page
+            const result = await pool.query(
+                `SELECT ${TASK_COLUMNS} FROM tasks ${pageWhere} ${orderBy} LIMIT $${pageValues.length + 1}`,
+                [...pageValues, options.limit + 1]
+            );
+
+            if (options.skipTotal) {
+                return { rows: result.rows, total: null };
+            }
+
+            // COUNT(*) is a bigint, which pg returns as a string
+            const countResult = await pool.query(
+                `SELECT COUNT(*) AS total FROM tasks ${where}`,
+                values
+            );
+
+            return { rows: result.rows, total: Number(countResult.rows[0].total) };
+        },
+
+        async findById(id, scope) {
+            const owner = buildScopeFilter(scope, dialect.placeholder, 1);
+            const result = await pool.query(
+                `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1 AND deleted_at IS NULL${owner.sql}`,
+                [id, ...owner.values]
+            );
+            return result.rows[0] || null;
+        },
+
+        async create({ title, description, status, priority, due_date, owner_id }, audit) {
+            // Insert and return the new row in a single query using RETURNING
+            // (SELECT ... FROM audit instead of VALUES, so the audit CTE runs)
+            // The SELECT gives the parameters no column to infer a type from, so the enums are cast
+            const context = auditContext(audit, 7);
+            const result = await pool.query(
+                `${context.sql}
+                 INSERT INTO tasks (title, description, status, priority, due_date, owner_id)
+                 SELECT $1, $2, $3::task_status, $4::task_priority, $5::date, $6 FROM audit
+                 RETURNING ${TASK_COLUMNS}`,
+                [
+                    title, description || null, status || 'pending', priority || 'medium', due_date || null, owner_id || null,
+                    ...context.values
+                ]
+            );
+
+            return result.rows[0];
+        },
+
+        async update(id, changes, scope, { version, ...audit } = {}) {
+            // Build the SET clause from the provided fields only (partial update)
+            // Every change moves the task to its next version
+            const fields = WRITABLE_FIELDS.filter(field => changes[field] !== undefined);
+            const values = fields.map(field => changes[field]);
+            const assignments = [...fields.map((field, index) => `${field} = $${index + 1}`), 'version = version + 1'];
+            const owner = buildScopeFilter(scope, dialect.placeholder, fields.length + 1);
+            const current = buildVersionFilter(version, dialect.placeholder, fields.length + 1 + owner.values.length);
+            const context = auditContext(audit, fields.length + 2 + owner.values.length + current.values.length);
+
+            // The columns are those of tasks, not of the audit CTE
+            const result = await pool.query(
+                `${context.sql}
+                 UPDATE tasks
+                 SET ${assignments.join(', ')}
+                 FROM audit
+                 WHERE id = $${fields.length + 1} AND deleted_at IS NULL${owner.sql}${current.sql}
+                 RETURNING ${TASK_COLUMNS}`,
+                [...values, id, ...owner.values, ...current.values, ...context.values]
+            );
+
+            return result.rows[0] || null;
+        },
+
+        async remove(id, scope, { version, ...audit } = {}) {
+            // Move the task to the trash - restore() brings it back
+            const owner = buildScopeFilter(scope, dialect.placeholder, 1);
+            const current = buildVersionFilter(version, dialect.placeholder, 1 + owner.values.length);
+            const context = auditContext(audit, 2 + owner.values.length + current.values.length);
+            const result = await pool.query(
+                `${context.sql}
+                 UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+                 FROM audit
+                 WHERE id = $1 AND deleted_at IS NULL${owner.sql}${current.sql}`,
+                [id, ...owner.values, ...current.values, ...context.values]
+            );
+            return result.rowCount > 0;
+        },
+
+        async restore(id, scope, audit) {
+            const owner = buildScopeFilter(scope, dialect.placeholder, 1);
+            const context = auditContext(audit, 2 + owner.values.length);
+            const result = await pool.query(
+                `${context.sql}
+                 UPDATE tasks SET deleted_at = NULL, version = version + 1
+                 FROM audit
+                 WHERE id = $1 AND deleted_at IS NOT NULL${owner.sql}
+                 RETURNING ${TASK_COLUMNS}`,
+                [id, ...owner.values, ...context.values]
+            );
+            return result.rows[0] || null;
+        },
+
+        async purge(id, scope, { version, ...audit } = {}) {
+            // Live or trashed, the row is gone for good - its history stays
+            const owner = buildScopeFilter(scope, dialect.placeholder, 1);
+            const current = buildVersionFilter(version, dialect.placeholder, 1 + owner.values.length);
+            const context = auditContext(audit, 2 + owner.values.length + current.values.length);
+            const result = await pool.query(
+                `${context.sql}
+                 DELETE FROM tasks USING audit
+                 WHERE id = $1${owner.sql}${current.sql}`,
+                [id, ...owner.values, ...current.values, ...context.values]
+            );
+            return result.rowCount > 0;
+        },
+
+        async search({ terms, statuses, limit, offset }, scope) {
+            // Every term as a prefix ('deploy:*'), all of them required
+            // The terms are plain words (see utils/taskSearch.js), so they can't break the syntax
+            const { where, values } = buildSearchFilter({ statuses }, dialect, scope);
+            const tsquery = terms.map(term => `${term}:*`).join(' & ');
+            const queryIndex = values.length + 1;
+            const from = `FROM tasks, to_tsquery('english', $${queryIndex}) query ${where} AND search_vector @@ query`;
+
+            // ts_rank_cd() weighs title words (A) above description words (B)
+            // and terms found close together above scattered ones
+            const result = await pool.query(
+                `SELECT ${TASK_COLUMNS}, ts_rank_cd(search_vector, query) AS rank
+                 ${from}
+                 ORDER BY rank DESC, id DESC
+                 LIMIT $${queryIndex + 1} OFFSET $${queryIndex + 2}`,
+                [...values, tsquery, limit, offset]
+            );
+            const countResult = await pool.query(`SELECT COUNT(*) AS total ${from}`, [...values, tsquery]);
+
+            return { rows: result.rows, total: Number(countResult.rows[0].total) };
+        },
+
+        async history(id, scope) {
+            // Trashed tasks have a history too
+            const owner = buildScopeFilter(scope, dialect.placeholder, 1);
+            const task = await pool.query(`SELECT id FROM tasks WHERE id = $1${owner.sql}`, [id, ...owner.values]);
+
+            if (task.rows.length === 0) {
+                return null;
+            }
+
+            // pg parses JSONB, so old_values and new_values come back as objects
+            const result = await pool.query('SELECT * FROM task_events WHERE task_id = $1 ORDER BY id', [id]);
+            return result.rows;
+        },
+
+        async purgeDeleted(before) {
+            const result = await pool.query('DELETE FROM tasks WHERE deleted_at < $1', [before]);
+            return result.rowCount;
+        },
+
+        async put({ id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at }, audit) {
+            // ON CONFLICT turns the INSERT into an UPDATE when the id already exists
+            // (SELECT ... FROM audit as in create(), so the trigger records the actor)
+            const context = auditContext(audit, 11);
+            const result = await pool.query(
+                `${context.sql}
+                 INSERT INTO tasks (id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at)
+                 SELECT $1::integer, $2, $3, $4::task_status, $5::task_priority, $6::date, $7::integer,
+                        $8::timestamp, $9::timestamp, $10::timestamp
+                 FROM audit
+                 ON CONFLICT (id) DO UPDATE SET
+                     title = EXCLUDED.title,
+                     description = EXCLUDED.description,
+                     status = EXCLUDED.status,
+                     priority = EXCLUDED.priority,
+                     due_date = EXCLUDED.due_date,
+                     owner_id = EXCLUDED.owner_id,
+                     created_at = EXCLUDED.created_at,
+                     updated_at = EXCLUDED.updated_at,
+                     version = tasks.version + 1,
+                     deleted_at = EXCLUDED.deleted_at
+                 RETURNING ${TASK_COLUMNS}`,
+                [
+                    id, title, description, status, priority || 'medium', due_date ?? null, owner_id ?? null, created_at, updated_at, deleted_at ?? null,
+                    ...context.values
+                ]
+            );
+
+            // Inserting explicit ids doesn't advance the SERIAL sequence,
+            // so move it past the highest id to keep future inserts from colliding
+            await pool.query(
+                "SELECT setval(pg_get_serial_sequence('tasks', 'id'), (SELECT MAX(id) FROM tasks))"
+            );
+
+            return result.rows[0];
+        },
+
+        async transaction(work) {
+            // A transaction must run on one client, not on the pool
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await work(createTransactionRepository(client));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+/**
+ * A repository bound to one client inside a transaction
+ * savepoint(work) undoes only work's changes when it fails - without it,
+ * one failed statement would abort the whole transaction in PostgreSQL
+ */
+function createTransactionRepository(client) {
+    const { transaction, ...repository } = createPostgresTaskRepository(client);
+
+    return {
+        ...repository,
+
+        async savepoint(work) {
+            await client.query('SAVEPOINT task_operation');
+            try {
+                const result = await work();
+                await client.query('RELEASE SAVEPOINT task_operation');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK TO SAVEPOINT task_operation');
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createPostgresTaskRepository
+};
@@ -0,0 +1,73 @@
+/**
+ * PostgreSQL User Repository
+ *
+ * Implements the user repository interface (see user.repository.js)
+ * on top of a pg connection pool.
+ */
+
+/**
+ * Create a PostgreSQL user repository
+ *
+ * @param {import('pg').Pool} pool - Pool from config/postgresql.js
+ */
+function createPostgresUserRepository(pool) {
+    return {
+        label: 'PostgreSQL',
+
+        async findByEmail(email) {
+            const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+            return result.rows[0] || null;
+        },
+
+        async findById(id) {
+            const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        },
+
+        async create({ email, password_hash }) {
+            try {
+                const result = await pool.query(
+                    'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING *',
+                    [email, password_hash]
+                );
+                return result.rows[0];
+            } catch (error) {
+                // 23505 is unique_violation: another request registered the email first
+                if (error.code === '23505') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async list() {
+            const result = await pool.query('SELECT * FROM users ORDER BY id');
+            return result.rows;
+        },
+
+        async updateRole(id, role) {
+            const result = await pool.query('UPDATE users SET role = $1 WHERE id = $2 RETURNING *', [role, id]);
+            return result.rows[0] || null;
+        },
+
+        async saveRefreshToken({ id, user_id, expires_at }) {
+            await pool.query(
+                'INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES ($1, $2, $3)',
+                [id, user_id, expires_at]
+            );
+        },
+
+        async revokeRefreshToken(id) {
+            // Only an unrevoked token matches, so each token can be revoked once
+            const result = await pool.query(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+                [id]
+            );
+            return result.rowCount > 0;
+        }
+    };
+}
+
+module.exports = {
+    createPostgresUserRepository
+};
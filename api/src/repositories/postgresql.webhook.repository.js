@@ -0,0 +1,136 @@
+/**
+ * PostgreSQL Webhook Repository
+ *
+ * Implements the webhook repository interface (see webhook.repository.js)
+ * on top of a pg connection pool. pg parses JSONB, so events and payload
+ * come back as objects.
+ */
+
+const { DELIVERY_UPDATE_FIELDS } = require('./webhook.repository');
+
+/**
+ * Create a PostgreSQL webhook repository
+ *
+ * @param {import('pg').Pool} pool - Pool from config/postgresql.js
+ */
+function createPostgresWebhookRepository(pool) {
+    return {
+        label: 'PostgreSQL',
+
+        async create({ url, secret, events, created_by }) {
+            const result = await pool.query(
+                'INSERT INTO webhooks (url, secret, events, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+                [url, secret, JSON.stringify(events), created_by ?? null]
+            );
+            return result.rows[0];
+        },
+
+        async list() {
+            const result = await pool.query('SELECT * FROM webhooks ORDER BY id');
+            return result.rows;
+        },
+
+        async findById(id) {
+            const result = await pool.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        },
+
+        async remove(id) {
+            // The foreign key deletes the webhook's deliveries
+            const result = await pool.query('DELETE FROM webhooks WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        },
+
+        async addDeliveries(deliveries) {
+            if (deliveries.length === 0) {
+                return;
+            }
+
+            // One ($1, $2, $3, $4, $5) group per delivery
+            const values = [];
+            const rows = deliveries.map((delivery) => {
+                values.push(
+                    delivery.webhook_id, delivery.event_id, delivery.event_type,
+                    JSON.stringify(delivery.payload), delivery.next_attempt_at
+                );
+                const first = values.length - 4;
+                return `($${first}, $${first + 1}, $${first + 2}, $${first + 3}, $${first + 4})`;
+            });
+
+            await pool.query(
+                `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+                 VALUES ${rows.join(', ')}`,
+                values
+            );
+        },
+
+        async claimDueDeliveries(now, limit, until) {
+            // SKIP LOCKED passes over the rows another instance is claiming at the same time
+            const result = await pool.query(
+                `WITH due AS (
+                     SELECT id FROM webhook_deliveries
+                     WHERE status = 'pending' AND next_attempt_at <= $1
+                     ORDER BY next_attempt_at, id
+                     LIMIT $2
+                     FOR UPDATE SKIP LOCKED
+                 )
+                 UPDATE webhook_deliveries d SET next_attempt_at = $3
+                 FROM due, webhooks w
+                 WHERE d.id = due.id AND w.id = d.webhook_id
+                 RETURNING d.*, w.url, w.secret`,
+                [now, limit, until]
+            );
+            return result.rows;
+        },
+
+        async updateDelivery(id, changes) {
+            const fields = DELIVERY_UPDATE_FIELDS.filter(field => changes[field] !== undefined);
+            if (fields.length === 0) {
+                return;
+            }
+
+            await pool.query(
+                `UPDATE webhook_deliveries SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}
+                 WHERE id = $${fields.length + 1}`,
+                [...fields.map(field => changes[field]), id]
+            );
+        },
+
+        async listDeliveries({ webhookId, status, limit }) {
+            const conditions = [];
+            const values = [];
+
+            if (webhookId !== undefined) {
+                values.push(webhookId);
+                conditions.push(`webhook_id = $${values.length}`);
+            }
+            if (status !== undefined) {
+                values.push(status);
+                conditions.push(`status = $${values.length}`);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const result = await pool.query(
+                `SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT $${values.length + 1}`,
+                [...values, limit]
+            );
+            return result.rows;
+        },
+
+        async retryDelivery(id, now) {
+            // Only a dead delivery matches, so a pending one isn't sent twice
+            const result = await pool.query(
+                `UPDATE webhook_deliveries
+                 SET status = 'pending', attempts = 0, next_attempt_at = $1, last_error = NULL
+                 WHERE id = $2 AND status = 'dead'
+                 RETURNING *`,
+                [now, id]
+            );
+            return result.rows[0] || null;
+        }
+    };
+}
+
+module.exports = {
+    createPostgresWebhookRepository
+};
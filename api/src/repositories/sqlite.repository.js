@@ -0,0 +1,289 @@
+/**
+ * SQLite Task Repository
+ *
+ * Implements the task repository interface (see task.repository.js)
+ * on top of a better-sqlite3 database handle.
+ *
+ * SQLite specifics:
+ * - Uses ? placeholders, like MySQL
+ * - Queries are synchronous: prepare(sql).all() / .get() / .run()
+ * - Supports RETURNING, like PostgreSQL
+ * - Timestamps are stored as UTC text, so we convert them to and from Dates
+ * - No trigger can see who made a change, so the repository writes the
+ *   task_events rows itself
+ */
+
+const { buildTaskListQuery, buildScopeFilter, buildVersionFilter } = require('../utils/taskQuery');
+const { buildSearchFilter } = require('../utils/taskSearch');
+const { WRITABLE_FIELDS, putEventAction } = require('./task.repository');
+
+// SQLite dialect for the shared list query builder
+// LIKE is case-insensitive for ASCII but has no default escape character
+const dialect = {
+    placeholder: () => '?',
+    likeOperator: 'LIKE',
+    likeEscape: true
+};
+
+/**
+ * Convert a Date to SQLite's CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS', UTC)
+ * better-sqlite3 cannot bind Date objects, and text comparison only works
+ * when both sides use the same format
+ */
+function toSqliteTimestamp(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 19).replace('T', ' ') : value;
+}
+
+/**
+ * Convert a stored timestamp back to a Date (null stays null)
+ */
+function fromSqliteTimestamp(text) {
+    return text ? new Date(`${text.replace(' ', 'T')}Z`) : text;
+}
+
+/**
+ * Convert a stored row so it looks like the rows returned by mysql2 and pg
+ * (timestamps as Date objects, which JSON-encode to ISO strings)
+ */
+function fromSqliteRow(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        ...row,
+        created_at: fromSqliteTimestamp(row.created_at),
+        updated_at: fromSqliteTimestamp(row.updated_at),
+        deleted_at: fromSqliteTimestamp(row.deleted_at)
+    };
+}
+
+/**
+ * Convert a stored task_events row, whose task snapshots are JSON text
+ */
+function fromSqliteEvent(row) {
+    return {
+        ...row,
+        old_values: row.old_values && JSON.parse(row.old_values),
+        new_values: row.new_values && JSON.parse(row.new_values),
+        created_at: fromSqliteTimestamp(row.created_at)
+    };
+}
+
+/**
+ * Create a SQLite task repository
+ *
+ * @param {import('better-sqlite3').Database} db - Database from config/sqlite.js
+ */
+function createSqliteTaskRepository(db) {
+    /**
+     * Read a task, live or trashed
+     */
+    function readTask(id) {
+        return fromSqliteRow(db.prepare('SELECT * FROM tasks WHERE id = ?').get(id));
+    }
+
+    /**
+     * Add a row to the task's history (see migration 008)
+     * Nothing is awaited between a change and its event, so no other
+     * request can run in between
+     */
+    function recordEvent(action, before, after, { actorId, actorEmail, requestId } = {}) {
+        db.prepare(
+            `INSERT INTO task_events (task_id, action, old_values, new_values, actor_id, actor_email, request_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`
+        ).run(
+            (after || before).id, action,
+            before && JSON.stringify(before), after && JSON.stringify(after),
+            actorId ?? null, actorEmail ?? null, requestId ?? null
+        );
+    }
+
+    return {
+        label: 'SQLite',
+
+        async list(options, scope) {
+            const { where, values, pageWhere, pageValues, orderBy } = buildTaskListQuery(options, dialect, scope);
+
+            // Fetch one extra row so the router knows whether there is another page
+            const rows = db
+                .prepare(`SELECT * FROM tasks ${pageWhere} ${orderBy} LIMIT ?`)
+                .all(...pageValues.map(toSqliteTimestamp), options.limit + 1);
+
+            if (options.skipTotal) {
+                return { rows: rows.map(fromSqliteRow), total: null };
+            }
+
+            const { total } = db
+                .prepare(`SELECT COUNT(*) AS total FROM tasks ${where}`)
+                .get(...values.map(toSqliteTimestamp));
+
+            return { rows: rows.map(fromSqliteRow), total };
+        },
+
+        async findById(id, scope) {
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            return fromSqliteRow(
+                db.prepare(`SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL${owner.sql}`).get(id, ...owner.values)
+            );
+        },
+
+        async create({ title, description, status, priority, due_date, owner_id }, audit) {
+            const task = fromSqliteRow(db
+                .prepare(
+                    `INSERT INTO tasks (title, description, status, priority, due_date, owner_id)
+                     VALUES (?, ?, ?, ?, ?, ?) RETURNING *`
+                )
+                .get(title, description || null, status || 'pending', priority || 'medium', due_date || null, owner_id || null));
+
+            recordEvent('create', null, task, audit);
+            return task;
+        },
+
+        async update(id, changes, scope, { version, ...audit } = {}) {
+            // Build the SET clause from the provided fields only (partial update)
+            // updated_at is set here so RETURNING includes the new value
+            const fields = WRITABLE_FIELDS.filter(field => changes[field] !== undefined);
+            const values = fields.map(field => changes[field]);
+            const assignments = [...fields.map(field => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP', 'version = version + 1'];
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+
+            const before = readTask(id);
+            const task = fromSqliteRow(db
+                .prepare(`UPDATE tasks SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL${owner.sql}${current.sql} RETURNING *`)
+                .get(...values, id, ...owner.values, ...current.values));
+
+            if (task) {
+                recordEvent('update', before, task, audit);
+            }
+            return task;
+        },
+
+        async remove(id, scope, { version, ...audit } = {}) {
+            // Move the task to the trash - restore() brings it back
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+
+            const before = readTask(id);
+            const task = fromSqliteRow(db
+                .prepare(
+                    `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+                     WHERE id = ? AND deleted_at IS NULL${owner.sql}${current.sql}
+                     RETURNING *`
+                )
+                .get(id, ...owner.values, ...current.values));
+
+            if (!task) {
+                return false;
+            }
+
+            recordEvent('delete', before, task, audit);
+            return true;
+        },
+
+        async restore(id, scope, audit) {
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+
+            const before = readTask(id);
+            const task = fromSqliteRow(db
+                .prepare(
+                    `UPDATE tasks SET deleted_at = NULL, version = version + 1
+                     WHERE id = ? AND deleted_at IS NOT NULL${owner.sql}
+                     RETURNING *`
+                )
+                .get(id, ...owner.values));
+
+            if (task) {
+                recordEvent('restore', before, task, audit);
+            }
+            return task;
+        },
+
+        async purge(id, scope, { version, ...audit } = {}) {
+            // Live or trashed, the row is gone for good - its history stays
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            const current = buildVersionFilter(version, dialect.placeholder);
+            const before = fromSqliteRow(db
+                .prepare(`DELETE FROM tasks WHERE id = ?${owner.sql}${current.sql} RETURNING *`)
+                .get(id, ...owner.values, ...current.values));
+
+            if (!before) {
+                return false;
+            }
+
+            recordEvent('purge', before, null, audit);
+            return true;
+        },
+
+        async search({ terms, statuses, limit, offset }, scope) {
+            // Every term quoted and matched as a prefix ('"deploy"*'), all of them required
+            // The terms are plain words (see utils/taskSearch.js), so they can't break the syntax
+            const { where, values } = buildSearchFilter({ statuses }, dialect, scope);
+            const match = terms.map(term => `"${term}"*`).join(' AND ');
+            const from = `FROM tasks_fts JOIN tasks ON tasks.id = tasks_fts.rowid ${where} AND tasks_fts MATCH ?`;
+
+            // bm25() is lower for better matches; title words count twice as much
+            const rows = db
+                .prepare(
+                    `SELECT tasks.*, -bm25(tasks_fts, 2.0, 1.0) AS rank ${from}
+                     ORDER BY rank DESC, tasks.id DESC
+                     LIMIT ? OFFSET ?`
+                )
+                .all(...values, match, limit, offset);
+            const { total } = db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...values, match);
+
+            return { rows: rows.map(fromSqliteRow), total };
+        },
+
+        async history(id, scope) {
+            // Trashed tasks have a history too
+            const owner = buildScopeFilter(scope, dialect.placeholder);
+            if (!db.prepare(`SELECT id FROM tasks WHERE id = ?${owner.sql}`).get(id, ...owner.values)) {
+                return null;
+            }
+
+            return db
+                .prepare('SELECT * FROM task_events WHERE task_id = ? ORDER BY id')
+                .all(id)
+                .map(fromSqliteEvent);
+        },
+
+        async purgeDeleted(before) {
+            return db.prepare('DELETE FROM tasks WHERE deleted_at < ?').run(toSqliteTimestamp(before)).changes;
+        },
+
+        async put({ id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at }, audit) {
+            // AUTOINCREMENT keeps track of explicit ids, so no sequence fix-up is needed
+            const before = readTask(id);
+            const task = fromSqliteRow(db
+                .prepare(
+                    `INSERT INTO tasks (id, title, description, status, priority, due_date, owner_id, created_at, updated_at, deleted_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON CONFLICT (id) DO UPDATE SET
+                         title = excluded.title,
+                         description = excluded.description,
+                         status = excluded.status,
+                         priority = excluded.priority,
+                         due_date = excluded.due_date,
+                         owner_id = excluded.owner_id,
+                         created_at = excluded.created_at,
+                         updated_at = excluded.updated_at,
+                         version = version + 1,
+                         deleted_at = excluded.deleted_at
+                     RETURNING *`
+                )
+                .get(
+                    id, title, description, status, priority || 'medium', due_date ?? null, owner_id ?? null,
+                    toSqliteTimestamp(created_at), toSqliteTimestamp(updated_at), toSqliteTimestamp(deleted_at ?? null)
+                ));
+
+            recordEvent(putEventAction(before, task), before, task, audit);
+            return task;
+        }
+    };
+}
+
+module.exports = {
+    createSqliteTaskRepository
+};
@@ -0,0 +1,79 @@
+/**
+ * SQLite User Repository
+ *
+ * Implements the user repository interface (see user.repository.js)
+ * on top of a better-sqlite3 database handle.
+ */
+
+/**
+ * Convert a stored user so its timestamps are Dates, like mysql2 and pg return them
+ */
+function fromSqliteRow(row) {
+    if (!row) {
+        return null;
+    }
+
+    const toDate = (text) => (text ? new Date(`${text.replace(' ', 'T')}Z`) : text);
+    return { ...row, created_at: toDate(row.created_at), updated_at: toDate(row.updated_at) };
+}
+
+/**
+ * Create a SQLite user repository
+ *
+ * @param {import('better-sqlite3').Database} db - Database from config/sqlite.js
+ */
+function createSqliteUserRepository(db) {
+    return {
+        label: 'SQLite',
+
+        async findByEmail(email) {
+            return fromSqliteRow(db.prepare('SELECT * FROM users WHERE email = ?').get(email));
+        },
+
+        async findById(id) {
+            return fromSqliteRow(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+        },
+
+        async create({ email, password_hash }) {
+            try {
+                const row = db
+                    .prepare('INSERT INTO users (email, password_hash) VALUES (?, ?) RETURNING *')
+                    .get(email, password_hash);
+                return fromSqliteRow(row);
+            } catch (error) {
+                // Another request registered the email first
+                if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async list() {
+            return db.prepare('SELECT * FROM users ORDER BY id').all().map(fromSqliteRow);
+        },
+
+        async updateRole(id, role) {
+            const row = db.prepare('UPDATE users SET role = ? WHERE id = ? RETURNING *').get(role, id);
+            return fromSqliteRow(row);
+        },
+
+        async saveRefreshToken({ id, user_id, expires_at }) {
+            // Stored in the same 'YYYY-MM-DD HH:MM:SS' UTC format as CURRENT_TIMESTAMP
+            db.prepare('INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES (?, ?, ?)')
+                .run(id, user_id, expires_at.toISOString().slice(0, 19).replace('T', ' '));
+        },
+
+        async revokeRefreshToken(id) {
+            // Only an unrevoked token matches, so each token can be revoked once
+            const result = db
+                .prepare('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL')
+                .run(id);
+            return result.changes > 0;
+        }
+    };
+}
+
+module.exports = {
+    createSqliteUserRepository
+};
@@ -0,0 +1,184 @@
+/**
+ * SQLite Webhook Repository
+ *
+ * Implements the webhook repository interface (see webhook.repository.js)
+ * on top of a better-sqlite3 database handle.
+ *
+ * SQLite specifics:
+ * - events and payload are stored as JSON text and parsed on the way out
+ * - Timestamps are 'YYYY-MM-DD HH:MM:SS' UTC text, like CURRENT_TIMESTAMP,
+ *   so next_attempt_at can be compared as text
+ * - Foreign keys aren't enforced, so remove() deletes the deliveries itself
+ */
+
+const { DELIVERY_UPDATE_FIELDS } = require('./webhook.repository');
+
+// Delivery columns holding timestamps
+const TIMESTAMP_FIELDS = ['next_attempt_at', 'created_at', 'delivered_at'];
+
+/**
+ * Convert a Date to SQLite's CURRENT_TIMESTAMP format (other values are kept)
+ */
+function toSqliteTimestamp(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 19).replace('T', ' ') : value;
+}
+
+/**
+ * Convert a stored timestamp back to a Date (null stays null)
+ */
+function fromSqliteTimestamp(text) {
+    return text ? new Date(`${text.replace(' ', 'T')}Z`) : text;
+}
+
+/**
+ * Convert a stored webhook so it looks like the rows returned by mysql2 and pg
+ */
+function fromWebhookRow(row) {
+    if (!row) {
+        return null;
+    }
+
+    return { ...row, events: JSON.parse(row.events), created_at: fromSqliteTimestamp(row.created_at) };
+}
+
+/**
+ * Convert a stored delivery the same way
+ */
+function fromDeliveryRow(row) {
+    if (!row) {
+        return null;
+    }
+
+    const delivery = { ...row, payload: JSON.parse(row.payload) };
+    for (const field of TIMESTAMP_FIELDS) {
+        delivery[field] = fromSqliteTimestamp(row[field]);
+    }
+    return delivery;
+}
+
+/**
+ * Create a SQLite webhook repository
+ *
+ * @param {import('better-sqlite3').Database} db - Database from config/sqlite.js
+ */
+function createSqliteWebhookRepository(db) {
+    // One transaction, so either every delivery of an event is queued or none is
+    // Statements are prepared on use: the tables may not exist until the migrations ran
+    const insertDeliveries = db.transaction((deliveries) => {
+        const insertDelivery = db.prepare(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?)`
+        );
+
+        for (const delivery of deliveries) {
+            insertDelivery.run(
+                delivery.webhook_id, delivery.event_id, delivery.event_type,
+                JSON.stringify(delivery.payload), toSqliteTimestamp(delivery.next_attempt_at)
+            );
+        }
+    });
+
+    // Run with .immediate(), which takes the write lock before reading, so two
+    // processes sharing the file can't both claim the same deliveries
+    const claimDeliveries = db.transaction((now, limit, until) => {
+        const rows = db
+            .prepare(
+                `SELECT d.*, w.url, w.secret
+                 FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+                 ORDER BY d.next_attempt_at, d.id
+                 LIMIT ?`
+            )
+            .all(toSqliteTimestamp(now), limit);
+
+        const claim = db.prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?');
+        for (const row of rows) {
+            row.next_attempt_at = toSqliteTimestamp(until);
+            claim.run(row.next_attempt_at, row.id);
+        }
+        return rows.map(fromDeliveryRow);
+    });
+
+    const removeWebhook = db.transaction((id) => {
+        db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+        return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    });
+
+    return {
+        label: 'SQLite',
+
+        async create({ url, secret, events, created_by }) {
+            const row = db
+                .prepare('INSERT INTO webhooks (url, secret, events, created_by) VALUES (?, ?, ?, ?) RETURNING *')
+                .get(url, secret, JSON.stringify(events), created_by ?? null);
+            return fromWebhookRow(row);
+        },
+
+        async list() {
+            return db.prepare('SELECT * FROM webhooks ORDER BY id').all().map(fromWebhookRow);
+        },
+
+        async findById(id) {
+            return fromWebhookRow(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+        },
+
+        async remove(id) {
+            return removeWebhook(id);
+        },
+
+        async addDeliveries(deliveries) {
+            insertDeliveries(deliveries);
+        },
+
+        async claimDueDeliveries(now, limit, until) {
+            return claimDeliveries.immediate(now, limit, until);
+        },
+
+        async updateDelivery(id, changes) {
+            const fields = DELIVERY_UPDATE_FIELDS.filter(field => changes[field] !== undefined);
+            if (fields.length === 0) {
+                return;
+            }
+
+            db.prepare(`UPDATE webhook_deliveries SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`)
+                .run(...fields.map(field => toSqliteTimestamp(changes[field])), id);
+        },
+
+        async listDeliveries({ webhookId, status, limit }) {
+            const conditions = [];
+            const values = [];
+
+            if (webhookId !== undefined) {
+                conditions.push('webhook_id = ?');
+                values.push(webhookId);
+            }
+            if (status !== undefined) {
+                conditions.push('status = ?');
+                values.push(status);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            return db
+                .prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ?`)
+                .all(...values, limit)
+                .map(fromDeliveryRow);
+        },
+
+        async retryDelivery(id, now) {
+            // Only a dead delivery matches, so a pending one isn't sent twice
+            const row = db
+                .prepare(
+                    `UPDATE webhook_deliveries
+                     SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+                     WHERE id = ? AND status = 'dead'
+                     RETURNING *`
+                )
+                .get(toSqliteTimestamp(now), id);
+            return fromDeliveryRow(row);
+        }
+    };
+}
+
+module.exports = {
+    createSqliteWebhookRepository
+};
@@ -0,0 +1,121 @@
+/**
+ * Task Repository Interface
+ *
+ * A task repository hides the SQL dialect of one database behind a small,
+ * promise-based interface. The shared router in routes/tasks.routes.js only
+ * talks to this interface, so adding a new database means writing a new
+ * adapter (see mysql.repository.js and postgresql.repository.js) - the
+ * validation, status codes and response envelopes stay the same.
+ *
+ * Every adapter must provide:
+ * - label:                        Human-readable database name used in log messages
+ * - list(options, scope):         Resolve to { rows, total } for a parsed GET /tasks query
+ *                                 (rows may hold one extra look-ahead row, see utils/taskQuery.js).
+ *                                 With options.skipTotal, total is null and not counted
+ *                                 (GET /tasks/export reads every page and doesn't need it)
+ * - findById(id, scope):          Resolve to the task, or null if it does not exist
+ * - create(task, audit):          Insert { title, description, status, priority, due_date, owner_id }
+ *                                 and resolve to the new task
+ * - update(id, changes, scope, options):
+ *                                 Apply a partial update and resolve to the updated task, or null
+ * - remove(id, scope, options):   Move the task to the trash and resolve to true, or false if it did not exist
+ * - restore(id, scope, audit):    Bring a trashed task back and resolve to it, or null if it is not in the trash
+ * - purge(id, scope, options):    Delete a live or trashed task for good and resolve to true, or false
+ * - purgeDeleted(before):         Delete every task trashed before the given Date and resolve to how many
+ * - put(task, audit):             Insert or overwrite a task with the given id, keeping its
+ *                                 owner, created_at/updated_at and deleted_at, and resolve to the
+ *                                 stored task, live or trashed (used to copy tasks between
+ *                                 databases and by upsert imports)
+ * - history(id, scope):           Resolve to the task's events, oldest first, or null if the task
+ *                                 does not exist (trashed tasks have a history too)
+ *
+ * Trashed tasks have a deleted_at timestamp. list() only returns them when
+ * options.trashed is set; findById(), update() and remove() ignore them.
+ * put() overwrites the whole task, so it trashes or brings back a task
+ * when its deleted_at says so (a task without one is live).
+ *
+ * Every task has a version, 1 when it is created and one higher after each
+ * update, overwrite, removal or restore. options is optional; with { version }
+ * the update, remove or purge only happens while the task is still at that
+ * version, and resolves to null/false otherwise (If-Match, see utils/etag.js).
+ *
+ * Every create, update, remove, restore, purge and put adds an event to the task's
+ * history: { id, task_id, action, old_values, new_values, actor_id, actor_email,
+ * request_id, created_at }, where action is one of TASK_EVENT_ACTIONS and
+ * old_values/new_values are the whole task before and after. audit, also
+ * accepted in options, says who made the change: { actorId, actorEmail, requestId }.
+ * put() records a 'create' for a new id, a 'delete' or 'restore' when it
+ * trashes or brings back the task, and an 'update' otherwise (see putEventAction()).
+ * MySQL and SQLite write the events in the repository; PostgreSQL uses a
+ * trigger, which also records purgeDeleted() with no actor.
+ *
+ * Adapters may also provide (MySQL and PostgreSQL do, SQLite does not):
+ * - transaction(work):            Call work(tx) with a repository bound to one connection
+ *                                 inside a transaction. Commits when work resolves and
+ *                                 rolls back when it throws; resolves to work's result.
+ *                                 tx also has savepoint(fn), which runs fn and undoes only
+ *                                 fn's changes if it throws (used by POST /tasks/bulk)
+ *
+ * Adapters may also provide (all three do; GET /tasks/search is only
+ * mounted when there is one):
+ * - search(query, scope):         Full-text search of live tasks for { terms, statuses, limit, offset }
+ *                                 (terms from searchTerms() in utils/taskSearch.js, each a prefix,
+ *                                 all required). Resolve to { rows, total }: rows are tasks with a
+ *                                 rank (higher is better), best first, and total counts every match
+ *
+ * scope is { ownerId } (see middleware/auth.js). A task outside the scope
+ * behaves as if it did not exist. An empty or missing scope matches every task.
+ */
+
+// Methods every adapter has to implement
+const REPOSITORY_METHODS = ['list', 'findById', 'create', 'update', 'remove', 'restore', 'purge', 'purgeDeleted', 'put', 'history'];
+
+// Writes that add an event to the task's history
+const RECORDED_WRITES = ['create', 'update', 'remove', 'restore', 'purge', 'put'];
+
+// What an event records; remove() is a 'delete' (to the trash)
+const TASK_EVENT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Columns a client is allowed to change through create/update
+const WRITABLE_FIELDS = ['title', 'description', 'status', 'priority', 'due_date'];
+
+/**
+ * The history action for a put() that turned before (null for a new id) into after
+ */
+function putEventAction(before, after) {
+    if (!before) {
+        return 'create';
+    }
+    if (Boolean(before.deleted_at) === Boolean(after.deleted_at)) {
+        return 'update';
+    }
+    return after.deleted_at ? 'delete' : 'restore';
+}
+
+/**
+ * Check that an object implements the task repository interface
+ * Throws a TypeError naming the first missing member so a broken adapter
+ * fails when the router is created rather than on the first request
+ */
+function assertTaskRepository(repository) {
+    if (!repository || typeof repository.label !== 'string') {
+        throw new TypeError('Task repository must have a string label');
+    }
+
+    for (const method of REPOSITORY_METHODS) {
+        if (typeof repository[method] !== 'function') {
+            throw new TypeError(`Task repository "${repository.label}" is missing ${method}()`);
+        }
+    }
+
+    return repository;
+}
+
+module.exports = {
+    REPOSITORY_METHODS,
+    RECORDED_WRITES,
+    TASK_EVENT_ACTIONS,
+    WRITABLE_FIELDS,
+    putEventAction,
+    assertTaskRepository
+};
@@ -0,0 +1,47 @@
+/**
+ * User Repository Interface
+ *
+ * Like the task repositories (see task.repository.js), a user repository
+ * hides one database's SQL dialect behind a small promise-based interface.
+ * routes/auth.routes.js only talks to this interface.
+ *
+ * Every adapter must provide:
+ * - label:                    Human-readable database name used in log messages
+ * - findByEmail(email):       Resolve to the user (including password_hash), or null
+ * - findById(id):             Resolve to the user, or null
+ * - create(user):             Insert { email, password_hash } and resolve to the new user,
+ *                             or null if the email is already registered
+ * - list():                   Resolve to every user, ordered by ID
+ * - updateRole(id, role):     Change a user's role and resolve to the updated user, or null
+ * - saveRefreshToken(token):  Store { id, user_id, expires_at } for an issued refresh token
+ * - revokeRefreshToken(id):   Mark a stored token as revoked and resolve to true,
+ *                             or false if it is unknown or was already revoked
+ */
+
+// Methods every adapter has to implement
+const USER_REPOSITORY_METHODS = [
+    'findByEmail', 'findById', 'create', 'list', 'updateRole', 'saveRefreshToken', 'revokeRefreshToken'
+];
+
+/**
+ * Check that an object implements the user repository interface
+ * Throws a TypeError naming the first missing member
+ */
+function assertUserRepository(repository) {
+    if (!repository || typeof repository.label !== 'string') {
+        throw new TypeError('User repository must have a string label');
+    }
+
+    for (const method of USER_REPOSITORY_METHODS) {
+        if (typeof repository[method] !== 'function') {
+            throw new TypeError(`User repository "${repository.label}" is missing ${method}()`);
+        }
+    }
+
+    return repository;
+}
+
+module.exports = {
+    USER_REPOSITORY_METHODS,
+    assertUserRepository
+};
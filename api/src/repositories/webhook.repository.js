@@ -0,0 +1,66 @@
+/**
+ * Webhook Repository Interface
+ *
+ * Like the user repositories (see user.repository.js), a webhook repository
+ * hides one database's SQL dialect behind a small promise-based interface.
+ * Webhooks live in the AUTH_DATABASE next to the users, whichever database
+ * the task changes come from. services/webhook.service.js and
+ * routes/webhooks.routes.js only talk to this interface.
+ *
+ * Every adapter must provide:
+ * - label:                        Human-readable database name used in log messages
+ * - create(webhook):              Insert { url, secret, events, created_by } and resolve to the new webhook
+ * - list():                       Resolve to every webhook (including its secret), ordered by ID
+ * - findById(id):                 Resolve to the webhook, or null
+ * - remove(id):                   Delete a webhook and its deliveries; resolve to true,
+ *                                 or false if it didn't exist
+ * - addDeliveries(deliveries):    Queue [{ webhook_id, event_id, event_type, payload, next_attempt_at }]
+ * - claimDueDeliveries(now, limit, until):
+ *                                 Claim up to limit pending deliveries whose next_attempt_at
+ *                                 has passed, oldest first, by moving their next_attempt_at to
+ *                                 until in one atomic step, so no other instance sends them too.
+ *                                 Resolve to the claimed deliveries, each with its webhook's
+ *                                 url and secret (a delivery whose outcome is never saved is
+ *                                 due again at until)
+ * - updateDelivery(id, changes):  Save the outcome of an attempt: { status, attempts,
+ *                                 next_attempt_at, response_status, last_error, delivered_at }
+ * - listDeliveries(filters):      Resolve to deliveries, newest first, filtered by
+ *                                 { webhookId, status } and capped at { limit }
+ * - retryDelivery(id, now):       Queue a dead delivery again with fresh attempts and
+ *                                 resolve to it, or null if there is no such dead delivery
+ *
+ * events and payload are returned as parsed JSON, timestamps as Dates.
+ */
+
+// Methods every adapter has to implement
+const WEBHOOK_REPOSITORY_METHODS = [
+    'create', 'list', 'findById', 'remove', 'addDeliveries',
+    'claimDueDeliveries', 'updateDelivery', 'listDeliveries', 'retryDelivery'
+];
+
+// Columns updateDelivery() may change
+const DELIVERY_UPDATE_FIELDS = ['status', 'attempts', 'next_attempt_at', 'response_status', 'last_error', 'delivered_at'];
+
+/**
+ * Check that an object implements the webhook repository interface
+ * Throws a TypeError naming the first missing member
+ */
+function assertWebhookRepository(repository) {
+    if (!repository || typeof repository.label !== 'string') {
+        throw new TypeError('Webhook repository must have a string label');
+    }
+
+    for (const method of WEBHOOK_REPOSITORY_METHODS) {
+        if (typeof repository[method] !== 'function') {
+            throw new TypeError(`Webhook repository "${repository.label}" is missing ${method}()`);
+        }
+    }
+
+    return repository;
+}
+
+module.exports = {
+    WEBHOOK_REPOSITORY_METHODS,
+    DELIVERY_UPDATE_FIELDS,
+    assertWebhookRepository
+};
@@ -0,0 +1,121 @@
+/**
+ * Admin Routes
+ *
+ * This file exposes user management for admins. Every endpoint requires
+ * an access token with the users:manage permission (see config/roles.js).
+ *
+ * - GET /api/admin/users            - List every user and their role
+ * - PUT /api/admin/users/:id/role   - Change a user's role
+ *
+ * A new role is written to the users table straight away, but it only
+ * reaches the user's access token at their next login or token refresh.
+ */
+
+const express = require('express');
+const { getAuthDatabase } = require('../config/databases');
+const { ROLES } = require('../config/roles');
+const { getUserRepository } = require('../repositories');
+const { assertUserRepository } = require('../repositories/user.repository');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { toPublicUser } = require('../services/auth.service');
+const { logDatabase } = require('../middleware/logging');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const users = assertUserRepository(getUserRepository(getAuthDatabase()));
+
+router.use(logDatabase(users.label), requireAuth, requirePermission('users:manage'));
+
+/**
+ * Validate the :id path parameter
+ */
+router.param('id', (req, res, next, id) => {
+    if (!/^[1-9]\d*$/.test(id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid user ID'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /admin/users
+ *
+ * Response: { data: [{ id, email, role, created_at }], count: 2 }
+ */
+router.get('/users', async (req, res) => {
+    try {
+        const data = (await users.list()).map(toPublicUser);
+
+        res.json({
+            success: true,
+            data,
+            count: data.length
+        });
+    } catch (error) {
+        logger.error('Error fetching users', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch users'
+        });
+    }
+});
+
+/**
+ * PUT /admin/users/:id/role
+ *
+ * Request body (JSON):
+ * {
+ *   "role": "viewer"   // Required: viewer, editor or admin
+ * }
+ *
+ * Response: The updated user
+ */
+router.put('/users/:id/role', async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        // Validate the role
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        // Stop admins from demoting themselves and leaving nobody to undo it
+        if (Number(req.params.id) === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot change your own role'
+            });
+        }
+
+        const user = await users.updateRole(req.params.id, role);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: toPublicUser(user),
+            message: 'Role updated successfully'
+        });
+    } catch (error) {
+        logger.error('Error updating role', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update role'
+        });
+    }
+});
+
+// Export the router
+module.exports = router;
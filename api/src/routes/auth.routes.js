@@ -0,0 +1,227 @@
+/**
+ * Authentication Routes
+ *
+ * This file exposes account and token endpoints. Accounts are stored in
+ * the AUTH_DATABASE (see config/databases.js) and are shared by every
+ * task database, so a user sees their own tasks in MySQL, PostgreSQL and SQLite.
+ *
+ * - POST /api/auth/register  - Create an account and sign in
+ * - POST /api/auth/login     - Exchange email and password for tokens
+ * - POST /api/auth/refresh   - Exchange a refresh token for a new token pair
+ * - POST /api/auth/logout    - Revoke a refresh token
+ */
+
+const express = require('express');
+const { getAuthDatabase } = require('../config/databases');
+const { getUserRepository } = require('../repositories');
+const { assertUserRepository } = require('../repositories/user.repository');
+const { hashPassword, verifyPassword, verifyToken, issueTokens } = require('../services/auth.service');
+const { logDatabase } = require('../middleware/logging');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const users = assertUserRepository(getUserRepository(getAuthDatabase()));
+
+router.use(logDatabase(users.label));
+
+// Deliberately simple: something@something.something
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+
+/**
+ * Read and normalise the email and password from a request body
+ * Emails are compared case-insensitively, so they are stored lowercase
+ */
+function readCredentials(body) {
+    return {
+        email: typeof body.email === 'string' ? body.email.trim().toLowerCase() : '',
+        password: typeof body.password === 'string' ? body.password : ''
+    };
+}
+
+/**
+ * POST /auth/register
+ *
+ * Request body (JSON):
+ * {
+ *   "email": "ada@example.com",   // Required
+ *   "password": "correct horse"   // Required, 8-72 characters
+ * }
+ *
+ * Response: { data: { user, accessToken, refreshToken, tokenType, expiresIn } }
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { email, password } = readCredentials(req.body);
+
+        // Validate the credentials
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid email is required'
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH || Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        // Checked up front to skip hashing, and again by create() in case
+        // a concurrent request takes the email in between
+        const user = !(await users.findByEmail(email))
+            && await users.create({ email, password_hash: await hashPassword(password) });
+
+        if (!user) {
+            return res.status(409).json({
+                success: false,
+                error: 'Email is already registered'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: await issueTokens(users, user),
+            message: 'User registered successfully'
+        });
+    } catch (error) {
+        logger.error('Error registering user', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register user'
+        });
+    }
+});
+
+/**
+ * POST /auth/login
+ *
+ * Request body (JSON): { "email": "...", "password": "..." }
+ *
+ * Response: { data: { user, accessToken, refreshToken, tokenType, expiresIn } }
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = readCredentials(req.body);
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email and password are required'
+            });
+        }
+
+        // The same error for an unknown email and a wrong password,
+        // so the response doesn't reveal which emails are registered
+        const user = await users.findByEmail(email);
+        const valid = await verifyPassword(password, user ? user.password_hash : null);
+
+        if (!valid) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid email or password'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await issueTokens(users, user),
+            message: 'Logged in successfully'
+        });
+    } catch (error) {
+        logger.error('Error logging in', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in'
+        });
+    }
+});
+
+/**
+ * POST /auth/refresh
+ *
+ * Request body (JSON): { "refreshToken": "..." }
+ *
+ * The refresh token is single-use: it is revoked and a new pair is returned
+ *
+ * Response: { data: { user, accessToken, refreshToken, tokenType, expiresIn } }
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const payload = verifyToken(req.body.refreshToken, 'refresh');
+
+        if (!payload) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        // Revoking fails if the token was already used or logged out
+        const revoked = await users.revokeRefreshToken(payload.jti);
+        const user = revoked ? await users.findById(Number(payload.sub)) : null;
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Refresh token has been revoked'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await issueTokens(users, user),
+            message: 'Token refreshed successfully'
+        });
+    } catch (error) {
+        logger.error('Error refreshing token', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh token'
+        });
+    }
+});
+
+/**
+ * POST /auth/logout
+ *
+ * Request body (JSON): { "refreshToken": "..." }
+ *
+ * Revokes the refresh token. Access tokens are not stored, so one that
+ * was already issued stays valid until it expires (JWT_ACCESS_TTL).
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        // An expired refresh token can still be logged out
+        const payload = verifyToken(req.body.refreshToken, 'refresh', { ignoreExpiration: true });
+
+        if (!payload) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid refresh token is required'
+            });
+        }
+
+        await users.revokeRefreshToken(payload.jti);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        logger.error('Error logging out', { requestId: req.id, database: users.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
+        });
+    }
+});
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Documentation Routes
+ *
+ * This file serves the OpenAPI document and an interactive explorer for it.
+ *
+ * - GET /openapi.json   - The OpenAPI 3 document (see docs/openapi.js)
+ * - GET /docs           - Swagger UI, to read the docs and try requests in the browser
+ *
+ * Only the databases that are enabled are documented, matching the routes
+ * that are actually mounted.
+ */
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { getEnabledDatabases } = require('../config/databases');
+const { buildOpenApiSpec } = require('../docs/openapi');
+
+const router = express.Router();
+
+const spec = buildOpenApiSpec({ databases: getEnabledDatabases() });
+
+/**
+ * GET /openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(spec);
+});
+
+/**
+ * GET /docs
+ *
+ * To call protected endpoints from the explorer, log in with
+ * POST /api/auth/login and paste the accessToken into "Authorize"
+ */
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(spec, {
+    customSiteTitle: 'Node.js Example API',
+    swaggerOptions: { persistAuthorization: true }
+}));
+
+module.exports = router;
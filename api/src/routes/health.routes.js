@@ -0,0 +1,120 @@
+/**
+ * Health Routes
+ *
+ * Three probes, for the three questions an orchestrator asks:
+ *
+ * - GET /health/live    - Is the process running? Never checks a database,
+ *                         so a database outage doesn't get the API restarted
+ *                         (Docker, Kubernetes livenessProbe)
+ * - GET /health/ready   - Should it receive traffic? 503 while a required
+ *                         database is down or the server is shutting down
+ *                         (Render healthCheckPath, Kubernetes readinessProbe)
+ * - GET /health         - Diagnostics for people: latency, pool usage, server
+ *                         and migration version of every database
+ *
+ * The database checks come from services/health.service.js and are cached
+ * briefly, so probing often doesn't load the databases.
+ */
+
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create the health router
+ *
+ * @param {object} options
+ * @param {object} options.healthCheck - From createHealthCheck() (services/health.service.js)
+ * @param {Function} options.isDraining - () => boolean, true once shutdown has begun (utils/shutdown.js)
+ * @returns {express.Router}
+ */
+function createHealthRouter({ healthCheck, isDraining }) {
+    const router = express.Router();
+
+    // While shutting down, tell load balancers to stop sending traffic
+    const draining = () => ({
+        status: 'draining',
+        timestamp: new Date().toISOString()
+    });
+
+    /**
+     * GET /health/live
+     * Answers as long as the event loop does, even while draining
+     */
+    router.get('/health/live', (req, res) => {
+        res.json({
+            status: 'alive',
+            uptime: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /health/ready
+     * 200 when every required database (REQUIRED_DATABASES) is connected
+     */
+    router.get('/health/ready', async (req, res) => {
+        if (isDraining()) {
+            return res.status(503).json(draining());
+        }
+
+        try {
+            const report = await healthCheck.check();
+            const ready = report.status !== 'unhealthy';
+
+            res.status(ready ? 200 : 503).json({
+                status: ready ? 'ready' : 'not ready',
+                timestamp: new Date().toISOString(),
+                // Only the required databases decide readiness
+                databases: Object.fromEntries(
+                    Object.entries(report.databases)
+                        .filter(([, database]) => database.required)
+                        .map(([name, database]) => [name, database.status])
+                )
+            });
+        } catch (error) {
+            logger.error('Readiness check error', { requestId: req.id, error });
+            res.status(503).json({
+                status: 'not ready',
+                error: 'Health check failed',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    /**
+     * GET /health
+     * 200 when healthy or degraded, 503 when a required database is down
+     */
+    router.get('/health', async (req, res) => {
+        if (isDraining()) {
+            return res.status(503).json(draining());
+        }
+
+        try {
+            const report = await healthCheck.check();
+
+            res.status(report.status === 'unhealthy' ? 503 : 200).json({
+                status: report.status,
+                timestamp: new Date().toISOString(),
+                checkedAt: report.checkedAt,
+                environment: process.env.NODE_ENV || 'development',
+                uptime: Math.round(process.uptime()),
+                databases: report.databases
+            });
+        } catch (error) {
+            // If health check itself fails, return 503
+            logger.error('Health check error', { requestId: req.id, error });
+            res.status(503).json({
+                status: 'unhealthy',
+                error: 'Health check failed',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHealthRouter
+};
@@ -0,0 +1,38 @@
+/**
+ * Metrics Routes
+ *
+ * This file exposes the metrics collected in utils/metrics.js for Prometheus.
+ *
+ * - GET /metrics   - Every metric in the Prometheus text format
+ *
+ * Example Prometheus scrape config:
+ *
+ *   scrape_configs:
+ *     - job_name: nodejs-example-api
+ *       static_configs:
+ *         - targets: ['api:3001']
+ */
+
+const express = require('express');
+const { registry } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ */
+router.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', registry.contentType);
+        res.send(await registry.metrics());
+    } catch (error) {
+        logger.error('Error collecting metrics', { requestId: req.id, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to collect metrics'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * SQLite Routes
+ * 
+ * This file exposes the task management endpoints for SQLite.
+ * The endpoints are shared with MySQL and PostgreSQL (see tasks.routes.js);
+ * only the repository differs.
+ * 
+ * Key differences from the server databases (handled in repositories/sqlite.repository.js):
+ * - The database is an embedded file (or in-memory), so no server is needed
+ * - Queries are synchronous
+ * - Timestamps are stored as text and converted to Dates
+ */
+
+const { db } = require('../config/sqlite');
+const { createSqliteTaskRepository } = require('../repositories/sqlite.repository');
+const { getTaskStream } = require('../services/taskStream.service');
+const { getTaskWebhooks } = require('../services/webhook.service');
+const { createTaskRouter } = require('./tasks.routes');
+
+// Export the router
+module.exports = createTaskRouter(createSqliteTaskRepository(db), {
+    stream: getTaskStream('sqlite'),
+    webhooks: getTaskWebhooks('sqlite')
+});
@@ -0,0 +1,73 @@
+/**
+ * Sync Routes
+ *
+ * This file exposes the cross-database sync endpoint.
+ * The sync logic lives in services/sync.service.js and the request is
+ * checked against schemas/sync.schemas.js - here we only plug in the
+ * MySQL and PostgreSQL repositories.
+ *
+ * - POST /api/sync   - Copy or reconcile tasks between MySQL and PostgreSQL
+ *
+ * Syncing copies every user's tasks, so it is limited to admins (sync:run).
+ */
+
+const express = require('express');
+const mysqlDb = require('../config/mysql');
+const postgresDb = require('../config/postgresql');
+const { createMysqlTaskRepository } = require('../repositories/mysql.repository');
+const { createPostgresTaskRepository } = require('../repositories/postgresql.repository');
+const { syncTasks } = require('../services/sync.service');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { syncTasksSchema } = require('../schemas/sync.schemas');
+const { logDatabase } = require('../middleware/logging');
+const { logger } = require('../utils/logger');
+const { instrumentRepository } = require('../utils/metrics');
+
+const router = express.Router();
+
+router.use(logDatabase('MySQL, PostgreSQL'), requireAuth, requirePermission('sync:run'));
+
+const repositories = {
+    mysql: instrumentRepository(createMysqlTaskRepository(mysqlDb.pool)),
+    postgresql: instrumentRepository(createPostgresTaskRepository(postgresDb.pool))
+};
+
+/**
+ * POST /sync
+ *
+ * Sync tasks between MySQL and PostgreSQL
+ *
+ * Request body (JSON):
+ * {
+ *   "direction": "mysql->postgresql",   // Required: mysql->postgresql, postgresql->mysql or bidirectional
+ *   "dryRun": true,                     // Optional: report the diff without writing anything
+ *   "force": false,                     // Optional (one-way): overwrite target tasks that are newer
+ *   "prune": false                      // Optional (one-way): delete target tasks missing from the source
+ * }
+ *
+ * Response: { data: { direction, dryRun, summary, changes, conflicts } }
+ */
+router.post('/', validate(syncTasksSchema), async (req, res) => {
+    try {
+        // validate() has filled in the flags' defaults
+        const { direction, dryRun, force, prune } = req.body;
+        const result = await syncTasks(repositories, { direction, dryRun, force, prune });
+
+        res.json({
+            success: true,
+            data: result,
+            message: dryRun ? 'Dry run complete, no tasks were changed' : 'Sync complete'
+        });
+    } catch (error) {
+        logger.error('Error syncing tasks', { requestId: req.id, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sync tasks'
+        });
+    }
+});
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,950 @@
+/**
+ * Shared Task Routes
+ *
+ * This file defines the RESTful task endpoints once, for any database.
+ * createTaskRouter() takes a task repository (see repositories/task.repository.js)
+ * and returns an Express router - the database-specific route files simply
+ * pass in their adapter.
+ *
+ * RESTful conventions (relative to the mount point, e.g. /api/mysql):
+ * - GET /tasks          - Get tasks (filtered, sorted and paginated)
+ * - GET /tasks/:id      - Get a single task by ID
+ * - POST /tasks         - Create a new task
+ * - PUT /tasks/:id      - Update an existing task
+ * - DELETE /tasks/:id   - Move a task to the trash (?hard=true deletes it for good)
+ * - GET /tasks/trash    - Get trashed tasks (filtered, sorted and paginated)
+ * - GET /tasks/overdue  - Get tasks past their due date that aren't completed
+ * - GET /tasks/search   - Full-text search of titles and descriptions, best match first
+ * - POST /tasks/:id/restore - Bring a task back from the trash
+ * - GET /tasks/:id/history  - Get every change made to a task
+ * - GET /tasks/stream   - Receive task changes as Server-Sent Events
+ * - GET /tasks/export   - Download every matching task as JSON, NDJSON or CSV
+ * - POST /tasks/import  - Add or update tasks from a JSON, NDJSON or CSV file
+ * - POST /tasks/bulk     - Create, update and delete many tasks in one transaction
+ *                          (MySQL and PostgreSQL)
+ *
+ * Every endpoint requires an access token (see middleware/auth.js) and a
+ * permission granted by the user's role (see config/roles.js):
+ * viewers can only read, editors can also create and update, and only
+ * admins can delete, restore and purge. Admins see every task; everyone
+ * else only sees the tasks they own.
+ *
+ * Clients that send too many requests get 429 (see middleware/rateLimit.js).
+ *
+ * Single tasks carry an ETag (their version, see utils/etag.js). PUT and
+ * DELETE honour If-Match and answer 412 when the task has changed since the
+ * client read it; GET honours If-None-Match and answers 304.
+ *
+ * Every change is recorded in the task's history with the user and request ID
+ * (see repositories/task.repository.js), which GET /tasks/:id/history returns.
+ *
+ * Every change is also pushed to the clients subscribed to GET /tasks/stream
+ * (see services/taskStream.service.js), so they can update without reloading,
+ * and sent to the registered webhooks (see services/webhook.service.js).
+ */
+
+const express = require('express');
+const { assertTaskRepository } = require('../repositories/task.repository');
+const { requireAuth, scopeTasksToOwner } = require('../middleware/auth');
+const { limitByIp, limitByUser } = require('../middleware/rateLimit');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { logDatabase } = require('../middleware/logging');
+const {
+    createTaskSchema,
+    updateTaskSchema,
+    deleteTaskQuerySchema,
+    bulkTaskSchema,
+    exportTaskQuerySchema,
+    importTaskQuerySchema,
+    searchTaskQuerySchema,
+    overdueTaskQuerySchema,
+    taskListQuerySchema
+} = require('../schemas/task.schemas');
+const { getBodyLimit } = require('../config/security');
+const { runBulkOperations } = require('../services/bulk.service');
+const {
+    EXPORT_CONTENT_TYPES,
+    exportTasks,
+    importFormatOf,
+    prepareImport,
+    importTasks
+} = require('../services/taskTransfer.service');
+const { createTaskStream } = require('../services/taskStream.service');
+const { toTaskListOptions, buildPage, overdueToday } = require('../utils/taskQuery');
+const { searchTerms, toSearchResult } = require('../utils/taskSearch');
+const { logger } = require('../utils/logger');
+const { taskETag, parseIfMatch, matchesIfMatch } = require('../utils/etag');
+const { instrumentRepository } = require('../utils/metrics');
+
+// Stream event for each bulk operation that was applied
+const BULK_EVENTS = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted'
+};
+
+// Used when a router is given no webhooks: nothing is sent
+const NO_WEBHOOKS = {
+    isSubscribed: () => false,
+    emit: () => {}
+};
+
+// Webhook event for each stream event
+const WEBHOOK_EVENTS = {
+    created: 'task.created',
+    updated: 'task.updated',
+    restored: 'task.updated',
+    deleted: 'task.deleted'
+};
+
+/**
+ * Create a task router backed by the given repository
+ *
+ * @param {object} repository - An object implementing the task repository interface
+ * @param {object} [options]
+ * @param {object} [options.stream] - Where changes are pushed (see services/taskStream.service.js);
+ *                                    the routers in index.js share one per database
+ * @param {object} [options.webhooks] - Where changes are sent, from getTaskWebhooks() in
+ *                                      services/webhook.service.js; none by default
+ * @returns {express.Router}
+ */
+function createTaskRouter(repository, { stream = createTaskStream(), webhooks = NO_WEBHOOKS } = {}) {
+    assertTaskRepository(repository);
+
+    // Time every query for /metrics
+    repository = instrumentRepository(repository);
+
+    const router = express.Router();
+    const { label } = repository;
+
+    // Name the database in the request log, rate limit by IP address,
+    // authenticate every request, rate limit by user (see middleware/rateLimit.js),
+    // then limit it to the user's own tasks (unless they are an admin)
+    // The scope ends up in req.taskScope and is passed to each repository call
+    router.use(logDatabase(label), limitByIp, requireAuth, limitByUser, scopeTasksToOwner);
+
+    /**
+     * Validate the :id path parameter for every route that uses it
+     * IDs are auto-incrementing integers in every schema
+     */
+    router.param('id', (req, res, next, id) => {
+        if (!/^[1-9]\d*$/.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+        next();
+    });
+
+    /**
+     * Who is making a change, for the task's history
+     */
+    function auditOf(req) {
+        return { actorId: req.user.id, actorEmail: req.user.email, requestId: req.id };
+    }
+
+    /**
+     * Push a change to GET /tasks/stream and the webhooks
+     * The stream is skipped when the database publishes its own changes (PG_LISTEN_NOTIFY=true)
+     *
+     * @param {object} event - { type, task } or { type, id, ownerId }, see publish() in
+     *                         services/taskStream.service.js
+     * @param {string} [previousStatus] - The task's status before an update, when
+     *                                    known; a different one sends task.status_changed
+     */
+    function publish(event, previousStatus) {
+        if (!stream.databaseEvents) {
+            stream.publish(event);
+        }
+
+        // Webhooks are sent in the background, so a slow receiver never holds up the response
+        const { type, task, id } = event;
+        webhooks.emit(WEBHOOK_EVENTS[type], task ? { task } : { id: Number(id) });
+
+        if (task && previousStatus !== undefined && task.status !== previousStatus) {
+            webhooks.emit('task.status_changed', { task, previous_status: previousStatus });
+        }
+    }
+
+    /**
+     * Read the status of the tasks an update may change, for task.status_changed
+     * Only done while a webhook subscribes to it. The read happens before the
+     * write, so if another request changes the status in between,
+     * previous_status is still the one read here.
+     *
+     * @param {Array<{ id, status }>} updates - The ID and new status of each update
+     * @param {object} scope - req.taskScope
+     * @returns {Promise<Map>} Task ID -> status before the update
+     */
+    async function readStatuses(updates, scope) {
+        const statuses = new Map();
+
+        if (!webhooks.isSubscribed('task.status_changed')) {
+            return statuses;
+        }
+
+        for (const update of updates) {
+            // Bulk operations aren't validated yet; the invalid ones fail on their own
+            const id = Number(update.id);
+            if (update.status !== undefined && Number.isInteger(id) && id > 0 && !statuses.has(id)) {
+                const task = await repository.findById(id, scope);
+                if (task) {
+                    statuses.set(id, task.status);
+                }
+            }
+        }
+        return statuses;
+    }
+
+    /**
+     * Answer 412 for a task that changed since the client read it
+     * The response carries the current task and its ETag, so the client can
+     * reload it, or overwrite it by sending the new ETag in If-Match
+     */
+    function sendPreconditionFailed(res, task) {
+        res.set('ETag', taskETag(task)).status(412).json({
+            success: false,
+            data: task,
+            error: 'Task has been modified',
+            message: `The task is at version ${task.version} now. Reload it, or send its current ETag in If-Match to overwrite it.`
+        });
+    }
+
+    /**
+     * Check If-Match before PUT and DELETE
+     *
+     * Without the header, req.taskCondition is empty and the write always
+     * applies. With it, the task's version must be one the client names (or
+     * any version for *), and req.taskCondition = { version } makes the
+     * repository write only that version - so a change that lands between
+     * this check and the write is caught too.
+     */
+    async function checkIfMatch(req, res, next) {
+        const expected = parseIfMatch(req.get('If-Match'));
+        req.taskCondition = {};
+
+        if (!expected) {
+            return next();
+        }
+
+        try {
+            const task = await repository.findById(req.params.id, req.taskScope);
+
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Task not found'
+                });
+            }
+
+            if (!matchesIfMatch(expected, task)) {
+                return sendPreconditionFailed(res, task);
+            }
+
+            req.taskCondition = { version: task.version };
+            req.currentTask = task;
+            next();
+        } catch (error) {
+            logger.error('Error checking task version', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch task'
+            });
+        }
+    }
+
+    /**
+     * Answer a write that matched no task: 412 if the task changed after
+     * checkIfMatch() looked at it, otherwise 404
+     */
+    async function sendNotWritten(req, res) {
+        const task = req.taskCondition.version !== undefined
+            ? await repository.findById(req.params.id, req.taskScope)
+            : null;
+
+        if (task) {
+            return sendPreconditionFailed(res, task);
+        }
+
+        res.status(404).json({
+            success: false,
+            error: 'Task not found'
+        });
+    }
+
+    /**
+     * GET /tasks
+     *
+     * Retrieve a page of tasks
+     *
+     * Query parameters (all optional, see utils/taskQuery.js):
+     * - status, priority, q, created_from, created_to, updated_from, updated_to, due_from, due_to
+     * - sort, order, limit, cursor
+     *
+     * Response: { data: [...], count: 1, total: 12, nextCursor: "..." }
+     */
+    router.get('/tasks', requirePermission('tasks:read'), validate(taskListQuerySchema, 'query'), async (req, res) => {
+        try {
+            // The query string was validated by the middleware above
+            const options = toTaskListOptions(req.query);
+            const { rows, total } = await repository.list(options, req.taskScope);
+            const { data, nextCursor } = buildPage(rows, options);
+
+            res.json({
+                success: true,
+                data,
+                count: data.length,
+                total,
+                nextCursor
+            });
+        } catch (error) {
+            // If anything goes wrong, log it and return a 500 error to the client
+            // The error itself stays in the log - database errors can name tables, columns or hosts
+            logger.error('Error fetching tasks', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch tasks'
+            });
+        }
+    });
+
+    /**
+     * GET /tasks/trash
+     *
+     * Retrieve a page of trashed tasks, with the same query parameters and
+     * response as GET /tasks. deleted_at says when each task was deleted;
+     * it is purged for good TRASH_RETENTION_DAYS later (see config/trash.js).
+     *
+     * Defined before GET /tasks/:id, which would otherwise match "trash"
+     */
+    router.get('/tasks/trash', requirePermission('tasks:read'), validate(taskListQuerySchema, 'query'), async (req, res) => {
+        try {
+            const options = { ...toTaskListOptions(req.query), trashed: true };
+            const { rows, total } = await repository.list(options, req.taskScope);
+            const { data, nextCursor } = buildPage(rows, options);
+
+            res.json({
+                success: true,
+                data,
+                count: data.length,
+                total,
+                nextCursor
+            });
+        } catch (error) {
+            logger.error('Error fetching trashed tasks', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch trashed tasks'
+            });
+        }
+    });
+
+    /**
+     * GET /tasks/overdue
+     *
+     * Retrieve a page of the tasks that are overdue: due before today (in
+     * UTC, see overdueToday() in utils/taskQuery.js) and not completed.
+     * Takes the same query parameters as GET /tasks, but sorts by due_date,
+     * oldest first, unless told otherwise.
+     *
+     * Response: { data: [...], count: 1, total: 3, nextCursor: "..." }
+     *
+     * Defined before GET /tasks/:id, which would otherwise match "overdue"
+     */
+    router.get('/tasks/overdue', requirePermission('tasks:read'), validate(overdueTaskQuerySchema, 'query'), async (req, res) => {
+        try {
+            const options = { ...toTaskListOptions(req.query), overdueOn: overdueToday() };
+            const { rows, total } = await repository.list(options, req.taskScope);
+            const { data, nextCursor } = buildPage(rows, options);
+
+            res.json({
+                success: true,
+                data,
+                count: data.length,
+                total,
+                nextCursor
+            });
+        } catch (error) {
+            logger.error('Error fetching overdue tasks', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch overdue tasks'
+            });
+        }
+    });
+
+    /**
+     * GET /tasks/search
+     *
+     * Search the titles and descriptions of the user's live tasks with the
+     * database's full-text index (see utils/taskSearch.js). Every word of q
+     * must match, as a whole word or the start of one; titles count more
+     * than descriptions.
+     *
+     * Query parameters:
+     * - q:              What to search for (required)
+     * - status:         As for GET /tasks
+     * - limit, offset:  Page through the results (20 at a time by default)
+     *
+     * Each task has a rank (higher is better; only comparable within one
+     * database) and highlight: { title, description }, HTML with the
+     * matching words in <mark> tags and a long description cut down to the
+     * part around the first match. Everything else in it is escaped.
+     *
+     * Response: { data: [...], count: 2, total: 2 }
+     *
+     * Defined before GET /tasks/:id, which would otherwise match "search"
+     */
+    if (repository.search) {
+        router.get('/tasks/search', requirePermission('tasks:read'), validate(searchTaskQuerySchema, 'query'), async (req, res) => {
+            try {
+                const { q, status, limit, offset } = req.query;
+                const terms = searchTerms(q);
+                const { rows, total } = await repository.search({ terms, statuses: status || [], limit, offset }, req.taskScope);
+                const data = rows.map(row => toSearchResult(row, terms));
+
+                res.json({
+                    success: true,
+                    data,
+                    count: data.length,
+                    total
+                });
+            } catch (error) {
+                logger.error('Error searching tasks', { requestId: req.id, database: label, error });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to search tasks'
+                });
+            }
+        });
+    }
+
+    /**
+     * GET /tasks/stream
+     *
+     * Keep the response open and send every change to the user's tasks as a
+     * Server-Sent Event: created, updated, restored (with the task) and
+     * deleted (with its ID). Nothing is replayed, so clients should reload
+     * the task list when they reconnect.
+     *
+     * Defined before GET /tasks/:id, which would otherwise match "stream"
+     */
+    router.get('/tasks/stream', requirePermission('tasks:read'), (req, res) => {
+        stream.subscribe(req, res);
+    });
+
+    /**
+     * Resolve once the response can take more data, or is closed
+     */
+    function drained(res) {
+        return new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+
+    /**
+     * GET /tasks/export
+     *
+     * Download every task matching the filters as a file, oldest ID first,
+     * with the columns id, title, description, status, priority, due_date,
+     * created_at and updated_at (see services/taskTransfer.service.js)
+     *
+     * Query parameters (all optional):
+     * - format:  json (default), ndjson or csv
+     * - status, priority, q, created_from, created_to, updated_from, updated_to, due_from, due_to:
+     *            As for GET /tasks
+     *
+     * The file is streamed as the tasks are read, so it has no
+     * Content-Length. A database error halfway through ends the connection
+     * before the file is complete.
+     *
+     * Defined before GET /tasks/:id, which would otherwise match "export"
+     */
+    router.get('/tasks/export', requirePermission('tasks:read'), validate(exportTaskQuerySchema, 'query'), async (req, res) => {
+        const { format, ...filters } = req.query;
+        const chunks = exportTasks(repository, toTaskListOptions(filters), req.taskScope, format);
+        let chunk;
+
+        try {
+            chunk = await chunks.next();
+        } catch (error) {
+            logger.error('Error exporting tasks', { requestId: req.id, database: label, error });
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to export tasks'
+            });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set({
+            'Content-Type': EXPORT_CONTENT_TYPES[format],
+            'Content-Disposition': `attachment; filename="tasks-${label.toLowerCase()}-${date}.${format}"`
+        });
+
+        try {
+            while (!chunk.done) {
+                // Wait while the client reads slower than the database answers
+                if (!res.write(chunk.value) && !res.destroyed) {
+                    await drained(res);
+                }
+
+                // The client went away; stop reading
+                if (res.destroyed) {
+                    return await chunks.return();
+                }
+
+                chunk = await chunks.next();
+            }
+            res.end();
+        } catch (error) {
+            // The status is sent already; closing early tells the client the file is incomplete
+            logger.error('Error exporting tasks', { requestId: req.id, database: label, error });
+            res.destroy();
+        }
+    });
+
+    /**
+     * GET /tasks/:id
+     *
+     * Retrieve a single task by its ID
+     *
+     * Response: Single task object or 404 if not found
+     * The ETag header holds the task's version; with If-None-Match set to
+     * that ETag the response is 304 Not Modified, without a body
+     */
+    router.get('/tasks/:id', requirePermission('tasks:read'), async (req, res) => {
+        try {
+            const task = await repository.findById(req.params.id, req.taskScope);
+
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Task not found'
+                });
+            }
+
+            // req.fresh compares If-None-Match with the ETag set here
+            res.set('ETag', taskETag(task));
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+
+            res.json({
+                success: true,
+                data: task
+            });
+        } catch (error) {
+            logger.error('Error fetching task', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch task'
+            });
+        }
+    });
+
+    /**
+     * POST /tasks
+     *
+     * Create a new task
+     *
+     * Request body (JSON), validated by createTaskSchema (see schemas/task.schemas.js):
+     * {
+     *   "title": "Task title",           // Required, 1-255 characters
+     *   "description": "Description",    // Optional
+     *   "status": "pending",             // Optional, defaults to 'pending'
+     *   "priority": "high",              // Optional: low, medium (the default), high or urgent
+     *   "due_date": "2024-01-31"         // Optional, YYYY-MM-DD
+     * }
+     *
+     * Response: The newly created task with its generated ID
+     */
+    router.post('/tasks', requirePermission('tasks:create'), validate(createTaskSchema), async (req, res) => {
+        try {
+            const { title, description, status, priority, due_date } = req.body;
+
+            // New tasks belong to the user who created them
+            const task = await repository.create(
+                { title, description, status, priority, due_date, owner_id: req.user.id },
+                auditOf(req)
+            );
+            publish({ type: 'created', task });
+
+            // Return the new task with 201 Created status
+            res.set('ETag', taskETag(task)).status(201).json({
+                success: true,
+                data: task,
+                message: 'Task created successfully'
+            });
+        } catch (error) {
+            logger.error('Error creating task', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create task'
+            });
+        }
+    });
+
+    /**
+     * POST /tasks/bulk
+     *
+     * Create, update and delete many tasks in one request and one transaction
+     * (see services/bulk.service.js). Only mounted for databases whose
+     * repository supports transactions (MySQL and PostgreSQL).
+     *
+     * Request body (JSON), validated by bulkTaskSchema:
+     * {
+     *   "mode": "atomic",                // Or "best_effort", defaults to "atomic"
+     *   "operations": [                  // 1-100 operations, run in order
+     *     { "op": "create", "title": "New task" },
+     *     { "op": "update", "id": 4, "status": "completed" },
+     *     { "op": "delete", "id": 7 }
+     *   ]
+     * }
+     *
+     * Each operation needs the same permission as its single-task endpoint.
+     *
+     * Response: { data: { mode, applied, succeeded, failed, results: [...] } }
+     * - 200 when every operation succeeded
+     * - atomic: the status of the failed operation (400, 403 or 404) when nothing was changed
+     * - best_effort: 207 when some operations failed and the others were kept
+     */
+    if (repository.transaction) {
+        router.post('/tasks/bulk', validate(bulkTaskSchema), async (req, res) => {
+            try {
+                const { mode, operations } = req.body;
+                const statuses = await readStatuses(
+                    operations.filter(operation => operation && operation.op === 'update'),
+                    req.taskScope
+                );
+                const result = await runBulkOperations(repository, operations, {
+                    mode,
+                    user: req.user,
+                    scope: req.taskScope,
+                    requestId: req.id,
+                    onError: (error, index) => logger.error('Error in bulk task operation', { requestId: req.id, database: label, index, error })
+                });
+
+                // Only announce what was committed
+                if (result.applied) {
+                    for (const item of result.results.filter(item => item.success)) {
+                        publish(
+                            { type: BULK_EVENTS[item.op], task: item.data, id: item.id, ownerId: req.taskScope.ownerId },
+                            item.op === 'update' ? statuses.get(Number(item.id)) : undefined
+                        );
+                    }
+                }
+
+                if (result.failed === 0) {
+                    return res.json({
+                        success: true,
+                        data: result,
+                        message: `${result.succeeded} operations applied`
+                    });
+                }
+
+                if (!result.applied) {
+                    const failure = result.results.find(item => item.status !== 424);
+                    return res.status(failure.status).json({
+                        success: false,
+                        data: result,
+                        error: `Operation ${failure.index} failed: ${failure.error}`,
+                        message: 'No changes were made'
+                    });
+                }
+
+                res.status(207).json({
+                    success: false,
+                    data: result,
+                    error: `${result.failed} of ${operations.length} operations failed`,
+                    message: `${result.succeeded} operations applied`
+                });
+            } catch (error) {
+                logger.error('Error running bulk task operations', { requestId: req.id, database: label, error });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to run bulk operations',
+                    message: 'No changes were made'
+                });
+            }
+        });
+    }
+
+    /**
+     * POST /tasks/import
+     *
+     * Add tasks from a file, such as one downloaded from GET /tasks/export
+     * (see services/taskTransfer.service.js)
+     *
+     * Request body, in the format named by Content-Type:
+     * - application/json:      [{ "title": "Task title", "status": "pending" }, ...]
+     * - application/x-ndjson:  One task object per line
+     * - text/csv:              A header row (title is required), then one task per row
+     *
+     * Each row takes the POST /tasks fields, and id, created_at and
+     * updated_at in upsert mode. Up to 5,000 rows, within BODY_LIMIT.
+     *
+     * Query parameters:
+     * - mode=append (default):  Create a new task for every row
+     * - mode=upsert:            Update the task with the row's id, or create it
+     *                           with that id. IDs are shared by every user, so
+     *                           this needs the tasks:update and tasks:all_owners
+     *                           permissions.
+     *
+     * Response: { data: { mode, total, created, updated } }, or 400 listing
+     * the invalid rows as { row, field, message }, in which case nothing is imported
+     */
+    const requireUpdate = requirePermission('tasks:update');
+    const requireAllOwners = requirePermission('tasks:all_owners');
+    const parseImportText = express.text({ type: ['text/csv', 'application/x-ndjson'], limit: getBodyLimit() });
+
+    router.post(
+        '/tasks/import',
+        requirePermission('tasks:create'),
+        validate(importTaskQuerySchema, 'query'),
+        (req, res, next) => (req.query.mode === 'upsert' ? requireUpdate(req, res, () => requireAllOwners(req, res, next)) : next()),
+        parseImportText,
+        async (req, res) => {
+            const format = importFormatOf(req);
+            if (!format) {
+                return res.status(415).json({
+                    success: false,
+                    error: 'Unsupported Content-Type',
+                    message: 'Send application/json, application/x-ndjson or text/csv'
+                });
+            }
+
+            const { mode } = req.query;
+            const { tasks, errors, error } = prepareImport(req.body, format, mode);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            if (errors.length > 0) {
+                const invalid = new Set(errors.map(({ row }) => row)).size;
+                return res.status(400).json({
+                    success: false,
+                    error: `${invalid} ${invalid === 1 ? 'row is' : 'rows are'} invalid`,
+                    errors,
+                    message: 'No tasks were imported'
+                });
+            }
+
+            try {
+                const results = await importTasks(repository, tasks, { user: req.user, requestId: req.id });
+
+                for (const { type, task, previousStatus } of results) {
+                    publish({ type, task }, previousStatus);
+                }
+
+                const created = results.filter(({ type }) => type === 'created').length;
+                res.json({
+                    success: true,
+                    data: { mode, total: results.length, created, updated: results.length - created },
+                    message: `${results.length} tasks imported`
+                });
+            } catch (error) {
+                logger.error('Error importing tasks', { requestId: req.id, database: label, error });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to import tasks',
+                    message: repository.transaction
+                        ? 'No tasks were imported'
+                        : 'The rows before the one that failed were imported'
+                });
+            }
+        }
+    );
+
+    /**
+     * PUT /tasks/:id
+     *
+     * Update an existing task
+     *
+     * Request body (JSON), validated by updateTaskSchema - all fields are optional,
+     * but at least one is required:
+     * {
+     *   "title": "New title",
+     *   "description": "New description",
+     *   "status": "completed",
+     *   "priority": "urgent",
+     *   "due_date": null                 // null removes the due date
+     * }
+     *
+     * Optional header: If-Match: "<ETag from GET /tasks/:id>"
+     *
+     * Response: The updated task and its new ETag, or 412 with the current
+     * task if it was modified since that ETag
+     */
+    router.put('/tasks/:id', requirePermission('tasks:update'), validate(updateTaskSchema), checkIfMatch, async (req, res) => {
+        try {
+            const { title, description, status, priority, due_date } = req.body;
+
+            // checkIfMatch() has read the task already when If-Match was sent
+            const statuses = req.currentTask
+                ? new Map([[req.currentTask.id, req.currentTask.status]])
+                : await readStatuses([{ id: req.params.id, status }], req.taskScope);
+
+            const task = await repository.update(
+                req.params.id,
+                { title, description, status, priority, due_date },
+                req.taskScope,
+                { ...req.taskCondition, ...auditOf(req) }
+            );
+
+            if (!task) {
+                return await sendNotWritten(req, res);
+            }
+
+            publish({ type: 'updated', task }, status === undefined ? undefined : statuses.get(task.id));
+
+            res.set('ETag', taskETag(task)).json({
+                success: true,
+                data: task,
+                message: 'Task updated successfully'
+            });
+        } catch (error) {
+            logger.error('Error updating task', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update task'
+            });
+        }
+    });
+
+    /**
+     * DELETE /tasks/:id
+     *
+     * Move a task to the trash, from where POST /tasks/:id/restore brings it back
+     *
+     * Query parameters:
+     * - hard=true:  Delete the task for good instead, whether it is live or
+     *               already in the trash (needs the tasks:purge permission)
+     *
+     * Optional header: If-Match: "<ETag from GET /tasks/:id>"
+     *
+     * Response: Success message, or 412 with the current task if it was
+     * modified since that ETag
+     */
+    const requirePurge = requirePermission('tasks:purge');
+
+    router.delete(
+        '/tasks/:id',
+        requirePermission('tasks:delete'),
+        validate(deleteTaskQuerySchema, 'query'),
+        (req, res, next) => (req.query.hard === 'true' ? requirePurge(req, res, next) : next()),
+        checkIfMatch,
+        async (req, res) => {
+            try {
+                const hard = req.query.hard === 'true';
+                const options = { ...req.taskCondition, ...auditOf(req) };
+                const deleted = hard
+                    ? await repository.purge(req.params.id, req.taskScope, options)
+                    : await repository.remove(req.params.id, req.taskScope, options);
+
+                if (!deleted) {
+                    return await sendNotWritten(req, res);
+                }
+
+                // Users other than admins can only delete their own tasks
+                publish({ type: 'deleted', id: req.params.id, ownerId: req.taskScope.ownerId });
+
+                res.json({
+                    success: true,
+                    message: hard ? 'Task deleted permanently' : 'Task moved to the trash'
+                });
+            } catch (error) {
+                logger.error('Error deleting task', { requestId: req.id, database: label, error });
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to delete task'
+                });
+            }
+        }
+    );
+
+    /**
+     * POST /tasks/:id/restore
+     *
+     * Bring a task back from the trash
+     *
+     * Response: The restored task, or 404 if it is not in the trash
+     */
+    router.post('/tasks/:id/restore', requirePermission('tasks:delete'), async (req, res) => {
+        try {
+            const task = await repository.restore(req.params.id, req.taskScope, auditOf(req));
+
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Task not found in the trash'
+                });
+            }
+
+            publish({ type: 'restored', task });
+
+            res.set('ETag', taskETag(task)).json({
+                success: true,
+                data: task,
+                message: 'Task restored'
+            });
+        } catch (error) {
+            logger.error('Error restoring task', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to restore task'
+            });
+        }
+    });
+
+    /**
+     * GET /tasks/:id/history
+     *
+     * Every change made to a task, oldest first: who made it (actor_id,
+     * actor_email), in which request (request_id), and the task before and
+     * after it (old_values, new_values). Trashed tasks have a history too.
+     *
+     * Response: The events, or 404 if the task does not exist
+     */
+    router.get('/tasks/:id/history', requirePermission('tasks:read'), async (req, res) => {
+        try {
+            const events = await repository.history(req.params.id, req.taskScope);
+
+            if (!events) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Task not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: events,
+                count: events.length
+            });
+        } catch (error) {
+            logger.error('Error fetching task history', { requestId: req.id, database: label, error });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch task history'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTaskRouter
+};
@@ -0,0 +1,287 @@
+/**
+ * Webhook Routes
+ *
+ * This file lets admins register the URLs that receive task changes (see
+ * services/webhook.service.js) and follow their deliveries. Every endpoint
+ * requires an access token with the webhooks:manage permission (see config/roles.js).
+ *
+ * - GET /api/webhooks                          - List every webhook
+ * - POST /api/webhooks                         - Register a webhook
+ * - GET /api/webhooks/:id                      - Get a webhook
+ * - DELETE /api/webhooks/:id                   - Remove a webhook and its deliveries
+ * - GET /api/webhooks/:id/deliveries           - The webhook's delivery log, newest first
+ * - GET /api/webhooks/dead-letters             - Deliveries that ran out of attempts
+ * - POST /api/webhooks/deliveries/:id/retry    - Send a dead delivery again
+ *
+ * A webhook's secret is only returned when it is registered; keep it to
+ * check the X-Webhook-Signature of each delivery.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { getAuthDatabase } = require('../config/databases');
+const { getWebhookRepository } = require('../repositories');
+const { assertWebhookRepository } = require('../repositories/webhook.repository');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { logDatabase } = require('../middleware/logging');
+const { createWebhookSchema, deliveryListQuerySchema } = require('../schemas/webhook.schemas');
+const { getWebhookDispatcher } = require('../services/webhook.service');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const webhooks = assertWebhookRepository(getWebhookRepository(getAuthDatabase()));
+const dispatcher = getWebhookDispatcher();
+
+router.use(logDatabase(webhooks.label), requireAuth, requirePermission('webhooks:manage'));
+
+/**
+ * Validate the :id path parameter (a webhook or a delivery ID)
+ */
+router.param('id', (req, res, next, id) => {
+    if (!/^[1-9]\d*$/.test(id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid ID'
+        });
+    }
+    next();
+});
+
+/**
+ * A webhook without its secret
+ */
+function toPublicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+/**
+ * GET /webhooks
+ *
+ * Response: { data: [{ id, url, events, created_by, created_at }], count: 1 }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = (await webhooks.list()).map(toPublicWebhook);
+
+        res.json({
+            success: true,
+            data,
+            count: data.length
+        });
+    } catch (error) {
+        logger.error('Error fetching webhooks', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhooks'
+        });
+    }
+});
+
+/**
+ * POST /webhooks
+ *
+ * Request body (JSON), validated by createWebhookSchema (see schemas/webhook.schemas.js):
+ * {
+ *   "url": "https://example.com/hooks/tasks",        // Required, http or https
+ *   "events": ["task.created", "task.deleted"],      // Required, see WEBHOOK_EVENTS
+ *   "secret": "at least 16 characters"               // Optional, generated when missing
+ * }
+ *
+ * Response: The new webhook, including its secret
+ */
+router.post('/', validate(createWebhookSchema), async (req, res) => {
+    try {
+        const { url, events, secret } = req.body;
+
+        const webhook = await webhooks.create({
+            url,
+            // Each event only needs to be listed once
+            events: [...new Set(events)],
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            created_by: req.user.id
+        });
+
+        // Start sending its events straight away
+        await dispatcher.refresh();
+
+        res.status(201).json({
+            success: true,
+            data: webhook,
+            message: 'Webhook created. Keep the secret to verify deliveries; it is not shown again.'
+        });
+    } catch (error) {
+        logger.error('Error creating webhook', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create webhook'
+        });
+    }
+});
+
+/**
+ * GET /webhooks/dead-letters
+ *
+ * Deliveries of every webhook that failed WEBHOOK_MAX_ATTEMPTS times, newest
+ * first. POST /webhooks/deliveries/:id/retry sends one again.
+ *
+ * Query parameters:
+ * - limit:  At most this many deliveries (1-100, default 50)
+ *
+ * Defined before GET /webhooks/:id, which would otherwise match "dead-letters"
+ */
+router.get('/dead-letters', validate(deliveryListQuerySchema, 'query'), async (req, res) => {
+    try {
+        const data = await webhooks.listDeliveries({ status: 'dead', limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data,
+            count: data.length
+        });
+    } catch (error) {
+        logger.error('Error fetching dead letters', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch dead letters'
+        });
+    }
+});
+
+/**
+ * GET /webhooks/:id
+ *
+ * Response: The webhook (without its secret), or 404
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const webhook = await webhooks.findById(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: toPublicWebhook(webhook)
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook'
+        });
+    }
+});
+
+/**
+ * DELETE /webhooks/:id
+ *
+ * Stops sending events to the webhook and removes its delivery log,
+ * including deliveries that were still waiting to be retried
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const removed = await webhooks.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+
+        await dispatcher.refresh();
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting webhook', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook'
+        });
+    }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ *
+ * The webhook's delivery log, newest first: each event sent to it, its
+ * status (pending, delivered or dead), the number of attempts, and the
+ * HTTP status and error of the latest one.
+ *
+ * Query parameters:
+ * - status:  Only deliveries with this status
+ * - limit:   At most this many deliveries (1-100, default 50)
+ */
+router.get('/:id/deliveries', validate(deliveryListQuerySchema, 'query'), async (req, res) => {
+    try {
+        const webhook = await webhooks.findById(req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+
+        const { status, limit } = req.query;
+        const data = await webhooks.listDeliveries({ webhookId: webhook.id, status, limit });
+
+        res.json({
+            success: true,
+            data,
+            count: data.length
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook deliveries', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook deliveries'
+        });
+    }
+});
+
+/**
+ * POST /webhooks/deliveries/:id/retry
+ *
+ * Take a delivery off the dead-letter list and send it again, with a fresh
+ * set of attempts
+ *
+ * Response: The delivery (now pending), or 404 if it is not a dead delivery
+ */
+router.post('/deliveries/:id/retry', async (req, res) => {
+    try {
+        const delivery = await dispatcher.redeliver(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead delivery not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: delivery,
+            message: 'Delivery queued again'
+        });
+    } catch (error) {
+        logger.error('Error retrying webhook delivery', { requestId: req.id, database: webhooks.label, error });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry webhook delivery'
+        });
+    }
+});
+
+// Export the router
+module.exports = router;
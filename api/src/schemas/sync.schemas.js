@@ -0,0 +1,36 @@
+/**
+ * Sync Schemas
+ *
+ * The accepted shape of a POST /api/sync request (see routes/sync.routes.js),
+ * applied by the validate() middleware like the task schemas.
+ */
+
+const { SYNC_DIRECTIONS } = require('../services/sync.service');
+
+/**
+ * force and prune need one side to be the source of truth, so a
+ * bidirectional sync can't take them
+ */
+function oneWayOnly(name) {
+    return (value, { direction }) => {
+        if (value && direction === 'bidirectional') {
+            return `${name} is only supported for one-way syncs`;
+        }
+    };
+}
+
+/**
+ * POST /sync
+ */
+const syncTasksSchema = {
+    fields: {
+        direction: { type: 'string', required: true, enum: Object.keys(SYNC_DIRECTIONS) },
+        dryRun: { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false, check: oneWayOnly('force') },
+        prune: { type: 'boolean', default: false, check: oneWayOnly('prune') }
+    }
+};
+
+module.exports = {
+    syncTasksSchema
+};
@@ -0,0 +1,184 @@
+/**
+ * Task Schemas
+ *
+ * The accepted shape of each task request, in one place.
+ * They are applied by the validate() middleware (see middleware/validate.js)
+ * and use the rules described in utils/validation.js.
+ *
+ * The limits match the columns in migrations/<database>/001_create_tasks.up.sql,
+ * so a value that passes validation always fits in every database.
+ * The GET /tasks query schema lives in utils/taskQuery.js and is re-exported here.
+ */
+
+const { VALID_STATUSES, VALID_PRIORITIES, taskListQuerySchema } = require('../utils/taskQuery');
+const { searchTerms } = require('../utils/taskSearch');
+
+// title is VARCHAR(255); description is TEXT, which holds 65,535 bytes in MySQL
+const TITLE_MAX_LENGTH = 255;
+const DESCRIPTION_MAX_BYTES = 65535;
+
+const taskFields = {
+    title: { type: 'string', trim: true, minLength: 1, maxLength: TITLE_MAX_LENGTH },
+    description: { type: 'string', nullable: true, maxBytes: DESCRIPTION_MAX_BYTES },
+    status: { type: 'string', enum: VALID_STATUSES },
+    priority: { type: 'string', enum: VALID_PRIORITIES },
+    // A calendar day such as "2024-01-31"; null removes the due date
+    due_date: { type: 'day', nullable: true }
+};
+
+/**
+ * POST /tasks
+ */
+const createTaskSchema = {
+    fields: {
+        ...taskFields,
+        title: { ...taskFields.title, required: true }
+    }
+};
+
+/**
+ * PUT /tasks/:id - every field is optional, but at least one is needed
+ */
+const updateTaskSchema = {
+    fields: taskFields,
+    requireAny: 'No fields to update'
+};
+
+/**
+ * DELETE /tasks/:id query string - ?hard=true deletes for good instead of
+ * moving the task to the trash
+ */
+const deleteTaskQuerySchema = {
+    fields: {
+        hard: { type: 'string', enum: ['true', 'false'], default: 'false' }
+    }
+};
+
+/**
+ * POST /tasks/bulk - each operation is checked by services/bulk.service.js
+ * against bulkOperationSchema, then createTaskSchema or updateTaskSchema
+ */
+const BULK_MODES = ['atomic', 'best_effort'];
+const BULK_MAX_OPERATIONS = 100;
+
+const bulkTaskSchema = {
+    fields: {
+        mode: { type: 'string', enum: BULK_MODES, default: 'atomic' },
+        operations: { type: 'array', required: true, minItems: 1, maxItems: BULK_MAX_OPERATIONS }
+    }
+};
+
+// { op: 'create', title, ... }, { op: 'update', id, title, ... } or { op: 'delete', id }
+const bulkOperationSchema = {
+    fields: {
+        op: { type: 'string', required: true, enum: ['create', 'update', 'delete'] },
+        id: { type: 'integer', min: 1, check: (id, { op }) => (op === 'create' ? 'id is not allowed when creating a task' : undefined) }
+    }
+};
+
+/**
+ * GET /tasks/export query string - the GET /tasks filters (no sort or
+ * paging: every matching task is exported, oldest ID first) and the format
+ */
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+const taskFilterFields = Object.fromEntries(
+    Object.entries(taskListQuerySchema.fields).filter(([name]) => !['sort', 'order', 'limit', 'cursor'].includes(name))
+);
+
+const exportTaskQuerySchema = {
+    coerce: true,
+    fields: {
+        ...taskFilterFields,
+        format: { type: 'string', lowercase: true, enum: EXPORT_FORMATS, default: 'json' }
+    }
+};
+
+/**
+ * POST /tasks/import query string
+ * - append:  Every row becomes a new task; ids and timestamps are ignored
+ * - upsert:  Rows with an id update that task, or create it with that id
+ */
+const IMPORT_MODES = ['append', 'upsert'];
+const IMPORT_MAX_ROWS = 5000;
+
+const importTaskQuerySchema = {
+    fields: {
+        mode: { type: 'string', lowercase: true, enum: IMPORT_MODES, default: 'append' }
+    }
+};
+
+// One imported row, checked by services/taskTransfer.service.js. Coerced,
+// because every CSV field is a string
+const importTaskRowSchema = {
+    coerce: true,
+    fields: {
+        id: { type: 'integer', min: 1 },
+        ...createTaskSchema.fields,
+        created_at: { type: 'date' },
+        updated_at: { type: 'date' }
+    }
+};
+
+/**
+ * GET /tasks/overdue query string - the GET /tasks parameters, but the
+ * tasks due the longest ago come first
+ */
+const overdueTaskQuerySchema = {
+    coerce: true,
+    fields: {
+        ...taskListQuerySchema.fields,
+        sort: { ...taskListQuerySchema.fields.sort, default: 'due_date' },
+        order: { ...taskListQuerySchema.fields.order, default: 'asc' }
+    }
+};
+
+/**
+ * GET /tasks/search query string
+ * q must hold at least one word; punctuation and operators are ignored
+ * (see utils/taskSearch.js). Results are paged by offset, as they are
+ * ordered by rank rather than by a column a cursor could follow.
+ */
+const SEARCH_MAX_LENGTH = 200;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+const searchTaskQuerySchema = {
+    coerce: true,
+    fields: {
+        q: {
+            type: 'string',
+            required: true,
+            trim: true,
+            minLength: 1,
+            maxLength: SEARCH_MAX_LENGTH,
+            check: q => (searchTerms(q).length > 0 ? undefined : 'q must contain at least one word')
+        },
+        status: taskListQuerySchema.fields.status,
+        limit: { type: 'integer', min: 1, max: SEARCH_MAX_LIMIT, default: SEARCH_DEFAULT_LIMIT },
+        offset: { type: 'integer', min: 0, default: 0 }
+    }
+};
+
+module.exports = {
+    createTaskSchema,
+    updateTaskSchema,
+    deleteTaskQuerySchema,
+    bulkTaskSchema,
+    bulkOperationSchema,
+    BULK_MODES,
+    BULK_MAX_OPERATIONS,
+    exportTaskQuerySchema,
+    importTaskQuerySchema,
+    importTaskRowSchema,
+    EXPORT_FORMATS,
+    IMPORT_MODES,
+    IMPORT_MAX_ROWS,
+    searchTaskQuerySchema,
+    overdueTaskQuerySchema,
+    SEARCH_MAX_LENGTH,
+    SEARCH_MAX_LIMIT,
+
+    // Defined next to the cursor helpers it relies on
+    taskListQuerySchema
+};
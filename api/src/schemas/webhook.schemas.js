@@ -0,0 +1,62 @@
+/**
+ * Webhook Schemas
+ *
+ * The accepted shape of each /api/webhooks request (see routes/webhooks.routes.js),
+ * applied by the validate() middleware like the task schemas.
+ *
+ * The limits match migrations/<database>/*_create_webhooks.up.sql.
+ */
+
+const { WEBHOOK_EVENTS } = require('../services/webhook.service');
+
+// url is VARCHAR(2048), secret VARCHAR(255)
+const URL_MAX_LENGTH = 2048;
+const SECRET_MIN_LENGTH = 16;
+const SECRET_MAX_LENGTH = 255;
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const DELIVERY_LIST_MAX_LIMIT = 100;
+
+/**
+ * Only absolute http(s) URLs can receive deliveries
+ */
+function checkUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'url must be an absolute URL';
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'url must use http or https';
+    }
+}
+
+/**
+ * POST /webhooks - without a secret, one is generated
+ */
+const createWebhookSchema = {
+    fields: {
+        url: { type: 'string', required: true, trim: true, maxLength: URL_MAX_LENGTH, check: checkUrl },
+        events: { type: 'array', required: true, minItems: 1, maxItems: WEBHOOK_EVENTS.length, enum: WEBHOOK_EVENTS },
+        secret: { type: 'string', minLength: SECRET_MIN_LENGTH, maxLength: SECRET_MAX_LENGTH }
+    }
+};
+
+/**
+ * GET /webhooks/:id/deliveries and GET /webhooks/dead-letters query string
+ */
+const deliveryListQuerySchema = {
+    coerce: true,
+    fields: {
+        status: { type: 'string', enum: DELIVERY_STATUSES },
+        limit: { type: 'integer', min: 1, max: DELIVERY_LIST_MAX_LIMIT, default: 50 }
+    }
+};
+
+module.exports = {
+    createWebhookSchema,
+    deliveryListQuerySchema,
+    DELIVERY_STATUSES
+};
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Set a User's Role
+ *
+ * Admins change roles through PUT /api/admin/users/:id/role, but the first
+ * admin has to be created from the command line (from the api directory):
+ *
+ *   npm run set-role -- ada@example.com admin
+ *
+ * The user must already be registered. The change applies to their
+ * access token from their next login or token refresh.
+ */
+
+// Load environment variables the same way the server does
+require('dotenv').config();
+
+const { getAuthDatabase } = require('../config/databases');
+const { ROLES } = require('../config/roles');
+const { getUserRepository } = require('../repositories');
+
+/**
+ * Close the connection for a database so the process can exit
+ */
+async function closeConnection(database) {
+    if (database === 'mysql') {
+        await require('../config/mysql').pool.end();
+    } else if (database === 'postgresql') {
+        await require('../config/postgresql').pool.end();
+    } else if (database === 'sqlite') {
+        require('../config/sqlite').db.close();
+    }
+}
+
+async function main() {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: set-role <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    const database = getAuthDatabase();
+    const users = getUserRepository(database);
+
+    try {
+        const user = await users.findByEmail(email.trim().toLowerCase());
+        if (!user) {
+            throw new Error(`No user is registered with ${email}`);
+        }
+
+        await users.updateRole(user.id, role);
+        console.log(`✅ ${user.email} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+    } finally {
+        await closeConnection(database);
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Failed to set role:', error.message);
+    process.exit(1);
+});
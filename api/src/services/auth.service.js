@@ -0,0 +1,125 @@
+/**
+ * Authentication Service
+ *
+ * Password hashing and JWT handling for /api/auth and the requireAuth middleware.
+ *
+ * Two kinds of token are issued, both signed with JWT_SECRET:
+ * - Access token:  short-lived, sent as "Authorization: Bearer <token>" on every request.
+ *                  It is checked by signature alone, so no database lookup is needed.
+ * - Refresh token: long-lived, only sent to /api/auth/refresh and /api/auth/logout.
+ *                  Its jti (token ID) is stored, so it can be revoked, and it is
+ *                  rotated: every refresh revokes the old token and issues a new one.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { jwtSecret, accessTokenTtl, refreshTokenTtl, bcryptRounds } = require('../config/auth');
+
+// Only accept the algorithm we sign with, never one chosen by the token
+const JWT_ALGORITHM = 'HS256';
+
+/**
+ * Hash a password with bcrypt (the salt is generated and stored in the hash)
+ */
+function hashPassword(password) {
+    return bcrypt.hash(password, bcryptRounds);
+}
+
+// Hash of a random password, built on first use
+let unknownUserHash = null;
+
+/**
+ * Check a password against a stored hash
+ * When there is no user (hash is missing) we still run bcrypt against a
+ * throwaway hash, so a login for an unknown email takes as long as a wrong
+ * password and response times don't reveal which emails are registered
+ */
+async function verifyPassword(password, hash) {
+    if (!hash) {
+        unknownUserHash = unknownUserHash || await bcrypt.hash(crypto.randomBytes(16).toString('hex'), bcryptRounds);
+        await bcrypt.compare(password, unknownUserHash);
+        return false;
+    }
+
+    return bcrypt.compare(password, hash);
+}
+
+/**
+ * The fields of a user that are safe to return to clients
+ */
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        created_at: user.created_at
+    };
+}
+
+/**
+ * Sign a short-lived access token for a user
+ * The type claim stops a refresh token from being used as an access token.
+ * The role claim is read from the users table when the token is issued,
+ * so a role change applies from the user's next login or refresh.
+ */
+function signAccessToken(user) {
+    return jwt.sign(
+        { email: user.email, role: user.role, type: 'access' },
+        jwtSecret,
+        { algorithm: JWT_ALGORITHM, subject: String(user.id), expiresIn: accessTokenTtl }
+    );
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ * Returns the payload, or null if the token is not valid
+ */
+function verifyToken(token, type, { ignoreExpiration = false } = {}) {
+    try {
+        const payload = jwt.verify(token, jwtSecret, { algorithms: [JWT_ALGORITHM], ignoreExpiration });
+        return payload.type === type ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Issue a new access/refresh token pair and store the refresh token's ID
+ *
+ * @param {object} users - User repository (see repositories/user.repository.js)
+ * @param {object} user - The user the tokens are for
+ * @returns {Promise<object>} The response body for register, login and refresh
+ */
+async function issueTokens(users, user) {
+    const accessToken = signAccessToken(user);
+
+    const tokenId = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+        { type: 'refresh' },
+        jwtSecret,
+        { algorithm: JWT_ALGORITHM, subject: String(user.id), expiresIn: refreshTokenTtl, jwtid: tokenId }
+    );
+
+    const { exp } = jwt.decode(refreshToken);
+    await users.saveRefreshToken({ id: tokenId, user_id: user.id, expires_at: new Date(exp * 1000) });
+
+    const { iat, exp: accessExp } = jwt.decode(accessToken);
+
+    return {
+        user: toPublicUser(user),
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: accessExp - iat
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    signAccessToken,
+    verifyToken,
+    issueTokens
+};
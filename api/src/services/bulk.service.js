@@ -0,0 +1,193 @@
+/**
+ * Bulk Task Service
+ *
+ * Runs a batch of create, update and delete operations in one database
+ * transaction (see POST /tasks/bulk in routes/tasks.routes.js). It only
+ * talks to the task repository, whose transaction() provides the
+ * connection handling for each database.
+ *
+ * Modes:
+ * - atomic (default):  All or nothing. The first operation that fails rolls
+ *                      the whole batch back and nothing is changed.
+ * - best_effort:       Each operation runs in its own savepoint, so a failed
+ *                      operation is undone on its own and the rest are kept.
+ *
+ * Every operation gets a result, in request order:
+ *
+ *   { "index": 0, "op": "create", "success": true, "status": 201, "data": { ...task } }
+ *   { "index": 1, "op": "delete", "id": 9, "success": false, "status": 404, "error": "Task not found" }
+ *
+ * status is what the single-task endpoint would have answered.
+ */
+
+const { validate } = require('../utils/validation');
+const { hasPermission } = require('../config/roles');
+const { createTaskSchema, updateTaskSchema, bulkOperationSchema } = require('../schemas/task.schemas');
+
+// Permission each operation needs, as on the single-task endpoints
+const OPERATION_PERMISSIONS = {
+    create: 'tasks:create',
+    update: 'tasks:update',
+    delete: 'tasks:delete'
+};
+
+/**
+ * Check one operation and normalise its fields
+ * Returns { op, id, changes } or a failed result
+ */
+function prepareOperation(input, index, role) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { index, success: false, status: 400, error: 'Each operation must be a JSON object' };
+    }
+
+    const base = { index, op: input.op, ...(input.id !== undefined ? { id: input.id } : {}) };
+
+    const { value, errors } = validate(bulkOperationSchema, input);
+    if (errors.length === 0 && value.op !== 'create' && value.id === undefined) {
+        errors.push({ field: 'id', message: 'id is required' });
+    }
+    if (errors.length > 0) {
+        return { ...base, success: false, status: 400, error: errors.map(({ message }) => message).join('; '), errors };
+    }
+
+    const { op, id } = value;
+    if (!hasPermission(role, OPERATION_PERMISSIONS[op])) {
+        return {
+            ...base,
+            success: false,
+            status: 403,
+            error: `The ${role || 'current'} role does not have the ${OPERATION_PERMISSIONS[op]} permission`
+        };
+    }
+
+    // The task fields, checked like POST /tasks and PUT /tasks/:id
+    if (op !== 'delete') {
+        const { value: changes, errors: fieldErrors } = validate(op === 'create' ? createTaskSchema : updateTaskSchema, input);
+        if (fieldErrors.length > 0) {
+            return { ...base, success: false, status: 400, error: fieldErrors.map(({ message }) => message).join('; '), errors: fieldErrors };
+        }
+        return { index, op, id, changes };
+    }
+
+    return { index, op, id };
+}
+
+/**
+ * Apply one prepared operation and describe the outcome
+ */
+async function applyOperation(tx, { index, op, id, changes }, { scope, ownerId, audit }) {
+    if (op === 'create') {
+        const task = await tx.create({ ...changes, owner_id: ownerId }, audit);
+        return { index, op, id: task.id, success: true, status: 201, data: task };
+    }
+
+    if (op === 'update') {
+        const task = await tx.update(id, changes, scope, audit);
+        return task
+            ? { index, op, id, success: true, status: 200, data: task }
+            : { index, op, id, success: false, status: 404, error: 'Task not found' };
+    }
+
+    const deleted = await tx.remove(id, scope, audit);
+    return deleted
+        ? { index, op, id, success: true, status: 200 }
+        : { index, op, id, success: false, status: 404, error: 'Task not found' };
+}
+
+/**
+ * Run a batch of task operations in one transaction
+ *
+ * @param {object} repository - A task repository with transaction() (see repositories/task.repository.js)
+ * @param {object[]} operations - { op, id, title, description, status, priority, due_date } items from the request body
+ * @param {object} options
+ * @param {'atomic'|'best_effort'} options.mode
+ * @param {object} options.user - req.user; new tasks belong to them and their role is checked per operation
+ * @param {object} options.scope - req.taskScope, limits updates and deletes to the user's tasks
+ * @param {string} [options.requestId] - req.id, recorded with the user in each task's history
+ * @param {Function} [options.onError] - Called with (error, index) when an operation fails in the database (best_effort)
+ * @returns {Promise<{ mode: string, applied: boolean, succeeded: number, failed: number, results: object[] }>}
+ *          applied is false when an atomic batch was rolled back (or never started)
+ * @throws A database error that rolled back an atomic batch
+ */
+async function runBulkOperations(repository, operations, { mode, user, scope, requestId, onError = () => {} }) {
+    const prepared = operations.map((input, index) => prepareOperation(input, index, user.role));
+    const context = { scope, ownerId: user.id, audit: { actorId: user.id, actorEmail: user.email, requestId } };
+    const summarize = (results, applied) => ({
+        mode,
+        applied,
+        succeeded: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        results
+    });
+
+    if (mode === 'atomic') {
+        // Check every operation before touching the database
+        const invalid = prepared.find(item => item.success === false);
+        if (invalid) {
+            return summarize(notApplied(prepared, invalid), false);
+        }
+
+        let failure = null;
+        const results = [];
+        try {
+            await repository.transaction(async (tx) => {
+                for (const item of prepared) {
+                    const result = await applyOperation(tx, item, context);
+                    if (!result.success) {
+                        failure = result;
+                        throw new Error(`Operation ${item.index} failed, rolling back`);
+                    }
+                    results.push(result);
+                }
+            });
+        } catch (error) {
+            if (!failure) {
+                throw error;
+            }
+            return summarize(notApplied(prepared, failure), false);
+        }
+
+        return summarize(results, true);
+    }
+
+    const results = await repository.transaction(async (tx) => {
+        const outcomes = [];
+        for (const item of prepared) {
+            if (item.success === false) {
+                outcomes.push(item);
+                continue;
+            }
+
+            try {
+                outcomes.push(await tx.savepoint(() => applyOperation(tx, item, context)));
+            } catch (error) {
+                onError(error, item.index);
+                outcomes.push({ index: item.index, op: item.op, id: item.id, success: false, status: 500, error: 'Operation failed' });
+            }
+        }
+        return outcomes;
+    });
+
+    return summarize(results, true);
+}
+
+/**
+ * Results for an atomic batch that was not applied because of one failure
+ */
+function notApplied(prepared, failure) {
+    return prepared.map(item => (item.index === failure.index
+        ? failure
+        : {
+            index: item.index,
+            op: item.op,
+            ...(item.id !== undefined ? { id: item.id } : {}),
+            success: false,
+            status: 424,
+            error: `Not applied because operation ${failure.index} failed`
+        }));
+}
+
+module.exports = {
+    OPERATION_PERMISSIONS,
+    runBulkOperations
+};
@@ -0,0 +1,153 @@
+/**
+ * Health Service
+ *
+ * Checks every enabled database for the health endpoints (see routes/health.routes.js).
+ * For each database it reports:
+ *
+ *   {
+ *     "status": "connected",          // connected, disconnected or disabled
+ *     "required": true,               // see REQUIRED_DATABASES in config/databases.js
+ *     "latencyMs": 2.1,               // round trip of a version query
+ *     "serverVersion": "8.0.36",
+ *     "migrationVersion": "005",      // latest applied migration
+ *     "pool": { "active": 1, "idle": 4, "waiting": 0 }   // MySQL and PostgreSQL only
+ *   }
+ *
+ * The report is cached for HEALTH_CACHE_TTL_MS (default 5000), so frequent
+ * probes from a load balancer or orchestrator don't drain the pools.
+ * A database that doesn't answer within HEALTH_CHECK_TIMEOUT_MS (default 2000)
+ * is reported as disconnected.
+ *
+ * The overall status is:
+ * - healthy:   every enabled database is connected
+ * - degraded:  only databases that aren't required are disconnected
+ * - unhealthy: a required database is disconnected
+ */
+
+const { connectionLost } = require('../utils/databaseStatus');
+
+const DEFAULT_CACHE_TTL_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Read a number of milliseconds from an environment variable
+ */
+function readMilliseconds(name, fallback) {
+    const value = process.env[name];
+
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${name} "${value}". Must be a number of milliseconds`);
+    }
+
+    return Number(value);
+}
+
+/**
+ * Reject if a promise takes longer than ms
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check one database
+ * A database that fails switches to degraded mode until it reconnects
+ * (see utils/databaseStatus.js). The error is logged there, not reported,
+ * so connection details never reach a public endpoint.
+ */
+async function checkDatabase(name, database, timeoutMs) {
+    const start = process.hrtime.bigint();
+
+    try {
+        const serverVersion = await withTimeout(database.getServerVersion(), timeoutMs);
+        const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const migrationVersion = await withTimeout(database.getMigrationVersion(), timeoutMs);
+
+        return {
+            status: 'connected',
+            latencyMs: Math.round(latencyMs * 10) / 10,
+            serverVersion,
+            migrationVersion,
+            ...(database.getPoolStats ? { pool: database.getPoolStats() } : {})
+        };
+    } catch (error) {
+        connectionLost(name, error);
+        return {
+            status: 'disconnected',
+            ...(database.getPoolStats ? { pool: database.getPoolStats() } : {})
+        };
+    }
+}
+
+/**
+ * Create a cached health check
+ *
+ * @param {object} options
+ * @param {object} options.databases - Enabled databases by name, each with
+ *                                     getServerVersion(), getMigrationVersion() and optionally getPoolStats()
+ * @param {string[]} options.required - Databases that must be connected (config/databases.js)
+ * @param {string[]} [options.supported] - Every database name, so disabled ones are listed
+ * @param {number} [options.ttlMs] - How long a report is reused (HEALTH_CACHE_TTL_MS)
+ * @param {number} [options.timeoutMs] - How long to wait for each database (HEALTH_CHECK_TIMEOUT_MS)
+ * @returns {{ check: Function }} check() resolves to the latest report
+ */
+function createHealthCheck({
+    databases,
+    required,
+    supported = Object.keys(databases),
+    ttlMs = readMilliseconds('HEALTH_CACHE_TTL_MS', DEFAULT_CACHE_TTL_MS),
+    timeoutMs = readMilliseconds('HEALTH_CHECK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)
+}) {
+    let cached = null;
+    let cachedAt = 0;
+
+    async function run() {
+        const names = Object.keys(databases);
+        const results = await Promise.all(names.map(name => checkDatabase(name, databases[name], timeoutMs)));
+        const checked = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+        const report = {};
+        for (const name of supported) {
+            report[name] = checked[name]
+                ? { ...checked[name], required: required.includes(name) }
+                : { status: 'disabled', required: false };
+        }
+
+        const isDown = (name) => report[name].status !== 'connected';
+        const status = required.some(isDown) ? 'unhealthy' : (names.some(isDown) ? 'degraded' : 'healthy');
+
+        return {
+            status,
+            checkedAt: new Date().toISOString(),
+            databases: report
+        };
+    }
+
+    /**
+     * Check the databases, or reuse a report younger than ttlMs
+     * Concurrent callers share the same check
+     */
+    function check() {
+        if (!cached || Date.now() - cachedAt >= ttlMs) {
+            cachedAt = Date.now();
+            cached = run();
+        }
+        return cached;
+    }
+
+    return { check };
+}
+
+module.exports = {
+    DEFAULT_CACHE_TTL_MS,
+    DEFAULT_TIMEOUT_MS,
+    createHealthCheck
+};
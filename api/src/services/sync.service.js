@@ -0,0 +1,285 @@
+/**
+ * Task Sync Service
+ *
+ * Copies or reconciles tasks between two databases so the MySQL and
+ * PostgreSQL demos can hold the same data. It only talks to the task
+ * repositories (see repositories/task.repository.js), so it has no SQL of its own.
+ *
+ * Tasks are matched by ID. A sync first builds a plan (the diff), then
+ * applies it with repository.put(), which keeps each task's ID and timestamps.
+ * Trashed tasks are synced too: a copy in the trash moves the other copy to
+ * the trash ('trash'), and a live copy brings a trashed one back ('restore'),
+ * following the same rules as any other change.
+ *
+ * Directions:
+ * - mysql->postgresql:   MySQL is the source of truth, PostgreSQL is updated to match
+ * - postgresql->mysql:   The other way around
+ * - bidirectional:       For each task, the copy with the newer updated_at wins,
+ *                        and tasks missing on one side are copied over
+ *
+ * Conflicts are reported and skipped:
+ * - One-way: the target copy was updated after the source copy
+ *   (overwriting it would lose the newer change, pass force to do it anyway)
+ * - Bidirectional: both copies differ but were updated in the same second,
+ *   so there is no way to tell which one is newer
+ *
+ * A sync is not atomic across the two databases. If it fails part way,
+ * running it again is safe - tasks that were already copied are unchanged.
+ */
+
+const { MAX_LIMIT, parseTaskListQuery, buildPage } = require('../utils/taskQuery');
+
+// Directions accepted by syncTasks()
+const SYNC_DIRECTIONS = {
+    'mysql->postgresql': { source: 'mysql', target: 'postgresql' },
+    'postgresql->mysql': { source: 'postgresql', target: 'mysql' },
+    'bidirectional': { databases: ['mysql', 'postgresql'] }
+};
+
+// Fields compared to decide whether two copies of a task differ
+const SYNCED_FIELDS = ['title', 'description', 'status', 'priority', 'due_date', 'owner_id'];
+
+/**
+ * Read every task from a repository, live and trashed, following the pagination cursor
+ * Tasks are returned in ID order
+ */
+async function loadAllTasks(repository) {
+    const tasks = [];
+
+    // list() returns either live or trashed tasks, so read both
+    for (const trashed of [false, true]) {
+        let cursor;
+
+        do {
+            const query = { sort: 'id', order: 'asc', limit: String(MAX_LIMIT) };
+            if (cursor) {
+                query.cursor = cursor;
+            }
+            const { options } = parseTaskListQuery(query);
+            const { rows } = await repository.list({ ...options, trashed, skipTotal: true });
+            const { data, nextCursor } = buildPage(rows, options);
+
+            tasks.push(...data);
+            cursor = nextCursor;
+        } while (cursor);
+    }
+
+    return tasks.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * List the fields that differ between two copies of a task
+ * An empty description and NULL are treated as the same value;
+ * deleted_at is compared in whole seconds, like updated_at
+ */
+function diffTasks(from, to) {
+    const diff = {};
+
+    for (const field of SYNCED_FIELDS) {
+        const before = to[field] || null;
+        const after = from[field] || null;
+        if (before !== after) {
+            diff[field] = { from: before, to: after };
+        }
+    }
+
+    if (wholeSecond(to.deleted_at) !== wholeSecond(from.deleted_at)) {
+        diff.deleted_at = { from: to.deleted_at || null, to: from.deleted_at || null };
+    }
+
+    return diff;
+}
+
+/**
+ * A timestamp in whole seconds (null stays null)
+ * MySQL TIMESTAMP columns have no fractional seconds while PostgreSQL keeps
+ * microseconds, so finer comparisons would see differences that aren't there
+ */
+function wholeSecond(value) {
+    return value ? Math.floor(new Date(value).getTime() / 1000) : null;
+}
+
+/**
+ * A copy of a task with its timestamps cut to whole seconds, for writing
+ * MySQL rounds fractional seconds when it stores them, so a PostgreSQL
+ * updated_at of 12:00:00.6 would land as 12:00:01 and look newer on every
+ * later sync. Cut first, every database stores the same second.
+ */
+function toWholeSeconds(task) {
+    const cut = (value) => (value ? new Date(wholeSecond(value) * 1000) : null);
+
+    return {
+        ...task,
+        created_at: cut(task.created_at),
+        updated_at: cut(task.updated_at),
+        deleted_at: cut(task.deleted_at)
+    };
+}
+
+/**
+ * updated_at in whole seconds
+ */
+function updatedSecond(task) {
+    return wholeSecond(task.updated_at);
+}
+
+/**
+ * What copying one copy of a task over another does
+ * A trashed copy moves a live one to the trash, a live copy brings a trashed one back
+ */
+function changeAction(from, to) {
+    if (Boolean(from.deleted_at) === Boolean(to.deleted_at)) {
+        return 'update';
+    }
+    return from.deleted_at ? 'trash' : 'restore';
+}
+
+/**
+ * Plan a copy from one database to another
+ * Adds entries to plan.changes / plan.conflicts and counts unchanged tasks
+ */
+function planOneWay(plan, { source, target, tasks, force, prune }) {
+    const targetTasks = new Map(tasks[target].map(task => [task.id, task]));
+    const sourceIds = new Set();
+
+    for (const task of tasks[source]) {
+        sourceIds.add(task.id);
+        const existing = targetTasks.get(task.id);
+
+        if (!existing) {
+            plan.changes.push({ action: 'create', database: target, id: task.id, task });
+            continue;
+        }
+
+        const diff = diffTasks(task, existing);
+        if (Object.keys(diff).length === 0) {
+            plan.unchanged += 1;
+        } else if (!force && updatedSecond(existing) > updatedSecond(task)) {
+            plan.conflicts.push({
+                id: task.id,
+                reason: `The ${target} copy was updated after the ${source} copy`,
+                tasks: { [source]: task, [target]: existing }
+            });
+        } else {
+            plan.changes.push({ action: changeAction(task, existing), database: target, id: task.id, diff, task });
+        }
+    }
+
+    // Tasks that only exist in the target are left alone unless pruning
+    if (prune) {
+        for (const task of tasks[target]) {
+            if (!sourceIds.has(task.id) && !task.deleted_at) {
+                plan.changes.push({ action: 'delete', database: target, id: task.id, task });
+            }
+        }
+    }
+}
+
+/**
+ * Plan a two-way reconciliation where the newest copy of each task wins
+ */
+function planBidirectional(plan, { databases, tasks }) {
+    const [first, second] = databases;
+    const byId = {
+        [first]: new Map(tasks[first].map(task => [task.id, task])),
+        [second]: new Map(tasks[second].map(task => [task.id, task]))
+    };
+    const ids = [...new Set([...byId[first].keys(), ...byId[second].keys()])].sort((a, b) => a - b);
+
+    for (const id of ids) {
+        const a = byId[first].get(id);
+        const b = byId[second].get(id);
+
+        if (!b) {
+            plan.changes.push({ action: 'create', database: second, id, task: a });
+            continue;
+        }
+        if (!a) {
+            plan.changes.push({ action: 'create', database: first, id, task: b });
+            continue;
+        }
+
+        if (Object.keys(diffTasks(a, b)).length === 0) {
+            plan.unchanged += 1;
+        } else if (updatedSecond(a) > updatedSecond(b)) {
+            plan.changes.push({ action: changeAction(a, b), database: second, id, diff: diffTasks(a, b), task: a });
+        } else if (updatedSecond(b) > updatedSecond(a)) {
+            plan.changes.push({ action: changeAction(b, a), database: first, id, diff: diffTasks(b, a), task: b });
+        } else {
+            plan.conflicts.push({
+                id,
+                reason: 'Both copies were changed at the same time',
+                tasks: { [first]: a, [second]: b }
+            });
+        }
+    }
+}
+
+/**
+ * Sync tasks between databases
+ *
+ * @param {object} repositories - Task repositories by database name ({ mysql, postgresql })
+ * @param {object} options
+ * @param {string} options.direction - One of the keys of SYNC_DIRECTIONS
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {boolean} [options.force=false] - One-way only: overwrite newer target copies
+ * @param {boolean} [options.prune=false] - One-way only: move tasks missing from the source to the trash
+ * @returns {Promise<object>} Summary, planned (or applied) changes and conflicts
+ */
+async function syncTasks(repositories, { direction, dryRun = false, force = false, prune = false }) {
+    const config = SYNC_DIRECTIONS[direction];
+    if (!config) {
+        throw new Error(`Unknown sync direction: ${direction}`);
+    }
+
+    // Load both sides first, so the plan is based on a single snapshot
+    const databases = config.databases || [config.source, config.target];
+    const tasks = {};
+    for (const database of databases) {
+        tasks[database] = await loadAllTasks(repositories[database]);
+    }
+
+    const plan = { changes: [], conflicts: [], unchanged: 0 };
+    if (config.databases) {
+        planBidirectional(plan, { databases, tasks });
+    } else {
+        planOneWay(plan, { ...config, tasks, force, prune });
+    }
+
+    if (!dryRun) {
+        // Apply one change at a time so a failure stops the sync early
+        // put() also trashes or restores, as the task carries its deleted_at
+        for (const change of plan.changes) {
+            const repository = repositories[change.database];
+            if (change.action === 'delete') {
+                await repository.remove(change.id);
+            } else {
+                await repository.put(toWholeSeconds(change.task));
+            }
+        }
+    }
+
+    const count = (action) => plan.changes.filter(change => change.action === action).length;
+
+    return {
+        direction,
+        dryRun,
+        summary: {
+            created: count('create'),
+            updated: count('update'),
+            trashed: count('trash'),
+            restored: count('restore'),
+            deleted: count('delete'),
+            unchanged: plan.unchanged,
+            conflicts: plan.conflicts.length
+        },
+        changes: plan.changes,
+        conflicts: plan.conflicts
+    };
+}
+
+module.exports = {
+    SYNC_DIRECTIONS,
+    diffTasks,
+    syncTasks
+};
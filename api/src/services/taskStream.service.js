@@ -0,0 +1,275 @@
+/**
+ * Task Stream
+ *
+ * Pushes task changes to the browser as Server-Sent Events, so the task
+ * pages update live instead of waiting for a refresh (see GET /tasks/stream
+ * in routes/tasks.routes.js). Each database has one stream:
+ *
+ *   event: created          (also updated and restored)
+ *   data: {"id":7,"task":{...}}
+ *
+ *   event: deleted          (moved to the trash or deleted for good)
+ *   data: {"id":7}
+ *
+ * Subscribers only receive changes to the tasks they can see: admins every
+ * task, everyone else their own. A deleted event whose owner is unknown
+ * carries nothing but the ID, and goes to every subscriber.
+ *
+ * The task routes publish their own changes. On PostgreSQL with
+ * PG_LISTEN_NOTIFY=true the changes come from LISTEN/NOTIFY instead (see
+ * createPostgresTaskListener below and migration 010), which also sees
+ * writes made by other API instances, the sync, the trash purge or psql.
+ *
+ * Events are not replayed: a client that reconnects should reload its tasks.
+ */
+
+const { logger } = require('../utils/logger');
+const { getTaskStreamSettings } = require('../config/taskStream');
+
+// Event sent for each task_events action (see repositories/task.repository.js)
+const ACTION_EVENTS = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted',
+    restore: 'restored',
+    purge: 'deleted'
+};
+
+// The stream of each database, created by getTaskStream()
+const streams = new Map();
+
+/**
+ * Create a task stream
+ *
+ * @param {object} [options]
+ * @param {number} [options.heartbeatMs] - How often idle subscribers get a comment
+ * @param {boolean} [options.databaseEvents] - true when the database publishes the
+ *                                            changes, so the routes must not
+ * @returns {{ subscribe: Function, publish: Function, size: Function, close: Function, databaseEvents: boolean }}
+ */
+function createTaskStream({ heartbeatMs = getTaskStreamSettings().heartbeatMs, databaseEvents = false } = {}) {
+    // One entry per open response: { res, scope }
+    const subscribers = new Set();
+
+    /**
+     * Whether a subscriber with this scope may see the change
+     */
+    function canSee(scope, event) {
+        const ownerId = event.task ? event.task.owner_id : event.ownerId;
+        return scope.ownerId === undefined || ownerId === undefined || ownerId === scope.ownerId;
+    }
+
+    return {
+        databaseEvents,
+
+        /**
+         * Turn a response into an event stream until the client goes away
+         *
+         * @param {object} req - Needs req.taskScope (see middleware/auth.js)
+         * @param {object} res
+         */
+        subscribe(req, res) {
+            res.status(200).set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                // Stop nginx (and Render's proxy) from buffering the events
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            // Ask EventSource clients to wait 5 seconds before reconnecting
+            res.write('retry: 5000\n\n');
+
+            const subscriber = { res, scope: req.taskScope };
+            subscribers.add(subscriber);
+
+            // A comment line every heartbeatMs keeps idle proxies from closing the stream
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+            heartbeat.unref();
+
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                subscribers.delete(subscriber);
+            });
+        },
+
+        /**
+         * Send a change to every subscriber who can see it
+         *
+         * @param {object} event
+         * @param {string} event.type - created, updated, restored or deleted
+         * @param {object} [event.task] - The task after the change (not for deleted)
+         * @param {number} [event.id] - The task ID, when there is no task
+         * @param {number} [event.ownerId] - The owner, when there is no task
+         */
+        publish({ type, task, id, ownerId }) {
+            const event = { task, ownerId };
+            const data = JSON.stringify(task ? { id: task.id, task } : { id: Number(id) });
+
+            for (const { res, scope } of subscribers) {
+                if (canSee(scope, event)) {
+                    res.write(`event: ${type}\ndata: ${data}\n\n`);
+                }
+            }
+        },
+
+        /**
+         * Number of open subscriptions
+         */
+        size() {
+            return subscribers.size;
+        },
+
+        /**
+         * End every subscription, e.g. on shutdown so the server can drain
+         */
+        close() {
+            for (const { res } of subscribers) {
+                res.end();
+            }
+        }
+    };
+}
+
+/**
+ * The shared stream of 'mysql', 'postgresql' or 'sqlite'
+ * Created on first use, with the settings from config/taskStream.js
+ */
+function getTaskStream(database) {
+    if (!streams.has(database)) {
+        const { heartbeatMs, postgresNotify } = getTaskStreamSettings();
+        streams.set(database, createTaskStream({
+            heartbeatMs,
+            databaseEvents: database === 'postgresql' && postgresNotify
+        }));
+    }
+    return streams.get(database);
+}
+
+/**
+ * End the subscriptions of every shared stream
+ */
+function closeTaskStreams() {
+    for (const stream of streams.values()) {
+        stream.close();
+    }
+}
+
+/**
+ * Publish PostgreSQL task changes from LISTEN/NOTIFY
+ *
+ * Holds one pool client that LISTENs on the task_events channel. When the
+ * connection is lost it is retried every retryMs; changes made in the
+ * meantime are missed.
+ *
+ * @param {object} options
+ * @param {object} options.pool - The pg pool
+ * @param {object} options.stream - Where to publish, from createTaskStream()
+ * @param {object} options.repository - PostgreSQL task repository, to read changed tasks
+ * @param {number} [options.retryMs] - Time between reconnect attempts
+ * @returns {{ start: Function, stop: Function }}
+ */
+function createPostgresTaskListener({ pool, stream, repository, retryMs = 5000 }) {
+    let client = null;
+    let timer = null;
+    let stopped = true;
+
+    /**
+     * Publish one notification: { id, task_id, action, owner_id }
+     */
+    async function publishChange(message) {
+        try {
+            const { task_id: id, action, owner_id: ownerId } = JSON.parse(message.payload);
+            const type = ACTION_EVENTS[action];
+
+            if (type === 'deleted') {
+                return stream.publish({ type, id, ownerId: ownerId === null ? undefined : ownerId });
+            }
+
+            // Not found when it was deleted again since; that change is on its way too
+            const task = await repository.findById(id);
+            if (task) {
+                stream.publish({ type, task });
+            }
+        } catch (error) {
+            logger.error('Failed to publish a task change', { database: 'PostgreSQL', error });
+        }
+    }
+
+    /**
+     * Drop the client and try again in retryMs
+     */
+    function reconnectLater(error) {
+        logger.warn('Task change listener disconnected, retrying', { database: 'PostgreSQL', retryMs, error });
+
+        if (client) {
+            client.release(true);
+            client = null;
+        }
+
+        if (!stopped && !timer) {
+            timer = setTimeout(listen, retryMs);
+            timer.unref();
+        }
+    }
+
+    async function listen() {
+        timer = null;
+        let connected = null;
+
+        try {
+            connected = await pool.connect();
+
+            // stop() was called while connecting
+            if (stopped) {
+                return connected.release();
+            }
+
+            client = connected;
+            client.on('notification', publishChange);
+            client.on('error', (error) => {
+                if (client === connected) {
+                    reconnectLater(error);
+                }
+            });
+            await client.query('LISTEN task_events');
+            logger.info('Listening for task changes', { database: 'PostgreSQL' });
+        } catch (error) {
+            reconnectLater(error);
+        }
+    }
+
+    return {
+        start() {
+            if (stopped) {
+                stopped = false;
+                listen();
+            }
+        },
+
+        /**
+         * Stop listening and close the client, before the pool is closed
+         */
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            timer = null;
+
+            // Destroyed rather than returned to the pool, where it would
+            // still be LISTENing with publishChange attached
+            if (client) {
+                client.release(true);
+                client = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    ACTION_EVENTS,
+    createTaskStream,
+    getTaskStream,
+    closeTaskStreams,
+    createPostgresTaskListener
+};
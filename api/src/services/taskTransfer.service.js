@@ -0,0 +1,317 @@
+/**
+ * Task Export and Import
+ *
+ * Moves task lists between environments as files (see GET /tasks/export and
+ * POST /tasks/import in routes/tasks.routes.js). Both work on any task
+ * repository and read or write the same three formats:
+ *
+ * - json:    An array of tasks, [{ "id": 1, "title": "...", ... }, ...]
+ * - ndjson:  One task object per line
+ * - csv:     A header row naming the columns, then one task per row (see utils/csv.js)
+ *
+ * Exported tasks have the EXPORT_COLUMNS; an export can be imported as it is.
+ *
+ * Export reads the tasks in batches of EXPORT_BATCH_SIZE, by ID, and yields
+ * the file a batch at a time, so a large table is never held in memory.
+ *
+ * Import checks every row before writing anything. If one row is invalid,
+ * nothing is imported and each problem is reported with its row number
+ * (counted from 1, without the CSV header):
+ *
+ *   { "row": 3, "field": "status", "message": "status must be one of: pending, in_progress, completed" }
+ *
+ * Then, in mode:
+ * - append:  Each row becomes a new task owned by the importer, as with POST /tasks
+ * - upsert:  A row with the id of a live task updates it, as with PUT /tasks/:id.
+ *            A row with an unused (or trashed) id creates the task with that id,
+ *            owned by the importer, keeping created_at and updated_at.
+ *            Rows without an id are appended.
+ *
+ * MySQL and PostgreSQL import in one transaction, so a database error
+ * leaves the tasks as they were. SQLite has no transaction() and keeps the
+ * rows written before the error.
+ */
+
+const { validate } = require('../utils/validation');
+const { formatCsvRow, parseCsv } = require('../utils/csv');
+const { importTaskRowSchema, IMPORT_MAX_ROWS } = require('../schemas/task.schemas');
+
+// The columns written by an export, in this order
+const EXPORT_COLUMNS = ['id', 'title', 'description', 'status', 'priority', 'due_date', 'created_at', 'updated_at'];
+
+// Tasks read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// The response Content-Type of each export format
+const EXPORT_CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+// How each format starts, writes a task and ends
+const EXPORT_WRITERS = {
+    json: {
+        head: '[',
+        row: (task, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(task)}`,
+        tail: '\n]\n'
+    },
+    ndjson: {
+        head: '',
+        row: task => `${JSON.stringify(task)}\n`,
+        tail: ''
+    },
+    csv: {
+        head: formatCsvRow(EXPORT_COLUMNS),
+        row: task => formatCsvRow(EXPORT_COLUMNS.map(column => task[column])),
+        tail: ''
+    }
+};
+
+// Request Content-Type of each import format
+const IMPORT_CONTENT_TYPES = {
+    'application/json': 'json',
+    'application/x-ndjson': 'ndjson',
+    'text/csv': 'csv'
+};
+
+/**
+ * Export every task matching the filters, oldest ID first
+ *
+ * Yields the file in chunks, one per batch. The first chunk is only
+ * yielded once the first batch was read, so a failing query can still be
+ * answered with an error instead of a broken file.
+ *
+ * @param {object} repository - Task repository
+ * @param {object} filters - List options from toTaskListOptions() in utils/taskQuery.js;
+ *                           sort, order, limit and cursor are replaced
+ * @param {object} scope - req.taskScope
+ * @param {string} format - 'json', 'ndjson' or 'csv'
+ * @returns {AsyncGenerator<string>}
+ */
+async function* exportTasks(repository, filters, scope, format) {
+    const { head, row, tail } = EXPORT_WRITERS[format];
+    const options = { ...filters, sort: 'id', order: 'asc', limit: EXPORT_BATCH_SIZE, cursor: null, skipTotal: true };
+    let chunk = head;
+    let index = 0;
+
+    while (true) {
+        const { rows } = await repository.list(options, scope);
+        const batch = rows.slice(0, EXPORT_BATCH_SIZE);
+
+        for (const task of batch) {
+            chunk += row(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, task[column]])), index++);
+        }
+
+        // list() reads one row more than the limit when there is another batch
+        if (rows.length <= EXPORT_BATCH_SIZE) {
+            break;
+        }
+
+        yield chunk;
+        chunk = '';
+
+        const { id } = batch[batch.length - 1];
+        options.cursor = { value: id, id };
+    }
+
+    yield chunk + tail;
+}
+
+/**
+ * The import format of a request, from its Content-Type, or null
+ */
+function importFormatOf(req) {
+    const type = req.is(Object.keys(IMPORT_CONTENT_TYPES));
+    return type ? IMPORT_CONTENT_TYPES[type] : null;
+}
+
+/**
+ * Split an import body into rows
+ * Returns { rows: [{ row, input }], errors }, or { error } when the whole body is unusable
+ */
+function readRows(body, format) {
+    if (format === 'json') {
+        if (!Array.isArray(body)) {
+            return { error: 'Request body must be a JSON array of tasks' };
+        }
+        return { rows: body.map((input, index) => ({ row: index + 1, input })), errors: [] };
+    }
+
+    if (typeof body !== 'string') {
+        return { error: 'Request body is empty' };
+    }
+
+    const rows = [];
+    const errors = [];
+
+    if (format === 'ndjson') {
+        const lines = body.split(/\r?\n/).filter(line => line.trim() !== '');
+
+        lines.forEach((line, index) => {
+            try {
+                rows.push({ row: index + 1, input: JSON.parse(line) });
+            } catch (error) {
+                errors.push({ row: index + 1, field: null, message: 'Row is not valid JSON' });
+            }
+        });
+        return { rows, errors };
+    }
+
+    const { records, error } = parseCsv(body);
+    if (error) {
+        return { error };
+    }
+    if (records.length === 0) {
+        return { error: 'The CSV file must start with a header row' };
+    }
+
+    const [header, ...data] = records;
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('title')) {
+        return { error: 'The CSV header must have a title column' };
+    }
+
+    data.forEach((record, index) => {
+        if (record.length !== columns.length) {
+            errors.push({ row: index + 1, field: null, message: `Row has ${record.length} fields, the header has ${columns.length}` });
+            return;
+        }
+
+        // An empty field means the value is missing (or null, for description)
+        rows.push({
+            row: index + 1,
+            input: Object.fromEntries(columns.map((column, i) => [column, record[i]]).filter(([, value]) => value !== ''))
+        });
+    });
+    return { rows, errors };
+}
+
+/**
+ * Read and check an import body
+ *
+ * @param {*} body - The parsed JSON array, or the CSV or NDJSON text
+ * @param {string} format - 'json', 'ndjson' or 'csv'
+ * @param {string} mode - 'append' or 'upsert'
+ * @returns {{ tasks: Array, errors: Array }|{ error: string }}
+ *          tasks holds { row, title, description, status, priority, due_date } and, in upsert
+ *          mode, id, created_at and updated_at; errors is empty when every row is valid
+ */
+function prepareImport(body, format, mode) {
+    const { rows, errors, error } = readRows(body, format);
+
+    if (error) {
+        return { error };
+    }
+
+    const count = rows.length + errors.length;
+    if (count === 0) {
+        return { error: 'There are no tasks to import' };
+    }
+    if (count > IMPORT_MAX_ROWS) {
+        return { error: `At most ${IMPORT_MAX_ROWS} tasks can be imported at once` };
+    }
+
+    const tasks = [];
+    // Task ID -> the row that uses it
+    const ids = new Map();
+
+    for (const { row, input } of rows) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            errors.push({ row, field: null, message: 'Row must be an object' });
+            continue;
+        }
+
+        const { value, errors: fieldErrors } = validate(importTaskRowSchema, input);
+        if (fieldErrors.length > 0) {
+            errors.push(...fieldErrors.map(fieldError => ({ row, ...fieldError })));
+            continue;
+        }
+
+        // A row is a whole task, so missing fields are reset rather than kept
+        const task = {
+            row,
+            title: value.title,
+            description: value.description ?? null,
+            status: value.status || 'pending',
+            priority: value.priority || 'medium',
+            due_date: value.due_date ?? null
+        };
+
+        if (mode === 'upsert' && value.id !== undefined) {
+            if (ids.has(value.id)) {
+                errors.push({ row, field: 'id', message: `id ${value.id} is already used by row ${ids.get(value.id)}` });
+                continue;
+            }
+            ids.set(value.id, row);
+            Object.assign(task, { id: value.id, created_at: value.created_at, updated_at: value.updated_at });
+        }
+
+        tasks.push(task);
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { tasks, errors };
+}
+
+/**
+ * Write one checked row
+ * Resolves to { type: 'created' | 'updated', task, previousStatus }
+ */
+async function importTask(repository, { id, title, description, status, priority, due_date, created_at, updated_at }, owner, audit) {
+    const fields = { title, description, status, priority, due_date };
+
+    if (id === undefined) {
+        return { type: 'created', task: await repository.create({ ...fields, owner_id: owner }, audit) };
+    }
+
+    const current = await repository.findById(id);
+    if (current) {
+        const task = await repository.update(id, fields, {}, audit);
+
+        // Unless it was deleted in the meantime, in which case it is put back below
+        if (task) {
+            return { type: 'updated', task, previousStatus: current.status };
+        }
+    }
+
+    const createdAt = created_at || new Date();
+    const task = await repository.put({
+        id, ...fields, owner_id: owner, created_at: createdAt, updated_at: updated_at || createdAt
+    }, audit);
+    return { type: 'created', task };
+}
+
+/**
+ * Write the tasks returned by prepareImport(), in order
+ *
+ * @param {object} repository - Task repository; its transaction() is used when it has one
+ * @param {Array} tasks - From prepareImport()
+ * @param {object} options
+ * @param {object} options.user - req.user, who owns the new tasks
+ * @param {string} [options.requestId] - Recorded in each task's history
+ * @returns {Promise<Array<{ type: string, task: object, previousStatus?: string }>>}
+ */
+async function importTasks(repository, tasks, { user, requestId }) {
+    const audit = { actorId: user.id, actorEmail: user.email, requestId };
+
+    const run = async (target) => {
+        const results = [];
+        for (const task of tasks) {
+            results.push(await importTask(target, task, user.id, audit));
+        }
+        return results;
+    };
+
+    return repository.transaction ? repository.transaction(run) : run(repository);
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_BATCH_SIZE,
+    EXPORT_CONTENT_TYPES,
+    exportTasks,
+    importFormatOf,
+    prepareImport,
+    importTasks
+};
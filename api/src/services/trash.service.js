@@ -0,0 +1,103 @@
+/**
+ * Trash Purge
+ *
+ * Deleted tasks stay in the trash so they can be restored. This job
+ * removes the ones that have been there longer than TRASH_RETENTION_DAYS
+ * (see config/trash.js), on every enabled database, once at startup and
+ * then every TRASH_PURGE_INTERVAL_MS.
+ *
+ * Usage:
+ *   const purger = createTrashPurger({ repositories: { mysql: repository }, retentionDays: 30 });
+ *   purger.start();
+ *   ...
+ *   purger.stop();    // on shutdown, before the pools are closed
+ */
+
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the trash purge job
+ *
+ * @param {object} options
+ * @param {object} options.repositories - Task repositories by database name
+ * @param {number} options.retentionDays - Days a task stays in the trash; 0 never purges
+ * @param {number} options.intervalMs - Time between purges
+ * @param {Function} [options.isAvailable] - (name) => boolean; unreachable databases are skipped
+ *                                            until the next run (see utils/databaseStatus.js)
+ * @param {Function} [options.now] - Returns the current Date (for tests)
+ * @returns {{ purge: Function, start: Function, stop: Function }}
+ */
+function createTrashPurger({ repositories, retentionDays, intervalMs, isAvailable = () => true, now = () => new Date() }) {
+    let timer = null;
+    let running = null;
+
+    /**
+     * Purge every database once
+     * Resolves to { [database]: purged task count }; a database that is
+     * unavailable or fails is left out (and logged), the others still run
+     */
+    async function purgeAll() {
+        const before = new Date(now().getTime() - retentionDays * DAY_MS);
+        const purged = {};
+
+        for (const [name, repository] of Object.entries(repositories)) {
+            if (!isAvailable(name)) {
+                continue;
+            }
+
+            try {
+                purged[name] = await repository.purgeDeleted(before);
+                if (purged[name] > 0) {
+                    logger.info('Purged trashed tasks', { database: name, purged: purged[name], deletedBefore: before });
+                }
+            } catch (error) {
+                logger.error('Failed to purge trashed tasks', { database: name, error });
+            }
+        }
+
+        return purged;
+    }
+
+    /**
+     * Run a purge, or join the one that is still running
+     */
+    function purge() {
+        if (!running) {
+            running = purgeAll().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    return {
+        purge,
+
+        /**
+         * Purge now and then every intervalMs
+         * Does nothing when retentionDays is 0 (keep trashed tasks forever)
+         */
+        start() {
+            if (retentionDays === 0 || timer) {
+                return;
+            }
+
+            purge();
+            timer = setInterval(purge, intervalMs);
+
+            // Don't keep the process alive just for the purge
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    createTrashPurger
+};
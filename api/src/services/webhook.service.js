@@ -0,0 +1,416 @@
+/**
+ * Webhooks
+ *
+ * Sends task changes to the URLs admins register (see routes/webhooks.routes.js)
+ * as HTTP POSTs, from every database's task routes:
+ *
+ *   POST https://example.com/hooks/tasks
+ *   X-Webhook-Id: 0f8c2b1e-...              (the same on every retry)
+ *   X-Webhook-Event: task.status_changed
+ *   X-Webhook-Timestamp: 1760870400
+ *   X-Webhook-Signature: sha256=5d41402abc...
+ *
+ *   { "id": "0f8c2b1e-...", "type": "task.status_changed", "created_at": "...",
+ *     "database": "mysql", "data": { "task": {...}, "previous_status": "pending" } }
+ *
+ * Event types:
+ * - task.created          data: { task }
+ * - task.updated          data: { task } (also sent when a task is restored)
+ * - task.status_changed   data: { task, previous_status } (sent with task.updated)
+ * - task.deleted          data: { id } (moved to the trash or deleted for good)
+ *
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" with the
+ * webhook's secret, so receivers can check the request came from this API
+ * and reject old timestamps to stop replays (see signPayload below).
+ *
+ * Every event is first stored as one delivery per subscribed webhook (the
+ * webhook_deliveries table), then sent. A receiver that doesn't answer with
+ * a 2xx within WEBHOOK_TIMEOUT_MS is tried again later with exponential
+ * backoff; after WEBHOOK_MAX_ATTEMPTS the delivery is dead, and waits in the
+ * dead-letter list until an admin retries it (see config/webhooks.js).
+ * Deliveries are stored before they are sent, so retries survive a restart.
+ * Each round claims the deliveries it sends (see claimDueDeliveries in
+ * repositories/webhook.repository.js), so API instances sharing the
+ * database never send the same one at the same time. A delivery claimed by
+ * an instance that stops before saving the outcome is sent again once the
+ * claim runs out.
+ *
+ * Usage:
+ *   const dispatcher = createWebhookDispatcher({ repository, settings: getWebhookSettings() });
+ *   dispatcher.start();
+ *   dispatcher.forDatabase('mysql').emit('task.created', { task });
+ *   ...
+ *   await dispatcher.stop();    // on shutdown, before the pools are closed
+ */
+
+const crypto = require('crypto');
+const { getAuthDatabase } = require('../config/databases');
+const { getWebhookSettings } = require('../config/webhooks');
+const { getWebhookRepository } = require('../repositories');
+const { assertWebhookRepository } = require('../repositories/webhook.repository');
+const { isAvailable } = require('../utils/databaseStatus');
+const { logger } = require('../utils/logger');
+
+// Every event a webhook can subscribe to
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted'];
+
+// Deliveries sent per round; deliverDue() keeps going while rounds are full
+const DELIVERY_BATCH_SIZE = 20;
+
+// How long a claim lasts beyond the receiver's timeout, time enough to save the outcome
+const CLAIM_MARGIN_MS = 60 * 1000;
+
+// last_error is VARCHAR(500)
+const ERROR_MAX_LENGTH = 500;
+
+// The dispatcher shared by the routers, created by getWebhookDispatcher()
+let sharedDispatcher = null;
+
+/**
+ * Sign a delivery: the hex HMAC-SHA256 of "<timestamp>.<body>"
+ * Receivers compute the same with their copy of the secret and compare it
+ * to X-Webhook-Signature (without the "sha256=" prefix)
+ *
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - The exact request body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Wait before the next attempt, after `attempts` failed ones:
+ * retryBaseMs, then twice as long each time, never longer than retryMaxMs
+ */
+function retryDelay(attempts, { retryBaseMs, retryMaxMs }) {
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+}
+
+/**
+ * Create a webhook dispatcher
+ *
+ * @param {object} options
+ * @param {object} options.repository - Webhook repository (see repositories/webhook.repository.js)
+ * @param {object} [options.settings] - From config/webhooks.js
+ * @param {Function} [options.fetch] - Sends the requests (for tests)
+ * @param {Function} [options.isAvailable] - () => boolean; while false the
+ *                                           database isn't polled (see utils/databaseStatus.js)
+ * @param {Function} [options.now] - Returns the current Date (for tests)
+ * @returns {object}
+ */
+function createWebhookDispatcher({
+    repository,
+    settings = getWebhookSettings(),
+    fetch = globalThis.fetch,
+    isAvailable = () => true,
+    now = () => new Date()
+}) {
+    assertWebhookRepository(repository);
+
+    const { maxAttempts, timeoutMs, pollIntervalMs } = settings;
+
+    // Every registered webhook, kept in memory so task routes can tell
+    // without a query whether anyone wants an event; null until first loaded
+    let webhooks = null;
+    let timer = null;
+    let running = null;
+    let again = false;
+
+    // Set by stop(): the server is shutting down and the pools are about to close
+    let stopped = false;
+
+    /**
+     * Load the registered webhooks again
+     * Called on every poll, so webhooks added by other instances are picked up
+     */
+    async function refresh() {
+        try {
+            webhooks = await repository.list();
+        } catch (error) {
+            logger.error('Failed to load webhooks', { database: repository.label, error });
+        }
+    }
+
+    function isSubscribed(type) {
+        return Boolean(webhooks) && webhooks.some(webhook => webhook.events.includes(type));
+    }
+
+    /**
+     * Store an event for every webhook subscribed to it, then send it
+     * Never rejects: a failure is logged, and the task change it describes stands
+     * After stop() nothing is stored, as the databases are closing
+     */
+    async function emit(database, type, data) {
+        if (stopped) {
+            return;
+        }
+
+        const targets = webhooks ? webhooks.filter(webhook => webhook.events.includes(type)) : [];
+        if (targets.length === 0) {
+            return;
+        }
+
+        const createdAt = now();
+        const event = { id: crypto.randomUUID(), type, created_at: createdAt.toISOString(), database, data };
+
+        try {
+            await repository.addDeliveries(targets.map(webhook => ({
+                webhook_id: webhook.id,
+                event_id: event.id,
+                event_type: type,
+                payload: event,
+                next_attempt_at: createdAt
+            })));
+        } catch (error) {
+            return logger.error('Failed to queue webhook deliveries', { database: repository.label, event: type, error });
+        }
+
+        deliverDue();
+    }
+
+    /**
+     * Send one delivery and save the outcome
+     */
+    async function attempt(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(now().getTime() / 1000);
+        const attempts = delivery.attempts + 1;
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'nodejs-example-webhooks',
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+                },
+                body,
+                // A redirect counts as a failure rather than sending the event somewhere else
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            responseStatus = response.status;
+            if (!response.ok) {
+                error = `Receiver answered ${response.status}`;
+            }
+
+            // The answer isn't needed; discarding it frees the connection
+            await response.body?.cancel();
+        } catch (err) {
+            error = err.name === 'TimeoutError'
+                ? `No answer within ${timeoutMs} ms`
+                : (err.cause && err.cause.message) || err.message;
+        }
+
+        if (!error) {
+            return repository.updateDelivery(delivery.id, {
+                status: 'delivered',
+                attempts,
+                next_attempt_at: null,
+                response_status: responseStatus,
+                last_error: null,
+                delivered_at: now()
+            });
+        }
+
+        const lastError = error.slice(0, ERROR_MAX_LENGTH);
+
+        if (attempts >= maxAttempts) {
+            logger.warn('Webhook delivery failed for good', {
+                deliveryId: delivery.id, webhookId: delivery.webhook_id, event: delivery.event_type, attempts, error: lastError
+            });
+            return repository.updateDelivery(delivery.id, {
+                status: 'dead',
+                attempts,
+                next_attempt_at: null,
+                response_status: responseStatus,
+                last_error: lastError
+            });
+        }
+
+        const delayMs = retryDelay(attempts, settings);
+        logger.info('Webhook delivery failed, retrying', {
+            deliveryId: delivery.id, webhookId: delivery.webhook_id, event: delivery.event_type, attempts, delayMs, error: lastError
+        });
+        return repository.updateDelivery(delivery.id, {
+            attempts,
+            next_attempt_at: new Date(now().getTime() + delayMs),
+            response_status: responseStatus,
+            last_error: lastError
+        });
+    }
+
+    /**
+     * Send every delivery that is due, a batch at a time
+     * Stops after a round in which no outcome could be saved; the next poll tries again
+     */
+    async function deliverAll() {
+        let due;
+        let saved;
+
+        do {
+            const claimedAt = now();
+            due = await repository.claimDueDeliveries(
+                claimedAt, DELIVERY_BATCH_SIZE, new Date(claimedAt.getTime() + timeoutMs + CLAIM_MARGIN_MS)
+            );
+
+            const outcomes = await Promise.all(due.map(delivery => attempt(delivery).then(() => true, (error) => {
+                logger.error('Failed to save a webhook delivery', { deliveryId: delivery.id, database: repository.label, error });
+                return false;
+            })));
+            saved = outcomes.filter(Boolean).length;
+        } while (due.length === DELIVERY_BATCH_SIZE && saved > 0 && !stopped);
+    }
+
+    /**
+     * Send the due deliveries
+     * While a run is still sending, it goes round once more afterwards
+     * instead, for the deliveries queued since it started. Resolves once
+     * the run is over; errors are logged, never thrown.
+     * After stop() no new run starts, and a running one doesn't go round again.
+     */
+    function deliverDue() {
+        if (stopped) {
+            return running || Promise.resolve();
+        }
+
+        if (running) {
+            again = true;
+            return running;
+        }
+
+        running = (async () => {
+            do {
+                again = false;
+                await deliverAll();
+            } while (again && !stopped);
+        })()
+            .catch(error => logger.error('Failed to send webhook deliveries', { database: repository.label, error }))
+            .finally(() => {
+                running = null;
+            });
+        return running;
+    }
+
+    /**
+     * Load the webhooks and send the deliveries that are due
+     */
+    async function poll() {
+        if (!isAvailable()) {
+            return;
+        }
+
+        await refresh();
+        await deliverDue();
+    }
+
+    return {
+        refresh,
+        isSubscribed,
+        emit,
+        deliverDue,
+
+        /**
+         * The emitter a database's task router uses (see routes/tasks.routes.js)
+         *
+         * @param {string} database - 'mysql', 'postgresql' or 'sqlite', sent in every payload
+         * @returns {{ isSubscribed: Function, emit: Function }}
+         */
+        forDatabase(database) {
+            return {
+                isSubscribed,
+                emit: (type, data) => emit(database, type, data)
+            };
+        },
+
+        /**
+         * Queue a dead delivery again, with a fresh set of attempts, and send it
+         * Resolves to the delivery, or null if there is no such dead delivery
+         */
+        async redeliver(id) {
+            const delivery = await repository.retryDelivery(id, now());
+
+            if (delivery) {
+                deliverDue();
+            }
+            return delivery;
+        },
+
+        /**
+         * Poll now and then every pollIntervalMs
+         */
+        start() {
+            if (timer) {
+                return;
+            }
+
+            stopped = false;
+            poll();
+            timer = setInterval(poll, pollIntervalMs);
+
+            // Don't keep the process alive just for the retries
+            timer.unref();
+        },
+
+        /**
+         * Stop polling and sending; resolves once deliveries being sent are saved
+         * Whatever is still pending is sent after the next start
+         */
+        stop() {
+            stopped = true;
+            clearInterval(timer);
+            timer = null;
+            return running || Promise.resolve();
+        }
+    };
+}
+
+/**
+ * The dispatcher shared by the task routers and /api/webhooks
+ * Created on first use, on the AUTH_DATABASE, with the settings from config/webhooks.js
+ */
+function getWebhookDispatcher() {
+    if (!sharedDispatcher) {
+        const database = getAuthDatabase();
+        sharedDispatcher = createWebhookDispatcher({
+            repository: getWebhookRepository(database),
+            isAvailable: () => isAvailable(database)
+        });
+    }
+    return sharedDispatcher;
+}
+
+/**
+ * The webhook emitter of a database's task router
+ *
+ * Looks the shared dispatcher up on every call instead of creating it, so a
+ * router used on its own (as in the route tests) sends nothing and doesn't
+ * open the AUTH_DATABASE.
+ *
+ * @param {string} database - 'mysql', 'postgresql' or 'sqlite'
+ * @returns {{ isSubscribed: Function, emit: Function }}
+ */
+function getTaskWebhooks(database) {
+    return {
+        isSubscribed: type => Boolean(sharedDispatcher) && sharedDispatcher.isSubscribed(type),
+        emit: (type, data) => (sharedDispatcher ? sharedDispatcher.emit(database, type, data) : Promise.resolve())
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_BATCH_SIZE,
+    signPayload,
+    retryDelay,
+    createWebhookDispatcher,
+    getWebhookDispatcher,
+    getTaskWebhooks
+};
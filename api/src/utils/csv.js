@@ -0,0 +1,115 @@
+/**
+ * CSV Helpers
+ *
+ * Writes and reads CSV as described in RFC 4180, the format spreadsheets
+ * export (used by GET /tasks/export and POST /tasks/import):
+ *
+ *   id,title,description,status
+ *   1,Write docs,"Cover export, import and ""upsert""",pending
+ *   2,Ship it,,completed
+ *
+ * - Fields are separated by commas and records by CRLF (LF is accepted too)
+ * - A field holding a comma, a quote or a line break is wrapped in double
+ *   quotes, and its quotes are doubled
+ * - An empty field is an empty string; there is no way to tell it from null
+ */
+
+/**
+ * Format one field
+ * null and undefined become empty fields, Dates ISO 8601 timestamps
+ */
+function formatCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one record, including its line break
+ *
+ * @param {Array} values - The record's fields, in column order
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+    return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into records
+ *
+ * Blank lines are skipped. A byte order mark (which Excel adds) is ignored.
+ *
+ * @param {string} text
+ * @returns {{ records: Array<string[]>, error: string|null }}
+ *          error is set (and records incomplete) when a quoted field is never closed
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRecord = () => {
+        record.push(field);
+        // A blank line is a record with one empty field
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+        field = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            endRecord();
+            i++;
+        } else if (char === '\n' || char === '\r') {
+            endRecord();
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        return { records, error: `Unclosed quoted field in record ${records.length + 1}` };
+    }
+
+    // The last record may not end with a line break
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+
+    return { records, error: null };
+}
+
+module.exports = {
+    formatCsvRow,
+    parseCsv
+};
@@ -0,0 +1,161 @@
+/**
+ * Database Availability
+ *
+ * Tracks which databases are reachable, so one database going down doesn't
+ * take the whole API with it (degraded mode):
+ *
+ * - At startup, connectDatabase() retries with exponential backoff
+ *   (see utils/retry.js). A database that still can't be reached is marked
+ *   unavailable and the server starts anyway.
+ * - While a database is unavailable, its routes answer 503 with a Retry-After
+ *   header (see middleware/availability.js) and it is retried in the
+ *   background, with the same backoff, until it is back.
+ * - connectionLost() marks a database unavailable at runtime, e.g. when the
+ *   PostgreSQL pool reports a broken connection or /health can't reach it.
+ *
+ * Usage:
+ *   registerDatabase('mysql', { label: 'MySQL', testConnection, onReconnect: () => migrate('mysql') });
+ *   await connectDatabase('mysql');
+ */
+
+const { logger } = require('./logger');
+const { getRetryOptions, backoffDelay, retryWithBackoff } = require('./retry');
+
+// Database name -> { label, testConnection, onReconnect, available, timer, nextAttemptAt, stopped }
+const databases = new Map();
+
+/**
+ * Register a database so it can be connected and monitored
+ *
+ * @param {string} name - e.g. 'mysql'
+ * @param {object} options
+ * @param {string} options.label - e.g. 'MySQL', for messages
+ * @param {Function} options.testConnection - async () => boolean (see config/)
+ * @param {Function} [options.onReconnect] - async () => void, run before the database is used
+ *                                           again (e.g. migrations). If it throws, the reconnect is retried.
+ */
+function registerDatabase(name, { label, testConnection, onReconnect = async () => {} }) {
+    databases.set(name, { label, testConnection, onReconnect, available: true, timer: null, nextAttemptAt: null, stopped: false });
+}
+
+/**
+ * Whether a database can be used right now
+ * Databases that were never registered (e.g. in tests) count as available
+ */
+function isAvailable(name) {
+    const database = databases.get(name);
+    return !database || database.available;
+}
+
+/**
+ * Seconds until the next reconnect attempt, for Retry-After (at least 1)
+ */
+function getRetryAfter(name) {
+    const database = databases.get(name);
+    if (!database || !database.nextAttemptAt) {
+        return 1;
+    }
+    return Math.max(1, Math.ceil((database.nextAttemptAt - Date.now()) / 1000));
+}
+
+/**
+ * The label of a registered database, or its name
+ */
+function getLabel(name) {
+    const database = databases.get(name);
+    return database ? database.label : name;
+}
+
+/**
+ * Try a database in the background until it is back
+ */
+function scheduleReconnect(name, attempt = 1) {
+    const database = databases.get(name);
+    const delayMs = backoffDelay(attempt, getRetryOptions());
+
+    database.nextAttemptAt = Date.now() + delayMs;
+    database.timer = setTimeout(async () => {
+        database.timer = null;
+
+        try {
+            if (await database.testConnection()) {
+                await database.onReconnect();
+                database.available = true;
+                database.nextAttemptAt = null;
+                logger.info('Database reconnected', { database: name, attempts: attempt });
+                return;
+            }
+        } catch (error) {
+            logger.error('Database reconnect failed', { database: name, error });
+        }
+
+        // Unless shutdown began while this attempt was running
+        if (!database.stopped) {
+            scheduleReconnect(name, attempt + 1);
+        }
+    }, delayMs);
+
+    // Don't keep the process alive just to reconnect
+    database.timer.unref();
+}
+
+/**
+ * Mark a database unavailable and start reconnecting
+ * Does nothing if it is already unavailable
+ *
+ * @param {string} name - e.g. 'postgresql'
+ * @param {Error} [error] - What went wrong, for the log
+ */
+function connectionLost(name, error) {
+    const database = databases.get(name);
+    if (!database || !database.available || database.stopped) {
+        return;
+    }
+
+    database.available = false;
+    logger.warn('Database unavailable, serving in degraded mode', { database: name, error });
+    scheduleReconnect(name);
+}
+
+/**
+ * Connect to a database at startup, retrying with backoff
+ * If every retry fails, the database is marked unavailable and retried in the background
+ *
+ * @param {string} name - A registered database
+ * @returns {Promise<boolean>} Whether it is connected
+ */
+async function connectDatabase(name) {
+    const database = databases.get(name);
+
+    const connected = await retryWithBackoff(database.testConnection, {
+        ...getRetryOptions(),
+        onRetry: (attempt, delayMs) => logger.warn('Database connection failed, retrying', { database: name, attempt, delayMs })
+    });
+
+    if (!connected) {
+        connectionLost(name);
+    }
+
+    return connected;
+}
+
+/**
+ * Stop every background reconnect, e.g. while shutting down
+ */
+function stopReconnecting() {
+    for (const database of databases.values()) {
+        database.stopped = true;
+        clearTimeout(database.timer);
+        database.timer = null;
+    }
+}
+
+module.exports = {
+    registerDatabase,
+    connectDatabase,
+    connectionLost,
+    isAvailable,
+    getRetryAfter,
+    getLabel,
+    stopReconnecting
+};
@@ -0,0 +1,57 @@
+/**
+ * Task ETags
+ *
+ * Optimistic concurrency for the single-task endpoints. Every task has a
+ * version (see repositories/task.repository.js), sent as its ETag:
+ *
+ *   GET /tasks/4              -> ETag: "7"
+ *   PUT /tasks/4              If-Match: "7"  -> 200 and ETag: "8"
+ *   PUT /tasks/4              If-Match: "7"  -> 412, someone else saved version 8 first
+ *   GET /tasks/4              If-None-Match: "8" -> 304, the client's copy is current
+ *
+ * If-Match is optional - without it PUT and DELETE always apply, as before.
+ */
+
+/**
+ * The ETag of a task
+ */
+function taskETag(task) {
+    return `"${task.version}"`;
+}
+
+/**
+ * Read an If-Match header
+ * Weak ETags (W/"7") never match, because If-Match uses strong comparison
+ *
+ * @param {string} [header] - The If-Match request header
+ * @returns {null|'*'|number[]} null when the header is missing, '*' for any
+ *          version, otherwise the versions the client accepts
+ */
+function parseIfMatch(header) {
+    if (header === undefined || header.trim() === '') {
+        return null;
+    }
+
+    if (header.trim() === '*') {
+        return '*';
+    }
+
+    return header
+        .split(',')
+        .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
+
+/**
+ * Check a task against a parsed If-Match header
+ */
+function matchesIfMatch(expected, task) {
+    return expected === '*' || expected.includes(task.version);
+}
+
+module.exports = {
+    taskETag,
+    parseIfMatch,
+    matchesIfMatch
+};
@@ -0,0 +1,119 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line, so log platforms such as Render's
+ * can search and filter by field:
+ *
+ *   {"time":"2024-01-31T12:00:00.000Z","level":"info","msg":"Request completed","requestId":"...","status":200}
+ *
+ * Usage:
+ *   const { logger } = require('../utils/logger');
+ *   logger.info('Server started', { port: 3001 });
+ *   logger.error('Error fetching tasks', { requestId: req.id, error });
+ *
+ * Errors passed as fields are written with their name, message, code and stack.
+ * LOG_LEVEL sets the lowest level written: debug, info (default), warn, error or silent.
+ */
+
+// Lowest to highest - a logger writes its own level and everything above it
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const DEFAULT_LOG_LEVEL = 'info';
+
+/**
+ * Read the log level from an environment value
+ *
+ * @param {string} [value] - Defaults to process.env.LOG_LEVEL
+ * @returns {string} One of the keys of LOG_LEVELS
+ */
+function getLogLevel(value = process.env.LOG_LEVEL) {
+    const level = (value || DEFAULT_LOG_LEVEL).trim().toLowerCase();
+
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+        throw new Error(`Invalid LOG_LEVEL "${value}". Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    return level;
+}
+
+/**
+ * Turn an Error into plain fields JSON.stringify can write
+ * (an Error's own properties are not enumerable, so it would become {})
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Write a log line - errors and warnings go to stderr, the rest to stdout
+ */
+function writeLine(level, line) {
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Create a logger
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level to write (default: LOG_LEVEL)
+ * @param {object} [options.fields] - Fields added to every line
+ * @param {Function} [options.write] - (level, line) => void, for tests
+ * @returns {{ debug, info, warn, error, child }} Each method takes (msg, fields)
+ */
+function createLogger({ level = getLogLevel(), fields = {}, write = writeLine } = {}) {
+    const threshold = LOG_LEVELS[level];
+
+    const log = (lineLevel) => (msg, extra = {}) => {
+        if (LOG_LEVELS[lineLevel] < threshold) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = serializeError(value);
+        }
+
+        write(lineLevel, JSON.stringify(entry));
+    };
+
+    return {
+        level,
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+
+        // A logger that adds more fields to every line
+        child: (more) => createLogger({ level, fields: { ...fields, ...more }, write })
+    };
+}
+
+// The application logger
+const logger = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    getLogLevel,
+    serializeError,
+    createLogger,
+    logger
+};
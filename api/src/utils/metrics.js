@@ -0,0 +1,148 @@
+/**
+ * Prometheus Metrics
+ *
+ * Collects the metrics served at /metrics (see routes/metrics.routes.js):
+ *
+ * - http_requests_total{method, route, status}
+ * - http_request_duration_seconds{method, route, status}   (histogram)
+ * - db_query_duration_seconds{database, operation}          (histogram)
+ * - db_query_errors_total{database, operation}
+ * - db_pool_connections{database, state}                    (active, idle or waiting)
+ * - Node.js process metrics (memory, CPU, event loop lag, ...)
+ *
+ * Routes are labelled by their pattern (/api/mysql/tasks/:id), not the
+ * requested URL, so the number of series stays small.
+ * Database queries are timed per repository method (see instrumentRepository).
+ */
+
+const client = require('prom-client');
+
+// A registry of our own, so nothing else can add to /metrics
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+    name: 'db_query_duration_seconds',
+    help: 'Database query latency in seconds, per repository operation',
+    labelNames: ['database', 'operation'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [registry]
+});
+
+const dbQueryErrors = new client.Counter({
+    name: 'db_query_errors_total',
+    help: 'Database queries that failed, per repository operation',
+    labelNames: ['database', 'operation'],
+    registers: [registry]
+});
+
+// Connection pools to report, by database name -> function returning { active, idle, waiting }
+const poolStatsSources = new Map();
+
+new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Connections in each database pool, by state',
+    labelNames: ['database', 'state'],
+    registers: [registry],
+    // Read the pools whenever /metrics is scraped
+    collect() {
+        this.reset();
+        for (const [database, getPoolStats] of poolStatsSources) {
+            for (const [state, count] of Object.entries(getPoolStats())) {
+                this.set({ database, state }, count);
+            }
+        }
+    }
+});
+
+/**
+ * Report a connection pool in db_pool_connections
+ *
+ * @param {string} database - e.g. 'mysql'
+ * @param {Function} getPoolStats - Returns { active, idle, waiting } (see config/mysql.js)
+ */
+function registerPool(database, getPoolStats) {
+    poolStatsSources.set(database, getPoolStats);
+}
+
+/**
+ * The route pattern a request matched, for the route label
+ * Requests answered by router-level middleware (e.g. a 401) are labelled with
+ * the router's mount path; requests that matched nothing share one label.
+ */
+function routeLabel(req) {
+    if (req.route) {
+        return req.baseUrl + req.route.path;
+    }
+    return req.baseUrl || 'unmatched';
+}
+
+/**
+ * Middleware that records the count and latency of every request
+ */
+function recordRequestMetrics(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+        endTimer(labels);
+        httpRequestsTotal.inc(labels);
+    });
+
+    next();
+}
+
+/**
+ * Wrap a repository so each method call is timed, and failures counted
+ * The wrapper has the same methods and properties as the repository.
+ *
+ * @param {object} repository - A task or user repository
+ * @returns {object} The instrumented repository
+ */
+function instrumentRepository(repository) {
+    const database = repository.label;
+    const instrumented = { ...repository };
+
+    for (const [operation, method] of Object.entries(repository)) {
+        if (typeof method !== 'function') {
+            continue;
+        }
+
+        instrumented[operation] = async (...args) => {
+            const endTimer = dbQueryDuration.startTimer({ database, operation });
+            try {
+                return await method.apply(repository, args);
+            } catch (error) {
+                dbQueryErrors.inc({ database, operation });
+                throw error;
+            } finally {
+                endTimer();
+            }
+        };
+    }
+
+    return instrumented;
+}
+
+module.exports = {
+    registry,
+    registerPool,
+    recordRequestMetrics,
+    instrumentRepository
+};
@@ -0,0 +1,94 @@
+/**
+ * Rate Limit Stores
+ *
+ * A store counts requests per key (e.g. "user:write:42") in fixed windows.
+ * middleware/rateLimit.js only talks to this interface, so the counters can
+ * live in memory (one API instance) or in a shared backend such as Redis
+ * (several instances behind a load balancer, which must share one budget).
+ *
+ * Every store must provide:
+ * - increment(key, windowMs):   Count one request and resolve to { count, resetAt },
+ *                               where count includes this request and resetAt is
+ *                               when the window ends (milliseconds since the epoch).
+ *                               The first request for a key starts its window.
+ * - reset(key):                 Forget the key's count (resolve when done)
+ *
+ * A Redis store, for example, maps onto two commands per request:
+ *
+ *   increment: MULTI; INCR key; PEXPIRE key windowMs NX; PTTL key; EXEC
+ *   reset:     DEL key
+ *
+ * Pass it to useRateLimitStore() (see middleware/rateLimit.js) at startup.
+ */
+
+// Methods every store has to implement
+const RATE_LIMIT_STORE_METHODS = ['increment', 'reset'];
+
+/**
+ * Check that an object implements the store interface
+ * Throws a TypeError naming the first missing method, so a broken store
+ * fails at startup rather than on the first request
+ */
+function assertRateLimitStore(store) {
+    for (const method of RATE_LIMIT_STORE_METHODS) {
+        if (!store || typeof store[method] !== 'function') {
+            throw new TypeError(`Rate limit store is missing ${method}()`);
+        }
+    }
+
+    return store;
+}
+
+/**
+ * Create a store that keeps the counters in this process
+ * Only correct while the API runs as a single instance; counters are
+ * lost on restart. Expired windows are swept out as requests arrive,
+ * so memory only grows with the number of active clients.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} A rate limit store
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+    // Key -> { count, resetAt }
+    const windows = new Map();
+    let nextSweepAt = 0;
+
+    function sweep(time) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= time) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    return {
+        async increment(key, windowMs) {
+            const time = now();
+
+            if (time >= nextSweepAt) {
+                sweep(time);
+                nextSweepAt = time + windowMs;
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= time) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_STORE_METHODS,
+    assertRateLimitStore,
+    createMemoryStore
+};
@@ -0,0 +1,81 @@
+/**
+ * Retry with Exponential Backoff
+ *
+ * Databases in Docker Compose (and managed ones after a restart) often
+ * need a few seconds before they accept connections. Instead of failing on
+ * the first try, retry with a delay that doubles each time:
+ *
+ *   1s, 2s, 4s, 8s, ... up to maxDelayMs
+ *
+ * Settings (environment variables, used by getRetryOptions):
+ * - DB_CONNECT_RETRIES:         Retries at startup before serving in degraded mode (default 5)
+ * - DB_RETRY_INITIAL_DELAY_MS:  Delay before the first retry (default 1000)
+ * - DB_RETRY_MAX_DELAY_MS:      Longest delay between retries (default 30000)
+ */
+
+const { readWholeNumber } = require('../config/env');
+
+const DEFAULT_RETRY_OPTIONS = {
+    retries: 5,
+    initialDelayMs: 1000,
+    maxDelayMs: 30000
+};
+
+/**
+ * Read the retry settings from the environment
+ *
+ * @returns {{ retries: number, initialDelayMs: number, maxDelayMs: number }}
+ */
+function getRetryOptions() {
+    return {
+        retries: readWholeNumber('DB_CONNECT_RETRIES', DEFAULT_RETRY_OPTIONS.retries),
+        initialDelayMs: readWholeNumber('DB_RETRY_INITIAL_DELAY_MS', DEFAULT_RETRY_OPTIONS.initialDelayMs),
+        maxDelayMs: readWholeNumber('DB_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_OPTIONS.maxDelayMs)
+    };
+}
+
+/**
+ * The delay before a retry
+ *
+ * @param {number} attempt - 1 for the first retry, 2 for the second, ...
+ * @param {object} options - initialDelayMs and maxDelayMs
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, { initialDelayMs, maxDelayMs }) {
+    return Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call fn until it returns true, waiting longer after each failure
+ *
+ * @param {Function} fn - async () => boolean, e.g. a database's testConnection
+ * @param {object} [options] - retries, initialDelayMs, maxDelayMs (see getRetryOptions)
+ * @param {Function} [options.onRetry] - Called with (attempt, delayMs) before each retry
+ * @returns {Promise<boolean>} true as soon as fn succeeds, false once every retry failed
+ */
+async function retryWithBackoff(fn, { onRetry = () => {}, ...options } = {}) {
+    const { retries, initialDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        if (await fn()) {
+            return true;
+        }
+
+        if (attempt >= retries) {
+            return false;
+        }
+
+        const delayMs = backoffDelay(attempt + 1, { initialDelayMs, maxDelayMs });
+        onRetry(attempt + 1, delayMs);
+        await sleep(delayMs);
+    }
+}
+
+module.exports = {
+    DEFAULT_RETRY_OPTIONS,
+    getRetryOptions,
+    backoffDelay,
+    retryWithBackoff
+};
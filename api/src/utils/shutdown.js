@@ -0,0 +1,171 @@
+/**
+ * Graceful Shutdown
+ *
+ * When the platform stops the server (SIGTERM on every Render deploy, or
+ * Ctrl+C locally), exiting straight away cuts off requests that are still
+ * running and leaves database connections open. Instead, shutdown():
+ *
+ * 1. Marks the server as draining - /health answers 503 "draining", so load
+ *    balancers stop sending traffic
+ * 2. Stops accepting new connections
+ * 3. Waits for in-flight requests to finish, up to a timeout, then closes
+ *    whatever connections are left
+ * 4. Stops background work that still uses the databases (beforeClose)
+ * 5. Closes the database pools
+ * 6. Logs a summary
+ *
+ * Usage:
+ *   const shutdown = createGracefulShutdown({ timeoutMs: 10000 });
+ *   app.use(shutdown.trackRequests);
+ *   const server = app.listen(PORT);
+ *   process.on('SIGTERM', () => shutdown.shutdown({ signal: 'SIGTERM', server, closers }));
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
+
+/**
+ * Read SHUTDOWN_TIMEOUT_MS - how long to wait for in-flight requests
+ *
+ * @param {string} [value] - Defaults to process.env.SHUTDOWN_TIMEOUT_MS
+ * @returns {number} Milliseconds
+ */
+function getShutdownTimeout(value = process.env.SHUTDOWN_TIMEOUT_MS) {
+    if (value === undefined || value === '') {
+        return DEFAULT_SHUTDOWN_TIMEOUT_MS;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid SHUTDOWN_TIMEOUT_MS "${value}". Must be a number of milliseconds`);
+    }
+
+    return Number(value);
+}
+
+/**
+ * Create the shutdown state for one server
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - How long to wait for in-flight requests
+ * @returns {{ trackRequests: Function, isDraining: Function, shutdown: Function }}
+ */
+function createGracefulShutdown({ timeoutMs = getShutdownTimeout() } = {}) {
+    let inFlight = 0;
+    let completedWhileDraining = 0;
+    let draining = false;
+    let server = null;
+    let result = null;
+
+    /**
+     * Middleware that counts in-flight requests
+     * While draining, responses ask the client to close the connection,
+     * and finished keep-alive connections are closed so the server can stop
+     */
+    function trackRequests(req, res, next) {
+        inFlight++;
+
+        if (draining) {
+            res.set('Connection', 'close');
+        }
+
+        res.on('close', () => {
+            inFlight--;
+            if (draining) {
+                completedWhileDraining++;
+                server.closeIdleConnections();
+            }
+        });
+
+        next();
+    }
+
+    /**
+     * Stop the server and close the databases
+     * Calling it again (e.g. a second Ctrl+C) returns the same result
+     *
+     * @param {object} options
+     * @param {string} options.signal - What triggered the shutdown, for the log
+     * @param {http.Server} options.server - The server returned by app.listen()
+     * @param {Function} [options.beforeClose] - Runs once requests are drained and before
+     *                                           the closers, e.g. to stop a background job
+     *                                           that requests could still have started
+     * @param {Array<{ name: string, close: Function }>} [options.closers] - e.g. pool.end() per database
+     * @returns {Promise<{ timedOut: boolean, aborted: number, failed: string[] }>}
+     */
+    function shutdown({ signal, server: httpServer, beforeClose, closers = [] }) {
+        if (!result) {
+            result = run(signal, httpServer, beforeClose, closers);
+        }
+        return result;
+    }
+
+    async function run(signal, httpServer, beforeClose, closers) {
+        const start = Date.now();
+        draining = true;
+        server = httpServer;
+
+        logger.info('Shutting down', { signal, inFlight, timeoutMs });
+
+        // Stop accepting connections; the callback runs once every connection is closed
+        const closed = new Promise(resolve => server.close(() => resolve(true)));
+        server.closeIdleConnections();
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), timeoutMs);
+        });
+
+        const drained = await Promise.race([closed, timeout]);
+        clearTimeout(timer);
+
+        // Requests still running after the timeout are cut off
+        const completed = completedWhileDraining;
+        const aborted = drained ? 0 : inFlight;
+        if (!drained) {
+            logger.warn('Shutdown timeout reached, closing open connections', { inFlight, timeoutMs });
+            server.closeAllConnections();
+        }
+
+        if (beforeClose) {
+            try {
+                await beforeClose();
+            } catch (error) {
+                logger.error('Error stopping background work', { error });
+            }
+        }
+
+        const failed = [];
+        for (const { name, close } of closers) {
+            try {
+                await close();
+            } catch (error) {
+                failed.push(name);
+                logger.error('Error closing database', { database: name, error });
+            }
+        }
+
+        logger.info('Shutdown complete', {
+            signal,
+            durationMs: Date.now() - start,
+            completedRequests: completed,
+            abortedRequests: aborted,
+            timedOut: !drained,
+            closed: closers.map(closer => closer.name).filter(name => !failed.includes(name))
+        });
+
+        return { timedOut: !drained, aborted, failed };
+    }
+
+    return {
+        trackRequests,
+        isDraining: () => draining,
+        shutdown
+    };
+}
+
+module.exports = {
+    DEFAULT_SHUTDOWN_TIMEOUT_MS,
+    getShutdownTimeout,
+    createGracefulShutdown
+};
@@ -0,0 +1,351 @@
+/**
+ * Task List Query Helpers
+ *
+ * This file parses the query string accepted by GET /tasks and turns it
+ * into SQL clauses. Every task repository uses it, so filtering, sorting
+ * and pagination behave the same way on every database.
+ *
+ * Supported query parameters:
+ * - status:                    One status or a comma-separated list
+ * - priority:                  One priority or a comma-separated list
+ * - q:                         Search term matched against title and description
+ * - created_from, created_to:  created_at date range (inclusive)
+ * - updated_from, updated_to:  updated_at date range (inclusive)
+ * - due_from, due_to:          due_date range (inclusive, YYYY-MM-DD)
+ * - sort:                      Column to sort by (see SORTABLE_COLUMNS)
+ * - order:                     asc or desc (default: desc)
+ * - limit:                     Page size (default: 50, max: 100)
+ * - cursor:                    Opaque value returned as nextCursor by the previous page
+ */
+
+const { validate } = require('./validation');
+
+// Values allowed in the status column (matches the schema in migrations/*/001_create_tasks.up.sql)
+const VALID_STATUSES = ['pending', 'in_progress', 'completed'];
+
+// Values allowed in the priority column, least urgent first (matches migrations/*/011)
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Columns clients may sort by
+// Only whitelisted names are ever interpolated into SQL
+const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'title', 'id', 'priority', 'due_date'];
+
+// Tasks without a due date sort as if due on this day: after every other task
+// in ascending order, before them in descending order
+const NO_DUE_DATE = '9999-12-31';
+
+/**
+ * What a sortable column is ordered (and a cursor compared) by, where that
+ * isn't the column itself:
+ * - priority:  Its rank in VALID_PRIORITIES rather than alphabetically
+ * - due_date:  NO_DUE_DATE instead of NULL, which would never compare as
+ *              greater or less than the cursor
+ * Each has a sortValue(row) that gives the same value for a cursor
+ */
+const SORT_EXPRESSIONS = {
+    priority: {
+        sql: `CASE priority ${VALID_PRIORITIES.map((priority, index) => `WHEN '${priority}' THEN ${index + 1}`).join(' ')} END`,
+        sortValue: row => VALID_PRIORITIES.indexOf(row.priority) + 1
+    },
+    due_date: {
+        sql: `COALESCE(due_date, '${NO_DUE_DATE}')`,
+        sortValue: row => row.due_date || NO_DUE_DATE
+    }
+};
+
+// Columns holding timestamps - their cursor values are turned back into Dates
+const DATE_COLUMNS = ['created_at', 'updated_at'];
+
+// Date range parameters and the column each one filters on
+const DATE_RANGE_PARAMS = {
+    created_from: { column: 'created_at', operator: '>=' },
+    created_to: { column: 'created_at', operator: '<=' },
+    updated_from: { column: 'updated_at', operator: '>=' },
+    updated_to: { column: 'updated_at', operator: '<=' }
+};
+
+// The same for due_date, a calendar day rather than a timestamp
+const DUE_DATE_PARAMS = {
+    due_from: { column: 'due_date', operator: '>=' },
+    due_to: { column: 'due_date', operator: '<=' }
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the position of a row as an opaque cursor string
+ *
+ * The cursor holds the value of the sort column and the row ID.
+ * The ID breaks ties when several rows share the same sort value.
+ */
+function encodeCursor(row, sort) {
+    const value = SORT_EXPRESSIONS[sort]
+        ? SORT_EXPRESSIONS[sort].sortValue(row)
+        : row[sort] instanceof Date ? row[sort].toISOString() : row[sort];
+    return Buffer.from(JSON.stringify({ v: value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor string produced by encodeCursor()
+ * Returns null if the cursor is malformed
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (!Number.isInteger(id) || v === undefined || v === null) {
+            return null;
+        }
+
+        if (DATE_COLUMNS.includes(sort)) {
+            const date = new Date(v);
+            return isNaN(date.getTime()) ? null : { value: date, id };
+        }
+
+        return { value: v, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Schema for the GET /tasks query string (see utils/validation.js)
+ * Applied by the task router's validate() middleware and by parseTaskListQuery()
+ */
+const taskListQuerySchema = {
+    coerce: true,
+    fields: {
+        // Accepts "pending" or "pending,in_progress"
+        status: { type: 'list', enum: VALID_STATUSES },
+        priority: { type: 'list', enum: VALID_PRIORITIES },
+        q: { type: 'string', trim: true },
+
+        // Any value Date can parse (e.g. 2024-01-31 or a full ISO timestamp)
+        ...Object.fromEntries(Object.keys(DATE_RANGE_PARAMS).map(param => [param, { type: 'date' }])),
+        ...Object.fromEntries(Object.keys(DUE_DATE_PARAMS).map(param => [param, { type: 'day' }])),
+
+        sort: { type: 'string', enum: SORTABLE_COLUMNS },
+        order: { type: 'string', lowercase: true, enum: ['asc', 'desc'] },
+        limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+
+        // A cursor only makes sense for the sort column it was created with
+        cursor: {
+            type: 'string',
+            check: (cursor, values) => (decodeCursor(cursor, values.sort || 'created_at') ? undefined : 'cursor is invalid')
+        }
+    }
+};
+
+/**
+ * Turn a validated GET /tasks query into the options the repositories expect
+ *
+ * @param {object} query - Output of validate(taskListQuerySchema, ...)
+ */
+function toTaskListOptions(query) {
+    const sort = query.sort || 'created_at';
+
+    return {
+        statuses: query.status || [],
+        priorities: query.priority || [],
+        // An empty search term means no search
+        search: query.q || null,
+        dateRanges: Object.entries({ ...DATE_RANGE_PARAMS, ...DUE_DATE_PARAMS })
+            .filter(([param]) => query[param] !== undefined)
+            .map(([param, { column, operator }]) => ({ column, operator, value: query[param] })),
+        sort,
+        order: query.order || 'desc',
+        limit: query.limit || DEFAULT_LIMIT,
+        cursor: query.cursor ? decodeCursor(query.cursor, sort) : null
+    };
+}
+
+/**
+ * Parse and validate a raw GET /tasks query string
+ *
+ * Returns { options } on success, or { error, errors } when a parameter is
+ * invalid: error joins the messages, errors lists them per field.
+ */
+function parseTaskListQuery(query = {}) {
+    const { value, errors } = validate(taskListQuerySchema, query);
+
+    if (errors.length > 0) {
+        return { error: errors.map(({ message }) => message).join('; '), errors };
+    }
+
+    return { options: toTaskListOptions(value) };
+}
+
+/**
+ * Build the SQL pieces for a parsed task list query
+ *
+ * The caller supplies the dialect differences:
+ * - placeholder(index): returns '?' for MySQL or '$1', '$2', ... for PostgreSQL
+ * - likeOperator: 'LIKE' for MySQL (case-insensitive collation) or 'ILIKE' for PostgreSQL
+ * - likeEscape: set to true when LIKE has no default escape character (SQLite)
+ * - truncateTimestamp(column): wraps a timestamp column that is stored more
+ *   precisely than a cursor's Date (milliseconds), e.g. PostgreSQL's microseconds.
+ *   Rows are then sorted and compared at millisecond precision, so rows written
+ *   in the same millisecond are neither skipped nor repeated across pages
+ *
+ * scope limits the list to one owner's tasks (see middleware/auth.js);
+ * an empty scope lists every task.
+ *
+ * Only live tasks are listed, or only trashed ones when options.trashed
+ * is set (GET /tasks/trash). With options.overdueOn (a YYYY-MM-DD day, see
+ * overdueToday()), only tasks due before that day and not completed are.
+ *
+ * Returns:
+ * - where / values:  filter clause and parameters, shared by the page and count queries
+ * - pageWhere / pageValues: filters plus the cursor condition
+ * - orderBy:  ORDER BY clause including the ID tie-breaker
+ */
+function buildTaskListQuery(options, { placeholder, likeOperator, likeEscape = false, truncateTimestamp }, scope = {}) {
+    const conditions = [];
+    const values = [];
+    const param = (value) => {
+        values.push(value);
+        return placeholder(values.length);
+    };
+
+    conditions.push(options.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+
+    if (scope.ownerId !== undefined && scope.ownerId !== null) {
+        conditions.push(`owner_id = ${param(scope.ownerId)}`);
+    }
+
+    if (options.statuses.length > 0) {
+        conditions.push(`status IN (${options.statuses.map(param).join(', ')})`);
+    }
+
+    // Not every caller filters by priority (search doesn't)
+    if (options.priorities && options.priorities.length > 0) {
+        conditions.push(`priority IN (${options.priorities.map(param).join(', ')})`);
+    }
+
+    if (options.overdueOn) {
+        conditions.push(`due_date < ${param(options.overdueOn)} AND status <> 'completed'`);
+    }
+
+    if (options.search) {
+        // Escape LIKE wildcards so the term is matched literally
+        const pattern = `%${options.search.replace(/[\\%_]/g, '\\$&')}%`;
+        const escape = likeEscape ? " ESCAPE '\\'" : '';
+        conditions.push(
+            `(title ${likeOperator} ${param(pattern)}${escape} ` +
+            `OR description ${likeOperator} ${param(pattern)}${escape})`
+        );
+    }
+
+    for (const { column, operator, value } of options.dateRanges) {
+        conditions.push(`${column} ${operator} ${param(value)}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const filterValues = [...values];
+
+    // The column or expression the rows are ordered by (see SORT_EXPRESSIONS)
+    let sort = SORT_EXPRESSIONS[options.sort] ? SORT_EXPRESSIONS[options.sort].sql : options.sort;
+    if (truncateTimestamp && DATE_COLUMNS.includes(options.sort)) {
+        sort = truncateTimestamp(sort);
+    }
+
+    // Keyset pagination: continue strictly after the cursor row
+    if (options.cursor) {
+        const comparison = options.order === 'asc' ? '>' : '<';
+        conditions.push(
+            `(${sort} ${comparison} ${param(options.cursor.value)} ` +
+            `OR (${sort} = ${param(options.cursor.value)} AND id ${comparison} ${param(options.cursor.id)}))`
+        );
+    }
+
+    const direction = options.order.toUpperCase();
+
+    return {
+        where,
+        values: filterValues,
+        pageWhere: `WHERE ${conditions.join(' AND ')}`,
+        pageValues: values,
+        orderBy: options.sort === 'id'
+            ? `ORDER BY id ${direction}`
+            : `ORDER BY ${sort} ${direction}, id ${direction}`
+    };
+}
+
+/**
+ * Build the condition that limits a single-task query (find, update, delete)
+ * to the scope's owner, to be appended to "WHERE id = ..."
+ *
+ * @param {object} scope - { ownerId } from req.taskScope; empty matches every task
+ * @param {function} placeholder - The dialect's placeholder(index) function
+ * @param {number} used - How many parameters the query already uses
+ * @returns {{ sql: string, values: Array }}
+ */
+function buildScopeFilter(scope = {}, placeholder, used = 0) {
+    if (scope.ownerId === undefined || scope.ownerId === null) {
+        return { sql: '', values: [] };
+    }
+
+    return { sql: ` AND owner_id = ${placeholder(used + 1)}`, values: [scope.ownerId] };
+}
+
+/**
+ * Build the condition that limits an update or delete to one version of
+ * the task (If-Match, see utils/etag.js), to be appended like buildScopeFilter
+ *
+ * @param {number} [version] - The version the client last saw; undefined matches any
+ * @returns {{ sql: string, values: Array }}
+ */
+function buildVersionFilter(version, placeholder, used = 0) {
+    if (version === undefined) {
+        return { sql: '', values: [] };
+    }
+
+    return { sql: ` AND version = ${placeholder(used + 1)}`, values: [version] };
+}
+
+/**
+ * The day from which tasks due before it are overdue: today, in UTC
+ * Due dates are calendar days without a time zone; like the stored
+ * timestamps, they are read as UTC
+ *
+ * @param {Date} [now]
+ * @returns {string} e.g. '2024-01-31'
+ */
+function overdueToday(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Turn the rows fetched for a page into the response fields
+ *
+ * The page query asks for limit + 1 rows; the extra row only tells us
+ * whether another page exists and is not returned to the client.
+ */
+function buildPage(rows, options) {
+    const hasMore = rows.length > options.limit;
+    const data = hasMore ? rows.slice(0, options.limit) : rows;
+
+    return {
+        data,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], options.sort) : null
+    };
+}
+
+module.exports = {
+    VALID_STATUSES,
+    VALID_PRIORITIES,
+    SORTABLE_COLUMNS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    taskListQuerySchema,
+    toTaskListOptions,
+    parseTaskListQuery,
+    buildTaskListQuery,
+    buildScopeFilter,
+    buildVersionFilter,
+    buildPage,
+    overdueToday,
+    encodeCursor,
+    decodeCursor
+};
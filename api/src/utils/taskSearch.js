@@ -0,0 +1,163 @@
+/**
+ * Task Search Helpers
+ *
+ * GET /tasks/search runs on each database's own full-text index (see the
+ * search() method of the repositories): a FULLTEXT index on MySQL, a
+ * tsvector column with a GIN index on PostgreSQL and an FTS5 table on
+ * SQLite. This file holds the parts that are the same everywhere:
+ *
+ * - searchTerms():   Split what the user typed into words. Each adapter
+ *                    builds its own query syntax from them, so characters
+ *                    like " * + - & | : ( ) can't change the query.
+ * - highlight():     Mark the matching words in a title or description
+ *                    and cut a long description down to a snippet
+ * - toSearchResult(): A task as GET /tasks/search returns it
+ *
+ * Every term matches as a prefix ("deploy" finds "deployment"), and a task
+ * must contain every term. How well it matches (rank) is up to the database,
+ * so ranks can't be compared between databases.
+ */
+
+const { buildTaskListQuery } = require('./taskQuery');
+
+// At most this many terms are searched for; the rest are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// About how many characters of a description a snippet keeps
+const SNIPPET_LENGTH = 160;
+
+// What a word is: letters and digits in any script
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a search into its distinct words, lowercased, in order
+ *
+ * @param {string} q - What the user typed, e.g. 'Deploy "API" docs'
+ * @returns {string[]} e.g. ['deploy', 'api', 'docs']
+ */
+function searchTerms(q) {
+    const words = (q || '').toLowerCase().match(WORD_PATTERN) || [];
+    return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Build the WHERE clause every search shares: live tasks, in the user's
+ * scope, with one of the statuses
+ *
+ * @param {object} query - { statuses } from GET /tasks/search
+ * @param {object} dialect - The repository's dialect (see buildTaskListQuery() in utils/taskQuery.js)
+ * @param {object} scope - req.taskScope
+ * @returns {{ where: string, values: Array }}
+ */
+function buildSearchFilter({ statuses }, dialect, scope) {
+    const { where, values } = buildTaskListQuery(
+        { statuses, search: null, dateRanges: [], sort: 'id', order: 'desc', cursor: null },
+        dialect,
+        scope
+    );
+    return { where, values };
+}
+
+// Characters that mean something in HTML
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Mark every word of the text that starts with one of the terms, as HTML
+ *
+ * The text is HTML-escaped, so the result can be shown as it is; only the
+ * <mark> tags are added. A text longer than SNIPPET_LENGTH is cut down to
+ * the part around the first match, with an ellipsis where it was cut.
+ *
+ * Only prefix matches are marked. PostgreSQL also matches other forms of a
+ * word by their stem ("running" finds "runs"), which stay unmarked.
+ *
+ * @param {string|null} text - A task's title or description
+ * @param {string[]} terms - From searchTerms()
+ * @returns {string|null} e.g. 'Write the <mark>deploy</mark>ment docs'
+ */
+function highlight(text, terms) {
+    if (text === null || text === undefined) {
+        return null;
+    }
+
+    // Where each matching word starts, and how much of it matched
+    const matches = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        const word = match[0].toLowerCase();
+        const term = terms.filter(t => word.startsWith(t)).sort((a, b) => b.length - a.length)[0];
+        if (term) {
+            matches.push({ start: match.index, end: match.index + term.length });
+        }
+    }
+
+    let start = 0;
+    let end = text.length;
+
+    if (text.length > SNIPPET_LENGTH) {
+        // Start a little before the first match, at a word boundary
+        const first = matches.length > 0 ? matches[0].start : 0;
+        start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 4));
+        while (start > 0 && /\S/.test(text[start - 1])) {
+            start--;
+        }
+        end = Math.min(text.length, start + SNIPPET_LENGTH);
+        while (end < text.length && /\S/.test(text[end])) {
+            end++;
+        }
+    }
+
+    let html = start > 0 ? '…' : '';
+    let position = start;
+
+    for (const match of matches) {
+        if (match.start < start || match.end > end) {
+            continue;
+        }
+        html += `${escapeHtml(text.slice(position, match.start))}<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+        position = match.end;
+    }
+
+    html += escapeHtml(text.slice(position, end));
+    return end < text.length ? `${html}…` : html;
+}
+
+/**
+ * A search hit as GET /tasks/search returns it: the task with its rank
+ * and the highlighted title and description
+ *
+ * @param {object} row - A row from the repository's search(), with rank
+ * @param {string[]} terms - From searchTerms()
+ * @returns {object}
+ */
+function toSearchResult({ rank, ...task }, terms) {
+    return {
+        ...task,
+        rank: Number(rank),
+        highlight: {
+            title: highlight(task.title, terms),
+            description: highlight(task.description, terms)
+        }
+    };
+}
+
+module.exports = {
+    MAX_SEARCH_TERMS,
+    SNIPPET_LENGTH,
+    searchTerms,
+    buildSearchFilter,
+    highlight,
+    toSearchResult
+};
@@ -0,0 +1,222 @@
+/**
+ * Schema Validation
+ *
+ * A small validator for request bodies and query strings. A schema
+ * declares each accepted field and its rules; validate() checks an input
+ * against it and reports every problem at once, one entry per field.
+ *
+ * Example schema:
+ *
+ *   {
+ *       fields: {
+ *           title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 255 },
+ *           status: { type: 'string', enum: ['pending', 'completed'] }
+ *       }
+ *   }
+ *
+ * Schema options:
+ * - fields:       Field name -> rules (see below). Fields not listed are dropped.
+ * - coerce:       Convert strings to the field's type first (for query strings,
+ *                 where every value arrives as a string)
+ * - requireAny:   Message returned when none of the fields is present (e.g. an empty update)
+ *
+ * Field rules:
+ * - type:         'string', 'integer', 'date' (a Date, from an ISO 8601 string),
+ *                 'day' (a calendar date such as "2024-01-31", kept as a string),
+ *                 'list' (comma-separated strings, e.g. "pending,completed"),
+ *                 'array' (a JSON array; its items are checked by the caller) or
+ *                 'boolean' (true or false)
+ * - required:     The field must be present
+ * - nullable:     null is accepted and kept as null
+ * - default:      Value used when the field is missing
+ * - trim:         Remove surrounding whitespace before checking lengths (strings)
+ * - lowercase:    Lowercase the value before checking it (strings)
+ * - minLength, maxLength:  Length in characters (strings)
+ * - maxBytes:     Length in UTF-8 bytes, for TEXT columns (strings)
+ * - min, max:     Range (integers)
+ * - minItems, maxItems:  Number of items (arrays)
+ * - enum:         Allowed values (strings, and every list or array item)
+ * - check(value, values):  Custom rule - returns an error message or nothing.
+ *                          values holds the other fields validated so far.
+ */
+
+/**
+ * Convert a query string value to a field's type
+ * Values that can't be converted are returned unchanged so the type check reports them
+ */
+function coerceValue(value, type) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    if (type === 'integer' && /^-?\d+$/.test(value.trim())) {
+        return Number(value);
+    }
+
+    if (type === 'date') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date;
+    }
+
+    return value;
+}
+
+/**
+ * Check one value against its rules
+ * Returns { value } with the normalised value, or { error } with a message
+ */
+function validateField(name, rules, input, values) {
+    let value = input;
+
+    switch (rules.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { error: `${name} must be a string` };
+            }
+            if (rules.trim) {
+                value = value.trim();
+            }
+            if (rules.lowercase) {
+                value = value.toLowerCase();
+            }
+            // Count characters the way the databases do (an emoji is one character)
+            if (rules.minLength !== undefined && [...value].length < rules.minLength) {
+                return { error: rules.minLength === 1 ? `${name} cannot be empty` : `${name} must be at least ${rules.minLength} characters` };
+            }
+            if (rules.maxLength !== undefined && [...value].length > rules.maxLength) {
+                return { error: `${name} must be at most ${rules.maxLength} characters` };
+            }
+            if (rules.maxBytes !== undefined && Buffer.byteLength(value) > rules.maxBytes) {
+                return { error: `${name} must be at most ${rules.maxBytes} bytes` };
+            }
+            break;
+
+        case 'integer': {
+            const outOfRange = (rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max);
+            if (!Number.isInteger(value) || outOfRange) {
+                const range = rules.min !== undefined && rules.max !== undefined ? ` between ${rules.min} and ${rules.max}` : '';
+                return { error: `${name} must be an integer${range}` };
+            }
+            break;
+        }
+
+        case 'date':
+            if (!(value instanceof Date) || isNaN(value.getTime())) {
+                return { error: `${name} must be an ISO 8601 date` };
+            }
+            break;
+
+        case 'day':
+            // A real date in YYYY-MM-DD form - Date would accept 2024-02-30 and roll it over
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+                isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value) {
+                return { error: `${name} must be a date in YYYY-MM-DD form` };
+            }
+            break;
+
+        case 'list':
+            // ?status=a&status=b arrives as an array, ?status=a,b as a string
+            if (typeof value !== 'string' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                return { error: `${name} must be a comma-separated list` };
+            }
+            value = [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                return { error: `${name} must be an array` };
+            }
+            if (rules.minItems !== undefined && value.length < rules.minItems) {
+                return { error: `${name} must have at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}` };
+            }
+            if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+                return { error: `${name} must have at most ${rules.maxItems} items` };
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { error: `${name} must be true or false` };
+            }
+            break;
+
+        default:
+            throw new Error(`Unknown type "${rules.type}" for field ${name}`);
+    }
+
+    if (rules.enum) {
+        const items = rules.type === 'list' || rules.type === 'array' ? value : [value];
+        if (items.some(item => !rules.enum.includes(item))) {
+            return { error: `${name} must be one of: ${rules.enum.join(', ')}` };
+        }
+    }
+
+    if (rules.check) {
+        const error = rules.check(value, values);
+        if (error) {
+            return { error };
+        }
+    }
+
+    return { value };
+}
+
+/**
+ * Validate an input object against a schema
+ *
+ * @param {object} schema - See the top of this file
+ * @param {object} input - e.g. req.body or req.query
+ * @returns {{ value: object, errors: Array<{ field: string|null, message: string }> }}
+ *          value holds the normalised known fields; errors is empty when the input is valid
+ */
+function validate(schema, input) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { value: {}, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    for (const [name, rules] of Object.entries(schema.fields)) {
+        let fieldValue = input[name];
+
+        if (fieldValue === undefined) {
+            if (rules.required) {
+                errors.push({ field: name, message: `${name} is required` });
+            } else if (rules.default !== undefined) {
+                value[name] = rules.default;
+            }
+            continue;
+        }
+
+        if (fieldValue === null && rules.nullable) {
+            value[name] = null;
+            continue;
+        }
+
+        if (schema.coerce) {
+            fieldValue = coerceValue(fieldValue, rules.type);
+        }
+
+        const result = validateField(name, rules, fieldValue, value);
+        if (result.error) {
+            errors.push({ field: name, message: result.error });
+        } else {
+            value[name] = result.value;
+        }
+    }
+
+    if (schema.requireAny && errors.length === 0 && Object.keys(schema.fields).every(name => input[name] === undefined)) {
+        errors.push({ field: null, message: schema.requireAny });
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    validate
+};
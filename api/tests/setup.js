@@ -19,5 +19,8 @@ process.env.POSTGRES_PASSWORD = 'test_password';
 process.env.POSTGRES_DB = 'test_db';
 process.env.FRONTEND_URL = 'http://localhost:3000';
 
+// Keep the JSON logs out of the test output (tests/test_logging.js checks them)
+process.env.LOG_LEVEL = 'silent';
+
 // Increase timeout for database tests
 jest.setTimeout(10000);
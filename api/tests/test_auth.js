@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Authentication
+ *
+ * Runs /api/auth and the SQLite task routes against a real in-memory
+ * SQLite database, so accounts, tokens and task ownership are tested end to end.
+ */
+
+// Store accounts in SQLite and keep bcrypt fast for the tests
+process.env.AUTH_DATABASE = 'sqlite';
+process.env.BCRYPT_ROUNDS = '4';
+
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../src/routes/auth.routes');
+const sqliteRoutes = require('../src/routes/sqlite.routes');
+const { getMigrator } = require('../src/migrations');
+const { getAuthDatabase } = require('../src/config/databases');
+const { db } = require('../src/config/sqlite');
+const { createMysqlUserRepository } = require('../src/repositories/mysql.user.repository');
+const { createPostgresUserRepository } = require('../src/repositories/postgresql.user.repository');
+const { createSqliteUserRepository } = require('../src/repositories/sqlite.user.repository');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/sqlite', sqliteRoutes);
+
+const credentials = { email: 'ada@example.com', password: 'correct horse' };
+
+/**
+ * Register a user and return the token response
+ */
+async function register(email = credentials.email) {
+    const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: credentials.password });
+    return response.body.data;
+}
+
+describe('Authentication', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await getMigrator('sqlite').up();
+    });
+
+    beforeEach(() => {
+        db.exec('DELETE FROM refresh_tokens; DELETE FROM users; DELETE FROM tasks;');
+    });
+
+    describe('POST /api/auth/register', () => {
+        it('should create a user and return a token pair', async () => {
+            const response = await request(app).post('/api/auth/register').send(credentials);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data).toMatchObject({
+                user: { id: expect.any(Number), email: 'ada@example.com', role: 'editor' },
+                accessToken: expect.any(String),
+                refreshToken: expect.any(String),
+                tokenType: 'Bearer',
+                expiresIn: 900,
+            });
+            expect(response.body.data.user).not.toHaveProperty('password_hash');
+        });
+
+        it('should store a bcrypt hash instead of the password', async () => {
+            await register();
+
+            const { password_hash: hash } = db.prepare('SELECT password_hash FROM users').get();
+            expect(hash).toMatch(/^\$2[aby]\$/);
+            expect(hash).not.toContain(credentials.password);
+        });
+
+        it('should reject an email that is already registered, ignoring case', async () => {
+            await register();
+
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send({ ...credentials, email: 'ADA@example.com' });
+
+            expect(response.status).toBe(409);
+        });
+
+        it('should reject an email taken by a concurrent registration', async () => {
+            await register();
+
+            // Let the pre-check run as if the other request had not inserted yet
+            const prepare = db.prepare.bind(db);
+            jest.spyOn(db, 'prepare').mockImplementation((sql) => (
+                sql === 'SELECT * FROM users WHERE email = ?' ? { get: () => undefined } : prepare(sql)
+            ));
+
+            const response = await request(app).post('/api/auth/register').send(credentials);
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Email is already registered');
+        });
+
+        it('should validate the email and password', async () => {
+            const badEmail = await request(app).post('/api/auth/register').send({ email: 'ada', password: 'long enough' });
+            const shortPassword = await request(app).post('/api/auth/register').send({ email: 'ada@example.com', password: 'short' });
+
+            expect(badEmail.status).toBe(400);
+            expect(shortPassword.status).toBe(400);
+            expect(shortPassword.body.error).toContain('Password');
+        });
+    });
+
+    describe('POST /api/auth/login', () => {
+        it('should return tokens for valid credentials', async () => {
+            await register();
+
+            const response = await request(app).post('/api/auth/login').send(credentials);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.accessToken).toEqual(expect.any(String));
+        });
+
+        it('should give the same error for a wrong password and an unknown email', async () => {
+            await register();
+
+            const wrongPassword = await request(app)
+                .post('/api/auth/login')
+                .send({ ...credentials, password: 'wrong password' });
+            const unknownEmail = await request(app)
+                .post('/api/auth/login')
+                .send({ ...credentials, email: 'nobody@example.com' });
+
+            expect(wrongPassword.status).toBe(401);
+            expect(unknownEmail.status).toBe(401);
+            expect(wrongPassword.body).toEqual(unknownEmail.body);
+        });
+    });
+
+    describe('POST /api/auth/refresh', () => {
+        it('should rotate the refresh token', async () => {
+            const { refreshToken } = await register();
+
+            const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+            const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+            expect(first.status).toBe(200);
+            expect(first.body.data.refreshToken).not.toBe(refreshToken);
+            expect(reused.status).toBe(401);
+            expect(reused.body.error).toBe('Refresh token has been revoked');
+        });
+
+        it('should not accept an access token', async () => {
+            const { accessToken } = await register();
+
+            const response = await request(app).post('/api/auth/refresh').send({ refreshToken: accessToken });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('POST /api/auth/logout', () => {
+        it('should revoke the refresh token', async () => {
+            const { refreshToken } = await register();
+
+            const logout = await request(app).post('/api/auth/logout').send({ refreshToken });
+            const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+            expect(logout.status).toBe(200);
+            expect(refresh.status).toBe(401);
+        });
+
+        it('should require a refresh token', async () => {
+            const response = await request(app).post('/api/auth/logout').send({});
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Task ownership', () => {
+        it("should only show and change the authenticated user's tasks", async () => {
+            const ada = await register('ada@example.com');
+            const bob = await register('bob@example.com');
+            const as = (user) => ({ Authorization: `Bearer ${user.accessToken}` });
+
+            const created = await request(app).post('/api/sqlite/tasks').set(as(ada)).send({ title: "Ada's task" });
+            const id = created.body.data.id;
+            expect(created.body.data.owner_id).toBe(ada.user.id);
+
+            const adaList = await request(app).get('/api/sqlite/tasks').set(as(ada));
+            const bobList = await request(app).get('/api/sqlite/tasks').set(as(bob));
+            expect(adaList.body.total).toBe(1);
+            expect(bobList.body.total).toBe(0);
+
+            // Another user's task behaves as if it did not exist
+            const bobGet = await request(app).get(`/api/sqlite/tasks/${id}`).set(as(bob));
+            const bobUpdate = await request(app).put(`/api/sqlite/tasks/${id}`).set(as(bob)).send({ title: 'Mine now' });
+            expect([bobGet.status, bobUpdate.status]).toEqual([404, 404]);
+
+            const adaGet = await request(app).get(`/api/sqlite/tasks/${id}`).set(as(ada));
+            expect(adaGet.body.data.title).toBe("Ada's task");
+        });
+    });
+
+    describe('user repositories', () => {
+        const user = { email: 'ada@example.com', password_hash: 'hash' };
+
+        /**
+         * Build a pool whose queries fail like a unique index violation
+         */
+        function duplicatePool(code) {
+            return { query: jest.fn().mockRejectedValue(Object.assign(new Error('duplicate'), { code })) };
+        }
+
+        it('should resolve create() to null for a duplicate MySQL email', async () => {
+            await expect(createMysqlUserRepository(duplicatePool('ER_DUP_ENTRY')).create(user)).resolves.toBeNull();
+        });
+
+        it('should resolve create() to null for a duplicate PostgreSQL email', async () => {
+            await expect(createPostgresUserRepository(duplicatePool('23505')).create(user)).resolves.toBeNull();
+        });
+
+        it('should resolve create() to null for a duplicate SQLite email', async () => {
+            const users = createSqliteUserRepository(db);
+            await users.create(user);
+
+            await expect(users.create(user)).resolves.toBeNull();
+        });
+
+        it('should rethrow other insert errors', async () => {
+            await expect(createMysqlUserRepository(duplicatePool('ER_NO_SUCH_TABLE')).create(user))
+                .rejects.toThrow('duplicate');
+        });
+    });
+});
+
+describe('getAuthDatabase', () => {
+    it('should prefer PostgreSQL when it is enabled', () => {
+        expect(getAuthDatabase(['mysql', 'postgresql', 'sqlite'], '')).toBe('postgresql');
+        expect(getAuthDatabase(['mysql', 'sqlite'], '')).toBe('mysql');
+    });
+
+    it('should reject a database that is not enabled', () => {
+        expect(() => getAuthDatabase(['sqlite'], 'postgresql')).toThrow('AUTH_DATABASE');
+    });
+});
+
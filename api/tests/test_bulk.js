@@ -0,0 +1,317 @@
+/**
+ * Unit Tests for Bulk Task Operations
+ *
+ * Tests the repository transactions (mocked MySQL and PostgreSQL drivers),
+ * services/bulk.service.js on an in-memory repository, and POST /tasks/bulk
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { createMysqlTaskRepository } = require('../src/repositories/mysql.repository');
+const { createPostgresTaskRepository } = require('../src/repositories/postgresql.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { runBulkOperations } = require('../src/services/bulk.service');
+const { signAccessToken } = require('../src/services/auth.service');
+
+const editor = { id: 1, email: 'editor@example.com', role: 'editor' };
+const admin = { id: 2, email: 'admin@example.com', role: 'admin' };
+
+/**
+ * An in-memory task repository with transactions
+ * A transaction or savepoint that throws restores the tasks it started with
+ */
+function createMemoryRepository(initial = []) {
+    let tasks = new Map(initial.map(task => [task.id, { ...task }]));
+    let nextId = Math.max(0, ...initial.map(task => task.id)) + 1;
+    const visible = (task, scope = {}) => task && (scope.ownerId === undefined || task.owner_id === scope.ownerId);
+
+    const repository = {
+        label: 'Memory',
+        tasks: () => [...tasks.values()],
+        async list() {
+            return { rows: [...tasks.values()], total: tasks.size };
+        },
+        async findById(id, scope) {
+            return visible(tasks.get(id), scope) ? tasks.get(id) : null;
+        },
+        async create(task) {
+            const created = { id: nextId++, description: null, status: 'pending', ...task };
+            tasks.set(created.id, created);
+            return created;
+        },
+        async update(id, changes, scope) {
+            if (!visible(tasks.get(id), scope)) {
+                return null;
+            }
+            tasks.set(id, { ...tasks.get(id), ...changes });
+            return tasks.get(id);
+        },
+        async remove(id, scope) {
+            return visible(tasks.get(id), scope) ? tasks.delete(id) : false;
+        },
+        async restore() {
+            return null;
+        },
+        async purge(id, scope) {
+            return repository.remove(id, scope);
+        },
+        async purgeDeleted() {
+            return 0;
+        },
+        async history() {
+            return [];
+        },
+        async put(task) {
+            tasks.set(task.id, task);
+            return task;
+        },
+        async savepoint(work) {
+            const before = new Map(tasks);
+            try {
+                return await work();
+            } catch (error) {
+                tasks = before;
+                throw error;
+            }
+        },
+        async transaction(work) {
+            return repository.savepoint(() => work(repository));
+        }
+    };
+
+    return repository;
+}
+
+describe('Repository Transactions', () => {
+    it('MySQL should commit on one connection and release it', async () => {
+        const connection = {
+            query: jest.fn().mockResolvedValue([[{ id: 3, title: 'New' }]]),
+            beginTransaction: jest.fn(),
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            release: jest.fn()
+        };
+        connection.query.mockResolvedValueOnce([{ insertId: 3 }]);
+        const pool = { query: jest.fn(), getConnection: jest.fn().mockResolvedValue(connection) };
+        const repository = createMysqlTaskRepository(pool);
+
+        const task = await repository.transaction(tx => tx.create({ title: 'New' }));
+
+        expect(task).toEqual({ id: 3, title: 'New' });
+        expect(pool.query).not.toHaveBeenCalled();
+        expect(connection.commit).toHaveBeenCalled();
+        expect(connection.rollback).not.toHaveBeenCalled();
+        expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('MySQL should roll back and release when the work fails', async () => {
+        const connection = { query: jest.fn(), beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn() };
+        const repository = createMysqlTaskRepository({ getConnection: jest.fn().mockResolvedValue(connection) });
+
+        await expect(repository.transaction(async () => { throw new Error('Deadlock'); })).rejects.toThrow('Deadlock');
+
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('PostgreSQL should undo only a failed savepoint', async () => {
+        const client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+        const repository = createPostgresTaskRepository({ connect: jest.fn().mockResolvedValue(client) });
+
+        await repository.transaction(async (tx) => {
+            await tx.savepoint(async () => { throw new Error('violates check constraint'); }).catch(() => {});
+            await tx.remove(5);
+        });
+
+        expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 4).join(' '))).toEqual([
+            'BEGIN',
+            'SAVEPOINT task_operation',
+            'ROLLBACK TO SAVEPOINT task_operation',
+            'WITH audit AS (', // tx.remove(5), which passes the actor to the history trigger
+            'COMMIT'
+        ]);
+        expect(client.release).toHaveBeenCalled();
+    });
+});
+
+describe('Bulk Service', () => {
+    const existing = [
+        { id: 1, title: 'Mine', status: 'pending', owner_id: 1 },
+        { id: 2, title: 'Someone else\'s', status: 'pending', owner_id: 9 }
+    ];
+
+    it('should apply every operation in an atomic batch', async () => {
+        const repository = createMemoryRepository(existing);
+
+        const result = await runBulkOperations(repository, [
+            { op: 'create', title: '  New task  ' },
+            { op: 'update', id: 1, status: 'completed' }
+        ], { mode: 'atomic', user: editor, scope: { ownerId: 1 } });
+
+        expect(result).toMatchObject({ applied: true, succeeded: 2, failed: 0 });
+        expect(result.results[0]).toMatchObject({ op: 'create', status: 201, data: { title: 'New task', owner_id: 1 } });
+        expect(repository.tasks()).toHaveLength(3);
+    });
+
+    it('should roll back an atomic batch when an operation fails', async () => {
+        const repository = createMemoryRepository(existing);
+
+        const result = await runBulkOperations(repository, [
+            { op: 'create', title: 'New task' },
+            { op: 'update', id: 2, status: 'completed' }
+        ], { mode: 'atomic', user: editor, scope: { ownerId: 1 } });
+
+        expect(result).toMatchObject({ applied: false, succeeded: 0, failed: 2 });
+        expect(result.results).toEqual([
+            { index: 0, op: 'create', success: false, status: 424, error: 'Not applied because operation 1 failed' },
+            { index: 1, op: 'update', id: 2, success: false, status: 404, error: 'Task not found' }
+        ]);
+        expect(repository.tasks()).toEqual(existing);
+    });
+
+    it('should check every operation before an atomic batch starts', async () => {
+        const repository = createMemoryRepository(existing);
+        jest.spyOn(repository, 'transaction');
+
+        const result = await runBulkOperations(repository, [
+            { op: 'update', id: 1, status: 'done' },
+            { op: 'delete', id: 1 }
+        ], { mode: 'atomic', user: editor, scope: { ownerId: 1 } });
+
+        expect(result.results[0]).toMatchObject({ status: 400, error: 'status must be one of: pending, in_progress, completed' });
+        expect(repository.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should keep the successful operations in best-effort mode', async () => {
+        const repository = createMemoryRepository(existing);
+
+        const result = await runBulkOperations(repository, [
+            { op: 'delete', id: 1 },
+            { op: 'update' },
+            { op: 'delete', id: 1 },
+            { op: 'create', title: 'Kept' }
+        ], { mode: 'best_effort', user: editor, scope: { ownerId: 1 } });
+
+        expect(result).toMatchObject({ applied: true, succeeded: 1, failed: 3 });
+        // Editors can't delete and an update needs an id; only the create is applied
+        expect(result.results.map(item => item.status)).toEqual([403, 400, 403, 201]);
+        expect(repository.tasks().map(task => task.title)).toEqual(['Mine', 'Someone else\'s', 'Kept']);
+    });
+
+    it('should undo an operation that fails in the database and carry on', async () => {
+        const repository = createMemoryRepository(existing);
+        const create = repository.create;
+        repository.create = jest.fn(async (task) => {
+            await create(task);
+            throw new Error('Data too long for column');
+        });
+        const onError = jest.fn();
+
+        const result = await runBulkOperations(repository, [
+            { op: 'create', title: 'Broken' },
+            { op: 'delete', id: 2 }
+        ], { mode: 'best_effort', user: admin, scope: {}, onError });
+
+        expect(result.results.map(item => item.status)).toEqual([500, 200]);
+        expect(onError).toHaveBeenCalledWith(expect.any(Error), 0);
+        expect(repository.tasks().map(task => task.id)).toEqual([1]);
+    });
+});
+
+describe('POST /tasks/bulk', () => {
+    const token = signAccessToken(admin);
+
+    function createApp(repository, options) {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/memory', createTaskRouter(repository, options));
+        return app;
+    }
+
+    it('should return 200 with the results when everything applied', async () => {
+        const response = await request(createApp(createMemoryRepository()))
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ operations: [{ op: 'create', title: 'One' }, { op: 'create', title: 'Two' }] });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            success: true,
+            data: { mode: 'atomic', applied: true, succeeded: 2, failed: 0 },
+            message: '2 operations applied'
+        });
+    });
+
+    it('should return the failed status when an atomic batch is rolled back', async () => {
+        const response = await request(createApp(createMemoryRepository()))
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ operations: [{ op: 'create', title: 'One' }, { op: 'delete', id: 42 }] });
+
+        expect(response.status).toBe(404);
+        expect(response.body).toMatchObject({
+            success: false,
+            error: 'Operation 1 failed: Task not found',
+            message: 'No changes were made'
+        });
+    });
+
+    it('should return 207 when a best-effort batch partly failed', async () => {
+        const response = await request(createApp(createMemoryRepository()))
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ mode: 'best_effort', operations: [{ op: 'create', title: 'One' }, { op: 'delete', id: 42 }] });
+
+        expect(response.status).toBe(207);
+        expect(response.body.data).toMatchObject({ applied: true, succeeded: 1, failed: 1 });
+    });
+
+    it('should reject an empty or oversized batch', async () => {
+        const app = createApp(createMemoryRepository());
+        const send = (operations) => request(app)
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ operations });
+
+        expect((await send([])).body.error).toBe('operations must have at least 1 item');
+        expect((await send(Array(101).fill({ op: 'delete', id: 1 }))).body.error).toBe('operations must have at most 100 items');
+    });
+
+    it('should send the applied operations to the webhooks', async () => {
+        const webhooks = { isSubscribed: () => true, emit: jest.fn() };
+        const repository = createMemoryRepository([
+            { id: 1, title: 'One', status: 'pending' },
+            { id: 2, title: 'Two', status: 'completed' }
+        ]);
+
+        await request(createApp(repository, { webhooks }))
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                operations: [
+                    { op: 'update', id: 1, status: 'completed' },
+                    { op: 'update', id: 2, status: 'completed' },
+                    { op: 'delete', id: 2 }
+                ]
+            });
+
+        expect(webhooks.emit.mock.calls).toEqual([
+            ['task.updated', { task: expect.objectContaining({ id: 1 }) }],
+            ['task.status_changed', { task: expect.objectContaining({ id: 1 }), previous_status: 'pending' }],
+            ['task.updated', { task: expect.objectContaining({ id: 2 }) }],
+            ['task.deleted', { id: 2 }]
+        ]);
+    });
+
+    it('should not exist for a repository without transactions', async () => {
+        const { transaction, savepoint, ...repository } = createMemoryRepository();
+
+        const response = await request(createApp(repository))
+            .post('/api/memory/tasks/bulk')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ operations: [{ op: 'create', title: 'One' }] });
+
+        expect(response.status).toBe(404);
+    });
+});
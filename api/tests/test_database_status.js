@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Connection Retries and Degraded Mode
+ *
+ * Tests the backoff in utils/retry.js, the availability tracking in
+ * utils/databaseStatus.js and the 503 from middleware/availability.js
+ */
+
+// Keep the backoff short so the tests run quickly
+process.env.DB_CONNECT_RETRIES = '2';
+process.env.DB_RETRY_INITIAL_DELAY_MS = '10';
+process.env.DB_RETRY_MAX_DELAY_MS = '40';
+
+const request = require('supertest');
+const express = require('express');
+const { backoffDelay, retryWithBackoff } = require('../src/utils/retry');
+const {
+    registerDatabase,
+    connectDatabase,
+    connectionLost,
+    isAvailable,
+    stopReconnecting
+} = require('../src/utils/databaseStatus');
+const { requireDatabases } = require('../src/middleware/availability');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until check() returns true (or fail after a second)
+ */
+async function waitFor(check) {
+    for (let waited = 0; !check(); waited += 10) {
+        if (waited > 1000) {
+            throw new Error('Timed out waiting for the condition');
+        }
+        await sleep(10);
+    }
+}
+
+/**
+ * A testConnection that fails `failures` times, then succeeds
+ */
+function flakyConnection(failures) {
+    let calls = 0;
+    return jest.fn(async () => ++calls > failures);
+}
+
+describe('Retry with Backoff', () => {
+    it('should double the delay up to the maximum', () => {
+        const options = { initialDelayMs: 1000, maxDelayMs: 5000 };
+
+        expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('should retry until the call succeeds', async () => {
+        const testConnection = flakyConnection(2);
+        const onRetry = jest.fn();
+
+        const connected = await retryWithBackoff(testConnection, { retries: 3, initialDelayMs: 1, onRetry });
+
+        expect(connected).toBe(true);
+        expect(testConnection).toHaveBeenCalledTimes(3);
+        expect(onRetry.mock.calls).toEqual([[1, 1], [2, 2]]);
+    });
+
+    it('should give up after the last retry', async () => {
+        const testConnection = jest.fn().mockResolvedValue(false);
+
+        const connected = await retryWithBackoff(testConnection, { retries: 2, initialDelayMs: 1 });
+
+        expect(connected).toBe(false);
+        expect(testConnection).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('Degraded Mode', () => {
+    afterAll(() => {
+        stopReconnecting();
+    });
+
+    it('should connect at startup after a few failures', async () => {
+        registerDatabase('startup', { label: 'Startup', testConnection: flakyConnection(2) });
+
+        expect(await connectDatabase('startup')).toBe(true);
+        expect(isAvailable('startup')).toBe(true);
+    });
+
+    it('should serve without a database that never answers, and reconnect once it does', async () => {
+        const testConnection = flakyConnection(4);
+        const onReconnect = jest.fn();
+        registerDatabase('late', { label: 'Late', testConnection, onReconnect });
+
+        // 3 attempts at startup fail, so the server starts without it
+        expect(await connectDatabase('late')).toBe(false);
+        expect(isAvailable('late')).toBe(false);
+
+        // The background reconnect fails once more, then succeeds
+        await waitFor(() => isAvailable('late'));
+
+        expect(onReconnect).toHaveBeenCalledTimes(1);
+        expect(testConnection).toHaveBeenCalledTimes(5);
+    });
+
+    it('should keep a database unavailable until its reconnect step succeeds', async () => {
+        const onReconnect = jest.fn()
+            .mockRejectedValueOnce(new Error('migration lock held'))
+            .mockResolvedValue();
+        registerDatabase('migrating', { label: 'Migrating', testConnection: jest.fn().mockResolvedValue(true), onReconnect });
+
+        connectionLost('migrating', new Error('Connection terminated unexpectedly'));
+        await waitFor(() => onReconnect.mock.calls.length === 1);
+        expect(isAvailable('migrating')).toBe(false);
+
+        await waitFor(() => isAvailable('migrating'));
+        expect(onReconnect).toHaveBeenCalledTimes(2);
+    });
+
+    describe('requireDatabases', () => {
+        const app = express();
+        app.use('/api/down', requireDatabases('down'), (req, res) => res.json({ success: true }));
+        app.use('/api/up', requireDatabases('up'), (req, res) => res.json({ success: true }));
+
+        beforeAll(() => {
+            registerDatabase('down', { label: 'Down', testConnection: jest.fn().mockResolvedValue(false) });
+            registerDatabase('up', { label: 'Up', testConnection: jest.fn().mockResolvedValue(true) });
+            connectionLost('down');
+        });
+
+        it('should return 503 with Retry-After for an unavailable database', async () => {
+            const response = await request(app).get('/api/down/tasks');
+
+            expect(response.status).toBe(503);
+            expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+            expect(response.body).toEqual({
+                success: false,
+                error: 'Database unavailable',
+                message: expect.stringContaining('Down is not reachable right now')
+            });
+        });
+
+        it('should keep serving the other databases', async () => {
+            const response = await request(app).get('/api/up/tasks');
+
+            expect(response.status).toBe(200);
+        });
+    });
+});
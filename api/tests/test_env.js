@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for the Environment Variable Helpers
+ */
+
+const { readWholeNumber } = require('../src/config/env');
+
+describe('readWholeNumber', () => {
+    const saved = process.env.TEST_WHOLE_NUMBER;
+
+    afterEach(() => {
+        if (saved === undefined) {
+            delete process.env.TEST_WHOLE_NUMBER;
+        } else {
+            process.env.TEST_WHOLE_NUMBER = saved;
+        }
+    });
+
+    it('should fall back when the variable is unset or empty', () => {
+        delete process.env.TEST_WHOLE_NUMBER;
+        expect(readWholeNumber('TEST_WHOLE_NUMBER', 5)).toBe(5);
+
+        process.env.TEST_WHOLE_NUMBER = '';
+        expect(readWholeNumber('TEST_WHOLE_NUMBER', 5)).toBe(5);
+    });
+
+    it('should read a whole number, including 0', () => {
+        process.env.TEST_WHOLE_NUMBER = '0';
+
+        expect(readWholeNumber('TEST_WHOLE_NUMBER', 5)).toBe(0);
+    });
+
+    it('should reject anything that is not a whole number', () => {
+        for (const value of ['-1', '1.5', '10s', ' 3']) {
+            process.env.TEST_WHOLE_NUMBER = value;
+
+            expect(() => readWholeNumber('TEST_WHOLE_NUMBER', 5))
+                .toThrow(`Invalid TEST_WHOLE_NUMBER "${value}". Must be a whole number`);
+        }
+    });
+
+    it('should reject a value below the minimum', () => {
+        process.env.TEST_WHOLE_NUMBER = '0';
+
+        expect(() => readWholeNumber('TEST_WHOLE_NUMBER', 5, { min: 1 }))
+            .toThrow('Invalid TEST_WHOLE_NUMBER "0". Must be a whole number of at least 1');
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for Task ETags
+ *
+ * Tests the If-Match parsing in utils/etag.js, then ETag, If-None-Match and
+ * If-Match on the task routes against a real in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { taskETag, parseIfMatch, matchesIfMatch } = require('../src/utils/etag');
+
+const auth = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+
+/**
+ * Create an app on an empty tasks table holding one task
+ * wrap lets a test change the repository before the router uses it
+ */
+function createApp(wrap = repository => repository) {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+    db.prepare("INSERT INTO tasks (id, title) VALUES (1, 'Original')").run();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter(wrap(createSqliteTaskRepository(db))));
+    return { app, db };
+}
+
+describe('ETag Helpers', () => {
+    it('should quote the task version', () => {
+        expect(taskETag({ version: 3 })).toBe('"3"');
+    });
+
+    it('should read every strong ETag in If-Match', () => {
+        expect(parseIfMatch(undefined)).toBeNull();
+        expect(parseIfMatch(' * ')).toBe('*');
+        expect(parseIfMatch('"3", W/"4", "5"')).toEqual([3, 5]);
+        expect(parseIfMatch('3')).toEqual([]);
+    });
+
+    it('should match a listed version or any version for *', () => {
+        expect(matchesIfMatch([2, 3], { version: 3 })).toBe(true);
+        expect(matchesIfMatch([2], { version: 3 })).toBe(false);
+        expect(matchesIfMatch('*', { version: 3 })).toBe(true);
+    });
+});
+
+describe('Task ETags', () => {
+    it('should send the version as the ETag', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).get('/api/sqlite/tasks/1').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe('"1"');
+        expect(response.body.data.version).toBe(1);
+    });
+
+    it('should answer 304 while If-None-Match is current', async () => {
+        const { app } = createApp();
+
+        const current = await request(app).get('/api/sqlite/tasks/1').set(auth).set('If-None-Match', '"1"');
+        await request(app).put('/api/sqlite/tasks/1').set(auth).send({ status: 'completed' });
+        const changed = await request(app).get('/api/sqlite/tasks/1').set(auth).set('If-None-Match', '"1"');
+
+        expect(current.status).toBe(304);
+        expect(current.text).toBe('');
+        expect(changed.status).toBe(200);
+        expect(changed.headers.etag).toBe('"2"');
+    });
+
+    it('should update a task whose ETag matches If-Match', async () => {
+        const { app } = createApp();
+
+        const response = await request(app)
+            .put('/api/sqlite/tasks/1')
+            .set(auth)
+            .set('If-Match', '"1"')
+            .send({ title: 'Renamed' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe('"2"');
+        expect(response.body.data).toMatchObject({ title: 'Renamed', version: 2 });
+    });
+
+    it('should answer 412 with the current task for a stale If-Match', async () => {
+        const { app, db } = createApp();
+        await request(app).put('/api/sqlite/tasks/1').set(auth).send({ title: 'Saved first' });
+
+        const response = await request(app)
+            .put('/api/sqlite/tasks/1')
+            .set(auth)
+            .set('If-Match', '"1"')
+            .send({ title: 'Saved second' });
+
+        expect(response.status).toBe(412);
+        expect(response.headers.etag).toBe('"2"');
+        expect(response.body).toMatchObject({
+            success: false,
+            error: 'Task has been modified',
+            data: { title: 'Saved first', version: 2 }
+        });
+        expect(db.prepare('SELECT title FROM tasks WHERE id = 1').get().title).toBe('Saved first');
+    });
+
+    it('should still apply writes without If-Match, or with *', async () => {
+        const { app } = createApp();
+
+        const plain = await request(app).put('/api/sqlite/tasks/1').set(auth).send({ title: 'One' });
+        const any = await request(app).put('/api/sqlite/tasks/1').set(auth).set('If-Match', '*').send({ title: 'Two' });
+
+        expect(plain.status).toBe(200);
+        expect(any.status).toBe(200);
+        expect(any.headers.etag).toBe('"3"');
+    });
+
+    it('should answer 412 when the task changes between the check and the write', async () => {
+        const { app } = createApp(repository => ({
+            ...repository,
+            async update(id, changes, scope, condition) {
+                // Another request saves the task just after If-Match was checked
+                await repository.update(id, { title: 'Sneaked in' }, scope);
+                return repository.update(id, changes, scope, condition);
+            }
+        }));
+
+        const response = await request(app)
+            .put('/api/sqlite/tasks/1')
+            .set(auth)
+            .set('If-Match', '"1"')
+            .send({ title: 'Too late' });
+
+        expect(response.status).toBe(412);
+        expect(response.body.data).toMatchObject({ title: 'Sneaked in', version: 2 });
+    });
+
+    it('should only delete the version in If-Match', async () => {
+        const { app } = createApp();
+
+        const stale = await request(app).delete('/api/sqlite/tasks/1').set(auth).set('If-Match', '"7"');
+        const current = await request(app).delete('/api/sqlite/tasks/1').set(auth).set('If-Match', '"1"');
+        const missing = await request(app).delete('/api/sqlite/tasks/1').set(auth).set('If-Match', '"1"');
+
+        expect(stale.status).toBe(412);
+        expect(current.status).toBe(200);
+        expect(missing.status).toBe(404);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for the Health Probes
+ *
+ * Tests the cached database checks in services/health.service.js, the
+ * /health, /health/live and /health/ready routes in routes/health.routes.js
+ * and REQUIRED_DATABASES in config/databases.js
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { createHealthCheck } = require('../src/services/health.service');
+const { createHealthRouter } = require('../src/routes/health.routes');
+const { getRequiredDatabases } = require('../src/config/databases');
+
+/**
+ * A database that answers its version query (or fails to)
+ */
+function fakeDatabase({ up = true, version = '16.2', migration = '005', pool } = {}) {
+    return {
+        getServerVersion: jest.fn(async () => {
+            if (!up) {
+                throw new Error('connect ECONNREFUSED 10.0.0.5:5432');
+            }
+            return version;
+        }),
+        getMigrationVersion: jest.fn(async () => migration),
+        ...(pool ? { getPoolStats: () => pool } : {})
+    };
+}
+
+/**
+ * Build an app with the health routes
+ */
+function createApp(healthCheck, { draining = false } = {}) {
+    const app = express();
+    app.use(createHealthRouter({ healthCheck, isDraining: () => draining }));
+    return app;
+}
+
+describe('Health Check', () => {
+    it('should report every database with its diagnostics', async () => {
+        const healthCheck = createHealthCheck({
+            databases: {
+                postgresql: fakeDatabase({ pool: { active: 1, idle: 4, waiting: 0 } }),
+                sqlite: fakeDatabase({ version: '3.45.1', migration: null })
+            },
+            required: ['postgresql', 'sqlite'],
+            supported: ['mysql', 'postgresql', 'sqlite']
+        });
+
+        const report = await healthCheck.check();
+
+        expect(report.status).toBe('healthy');
+        expect(report.databases).toEqual({
+            mysql: { status: 'disabled', required: false },
+            postgresql: {
+                status: 'connected',
+                required: true,
+                latencyMs: expect.any(Number),
+                serverVersion: '16.2',
+                migrationVersion: '005',
+                pool: { active: 1, idle: 4, waiting: 0 }
+            },
+            sqlite: {
+                status: 'connected',
+                required: true,
+                latencyMs: expect.any(Number),
+                serverVersion: '3.45.1',
+                migrationVersion: null
+            }
+        });
+    });
+
+    it('should be degraded when only an optional database is down', async () => {
+        const healthCheck = createHealthCheck({
+            databases: { mysql: fakeDatabase({ up: false }), postgresql: fakeDatabase() },
+            required: ['postgresql']
+        });
+
+        const report = await healthCheck.check();
+
+        expect(report.status).toBe('degraded');
+        expect(report.databases.mysql).toEqual({ status: 'disconnected', required: false });
+    });
+
+    it('should be unhealthy when a required database is down', async () => {
+        const healthCheck = createHealthCheck({
+            databases: { mysql: fakeDatabase(), postgresql: fakeDatabase({ up: false }) },
+            required: ['postgresql']
+        });
+
+        expect((await healthCheck.check()).status).toBe('unhealthy');
+    });
+
+    it('should report a database that does not answer in time as disconnected', async () => {
+        const hanging = fakeDatabase();
+        hanging.getServerVersion.mockReturnValue(new Promise(() => {}));
+        const healthCheck = createHealthCheck({ databases: { mysql: hanging }, required: ['mysql'], timeoutMs: 20 });
+
+        expect((await healthCheck.check()).databases.mysql.status).toBe('disconnected');
+    });
+
+    it('should reuse a report until it expires', async () => {
+        const database = fakeDatabase();
+        const healthCheck = createHealthCheck({ databases: { sqlite: database }, required: ['sqlite'], ttlMs: 50 });
+
+        await Promise.all([healthCheck.check(), healthCheck.check()]);
+        await healthCheck.check();
+        expect(database.getServerVersion).toHaveBeenCalledTimes(1);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await healthCheck.check();
+        expect(database.getServerVersion).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Health Routes', () => {
+    // Built in each test - jest resets mock implementations between tests
+    let healthy;
+    let unhealthy;
+
+    beforeEach(() => {
+        healthy = createHealthCheck({
+            databases: { mysql: fakeDatabase({ up: false }), postgresql: fakeDatabase() },
+            required: ['postgresql']
+        });
+        unhealthy = createHealthCheck({
+            databases: { postgresql: fakeDatabase({ up: false }) },
+            required: ['postgresql']
+        });
+    });
+
+    it('GET /health should return the diagnostics without connection errors', async () => {
+        const response = await request(createApp(healthy)).get('/health');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('degraded');
+        expect(response.body.databases.postgresql.serverVersion).toBe('16.2');
+        expect(JSON.stringify(response.body)).not.toContain('ECONNREFUSED');
+    });
+
+    it('GET /health should return 503 when a required database is down', async () => {
+        const response = await request(createApp(unhealthy)).get('/health');
+
+        expect(response.status).toBe(503);
+        expect(response.body.status).toBe('unhealthy');
+    });
+
+    it('GET /health/ready should only depend on the required databases', async () => {
+        const ready = await request(createApp(healthy)).get('/health/ready');
+        const notReady = await request(createApp(unhealthy)).get('/health/ready');
+
+        expect(ready.status).toBe(200);
+        expect(ready.body).toMatchObject({ status: 'ready', databases: { postgresql: 'connected' } });
+        expect(notReady.status).toBe(503);
+        expect(notReady.body).toMatchObject({ status: 'not ready', databases: { postgresql: 'disconnected' } });
+    });
+
+    it('GET /health/live should not check the databases, even while draining', async () => {
+        const healthCheck = { check: jest.fn() };
+        const response = await request(createApp(healthCheck, { draining: true })).get('/health/live');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('alive');
+        expect(healthCheck.check).not.toHaveBeenCalled();
+    });
+
+    it('GET /health/ready should return 503 while draining', async () => {
+        const response = await request(createApp(healthy, { draining: true })).get('/health/ready');
+
+        expect(response.status).toBe(503);
+        expect(response.body.status).toBe('draining');
+    });
+});
+
+describe('getRequiredDatabases', () => {
+    it('should require every enabled database by default', () => {
+        expect(getRequiredDatabases(['mysql', 'postgresql'], '')).toEqual(['mysql', 'postgresql']);
+    });
+
+    it('should read a comma-separated list', () => {
+        expect(getRequiredDatabases(['mysql', 'postgresql', 'sqlite'], ' PostgreSQL ,sqlite')).toEqual(['postgresql', 'sqlite']);
+    });
+
+    it('should reject a database that is not enabled', () => {
+        expect(() => getRequiredDatabases(['sqlite'], 'postgresql')).toThrow('REQUIRED_DATABASES');
+    });
+});
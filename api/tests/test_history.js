@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Task History
+ *
+ * Tests that creates, updates, deletes, restores and purges are recorded in
+ * task_events, and GET /tasks/:id/history, against a real in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { requestLogger } = require('../src/middleware/logging');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+/**
+ * Create an app on an empty tasks table
+ * The request logger sets req.id from X-Request-Id
+ */
+function createApp() {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use(requestLogger);
+    app.use('/api/sqlite', createTaskRouter(createSqliteTaskRepository(db)));
+    return { app, db };
+}
+
+describe('Task History', () => {
+    it('should record every change with the actor and request ID', async () => {
+        const { app } = createApp();
+
+        await request(app).post('/api/sqlite/tasks').set(admin).set('X-Request-Id', 'req-create').send({ title: 'Write docs' });
+        await request(app).put('/api/sqlite/tasks/1').set(admin).send({ status: 'completed' });
+        await request(app).delete('/api/sqlite/tasks/1').set(admin);
+        await request(app).post('/api/sqlite/tasks/1/restore').set(admin);
+
+        const response = await request(app).get('/api/sqlite/tasks/1/history').set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, count: 4 });
+        expect(response.body.data.map(event => event.action)).toEqual(['create', 'update', 'delete', 'restore']);
+
+        const [created, updated, deleted, restored] = response.body.data;
+        expect(created).toMatchObject({
+            task_id: 1,
+            old_values: null,
+            new_values: { title: 'Write docs', status: 'pending', version: 1 },
+            actor_id: 1,
+            actor_email: 'admin@example.com',
+            request_id: 'req-create'
+        });
+        expect(created.created_at).toEqual(expect.any(String));
+        expect(updated.old_values).toMatchObject({ status: 'pending', version: 1 });
+        expect(updated.new_values).toMatchObject({ status: 'completed', version: 2 });
+        expect(deleted.old_values.deleted_at).toBeNull();
+        expect(deleted.new_values.deleted_at).toEqual(expect.any(String));
+        expect(restored.new_values).toMatchObject({ deleted_at: null, version: 4 });
+    });
+
+    it('should not record a write that changed nothing', async () => {
+        const { app, db } = createApp();
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+
+        await request(app).put('/api/sqlite/tasks/1').set(admin).set('If-Match', '"7"').send({ title: 'Stale' });
+        await request(app).post('/api/sqlite/tasks/1/restore').set(admin);
+
+        expect(db.prepare('SELECT COUNT(*) AS count FROM task_events').get().count).toBe(1);
+    });
+
+    it('should keep the history of a purged task', async () => {
+        const { app, db } = createApp();
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+
+        await request(app).delete('/api/sqlite/tasks/1?hard=true').set(admin);
+        const response = await request(app).get('/api/sqlite/tasks/1/history').set(admin);
+
+        // The task is gone, so the route has nothing to scope the history by
+        expect(response.status).toBe(404);
+        const purged = db.prepare("SELECT * FROM task_events WHERE action = 'purge'").get();
+        expect(purged).toMatchObject({ task_id: 1, new_values: null, actor_id: 1 });
+    });
+
+    it("should return 404 for another user's task", async () => {
+        const { app } = createApp();
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+
+        const response = await request(app).get('/api/sqlite/tasks/1/history').set(editor);
+        const missing = await request(app).get('/api/sqlite/tasks/99/history').set(admin);
+
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ success: false, error: 'Task not found' });
+        expect(missing.status).toBe(404);
+    });
+
+    it('should return 400 for an invalid ID', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).get('/api/sqlite/tasks/abc/history').set(admin);
+
+        expect(response.status).toBe(400);
+    });
+});
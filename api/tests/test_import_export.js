@@ -0,0 +1,299 @@
+/**
+ * Unit Tests for Task Export and Import
+ *
+ * Tests utils/csv.js, services/taskTransfer.service.js, and GET /tasks/export
+ * and POST /tasks/import against a real in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { formatCsvRow, parseCsv } = require('../src/utils/csv');
+const { EXPORT_BATCH_SIZE, prepareImport, importTasks } = require('../src/services/taskTransfer.service');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+/**
+ * Create an app on an empty tasks table
+ * options are passed to createTaskRouter(); repository(adapter) may replace its methods
+ */
+function createApp({ repository: override = () => ({}), ...options } = {}) {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+
+    const adapter = createSqliteTaskRepository(db);
+    const repository = { ...adapter, ...override(adapter) };
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter(repository, options));
+    return { app, db, repository };
+}
+
+/**
+ * Add tasks straight to the table
+ */
+function insertTasks(db, count, { owner = 1, status = 'pending' } = {}) {
+    const insert = db.prepare('INSERT INTO tasks (title, status, owner_id) VALUES (?, ?, ?)');
+    db.transaction(() => {
+        for (let i = 1; i <= count; i++) {
+            insert.run(`Task ${i}`, status, owner);
+        }
+    })();
+}
+
+describe('CSV', () => {
+    it('should quote fields that need it', () => {
+        expect(formatCsvRow([1, 'Plain', 'a, "quoted"\nline', null, new Date('2024-01-31T10:00:00Z')]))
+            .toBe('1,Plain,"a, ""quoted""\nline",,2024-01-31T10:00:00.000Z\r\n');
+    });
+
+    it('should parse quoted fields, line breaks and a byte order mark', () => {
+        const { records, error } = parseCsv('\uFEFFid,title\r\n1,"a, ""b""\nc"\n\n2,');
+
+        expect(error).toBeNull();
+        expect(records).toEqual([['id', 'title'], ['1', 'a, "b"\nc'], ['2', '']]);
+    });
+
+    it('should report an unclosed quote', () => {
+        expect(parseCsv('title\n"never closed').error).toMatch(/Unclosed quoted field/);
+    });
+});
+
+describe('prepareImport', () => {
+    it('should report every invalid row and field', () => {
+        const { tasks, errors } = prepareImport([
+            { title: 'Fine' },
+            { title: '', status: 'done' },
+            'not a task'
+        ], 'json', 'append');
+
+        expect(tasks).toHaveLength(1);
+        expect(errors).toEqual([
+            { row: 2, field: 'title', message: 'title cannot be empty' },
+            { row: 2, field: 'status', message: 'status must be one of: pending, in_progress, completed' },
+            { row: 3, field: null, message: 'Row must be an object' }
+        ]);
+    });
+
+    it('should only keep ids and timestamps in upsert mode', () => {
+        const row = { id: 7, title: 'Write docs', created_at: '2024-01-31T10:00:00Z' };
+
+        expect(prepareImport([row], 'json', 'append').tasks)
+            .toEqual([{ row: 1, title: 'Write docs', description: null, status: 'pending', priority: 'medium', due_date: null }]);
+        expect(prepareImport([row], 'json', 'upsert').tasks[0])
+            .toMatchObject({ id: 7, created_at: new Date('2024-01-31T10:00:00Z'), updated_at: undefined });
+    });
+
+    it('should refuse an id used twice in upsert mode', () => {
+        const { errors } = prepareImport('id,title\n3,One\n3,Two\n', 'csv', 'upsert');
+
+        expect(errors).toEqual([{ row: 2, field: 'id', message: 'id 3 is already used by row 1' }]);
+    });
+
+    it('should report CSV rows with the wrong number of fields and unreadable NDJSON lines', () => {
+        expect(prepareImport('title,status\nOne\n', 'csv', 'append').errors)
+            .toEqual([{ row: 1, field: null, message: 'Row has 1 fields, the header has 2' }]);
+        expect(prepareImport('{"title":"One"}\n{oops\n', 'ndjson', 'append').errors)
+            .toEqual([{ row: 2, field: null, message: 'Row is not valid JSON' }]);
+    });
+
+    it('should refuse a body it cannot read', () => {
+        expect(prepareImport({ title: 'One' }, 'json', 'append').error).toBe('Request body must be a JSON array of tasks');
+        expect(prepareImport('description\nNo title\n', 'csv', 'append').error).toBe('The CSV header must have a title column');
+        expect(prepareImport([], 'json', 'append').error).toBe('There are no tasks to import');
+    });
+});
+
+describe('importTasks', () => {
+    it('should import in one transaction when the repository has one', async () => {
+        const repository = {
+            create: jest.fn().mockRejectedValue(new Error('Connection lost')),
+            transaction: jest.fn(work => work(repository))
+        };
+
+        await expect(importTasks(repository, [{ title: 'One' }], { user: { id: 1 } })).rejects.toThrow('Connection lost');
+        expect(repository.transaction).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('GET /tasks/export', () => {
+    it('should stream every task as JSON, batch by batch', async () => {
+        const list = jest.fn();
+        const { app, db } = createApp({ repository: adapter => ({ list: list.mockImplementation(adapter.list) }) });
+        insertTasks(db, EXPORT_BATCH_SIZE + 20);
+
+        const response = await request(app).get('/api/sqlite/tasks/export').set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^application\/json/);
+        expect(response.headers['content-disposition']).toMatch(/^attachment; filename="tasks-sqlite-\d{4}-\d{2}-\d{2}\.json"$/);
+        expect(response.body).toHaveLength(EXPORT_BATCH_SIZE + 20);
+        expect(response.body[0]).toEqual({
+            id: 1,
+            title: 'Task 1',
+            description: null,
+            status: 'pending',
+            priority: 'medium',
+            due_date: null,
+            created_at: expect.any(String),
+            updated_at: expect.any(String)
+        });
+        expect(response.body.map(task => task.id)).toEqual([...Array(EXPORT_BATCH_SIZE + 20).keys()].map(i => i + 1));
+        expect(list).toHaveBeenCalledTimes(2);
+        expect(list.mock.calls[0][0]).toMatchObject({ sort: 'id', order: 'asc', skipTotal: true });
+    });
+
+    it("should export CSV and NDJSON with the filters and the user's scope", async () => {
+        const { app, db } = createApp();
+        insertTasks(db, 2, { owner: 2 });
+        insertTasks(db, 1, { owner: 2, status: 'completed' });
+        insertTasks(db, 1, { owner: 1 });
+
+        const csv = await request(app).get('/api/sqlite/tasks/export?format=csv&status=pending').set(editor);
+        const ndjson = await request(app).get('/api/sqlite/tasks/export?format=ndjson').set(editor);
+
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+        expect(csv.text.split('\r\n')[0]).toBe('id,title,description,status,priority,due_date,created_at,updated_at');
+        expect(csv.text.split('\r\n').slice(1, -1).map(line => line.split(',').slice(0, 2).join(','))).toEqual(['1,Task 1', '2,Task 2']);
+        expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+        expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([1, 2, 3]);
+    });
+
+    it('should reject an unknown format', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).get('/api/sqlite/tasks/export?format=xml').set(admin);
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].field).toBe('format');
+    });
+
+    it('should answer 500 when the first query fails', async () => {
+        const { app } = createApp({ repository: () => ({ list: jest.fn().mockRejectedValue(new Error('SQLITE_BUSY')) }) });
+
+        const response = await request(app).get('/api/sqlite/tasks/export').set(admin);
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ success: false, error: 'Failed to export tasks' });
+    });
+});
+
+describe('POST /tasks/import', () => {
+    it('should append JSON rows as new tasks of the importer', async () => {
+        const stream = { publish: jest.fn() };
+        const { app, repository } = createApp({ stream });
+
+        const response = await request(app)
+            .post('/api/sqlite/tasks/import')
+            .set(editor)
+            .send([{ id: 40, title: '  Write docs ', status: 'in_progress', priority: 'high', due_date: '2024-02-29' }, { title: 'Ship it' }]);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ mode: 'append', total: 2, created: 2, updated: 0 });
+        expect(await repository.findById(1)).toMatchObject({
+            title: 'Write docs', status: 'in_progress', priority: 'high', due_date: '2024-02-29', owner_id: 2
+        });
+        expect(await repository.findById(40)).toBeNull();
+        expect(await repository.history(1)).toEqual([expect.objectContaining({ action: 'create', actor_id: 2 })]);
+        expect(stream.publish).toHaveBeenCalledTimes(2);
+    });
+
+    it('should import nothing when a row is invalid', async () => {
+        const { app, db } = createApp();
+
+        const response = await request(app)
+            .post('/api/sqlite/tasks/import')
+            .set(admin)
+            .set('Content-Type', 'application/x-ndjson')
+            .send(`{"title":"Fine"}\n{"title":"${'x'.repeat(256)}"}\n`);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({
+            success: false,
+            error: '1 row is invalid',
+            errors: [{ row: 2, field: 'title', message: 'title must be at most 255 characters' }],
+            message: 'No tasks were imported'
+        });
+        expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(0);
+    });
+
+    it('should upsert an exported CSV file by id', async () => {
+        const source = createApp();
+        insertTasks(source.db, 3);
+        const exported = await request(source.app).get('/api/sqlite/tasks/export?format=csv').set(admin);
+
+        const { app, db, repository } = createApp();
+        insertTasks(db, 1, { status: 'completed' });
+        const response = await request(app)
+            .post('/api/sqlite/tasks/import?mode=upsert')
+            .set(admin)
+            .set('Content-Type', 'text/csv')
+            .send(exported.text);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ mode: 'upsert', total: 3, created: 2, updated: 1 });
+        expect(await repository.findById(1)).toMatchObject({ title: 'Task 1', status: 'pending', version: 2 });
+
+        const original = await source.repository.findById(3);
+        expect(await repository.findById(3)).toMatchObject({ title: 'Task 3', created_at: original.created_at });
+    });
+
+    it('should record who upserted each task in its history', async () => {
+        const { app, db, repository } = createApp();
+        insertTasks(db, 1);
+        await repository.remove(1);
+
+        const response = await request(app)
+            .post('/api/sqlite/tasks/import?mode=upsert')
+            .set(admin)
+            .send([{ id: 1, title: 'Back again' }, { id: 500, title: 'New here' }]);
+
+        expect(response.status).toBe(200);
+        expect(await repository.findById(1)).toMatchObject({ title: 'Back again', deleted_at: null });
+        expect((await repository.history(1)).map(event => event.action)).toEqual(['delete', 'restore']);
+        expect((await repository.history(1))[1]).toMatchObject({
+            actor_id: 1, actor_email: 'admin@example.com', new_values: expect.objectContaining({ title: 'Back again' })
+        });
+        expect(await repository.history(500)).toEqual([
+            expect.objectContaining({ action: 'create', actor_id: 1, old_values: null, new_values: expect.objectContaining({ title: 'New here' }) })
+        ]);
+    });
+
+    it('should only let users who see every task upsert', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).post('/api/sqlite/tasks/import?mode=upsert').set(editor).send([{ id: 1, title: 'Mine now' }]);
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/tasks:all_owners/);
+    });
+
+    it('should not let viewers import', async () => {
+        const { app } = createApp();
+        const viewer = { Authorization: `Bearer ${signAccessToken({ id: 3, email: 'viewer@example.com', role: 'viewer' })}` };
+
+        const response = await request(app).post('/api/sqlite/tasks/import').set(viewer).send([{ title: 'One' }]);
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should refuse other content types', async () => {
+        const { app } = createApp();
+
+        const response = await request(app)
+            .post('/api/sqlite/tasks/import')
+            .set(admin)
+            .set('Content-Type', 'application/xml')
+            .send('<tasks/>');
+
+        expect(response.status).toBe(415);
+    });
+});
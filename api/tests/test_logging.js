@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Structured Logging
+ *
+ * Tests the JSON logger in utils/logger.js and the request ID and
+ * request log middleware in middleware/logging.js
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { createLogger, getLogLevel, logger } = require('../src/utils/logger');
+const { requestLogger, logDatabase } = require('../src/middleware/logging');
+
+describe('Logger', () => {
+    /**
+     * Create a logger that collects its lines
+     */
+    function collect(level) {
+        const lines = [];
+        const log = createLogger({ level, write: (lineLevel, line) => lines.push(JSON.parse(line)) });
+        return { log, lines };
+    }
+
+    it('should write one JSON object per line', () => {
+        const { log, lines } = collect('info');
+
+        log.info('Server started', { port: 3001 });
+
+        expect(lines).toEqual([{ time: expect.any(String), level: 'info', msg: 'Server started', port: 3001 }]);
+    });
+
+    it('should skip lines below the level', () => {
+        const { log, lines } = collect('warn');
+
+        log.debug('Connected');
+        log.info('Request completed');
+        log.error('Query failed');
+
+        expect(lines.map(line => line.level)).toEqual(['error']);
+    });
+
+    it('should write errors with their message and stack', () => {
+        const { log, lines } = collect('info');
+        const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+        log.error('Error fetching tasks', { requestId: 'abc', error });
+
+        expect(lines[0].requestId).toBe('abc');
+        expect(lines[0].error).toMatchObject({ name: 'Error', message: 'connect ECONNREFUSED', code: 'ECONNREFUSED' });
+        expect(lines[0].error.stack).toContain('connect ECONNREFUSED');
+    });
+
+    it('should add child fields to every line', () => {
+        const { log, lines } = collect('info');
+
+        log.child({ requestId: 'abc' }).info('Done', { status: 200 });
+
+        expect(lines[0]).toMatchObject({ requestId: 'abc', status: 200 });
+    });
+
+    it('should read LOG_LEVEL', () => {
+        expect(getLogLevel('')).toBe('info');
+        expect(getLogLevel(' DEBUG ')).toBe('debug');
+        expect(() => getLogLevel('verbose')).toThrow('Invalid LOG_LEVEL "verbose"');
+    });
+});
+
+describe('Request Logging Middleware', () => {
+    const app = express();
+    app.use(requestLogger);
+    app.get('/api/mysql/tasks', logDatabase('MySQL'), (req, res) => res.json({ success: true, requestId: req.id }));
+    app.get('/fail', (req, res) => res.status(500).json({ success: false }));
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+    });
+
+    it('should generate a request ID and echo it in the response', async () => {
+        const response = await request(app).get('/api/mysql/tasks');
+
+        expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(response.body.requestId).toBe(response.headers['x-request-id']);
+    });
+
+    it('should keep an incoming request ID', async () => {
+        const response = await request(app).get('/api/mysql/tasks').set('X-Request-Id', 'edge-42');
+
+        expect(response.headers['x-request-id']).toBe('edge-42');
+    });
+
+    it('should replace an incoming request ID that is not safe to log', async () => {
+        const response = await request(app).get('/api/mysql/tasks').set('X-Request-Id', 'a b\tc');
+
+        expect(response.headers['x-request-id']).not.toBe('a b\tc');
+    });
+
+    it('should log the status, latency, client IP and database', async () => {
+        await request(app).get('/api/mysql/tasks?status=pending').set('X-Request-Id', 'edge-42');
+
+        expect(logger.info).toHaveBeenCalledWith('Request completed', expect.objectContaining({
+            requestId: 'edge-42',
+            method: 'GET',
+            path: '/api/mysql/tasks',
+            status: 200,
+            latencyMs: expect.any(Number),
+            ip: expect.any(String),
+            database: 'MySQL'
+        }));
+    });
+
+    it('should log server errors at the error level', async () => {
+        await request(app).get('/fail');
+
+        expect(logger.error).toHaveBeenCalledWith('Request completed', expect.objectContaining({ status: 500 }));
+        expect(logger.info).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Prometheus Metrics
+ *
+ * Tests the request and query metrics in utils/metrics.js and GET /metrics
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { registry, registerPool, recordRequestMetrics, instrumentRepository } = require('../src/utils/metrics');
+const metricsRoutes = require('../src/routes/metrics.routes');
+
+// Create test app
+const app = express();
+app.use(recordRequestMetrics);
+app.use(metricsRoutes);
+
+const items = express.Router();
+items.use((req, res, next) => (req.get('Authorization') ? next() : res.status(401).end()));
+items.get('/items/:id', (req, res) => res.json({ success: true }));
+app.use('/api/test', items);
+
+/**
+ * Read a metric's current values as { labels, value } pairs
+ */
+async function readMetric(name) {
+    const metric = await registry.getSingleMetric(name).get();
+    return metric.values;
+}
+
+describe('Prometheus Metrics', () => {
+    beforeEach(() => {
+        registry.resetMetrics();
+    });
+
+    describe('recordRequestMetrics', () => {
+        it('should label requests with the route pattern and status', async () => {
+            await request(app).get('/api/test/items/1').set('Authorization', 'yes');
+            await request(app).get('/api/test/items/2').set('Authorization', 'yes');
+
+            const values = await readMetric('http_requests_total');
+
+            expect(values).toEqual([
+                { labels: { method: 'GET', route: '/api/test/items/:id', status: 200 }, value: 2 }
+            ]);
+        });
+
+        it('should label requests answered by router middleware with the mount path', async () => {
+            await request(app).get('/api/test/items/1');
+            await request(app).get('/nowhere');
+
+            const routes = (await readMetric('http_requests_total')).map(value => value.labels);
+
+            expect(routes).toEqual([
+                { method: 'GET', route: '/api/test', status: 401 },
+                { method: 'GET', route: 'unmatched', status: 404 }
+            ]);
+        });
+
+        it('should record the latency', async () => {
+            await request(app).get('/api/test/items/1').set('Authorization', 'yes');
+
+            const count = (await readMetric('http_request_duration_seconds'))
+                .find(value => value.metricName === 'http_request_duration_seconds_count');
+
+            expect(count.value).toBe(1);
+        });
+    });
+
+    describe('instrumentRepository', () => {
+        const repository = {
+            label: 'MySQL',
+            findById: jest.fn(),
+            remove: jest.fn()
+        };
+
+        it('should time each operation and keep the repository working', async () => {
+            repository.findById.mockResolvedValue({ id: 1 });
+            const instrumented = instrumentRepository(repository);
+
+            await expect(instrumented.findById(1, {})).resolves.toEqual({ id: 1 });
+            expect(instrumented.label).toBe('MySQL');
+            expect(repository.findById).toHaveBeenCalledWith(1, {});
+
+            const count = (await readMetric('db_query_duration_seconds'))
+                .find(value => value.metricName === 'db_query_duration_seconds_count');
+            expect(count).toMatchObject({ labels: { database: 'MySQL', operation: 'findById' }, value: 1 });
+        });
+
+        it('should count errors and rethrow them', async () => {
+            repository.remove.mockRejectedValue(new Error('connect ECONNREFUSED'));
+            const instrumented = instrumentRepository(repository);
+
+            await expect(instrumented.remove(1, {})).rejects.toThrow('connect ECONNREFUSED');
+
+            expect(await readMetric('db_query_errors_total')).toEqual([
+                { labels: { database: 'MySQL', operation: 'remove' }, value: 1 }
+            ]);
+        });
+    });
+
+    describe('GET /metrics', () => {
+        it('should serve every metric in the Prometheus text format', async () => {
+            registerPool('postgresql', () => ({ active: 3, idle: 2, waiting: 1 }));
+
+            const response = await request(app).get('/metrics');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('text/plain');
+            expect(response.text).toContain('db_pool_connections{database="postgresql",state="active"} 3');
+            expect(response.text).toContain('db_pool_connections{database="postgresql",state="waiting"} 1');
+            expect(response.text).toContain('process_resident_memory_bytes');
+        });
+    });
+});
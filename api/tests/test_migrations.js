@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for the Schema Migration Runner
+ *
+ * The runner is tested against a real in-memory SQLite database;
+ * the MySQL and PostgreSQL drivers are tested with mocked pools
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations, createMigrator } = require('../src/migrations/runner');
+const {
+    splitStatements,
+    createMysqlDriver,
+    createPostgresDriver,
+    createSqliteDriver,
+} = require('../src/migrations/drivers');
+
+describe('Migration Runner', () => {
+    let db;
+    let migrator;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new Database(':memory:');
+        migrator = createMigrator(createSqliteDriver(db));
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    const tableExists = (name) => Boolean(
+        db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name)
+    );
+
+    describe('loadMigrations', () => {
+        it('should load every dialect folder in version order with up and down scripts', () => {
+            const expected = {
+                mysql: ['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011'],
+                postgresql: ['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011', '012', '013'],
+                sqlite: ['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011'],
+            };
+
+            for (const [dialect, versions] of Object.entries(expected)) {
+                const migrations = loadMigrations(path.join(__dirname, '../src/migrations', dialect));
+
+                expect(migrations.map(m => m.version)).toEqual(versions);
+                migrations.forEach(m => expect(m.down).toEqual(expect.any(String)));
+            }
+        });
+
+        it('should reject a migration without an up script', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+            fs.writeFileSync(path.join(directory, '001_broken.down.sql'), 'SELECT 1;');
+
+            expect(() => loadMigrations(directory)).toThrow('has no .up.sql file');
+
+            fs.rmSync(directory, { recursive: true });
+        });
+    });
+
+    describe('up', () => {
+        it('should apply pending migrations and record them', async () => {
+            const applied = await migrator.up();
+
+            expect(applied).toEqual(['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011']);
+            expect(tableExists('tasks')).toBe(true);
+            expect(tableExists('users')).toBe(true);
+            expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(5);
+        });
+
+        it('should be a no-op when everything is applied', async () => {
+            await migrator.up();
+
+            await expect(migrator.up()).resolves.toEqual([]);
+        });
+
+        it('should stop at the requested version', async () => {
+            await expect(migrator.up({ to: '001' })).resolves.toEqual(['001']);
+
+            const status = await migrator.status();
+            expect(status.map(m => m.applied)).toEqual([true, false, false, false, false, false, false, false, false, false, false]);
+        });
+
+        it('should not seed a database that already has tasks', async () => {
+            await migrator.up({ to: '001' });
+            db.prepare("INSERT INTO tasks (title) VALUES ('Existing task')").run();
+
+            await migrator.up();
+
+            expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(1);
+        });
+
+        it('should roll back a failing migration', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+            fs.writeFileSync(path.join(directory, '001_broken.up.sql'), 'CREATE TABLE half (id INTEGER); SELECT * FROM missing;');
+            const broken = createMigrator(createSqliteDriver(db), { directory });
+
+            // better-sqlite3 errors may come from another test file's realm,
+            // where toThrow() doesn't recognise them as Errors, so match the message
+            await expect(broken.up()).rejects.toMatchObject({ message: expect.stringContaining('no such table') });
+
+            expect(tableExists('half')).toBe(false);
+            expect((await broken.status())[0].applied).toBe(false);
+            fs.rmSync(directory, { recursive: true });
+        });
+    });
+
+    describe('down', () => {
+        it('should revert the latest migration by default', async () => {
+            await migrator.up();
+
+            await expect(migrator.down()).resolves.toEqual(['011']);
+            const columns = db.prepare('PRAGMA table_info(tasks)').all().map(column => column.name);
+            expect(columns).not.toContain('priority');
+            expect(columns).not.toContain('due_date');
+            expect(tableExists('tasks_fts')).toBe(true);
+        });
+
+        it('should revert several migrations with steps', async () => {
+            await migrator.up();
+
+            await expect(migrator.down({ steps: 11 })).resolves.toEqual(['011', '010', '009', '008', '007', '006', '005', '004', '003', '002', '001']);
+            expect(tableExists('tasks')).toBe(false);
+            expect(tableExists('users')).toBe(false);
+        });
+    });
+
+    describe('currentVersion', () => {
+        it('should return the latest applied version', async () => {
+            await migrator.up({ to: '003' });
+
+            await expect(migrator.currentVersion()).resolves.toBe('003');
+        });
+
+        it('should return null before the first migration', async () => {
+            await expect(migrator.currentVersion()).resolves.toBeNull();
+            expect(tableExists('schema_migrations')).toBe(false);
+        });
+    });
+
+    describe('status', () => {
+        it('should flag applied versions that have no file', async () => {
+            await migrator.up();
+            db.prepare("INSERT INTO schema_migrations (version, name) VALUES ('999', 'from_the_future')").run();
+
+            const status = await migrator.status();
+
+            expect(status[status.length - 1]).toMatchObject({ version: '999', applied: true, missing: true });
+        });
+    });
+});
+
+describe('Migration Drivers', () => {
+    describe('splitStatements', () => {
+        it('should split on trailing semicolons and drop comment lines', () => {
+            const script = '-- comment;\nCREATE TABLE a (id INT);\n\nINSERT INTO a VALUES (1);\n';
+
+            expect(splitStatements(script)).toEqual(['CREATE TABLE a (id INT)', 'INSERT INTO a VALUES (1)']);
+        });
+    });
+
+    describe('MySQL driver', () => {
+        it('should run each statement separately inside a transaction', async () => {
+            const connection = {
+                beginTransaction: jest.fn(),
+                query: jest.fn().mockResolvedValue([[]]),
+                commit: jest.fn(),
+                rollback: jest.fn(),
+                release: jest.fn(),
+            };
+            const driver = createMysqlDriver({ getConnection: jest.fn().mockResolvedValue(connection) });
+
+            await driver.transaction(tx => tx.exec('SELECT 1;\nSELECT 2;'));
+
+            expect(connection.query).toHaveBeenCalledTimes(2);
+            expect(connection.commit).toHaveBeenCalled();
+            expect(connection.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('PostgreSQL driver', () => {
+        it('should roll back and release the client on failure', async () => {
+            const client = {
+                query: jest.fn().mockResolvedValue({ rows: [] }),
+                release: jest.fn(),
+            };
+            const driver = createPostgresDriver({ connect: jest.fn().mockResolvedValue(client) });
+
+            await expect(driver.transaction(async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(client.query).toHaveBeenCalledWith('BEGIN');
+            expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+            expect(client.release).toHaveBeenCalled();
+        });
+    });
+});
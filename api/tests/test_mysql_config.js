@@ -14,12 +14,14 @@ jest.mock('mysql2/promise', () => ({
     })),
 }));
 
+// resetMocks clears recorded calls before every test, so keep the options
+// the pool was created with when the module was loaded
+const poolOptions = require('mysql2/promise').createPool.mock.calls[0][0];
+
 describe('MySQL Configuration', () => {
     describe('createPool', () => {
         it('should create a connection pool with correct configuration', () => {
-            const mysql = require('mysql2/promise');
-
-            expect(mysql.createPool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     host: process.env.MYSQL_HOST,
                     port: parseInt(process.env.MYSQL_PORT),
@@ -31,9 +33,7 @@ describe('MySQL Configuration', () => {
         });
 
         it('should set connection limit to 10', () => {
-            const mysql = require('mysql2/promise');
-
-            expect(mysql.createPool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     connectionLimit: 10,
                 })
@@ -41,9 +41,7 @@ describe('MySQL Configuration', () => {
         });
 
         it('should enable waiting for connections', () => {
-            const mysql = require('mysql2/promise');
-
-            expect(mysql.createPool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     waitForConnections: true,
                 })
@@ -100,4 +98,24 @@ describe('MySQL Configuration', () => {
             expect(typeof mysqlConfig.testConnection).toBe('function');
         });
     });
+
+    describe('getServerVersion', () => {
+        it('should read the server version', async () => {
+            mysqlConfig.pool.query = jest.fn().mockResolvedValue([[{ version: '8.0.36' }]]);
+
+            await expect(mysqlConfig.getServerVersion()).resolves.toBe('8.0.36');
+        });
+    });
+
+    describe('getPoolStats', () => {
+        it('should count active, idle and waiting connections', () => {
+            mysqlConfig.pool.pool = {
+                _allConnections: { length: 5 },
+                _freeConnections: { length: 2 },
+                _connectionQueue: { length: 1 }
+            };
+
+            expect(mysqlConfig.getPoolStats()).toEqual({ active: 3, idle: 2, waiting: 1 });
+        });
+    });
 });
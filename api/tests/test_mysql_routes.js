@@ -8,20 +8,43 @@ const request = require('supertest');
 const express = require('express');
 const mysqlRoutes = require('../src/routes/mysql.routes');
 const mysqlDb = require('../src/config/mysql');
+const { signAccessToken } = require('../src/services/auth.service');
 
 // Create test app
 const app = express();
 app.use(express.json());
 app.use('/api/mysql', mysqlRoutes);
 
+// Every request is sent with an access token for user 1, an editor
+const token = signAccessToken({ id: 1, email: 'test@example.com', role: 'editor' });
+const api = request.agent(app).set('Authorization', `Bearer ${token}`);
+
+// Only admins can delete tasks
+const adminToken = signAccessToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+const admin = request.agent(app).set('Authorization', `Bearer ${adminToken}`);
+
 // Mock the MySQL database
 jest.mock('../src/config/mysql');
 
 describe('MySQL Routes', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+
+        // Writes run in a transaction so the task and its history change together;
+        // the connection sends its queries through the pool mock of each test
+        mysqlDb.pool.getConnection = jest.fn(async () => ({
+            query: (...args) => mysqlDb.pool.query(...args),
+            beginTransaction: jest.fn(),
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            release: jest.fn(),
+        }));
     });
 
+    // The UPDATE, INSERT or DELETE sent to the tasks table
+    const taskWrite = () => mysqlDb.pool.query.mock.calls
+        .find(([sql]) => /^(INSERT INTO|UPDATE|DELETE FROM) tasks\b/.test(sql));
+
     describe('GET /api/mysql/tasks', () => {
         it('should return all tasks successfully', async () => {
             const mockTasks = [
@@ -29,22 +52,82 @@ describe('MySQL Routes', () => {
                 { id: 2, title: 'Task 2', description: 'Description 2', status: 'completed' },
             ];
 
-            mysqlDb.pool.query = jest.fn().mockResolvedValue([mockTasks]);
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([mockTasks]) // SELECT page
+                .mockResolvedValueOnce([[{ total: 2 }]]); // COUNT query
 
-            const response = await request(app).get('/api/mysql/tasks');
+            const response = await api.get('/api/mysql/tasks');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
                 success: true,
                 data: mockTasks,
                 count: 2,
+                total: 2,
+                nextCursor: null,
             });
         });
 
+        it('should send the per-user rate limit headers', async () => {
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[]])
+                .mockResolvedValueOnce([[{ total: 0 }]]);
+
+            const response = await api.get('/api/mysql/tasks');
+
+            // The user budget (300 reads) has fewer requests left than the IP budget (600)
+            expect(response.headers['ratelimit-limit']).toBe('300');
+            expect(Number(response.headers['ratelimit-remaining'])).toBeLessThan(300);
+        });
+
+        it('should apply filters with ? placeholders', async () => {
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[]])
+                .mockResolvedValueOnce([[{ total: 0 }]]);
+
+            const response = await api
+                .get('/api/mysql/tasks?status=pending,completed&q=deploy&sort=title&order=asc&limit=10');
+
+            expect(response.status).toBe(200);
+
+            const [sql, values] = mysqlDb.pool.query.mock.calls[0];
+            expect(sql).toContain('status IN (?, ?)');
+            expect(sql).toContain('title LIKE ?');
+            expect(sql).toContain('ORDER BY title ASC, id ASC');
+            expect(sql).toContain('owner_id = ?');
+            expect(values).toEqual([1, 'pending', 'completed', '%deploy%', '%deploy%', 11]);
+        });
+
+        it('should return a nextCursor when more rows exist', async () => {
+            const mockTasks = [
+                { id: 3, title: 'Task 3', created_at: '2024-01-03T00:00:00.000Z' },
+                { id: 2, title: 'Task 2', created_at: '2024-01-02T00:00:00.000Z' },
+                { id: 1, title: 'Task 1', created_at: '2024-01-01T00:00:00.000Z' },
+            ];
+
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([mockTasks])
+                .mockResolvedValueOnce([[{ total: 3 }]]);
+
+            const response = await api.get('/api/mysql/tasks?limit=2');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.total).toBe(3);
+            expect(response.body.nextCursor).toEqual(expect.any(String));
+        });
+
+        it('should reject invalid query parameters', async () => {
+            const response = await api.get('/api/mysql/tasks?sort=password');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('sort');
+        });
+
         it('should handle database errors gracefully', async () => {
             mysqlDb.pool.query = jest.fn().mockRejectedValue(new Error('Database error'));
 
-            const response = await request(app).get('/api/mysql/tasks');
+            const response = await api.get('/api/mysql/tasks');
 
             expect(response.status).toBe(500);
             expect(response.body).toHaveProperty('success', false);
@@ -58,7 +141,7 @@ describe('MySQL Routes', () => {
 
             mysqlDb.pool.query = jest.fn().mockResolvedValue([mockTask]);
 
-            const response = await request(app).get('/api/mysql/tasks/1');
+            const response = await api.get('/api/mysql/tasks/1');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
@@ -70,7 +153,7 @@ describe('MySQL Routes', () => {
         it('should return 404 when task not found', async () => {
             mysqlDb.pool.query = jest.fn().mockResolvedValue([[]]);
 
-            const response = await request(app).get('/api/mysql/tasks/999');
+            const response = await api.get('/api/mysql/tasks/999');
 
             expect(response.status).toBe(404);
             expect(response.body).toHaveProperty('success', false);
@@ -78,7 +161,7 @@ describe('MySQL Routes', () => {
         });
 
         it('should validate ID parameter', async () => {
-            const response = await request(app).get('/api/mysql/tasks/invalid');
+            const response = await api.get('/api/mysql/tasks/invalid');
 
             expect(response.status).toBe(400);
         });
@@ -94,9 +177,10 @@ describe('MySQL Routes', () => {
 
             mysqlDb.pool.query = jest.fn()
                 .mockResolvedValueOnce([{ insertId: 1 }]) // INSERT query
-                .mockResolvedValueOnce([[{ id: 1, ...newTask }]]); // SELECT query
+                .mockResolvedValueOnce([[{ id: 1, ...newTask }]]) // SELECT query
+                .mockResolvedValueOnce([{}]); // task_events INSERT
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/mysql/tasks')
                 .send(newTask);
 
@@ -110,7 +194,7 @@ describe('MySQL Routes', () => {
                 description: 'No title',
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/mysql/tasks')
                 .send(invalidTask);
 
@@ -124,13 +208,28 @@ describe('MySQL Routes', () => {
                 status: 'invalid_status',
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/mysql/tasks')
                 .send(invalidTask);
 
             expect(response.status).toBe(400);
             expect(response.body.error).toContain('status');
         });
+
+        it('should return per-field errors without querying the database', async () => {
+            mysqlDb.pool.query = jest.fn();
+
+            const response = await api
+                .post('/api/mysql/tasks')
+                .send({ title: 42, description: 'x'.repeat(70000) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { field: 'title', message: 'title must be a string' },
+                { field: 'description', message: 'description must be at most 65535 bytes' }
+            ]);
+            expect(mysqlDb.pool.query).not.toHaveBeenCalled();
+        });
     });
 
     describe('PUT /api/mysql/tasks/:id', () => {
@@ -141,10 +240,12 @@ describe('MySQL Routes', () => {
             };
 
             mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[{ id: 1, title: 'Task', status: 'pending' }]]) // SELECT ... FOR UPDATE
                 .mockResolvedValueOnce([{ affectedRows: 1 }]) // UPDATE query
-                .mockResolvedValueOnce([[{ id: 1, ...updates }]]); // SELECT query
+                .mockResolvedValueOnce([[{ id: 1, ...updates }]]) // SELECT query
+                .mockResolvedValueOnce([{}]); // task_events INSERT
 
-            const response = await request(app)
+            const response = await api
                 .put('/api/mysql/tasks/1')
                 .send(updates);
 
@@ -154,9 +255,11 @@ describe('MySQL Routes', () => {
         });
 
         it('should return 404 when updating non-existent task', async () => {
-            mysqlDb.pool.query = jest.fn().mockResolvedValue([{ affectedRows: 0 }]);
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[]]) // SELECT ... FOR UPDATE
+                .mockResolvedValue([{ affectedRows: 0 }]);
 
-            const response = await request(app)
+            const response = await api
                 .put('/api/mysql/tasks/999')
                 .send({ title: 'Updated' });
 
@@ -165,7 +268,7 @@ describe('MySQL Routes', () => {
         });
 
         it('should validate status field on update', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/mysql/tasks/1')
                 .send({ status: 'invalid_status' });
 
@@ -175,24 +278,141 @@ describe('MySQL Routes', () => {
 
     describe('DELETE /api/mysql/tasks/:id', () => {
         it('should delete a task successfully', async () => {
-            mysqlDb.pool.query = jest.fn().mockResolvedValue([{ affectedRows: 1 }]);
+            const task = { id: 1, title: 'Task', status: 'pending' };
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[task]]) // SELECT ... FOR UPDATE
+                .mockResolvedValueOnce([{ affectedRows: 1 }]) // UPDATE deleted_at
+                .mockResolvedValueOnce([[task]]) // SELECT ... FOR UPDATE
+                .mockResolvedValueOnce([{}]); // task_events INSERT
 
-            const response = await request(app).delete('/api/mysql/tasks/1');
+            const response = await admin.delete('/api/mysql/tasks/1');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
                 success: true,
-                message: 'Task deleted successfully',
+                message: 'Task moved to the trash',
             });
         });
 
         it('should return 404 when deleting non-existent task', async () => {
-            mysqlDb.pool.query = jest.fn().mockResolvedValue([{ affectedRows: 0 }]);
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[]]) // SELECT ... FOR UPDATE
+                .mockResolvedValue([{ affectedRows: 0 }]);
 
-            const response = await request(app).delete('/api/mysql/tasks/999');
+            const response = await admin.delete('/api/mysql/tasks/999');
 
             expect(response.status).toBe(404);
             expect(response.body.error).toContain('not found');
         });
     });
+
+    describe('Authentication and ownership', () => {
+        it('should return 401 without an access token', async () => {
+            mysqlDb.pool.query = jest.fn();
+
+            const response = await request(app).get('/api/mysql/tasks');
+
+            expect(response.status).toBe(401);
+            expect(response.body).toEqual({ success: false, error: 'Authentication required' });
+            expect(mysqlDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it('should return 401 for an invalid token', async () => {
+            const response = await request(app)
+                .get('/api/mysql/tasks')
+                .set('Authorization', 'Bearer not-a-token');
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Invalid or expired token');
+        });
+
+        it('should store the authenticated user as the owner of new tasks', async () => {
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([{ insertId: 1 }])
+                .mockResolvedValueOnce([[{ id: 1, title: 'Mine', owner_id: 1 }]])
+                .mockResolvedValueOnce([{}]);
+
+            await api.post('/api/mysql/tasks').send({ title: 'Mine' });
+
+            const [sql, values] = taskWrite();
+            expect(sql).toContain('owner_id');
+            expect(values).toEqual(['Mine', null, 'pending', 'medium', null, 1]);
+        });
+
+        it("should not update another user's task", async () => {
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[{ id: 5, title: 'Theirs', owner_id: 2 }]])
+                .mockResolvedValue([{ affectedRows: 0 }]);
+
+            const response = await api.put('/api/mysql/tasks/5').send({ status: 'completed' });
+
+            expect(response.status).toBe(404);
+            const [sql, values] = taskWrite();
+            expect(sql).toBe('UPDATE tasks SET status = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL AND owner_id = ?');
+            expect(values).toEqual(['completed', '5', 1]);
+        });
+    });
+
+    describe('Permissions', () => {
+        const viewerToken = signAccessToken({ id: 3, email: 'viewer@example.com', role: 'viewer' });
+        const viewer = request.agent(app).set('Authorization', `Bearer ${viewerToken}`);
+
+        it('should let viewers list their tasks', async () => {
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[]])
+                .mockResolvedValueOnce([[{ total: 0 }]]);
+
+            const response = await viewer.get('/api/mysql/tasks');
+
+            expect(response.status).toBe(200);
+        });
+
+        it('should return 403 when a viewer creates a task', async () => {
+            mysqlDb.pool.query = jest.fn();
+
+            const response = await viewer.post('/api/mysql/tasks').send({ title: 'Not allowed' });
+
+            expect(response.status).toBe(403);
+            expect(response.body).toEqual({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'The viewer role does not have the tasks:create permission'
+            });
+            expect(mysqlDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it('should return 403 when an editor deletes a task', async () => {
+            mysqlDb.pool.query = jest.fn();
+
+            const response = await api.delete('/api/mysql/tasks/1');
+
+            expect(response.status).toBe(403);
+            expect(mysqlDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it("should let admins delete any user's task", async () => {
+            const task = { id: 5, title: 'Theirs', owner_id: 3 };
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[task]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[task]])
+                .mockResolvedValueOnce([{}]);
+
+            await admin.delete('/api/mysql/tasks/5');
+
+            const [sql, values] = taskWrite();
+            expect(sql.replace(/\s+/g, ' ')).toBe('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ? AND deleted_at IS NULL');
+            expect(values).toEqual(['5']);
+        });
+
+        it('should return 403 for a token without a role', async () => {
+            const legacyToken = signAccessToken({ id: 1, email: 'test@example.com' });
+
+            const response = await request(app)
+                .get('/api/mysql/tasks')
+                .set('Authorization', `Bearer ${legacyToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
 });
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for the OpenAPI Specification
+ *
+ * Compares the routes mounted on the real app (src/index.js) with the
+ * paths in the OpenAPI document, so a new route can't go undocumented.
+ */
+
+// Mount every database, including sync
+process.env.ENABLED_DATABASES = 'mysql,postgresql,sqlite';
+
+const express = require('express');
+const request = require('supertest');
+const { buildOpenApiSpec, toJsonSchema, toQueryParameters } = require('../src/docs/openapi');
+const { createTaskSchema } = require('../src/schemas/task.schemas');
+
+// The app is only inspected, never connected
+jest.mock('../src/config/mysql');
+jest.mock('../src/config/postgresql');
+
+const app = require('../src/index');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Turn a mounted router's path regexp back into its prefix
+ * e.g. /^\/api\/mysql\/?(?=\/|$)/i -> /api/mysql
+ */
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) {
+        return '';
+    }
+    return layer.regexp.source
+        .replace('^', '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\\\//g, '/');
+}
+
+/**
+ * List every "METHOD /path" the app serves, in OpenAPI path syntax
+ */
+function listRoutes(stack, prefix = '') {
+    const routes = [];
+
+    for (const layer of stack) {
+        if (layer.route) {
+            const path = (prefix + layer.route.path).replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.push(`${method.toUpperCase()} ${path}`);
+            }
+        } else if (layer.name === 'router') {
+            routes.push(...listRoutes(layer.handle.stack, prefix + mountPath(layer)));
+        }
+    }
+
+    return routes;
+}
+
+/**
+ * List every "METHOD /path" the document describes
+ */
+function listDocumentedRoutes(spec) {
+    return Object.entries(spec.paths).flatMap(([path, item]) =>
+        Object.keys(item)
+            .filter(method => HTTP_METHODS.includes(method))
+            .map(method => `${method.toUpperCase()} ${path}`)
+    );
+}
+
+/**
+ * The routes an app serves that the document doesn't describe
+ */
+function listUndocumentedRoutes(app, spec) {
+    const documented = listDocumentedRoutes(spec);
+    return listRoutes(app._router.stack).filter(route => !documented.includes(route));
+}
+
+describe('OpenAPI Specification', () => {
+    const spec = buildOpenApiSpec({ databases: ['mysql', 'postgresql', 'sqlite'] });
+
+    beforeEach(() => {
+        // Silence the request log
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should document every mounted route', () => {
+        const routes = listRoutes(app._router.stack);
+
+        expect(routes).toContain('DELETE /api/sqlite/tasks/{id}');
+        expect(listUndocumentedRoutes(app, spec)).toEqual([]);
+    });
+
+    it('should report a route that is not documented', () => {
+        const extended = express();
+        const router = express.Router();
+        router.get('/tasks', (req, res) => res.end());
+        router.get('/tasks/:id/attachments', (req, res) => res.end());
+        extended.use('/api/sqlite', router);
+
+        expect(listUndocumentedRoutes(extended, spec)).toEqual(['GET /api/sqlite/tasks/{id}/attachments']);
+    });
+
+    it('should only document routes that exist', () => {
+        const routes = listRoutes(app._router.stack);
+
+        expect(listDocumentedRoutes(spec).filter(route => !routes.includes(route))).toEqual([]);
+    });
+
+    it('should only document the enabled databases', () => {
+        const paths = Object.keys(buildOpenApiSpec({ databases: ['sqlite'] }).paths);
+
+        expect(paths).toContain('/api/sqlite/tasks');
+        expect(paths).not.toContain('/api/mysql/tasks');
+        expect(paths).not.toContain('/api/sync');
+    });
+
+    it('should give every operation a unique ID', () => {
+        const ids = Object.values(spec.paths).flatMap(item =>
+            HTTP_METHODS.filter(method => item[method]).map(method => item[method].operationId)
+        );
+
+        expect(ids.every(Boolean)).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should build request schemas from the validation schemas', () => {
+        const body = toJsonSchema(createTaskSchema);
+
+        expect(body.required).toEqual(['title']);
+        expect(body.properties.title).toEqual({ type: 'string', minLength: 1, maxLength: 255 });
+        expect(body.properties.description.nullable).toBe(true);
+
+        const status = toQueryParameters({ fields: { status: { type: 'list', enum: ['pending'] } } })[0];
+        expect(status).toMatchObject({ name: 'status', in: 'query', style: 'form', explode: false });
+    });
+
+    describe('GET /openapi.json', () => {
+        it('should serve the document', async () => {
+            const response = await request(app).get('/openapi.json');
+
+            expect(response.status).toBe(200);
+            expect(response.body.openapi).toBe('3.0.3');
+            expect(response.body.paths).toHaveProperty('/api/sync');
+        });
+    });
+
+    describe('GET /docs', () => {
+        it('should serve the API explorer', async () => {
+            const response = await request(app).get('/docs/');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('swagger-ui');
+        });
+    });
+});
@@ -14,15 +14,20 @@ jest.mock('pg', () => {
         end: jest.fn(),
         on: jest.fn(),
     };
-    return { Pool: jest.fn(() => mPool) };
+    return { Pool: jest.fn(() => mPool), types: { setTypeParser: jest.fn() } };
 });
 
+// resetMocks clears recorded calls before every test, so keep what the
+// module did when it was loaded
+const pg = require('pg');
+const poolOptions = pg.Pool.mock.calls[0][0];
+const poolListeners = postgresConfig.pool.on.mock.calls.map(([event, handler]) => [event, handler]);
+const typeParsers = pg.types.setTypeParser.mock.calls.map(([oid, parser]) => [oid, parser]);
+
 describe('PostgreSQL Configuration', () => {
     describe('Pool', () => {
         it('should create a connection pool with correct configuration', () => {
-            const { Pool } = require('pg');
-
-            expect(Pool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     host: process.env.POSTGRES_HOST,
                     port: parseInt(process.env.POSTGRES_PORT),
@@ -33,20 +38,16 @@ describe('PostgreSQL Configuration', () => {
             );
         });
 
-        it('should set max connections to 20', () => {
-            const { Pool } = require('pg');
-
-            expect(Pool).toHaveBeenCalledWith(
+        it('should set max connections to 10', () => {
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
-                    max: 20,
+                    max: 10,
                 })
             );
         });
 
         it('should set idle timeout to 30 seconds', () => {
-            const { Pool } = require('pg');
-
-            expect(Pool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     idleTimeoutMillis: 30000,
                 })
@@ -54,9 +55,7 @@ describe('PostgreSQL Configuration', () => {
         });
 
         it('should set connection timeout to 2 seconds', () => {
-            const { Pool } = require('pg');
-
-            expect(Pool).toHaveBeenCalledWith(
+            expect(poolOptions).toEqual(
                 expect.objectContaining({
                     connectionTimeoutMillis: 2000,
                 })
@@ -112,7 +111,31 @@ describe('PostgreSQL Configuration', () => {
 
     describe('error event handling', () => {
         it('should register error event handler on pool', () => {
-            expect(postgresConfig.pool.on).toHaveBeenCalledWith('error', expect.any(Function));
+            expect(poolListeners).toContainEqual(['error', expect.any(Function)]);
+        });
+    });
+
+    describe('type parsers', () => {
+        it('should return DATE columns as YYYY-MM-DD strings', () => {
+            const [, parseDate] = typeParsers.find(([oid]) => oid === 1082);
+
+            expect(parseDate('2024-01-31')).toBe('2024-01-31');
+        });
+    });
+
+    describe('getServerVersion', () => {
+        it('should read the server version', async () => {
+            postgresConfig.pool.query = jest.fn().mockResolvedValue({ rows: [{ version: '16.2' }] });
+
+            await expect(postgresConfig.getServerVersion()).resolves.toBe('16.2');
+        });
+    });
+
+    describe('getPoolStats', () => {
+        it('should count active, idle and waiting clients', () => {
+            Object.assign(postgresConfig.pool, { totalCount: 5, idleCount: 2, waitingCount: 1 });
+
+            expect(postgresConfig.getPoolStats()).toEqual({ active: 3, idle: 2, waiting: 1 });
         });
     });
 });
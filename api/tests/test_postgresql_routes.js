@@ -8,12 +8,21 @@ const request = require('supertest');
 const express = require('express');
 const postgresRoutes = require('../src/routes/postgresql.routes');
 const postgresDb = require('../src/config/postgresql');
+const { signAccessToken } = require('../src/services/auth.service');
 
 // Create test app
 const app = express();
 app.use(express.json());
 app.use('/api/postgresql', postgresRoutes);
 
+// Every request is sent with an access token for user 1, an editor
+const token = signAccessToken({ id: 1, email: 'test@example.com', role: 'editor' });
+const api = request.agent(app).set('Authorization', `Bearer ${token}`);
+
+// Only admins can delete tasks
+const adminToken = signAccessToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+const admin = request.agent(app).set('Authorization', `Bearer ${adminToken}`);
+
 // Mock the PostgreSQL database
 jest.mock('../src/config/postgresql');
 
@@ -29,22 +38,53 @@ describe('PostgreSQL Routes', () => {
                 { id: 2, title: 'Task 2', description: 'Description 2', status: 'completed' },
             ];
 
-            postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: mockTasks });
+            postgresDb.pool.query = jest.fn()
+                .mockResolvedValueOnce({ rows: mockTasks }) // SELECT page
+                .mockResolvedValueOnce({ rows: [{ total: '2' }] }); // COUNT returns bigint as string
 
-            const response = await request(app).get('/api/postgresql/tasks');
+            const response = await api.get('/api/postgresql/tasks');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
                 success: true,
                 data: mockTasks,
                 count: 2,
+                total: 2,
+                nextCursor: null,
             });
         });
 
+        it('should apply filters with $n placeholders and ILIKE', async () => {
+            postgresDb.pool.query = jest.fn()
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+            const response = await api
+                .get('/api/postgresql/tasks?status=in_progress&q=api&created_from=2024-01-01');
+
+            expect(response.status).toBe(200);
+
+            const [sql, values] = postgresDb.pool.query.mock.calls[0];
+            expect(sql).toContain('owner_id = $1');
+            expect(sql).toContain('status IN ($2)');
+            expect(sql).toContain('title ILIKE $3 OR description ILIKE $4');
+            expect(sql).toContain('created_at >= $5');
+            expect(sql).toContain('LIMIT $6');
+            expect(values[0]).toBe(1);
+            expect(values[5]).toBe(51);
+        });
+
+        it('should reject an invalid cursor', async () => {
+            const response = await api.get('/api/postgresql/tasks?cursor=not-a-cursor');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('cursor');
+        });
+
         it('should handle database errors gracefully', async () => {
             postgresDb.pool.query = jest.fn().mockRejectedValue(new Error('Database error'));
 
-            const response = await request(app).get('/api/postgresql/tasks');
+            const response = await api.get('/api/postgresql/tasks');
 
             expect(response.status).toBe(500);
             expect(response.body).toHaveProperty('success', false);
@@ -58,7 +98,7 @@ describe('PostgreSQL Routes', () => {
 
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [mockTask] });
 
-            const response = await request(app).get('/api/postgresql/tasks/1');
+            const response = await api.get('/api/postgresql/tasks/1');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
@@ -70,7 +110,7 @@ describe('PostgreSQL Routes', () => {
         it('should return 404 when task not found', async () => {
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [] });
 
-            const response = await request(app).get('/api/postgresql/tasks/999');
+            const response = await api.get('/api/postgresql/tasks/999');
 
             expect(response.status).toBe(404);
             expect(response.body).toHaveProperty('success', false);
@@ -78,7 +118,7 @@ describe('PostgreSQL Routes', () => {
         });
 
         it('should validate ID parameter', async () => {
-            const response = await request(app).get('/api/postgresql/tasks/invalid');
+            const response = await api.get('/api/postgresql/tasks/invalid');
 
             expect(response.status).toBe(400);
         });
@@ -96,7 +136,7 @@ describe('PostgreSQL Routes', () => {
 
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [createdTask] });
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/postgresql/tasks')
                 .send(newTask);
 
@@ -110,7 +150,7 @@ describe('PostgreSQL Routes', () => {
                 description: 'No title',
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/postgresql/tasks')
                 .send(invalidTask);
 
@@ -124,7 +164,7 @@ describe('PostgreSQL Routes', () => {
                 status: 'invalid_status',
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/postgresql/tasks')
                 .send(invalidTask);
 
@@ -132,6 +172,21 @@ describe('PostgreSQL Routes', () => {
             expect(response.body.error).toContain('status');
         });
 
+        it('should return per-field errors without querying the database', async () => {
+            postgresDb.pool.query = jest.fn();
+
+            const response = await api
+                .post('/api/postgresql/tasks')
+                .send({ title: 42, description: 'x'.repeat(70000) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { field: 'title', message: 'title must be a string' },
+                { field: 'description', message: 'description must be at most 65535 bytes' }
+            ]);
+            expect(postgresDb.pool.query).not.toHaveBeenCalled();
+        });
+
         it('should use parameterized queries with $1 syntax', async () => {
             const newTask = {
                 title: 'Test',
@@ -141,7 +196,7 @@ describe('PostgreSQL Routes', () => {
 
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [{ id: 1, ...newTask }] });
 
-            await request(app)
+            await api
                 .post('/api/postgresql/tasks')
                 .send(newTask);
 
@@ -163,7 +218,7 @@ describe('PostgreSQL Routes', () => {
 
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [updatedTask] });
 
-            const response = await request(app)
+            const response = await api
                 .put('/api/postgresql/tasks/1')
                 .send(updates);
 
@@ -175,7 +230,7 @@ describe('PostgreSQL Routes', () => {
         it('should return 404 when updating non-existent task', async () => {
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [] });
 
-            const response = await request(app)
+            const response = await api
                 .put('/api/postgresql/tasks/999')
                 .send({ title: 'Updated' });
 
@@ -184,7 +239,7 @@ describe('PostgreSQL Routes', () => {
         });
 
         it('should validate status field on update', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/postgresql/tasks/1')
                 .send({ status: 'invalid_status' });
 
@@ -192,7 +247,7 @@ describe('PostgreSQL Routes', () => {
         });
 
         it('should handle empty update gracefully', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/postgresql/tasks/1')
                 .send({});
 
@@ -205,19 +260,19 @@ describe('PostgreSQL Routes', () => {
         it('should delete a task successfully', async () => {
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rowCount: 1 });
 
-            const response = await request(app).delete('/api/postgresql/tasks/1');
+            const response = await admin.delete('/api/postgresql/tasks/1');
 
             expect(response.status).toBe(200);
             expect(response.body).toEqual({
                 success: true,
-                message: 'Task deleted successfully',
+                message: 'Task moved to the trash',
             });
         });
 
         it('should return 404 when deleting non-existent task', async () => {
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rowCount: 0 });
 
-            const response = await request(app).delete('/api/postgresql/tasks/999');
+            const response = await admin.delete('/api/postgresql/tasks/999');
 
             expect(response.status).toBe(404);
             expect(response.body.error).toContain('not found');
@@ -230,7 +285,7 @@ describe('PostgreSQL Routes', () => {
 
             postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [{ id: 1, ...newTask }] });
 
-            await request(app).post('/api/postgresql/tasks').send(newTask);
+            await api.post('/api/postgresql/tasks').send(newTask);
 
             const queryCall = postgresDb.pool.query.mock.calls[0];
             expect(queryCall[0]).toMatch(/\$\d+/); // Should contain $1, $2, etc.
@@ -241,10 +296,117 @@ describe('PostgreSQL Routes', () => {
                 rows: [{ id: 1, title: 'Test', status: 'pending' }]
             });
 
-            await request(app).post('/api/postgresql/tasks').send({ title: 'Test' });
+            await api.post('/api/postgresql/tasks').send({ title: 'Test' });
 
             const queryCall = postgresDb.pool.query.mock.calls[0];
             expect(queryCall[0]).toContain('RETURNING');
         });
     });
+
+    describe('Authentication and ownership', () => {
+        it('should return 401 without an access token', async () => {
+            postgresDb.pool.query = jest.fn();
+
+            const response = await request(app).get('/api/postgresql/tasks');
+
+            expect(response.status).toBe(401);
+            expect(response.body).toEqual({ success: false, error: 'Authentication required' });
+            expect(postgresDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it('should reject a refresh token used as an access token', async () => {
+            const jwt = require('jsonwebtoken');
+            const { jwtSecret } = require('../src/config/auth');
+            const refreshToken = jwt.sign({ type: 'refresh' }, jwtSecret, { subject: '1' });
+
+            const response = await request(app)
+                .get('/api/postgresql/tasks')
+                .set('Authorization', `Bearer ${refreshToken}`);
+
+            expect(response.status).toBe(401);
+        });
+
+        it("should only look up the authenticated user's task", async () => {
+            postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [] });
+
+            const response = await api.get('/api/postgresql/tasks/5');
+
+            expect(response.status).toBe(404);
+            const [sql, values] = postgresDb.pool.query.mock.calls[0];
+            expect(sql).toBe(
+                'SELECT id, title, description, status, priority, due_date, owner_id, version, deleted_at, created_at, updated_at ' +
+                'FROM tasks WHERE id = $1 AND deleted_at IS NULL AND owner_id = $2'
+            );
+            expect(values).toEqual(['5', 1]);
+        });
+
+        it('should scope updates to the owner after the SET parameters', async () => {
+            postgresDb.pool.query = jest.fn().mockResolvedValue({ rows: [] });
+
+            await api.put('/api/postgresql/tasks/5').send({ status: 'completed' });
+
+            const [sql, values] = postgresDb.pool.query.mock.calls[0];
+            expect(sql).toContain('WHERE id = $2 AND deleted_at IS NULL AND owner_id = $3');
+            expect(values).toEqual(['completed', '5', 1, '1', 'test@example.com', '']);
+        });
+    });
+
+    describe('Permissions', () => {
+        const viewerToken = signAccessToken({ id: 3, email: 'viewer@example.com', role: 'viewer' });
+        const viewer = request.agent(app).set('Authorization', `Bearer ${viewerToken}`);
+
+        it('should let viewers list their tasks', async () => {
+            postgresDb.pool.query = jest.fn()
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+            const response = await viewer.get('/api/postgresql/tasks');
+
+            expect(response.status).toBe(200);
+        });
+
+        it('should return 403 when a viewer creates a task', async () => {
+            postgresDb.pool.query = jest.fn();
+
+            const response = await viewer.post('/api/postgresql/tasks').send({ title: 'Not allowed' });
+
+            expect(response.status).toBe(403);
+            expect(response.body).toEqual({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'The viewer role does not have the tasks:create permission'
+            });
+            expect(postgresDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it('should return 403 when an editor deletes a task', async () => {
+            postgresDb.pool.query = jest.fn();
+
+            const response = await api.delete('/api/postgresql/tasks/1');
+
+            expect(response.status).toBe(403);
+            expect(postgresDb.pool.query).not.toHaveBeenCalled();
+        });
+
+        it("should let admins delete any user's task", async () => {
+            postgresDb.pool.query = jest.fn().mockResolvedValue({ rowCount: 1 });
+
+            await admin.delete('/api/postgresql/tasks/5');
+
+            const [sql, values] = postgresDb.pool.query.mock.calls[0];
+            // The WITH clause hands the actor to the history trigger (see migration 009)
+            expect(sql.replace(/\s+/g, ' ')).toContain('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 FROM audit WHERE id = $1 AND deleted_at IS NULL');
+            expect(values).toEqual(['5', '2', 'admin@example.com', '']);
+        });
+
+        it('should return 403 for a token without a role', async () => {
+            const legacyToken = signAccessToken({ id: 1, email: 'test@example.com' });
+
+            const response = await request(app)
+                .get('/api/postgresql/tasks')
+                .set('Authorization', `Bearer ${legacyToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
 });
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for Rate Limiting
+ *
+ * Tests the budgets in config/rateLimit.js, the in-memory store in
+ * utils/rateLimitStore.js and the 429 from middleware/rateLimit.js
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { getRateLimits, DEFAULT_RATE_LIMITS } = require('../src/config/rateLimit');
+const { assertRateLimitStore, createMemoryStore } = require('../src/utils/rateLimitStore');
+const { createRateLimiter } = require('../src/middleware/rateLimit');
+
+/**
+ * Build an app limited by IP and by the X-User header, with small budgets
+ */
+function createApp(store, { ip = { read: 3, write: 2 }, user = { read: 0, write: 1 } } = {}) {
+    const app = express();
+    app.use(createRateLimiter({ name: 'ip', key: req => req.ip, limits: ip, windowMs: 60000, store }));
+    app.use((req, res, next) => {
+        req.user = req.get('X-User') ? { id: Number(req.get('X-User')) } : undefined;
+        next();
+    });
+    app.use(createRateLimiter({ name: 'user', key: req => req.user && req.user.id, limits: user, windowMs: 60000, store }));
+    app.all('/tasks', (req, res) => res.json({ success: true }));
+    return app;
+}
+
+describe('Memory Store', () => {
+    it('should count requests per key until the window ends', async () => {
+        let time = 1000;
+        const store = createMemoryStore({ now: () => time });
+
+        await store.increment('ip:write:a', 100);
+        await store.increment('ip:write:b', 100);
+        await expect(store.increment('ip:write:a', 100)).resolves.toEqual({ count: 2, resetAt: 1100 });
+
+        time = 1100;
+        await expect(store.increment('ip:write:a', 100)).resolves.toEqual({ count: 1, resetAt: 1200 });
+    });
+
+    it('should forget a key on reset', async () => {
+        const store = createMemoryStore();
+        await store.increment('user:read:1', 1000);
+
+        await store.reset('user:read:1');
+
+        await expect(store.increment('user:read:1', 1000)).resolves.toMatchObject({ count: 1 });
+    });
+
+    it('should reject a store that is missing a method', () => {
+        expect(() => assertRateLimitStore({ increment: async () => {} })).toThrow('missing reset()');
+    });
+});
+
+describe('Rate Limiter', () => {
+    it('should send the RateLimit headers on every request', async () => {
+        const response = await request(createApp(createMemoryStore())).get('/tasks');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBe('3');
+        expect(response.headers['ratelimit-remaining']).toBe('2');
+        expect(Number(response.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    });
+
+    it('should return 429 with Retry-After once the budget is used up', async () => {
+        const app = createApp(createMemoryStore());
+
+        await request(app).post('/tasks');
+        await request(app).post('/tasks');
+        const response = await request(app).post('/tasks');
+
+        expect(response.status).toBe(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(response.headers['ratelimit-remaining']).toBe('0');
+        expect(response.body).toEqual({
+            success: false,
+            error: 'Too many requests',
+            message: expect.stringContaining('Limit of 2 write requests per 60 seconds reached for this IP address')
+        });
+    });
+
+    it('should count reads and writes separately', async () => {
+        const app = createApp(createMemoryStore());
+
+        await request(app).post('/tasks');
+        await request(app).post('/tasks');
+
+        expect((await request(app).get('/tasks')).status).toBe(200);
+    });
+
+    it('should limit each user separately and report the tighter budget', async () => {
+        const app = createApp(createMemoryStore());
+
+        const first = await request(app).put('/tasks').set('X-User', '1');
+        const second = await request(app).put('/tasks').set('X-User', '1');
+        const otherUser = await request(app).put('/tasks').set('X-User', '2');
+
+        // The user budget (1 write) has fewer requests left than the IP budget (2 writes)
+        expect(first.headers['ratelimit-limit']).toBe('1');
+        expect(second.status).toBe(429);
+        expect(second.body.message).toContain('Limit of 1 write requests per 60 seconds reached for this user');
+        // The rejected request still counted against the IP budget
+        expect(otherUser.status).toBe(429);
+        expect(otherUser.body.message).toContain('IP address');
+    });
+
+    it('should let requests through when the store fails', async () => {
+        const store = { increment: jest.fn().mockRejectedValue(new Error('Redis down')), reset: jest.fn() };
+
+        const response = await request(createApp(store)).get('/tasks');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+});
+
+describe('getRateLimits', () => {
+    const names = ['RATE_LIMIT_WINDOW_MS', 'RATE_LIMIT_IP_READS', 'RATE_LIMIT_IP_WRITES', 'RATE_LIMIT_USER_READS', 'RATE_LIMIT_USER_WRITES'];
+
+    afterEach(() => {
+        names.forEach(name => delete process.env[name]);
+    });
+
+    it('should use the defaults', () => {
+        expect(getRateLimits()).toEqual(DEFAULT_RATE_LIMITS);
+    });
+
+    it('should read the budgets from the environment', () => {
+        process.env.RATE_LIMIT_WINDOW_MS = '1000';
+        process.env.RATE_LIMIT_USER_WRITES = '0';
+
+        expect(getRateLimits()).toMatchObject({ windowMs: 1000, user: { read: 300, write: 0 } });
+    });
+
+    it('should reject an invalid value', () => {
+        process.env.RATE_LIMIT_IP_READS = 'lots';
+
+        expect(() => getRateLimits()).toThrow('RATE_LIMIT_IP_READS');
+    });
+});
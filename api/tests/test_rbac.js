@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for Role-Based Access Control
+ *
+ * Runs the SQLite task routes and /api/admin against a real in-memory
+ * SQLite database, so every role is checked through the full request path.
+ */
+
+// Store accounts in SQLite and keep bcrypt fast for the tests
+process.env.AUTH_DATABASE = 'sqlite';
+process.env.BCRYPT_ROUNDS = '4';
+
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../src/routes/auth.routes');
+const adminRoutes = require('../src/routes/admin.routes');
+const sqliteRoutes = require('../src/routes/sqlite.routes');
+const { getMigrator } = require('../src/migrations');
+const { hasPermission } = require('../src/config/roles');
+const { db } = require('../src/config/sqlite');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/sqlite', sqliteRoutes);
+
+/**
+ * Register a user with a role and return their login response
+ * The role is set in the database before logging in, so the token carries it
+ */
+async function signUp(email, role) {
+    const password = 'correct horse';
+    await request(app).post('/api/auth/register').send({ email, password });
+    db.prepare('UPDATE users SET role = ? WHERE email = ?').run(role, email);
+
+    const response = await request(app).post('/api/auth/login').send({ email, password });
+    const session = response.body.data;
+    return { ...session, auth: { Authorization: `Bearer ${session.accessToken}` } };
+}
+
+describe('hasPermission', () => {
+    it('should follow the role matrix', () => {
+        expect(hasPermission('viewer', 'tasks:read')).toBe(true);
+        expect(hasPermission('viewer', 'tasks:create')).toBe(false);
+        expect(hasPermission('editor', 'tasks:update')).toBe(true);
+        expect(hasPermission('editor', 'tasks:delete')).toBe(false);
+        expect(hasPermission('admin', 'tasks:delete')).toBe(true);
+    });
+
+    it('should grant nothing to an unknown role', () => {
+        expect(hasPermission(undefined, 'tasks:read')).toBe(false);
+        expect(hasPermission('constructor', 'tasks:read')).toBe(false);
+    });
+});
+
+describe('Role-Based Access Control', () => {
+    let viewer;
+    let editor;
+    let admin;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await getMigrator('sqlite').up();
+    });
+
+    beforeEach(async () => {
+        db.exec('DELETE FROM refresh_tokens; DELETE FROM users; DELETE FROM tasks;');
+        viewer = await signUp('viewer@example.com', 'viewer');
+        editor = await signUp('editor@example.com', 'editor');
+        admin = await signUp('admin@example.com', 'admin');
+    });
+
+    describe('Task routes', () => {
+        it('should let viewers read but not write', async () => {
+            const list = await request(app).get('/api/sqlite/tasks').set(viewer.auth);
+            const create = await request(app).post('/api/sqlite/tasks').set(viewer.auth).send({ title: 'Nope' });
+
+            expect(list.status).toBe(200);
+            expect(create.status).toBe(403);
+            expect(create.body).toEqual({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'The viewer role does not have the tasks:create permission'
+            });
+        });
+
+        it('should let editors create and update their own tasks but not delete them', async () => {
+            const created = await request(app).post('/api/sqlite/tasks').set(editor.auth).send({ title: 'Draft' });
+            const id = created.body.data.id;
+
+            const update = await request(app).put(`/api/sqlite/tasks/${id}`).set(editor.auth).send({ status: 'completed' });
+            const remove = await request(app).delete(`/api/sqlite/tasks/${id}`).set(editor.auth);
+
+            expect(created.status).toBe(201);
+            expect(update.status).toBe(200);
+            expect(remove.status).toBe(403);
+        });
+
+        it("should let admins see, update and delete other users' tasks", async () => {
+            const created = await request(app).post('/api/sqlite/tasks').set(editor.auth).send({ title: "Editor's task" });
+            const id = created.body.data.id;
+
+            const list = await request(app).get('/api/sqlite/tasks').set(admin.auth);
+            const update = await request(app).put(`/api/sqlite/tasks/${id}`).set(admin.auth).send({ title: 'Reviewed' });
+            const remove = await request(app).delete(`/api/sqlite/tasks/${id}`).set(admin.auth);
+
+            expect(list.body.total).toBe(1);
+            expect(update.body.data).toMatchObject({ title: 'Reviewed', owner_id: editor.user.id });
+            expect(remove.status).toBe(200);
+        });
+    });
+
+    describe('GET /api/admin/users', () => {
+        it('should list users and their roles for admins', async () => {
+            const response = await request(app).get('/api/admin/users').set(admin.auth);
+
+            expect(response.status).toBe(200);
+            expect(response.body.count).toBe(3);
+            expect(response.body.data.map(user => user.role)).toEqual(['viewer', 'editor', 'admin']);
+            expect(response.body.data[0]).not.toHaveProperty('password_hash');
+        });
+
+        it('should return 403 for editors', async () => {
+            const response = await request(app).get('/api/admin/users').set(editor.auth);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Insufficient permissions');
+        });
+    });
+
+    describe('PUT /api/admin/users/:id/role', () => {
+        it('should change the role used by the next refreshed token', async () => {
+            const response = await request(app)
+                .put(`/api/admin/users/${editor.user.id}/role`)
+                .set(admin.auth)
+                .send({ role: 'viewer' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ email: 'editor@example.com', role: 'viewer' });
+
+            // The editor's refreshed token now carries the viewer role
+            const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: editor.refreshToken });
+            const create = await request(app)
+                .post('/api/sqlite/tasks')
+                .set('Authorization', `Bearer ${refresh.body.data.accessToken}`)
+                .send({ title: 'Too late' });
+
+            expect(refresh.body.data.user.role).toBe('viewer');
+            expect(create.status).toBe(403);
+        });
+
+        it('should validate the role', async () => {
+            const response = await request(app)
+                .put(`/api/admin/users/${editor.user.id}/role`)
+                .set(admin.auth)
+                .send({ role: 'superuser' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('Invalid role');
+        });
+
+        it('should not let admins change their own role', async () => {
+            const response = await request(app)
+                .put(`/api/admin/users/${admin.user.id}/role`)
+                .set(admin.auth)
+                .send({ role: 'viewer' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should return 404 for an unknown user', async () => {
+            const response = await request(app)
+                .put('/api/admin/users/9999/role')
+                .set(admin.auth)
+                .send({ role: 'viewer' });
+
+            expect(response.status).toBe(404);
+        });
+
+        it('should return 403 for non-admins', async () => {
+            const response = await request(app)
+                .put(`/api/admin/users/${viewer.user.id}/role`)
+                .set(editor.auth)
+                .send({ role: 'admin' });
+
+            expect(response.status).toBe(403);
+            expect(db.prepare('SELECT role FROM users WHERE id = ?').get(viewer.user.id).role).toBe('viewer');
+        });
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Task Search
+ *
+ * Tests utils/taskSearch.js and GET /tasks/search against a real in-memory
+ * SQLite database with the FTS5 index from migration 010
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { searchTerms, highlight, SNIPPET_LENGTH } = require('../src/utils/taskSearch');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+/**
+ * Create an app on a tasks table holding the given tasks
+ * repository(adapter) may replace the adapter's methods
+ */
+function createApp(tasks = [], { repository: override = () => ({}) } = {}) {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '010_create_task_search', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+
+    const insert = db.prepare('INSERT INTO tasks (title, description, status, owner_id) VALUES (?, ?, ?, ?)');
+    for (const { title, description = null, status = 'pending', owner = 1 } of tasks) {
+        insert.run(title, description, status, owner);
+    }
+
+    const adapter = createSqliteTaskRepository(db);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter({ ...adapter, ...override(adapter) }));
+    return { app, db, repository: adapter };
+}
+
+describe('searchTerms', () => {
+    it('should keep the distinct words, lowercased', () => {
+        expect(searchTerms('Deploy "API" docs, deploy')).toEqual(['deploy', 'api', 'docs']);
+    });
+
+    it('should drop query syntax', () => {
+        expect(searchTerms('+fix* -(bug) & x:* OR "')).toEqual(['fix', 'bug', 'x', 'or']);
+        expect(searchTerms('*** !!')).toEqual([]);
+    });
+
+    it('should keep letters and digits in any script', () => {
+        expect(searchTerms('Café v2 Überprüfung')).toEqual(['café', 'v2', 'überprüfung']);
+    });
+});
+
+describe('highlight', () => {
+    it('should mark the start of every matching word', () => {
+        expect(highlight('Deploy the deployment docs', ['deploy', 'doc']))
+            .toBe('<mark>Deploy</mark> the <mark>deploy</mark>ment <mark>doc</mark>s');
+    });
+
+    it('should escape the text', () => {
+        expect(highlight('<script>alert("docs")</script> & more', ['docs']))
+            .toBe('&lt;script&gt;alert(&quot;<mark>docs</mark>&quot;)&lt;/script&gt; &amp; more');
+    });
+
+    it('should cut a long text down to the part around the first match', () => {
+        const text = `${'Lorem ipsum dolor. '.repeat(20)}The deploy step. ${'Sit amet. '.repeat(30)}`;
+
+        const snippet = highlight(text, ['deploy']);
+
+        expect(snippet).toMatch(/^….*The <mark>deploy<\/mark> step\..*…$/);
+        expect(snippet.replace(/<\/?mark>/g, '').length).toBeLessThan(SNIPPET_LENGTH + 20);
+    });
+
+    it('should leave null alone', () => {
+        expect(highlight(null, ['deploy'])).toBeNull();
+    });
+});
+
+describe('GET /tasks/search', () => {
+    const tasks = [
+        { title: 'Write deployment docs', description: 'Cover the staging server' },
+        { title: 'Fix login bug', description: 'Users are logged out after a deploy' },
+        { title: 'Deploy the API', status: 'completed' },
+        { title: 'Plan the offsite', description: 'Book a room' },
+        { title: "Deploy someone else's service", owner: 3 }
+    ];
+
+    it('should rank title matches first, with highlights', async () => {
+        const { app } = createApp(tasks);
+
+        const response = await request(app).get('/api/sqlite/tasks/search?q=deploy').set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(4);
+        expect(response.body.count).toBe(4);
+        expect(response.body.data[response.body.data.length - 1]).toMatchObject({
+            id: 2,
+            highlight: { title: 'Fix login bug', description: 'Users are logged out after a <mark>deploy</mark>' }
+        });
+        expect(response.body.data[0]).toMatchObject({
+            version: 1,
+            rank: expect.any(Number),
+            highlight: { title: expect.stringContaining('<mark>') }
+        });
+        const ranks = response.body.data.map(task => task.rank);
+        expect(ranks).toEqual([...ranks].sort((a, b) => b - a));
+    });
+
+    it('should require every term, as a prefix', async () => {
+        const { app } = createApp(tasks);
+
+        const response = await request(app).get('/api/sqlite/tasks/search?q=deploy+doc').set(admin);
+
+        expect(response.body.data.map(task => task.title)).toEqual(['Write deployment docs']);
+        expect(response.body.data[0].highlight.title).toBe('Write <mark>deploy</mark>ment <mark>doc</mark>s');
+    });
+
+    it("should filter by status and keep to the user's own tasks", async () => {
+        const { app } = createApp(tasks.map(task => ({ owner: 2, ...task })));
+
+        const response = await request(app).get('/api/sqlite/tasks/search?q=deploy&status=pending').set(editor);
+
+        expect(response.body.data.map(task => task.id).sort()).toEqual([1, 2]);
+    });
+
+    it('should page with limit and offset', async () => {
+        const { app } = createApp(tasks);
+
+        const first = await request(app).get('/api/sqlite/tasks/search?q=deploy&limit=3').set(admin);
+        const second = await request(app).get('/api/sqlite/tasks/search?q=deploy&limit=3&offset=3').set(admin);
+
+        expect(first.body.count).toBe(3);
+        expect(second.body).toMatchObject({ count: 1, total: 4 });
+        expect(second.body.data[0].id).toBe(2);
+    });
+
+    it('should follow edits and leave out trashed tasks', async () => {
+        const { app, repository } = createApp(tasks);
+
+        await repository.update(4, { title: 'Deploy the offsite' });
+        await repository.remove(3);
+        const response = await request(app).get('/api/sqlite/tasks/search?q=deploy').set(admin);
+
+        expect(response.body.data.map(task => task.id).sort()).toEqual([1, 2, 4, 5]);
+        expect((await request(app).get('/api/sqlite/tasks/search?q=offsite').set(admin)).body.total).toBe(1);
+    });
+
+    it('should treat query syntax as plain words', async () => {
+        const { app } = createApp(tasks);
+
+        const response = await request(app).get(`/api/sqlite/tasks/search?q=${encodeURIComponent('"deploy* -(api')}`).set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(task => task.title)).toEqual(['Deploy the API']);
+    });
+
+    it('should reject a search without a word', async () => {
+        const { app } = createApp();
+
+        const missing = await request(app).get('/api/sqlite/tasks/search').set(admin);
+        const punctuation = await request(app).get('/api/sqlite/tasks/search?q=***').set(admin);
+
+        expect(missing.status).toBe(400);
+        expect(punctuation.status).toBe(400);
+        expect(punctuation.body.errors).toEqual([{ field: 'q', message: 'q must contain at least one word' }]);
+    });
+
+    it('should answer 500 when the search fails', async () => {
+        const { app } = createApp([], { repository: () => ({ search: jest.fn().mockRejectedValue(new Error('SQLITE_ERROR')) }) });
+
+        const response = await request(app).get('/api/sqlite/tasks/search?q=deploy').set(admin);
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ success: false, error: 'Failed to search tasks' });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for the Security Middleware
+ *
+ * Tests the CORS allowlist and body limit in config/security.js, the headers
+ * from middleware/security.js and the error envelopes in index.js
+ */
+
+// Read when index.js is loaded
+process.env.CORS_ORIGINS = 'https://example.com,https://nodejs-example-*.vercel.app';
+process.env.BODY_LIMIT = '1kb';
+
+const request = require('supertest');
+const mysqlDb = require('../src/config/mysql');
+const { signAccessToken } = require('../src/services/auth.service');
+const { getCorsOrigins, createOriginMatcher, getBodyLimit } = require('../src/config/security');
+
+jest.mock('../src/config/mysql');
+jest.mock('../src/config/postgresql');
+
+const app = require('../src/index');
+
+const token = signAccessToken({ id: 1, email: 'test@example.com', role: 'editor' });
+
+describe('CORS Allowlist', () => {
+    it('should combine CORS_ORIGINS and FRONTEND_URL', () => {
+        expect(getCorsOrigins('https://a.com, https://b.com', 'https://app.com/')).toEqual(['https://a.com', 'https://b.com', 'https://app.com']);
+    });
+
+    it('should only allow the Nuxt dev server by default', () => {
+        expect(getCorsOrigins('', '')).toEqual(['http://localhost:3000']);
+    });
+
+    it('should reject an origin with a path', () => {
+        expect(() => getCorsOrigins('https://example.com/app', '')).toThrow('Invalid origin');
+    });
+
+    it('should match a wildcard against one part of the host name', () => {
+        const isAllowed = createOriginMatcher(['https://nodejs-example-*.vercel.app']);
+
+        expect(isAllowed('https://nodejs-example-git-main-team.vercel.app')).toBe(true);
+        expect(isAllowed('https://nodejs-example-.vercel.app')).toBe(false);
+        expect(isAllowed('https://nodejs-example-x.evil.com.vercel.app')).toBe(false);
+        expect(isAllowed('https://nodejs-example-x.vercel.app.evil.com')).toBe(false);
+        expect(isAllowed('http://nodejs-example-x.vercel.app')).toBe(false);
+    });
+
+    it('should send CORS headers to allowed origins only', async () => {
+        const preview = await request(app).get('/').set('Origin', 'https://nodejs-example-pr-12.vercel.app');
+        const frontend = await request(app).get('/').set('Origin', 'http://localhost:3000');
+        const other = await request(app).get('/').set('Origin', 'https://evil.com');
+
+        expect(preview.headers['access-control-allow-origin']).toBe('https://nodejs-example-pr-12.vercel.app');
+        expect(frontend.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+        expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+});
+
+describe('Security Headers', () => {
+    it('should send the standard security headers', async () => {
+        const response = await request(app).get('/');
+
+        expect(response.headers['content-security-policy']).toContain("default-src 'self'");
+        expect(response.headers['strict-transport-security']).toContain('max-age=');
+        expect(response.headers['x-frame-options']).toBe('SAMEORIGIN');
+        expect(response.headers['x-content-type-options']).toBe('nosniff');
+        expect(response.headers['x-powered-by']).toBeUndefined();
+    });
+});
+
+describe('Request Bodies', () => {
+    it('should read BODY_LIMIT', () => {
+        expect(getBodyLimit('')).toBe('100kb');
+        expect(getBodyLimit('2MB')).toBe('2mb');
+        expect(() => getBodyLimit('lots')).toThrow('BODY_LIMIT');
+    });
+
+    it('should return 413 for a body over the limit', async () => {
+        const response = await request(app)
+            .post('/api/mysql/tasks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'x'.repeat(2048) });
+
+        expect(response.status).toBe(413);
+        expect(response.body).toEqual({
+            success: false,
+            error: 'Payload too large',
+            message: 'Request bodies are limited to 1kb'
+        });
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+        const response = await request(app)
+            .post('/api/mysql/tasks')
+            .set('Content-Type', 'application/json')
+            .send('{"title": ');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ success: false, error: 'Invalid JSON' });
+    });
+});
+
+describe('Error Responses', () => {
+    it('should not send database error details to the client', async () => {
+        mysqlDb.pool.query = jest.fn().mockRejectedValue(new Error("Table 'example_db.tasks' doesn't exist"));
+
+        const response = await request(app)
+            .get('/api/mysql/tasks')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ success: false, error: 'Failed to fetch tasks' });
+    });
+});
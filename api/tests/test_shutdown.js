@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Graceful Shutdown
+ *
+ * Runs a real HTTP server, so draining is tested with actual connections
+ */
+
+const http = require('http');
+const express = require('express');
+const { createGracefulShutdown, getShutdownTimeout } = require('../src/utils/shutdown');
+
+/**
+ * Start an app with a slow endpoint and a /health that reports draining
+ * /slow answers after `delay` ms - or never, when delay is null
+ */
+async function startApp(shutdown, delay) {
+    const app = express();
+    app.use(shutdown.trackRequests);
+    app.get('/slow', (req, res) => {
+        if (delay !== null) {
+            setTimeout(() => res.json({ success: true }), delay);
+        }
+    });
+    app.get('/health', (req, res) => res.status(shutdown.isDraining() ? 503 : 200).json({}));
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Send a GET request and resolve with the status code, or 'aborted'
+ */
+function get(url, agent) {
+    return new Promise(resolve => {
+        http.get(url, { agent }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', () => resolve('aborted'));
+    });
+}
+
+describe('Graceful Shutdown', () => {
+    it('should finish in-flight requests before closing the databases', async () => {
+        const shutdown = createGracefulShutdown({ timeoutMs: 2000 });
+        const { server, url } = await startApp(shutdown, 100);
+        const agent = new http.Agent({ keepAlive: true });
+        const close = jest.fn();
+
+        const inFlight = get(`${url}/slow`, agent);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const result = await shutdown.shutdown({ signal: 'SIGTERM', server, closers: [{ name: 'sqlite', close }] });
+
+        expect(await inFlight).toBe(200);
+        expect(result).toEqual({ timedOut: false, aborted: 0, failed: [] });
+        expect(close).toHaveBeenCalledTimes(1);
+        expect(server.listening).toBe(false);
+        agent.destroy();
+    });
+
+    it('should run beforeClose after the requests and before the databases', async () => {
+        const shutdown = createGracefulShutdown({ timeoutMs: 2000 });
+        const { server, url } = await startApp(shutdown, 100);
+        const order = [];
+        const beforeClose = jest.fn(async () => order.push('beforeClose'));
+        const close = jest.fn(async () => order.push('close'));
+
+        server.on('request', (req, res) => res.on('finish', () => order.push('response')));
+
+        const inFlight = get(`${url}/slow`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        await shutdown.shutdown({ signal: 'SIGTERM', server, beforeClose, closers: [{ name: 'sqlite', close }] });
+
+        expect(await inFlight).toBe(200);
+        expect(order).toEqual(['response', 'beforeClose', 'close']);
+    });
+
+    it('should cut off requests that outlast the timeout', async () => {
+        const shutdown = createGracefulShutdown({ timeoutMs: 50 });
+        const { server, url } = await startApp(shutdown, null);
+        const close = jest.fn().mockResolvedValue();
+
+        const inFlight = get(`${url}/slow`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const result = await shutdown.shutdown({ signal: 'SIGTERM', server, closers: [{ name: 'mysql', close }] });
+
+        expect(result).toEqual({ timedOut: true, aborted: 1, failed: [] });
+        expect(await inFlight).toBe('aborted');
+        expect(close).toHaveBeenCalled();
+    });
+
+    it('should report draining and keep closing after a database fails', async () => {
+        const shutdown = createGracefulShutdown({ timeoutMs: 2000 });
+        const { server, url } = await startApp(shutdown, 100);
+        const agent = new http.Agent({ keepAlive: true });
+        const closers = [
+            { name: 'mysql', close: jest.fn().mockRejectedValue(new Error('already closed')) },
+            { name: 'postgresql', close: jest.fn().mockResolvedValue() }
+        ];
+
+        // Open a keep-alive connection and keep a request running on it
+        await get(`${url}/health`, agent);
+        const inFlight = get(`${url}/slow`, agent);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const stopping = shutdown.shutdown({ signal: 'SIGINT', server, closers });
+
+        expect(shutdown.isDraining()).toBe(true);
+        expect(shutdown.shutdown({ signal: 'SIGINT', server, closers })).toBe(stopping);
+
+        const result = await stopping;
+        expect(await inFlight).toBe(200);
+        expect(result.failed).toEqual(['mysql']);
+        expect(closers[1].close).toHaveBeenCalled();
+        agent.destroy();
+    });
+
+    it('should read SHUTDOWN_TIMEOUT_MS', () => {
+        expect(getShutdownTimeout('')).toBe(10000);
+        expect(getShutdownTimeout('2500')).toBe(2500);
+        expect(() => getShutdownTimeout('10s')).toThrow('Invalid SHUTDOWN_TIMEOUT_MS');
+    });
+});
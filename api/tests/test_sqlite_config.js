@@ -0,0 +1,56 @@
+/**
+ * Unit Tests for SQLite Configuration Module
+ * 
+ * Uses a real in-memory database - SQLite needs no server, so nothing is mocked
+ */
+
+const sqliteConfig = require('../src/config/sqlite');
+const { getMigrator } = require('../src/migrations');
+
+describe('SQLite Configuration', () => {
+    describe('testConnection', () => {
+        it('should return true when the database is open', async () => {
+            const result = await sqliteConfig.testConnection();
+
+            expect(result).toBe(true);
+        });
+
+        it('should return false when the database has been closed', async () => {
+            const { db } = sqliteConfig;
+            const prepare = jest.spyOn(db, 'prepare').mockImplementation(() => {
+                throw new TypeError('The database connection is not open');
+            });
+
+            const result = await sqliteConfig.testConnection();
+
+            expect(result).toBe(false);
+            prepare.mockRestore();
+        });
+    });
+
+    describe('schema', () => {
+        beforeAll(async () => {
+            // The schema comes from the SQLite migrations, as at server startup
+            await getMigrator('sqlite').up();
+        });
+
+        it('should reject statuses outside the allowed set', () => {
+            const insert = sqliteConfig.db.prepare('INSERT INTO tasks (title, status) VALUES (?, ?)');
+
+            expect(() => insert.run('Task', 'archived')).toThrow(/CHECK constraint/);
+        });
+
+        it('should reject titles longer than 255 characters', () => {
+            const insert = sqliteConfig.db.prepare('INSERT INTO tasks (title) VALUES (?)');
+
+            expect(() => insert.run('x'.repeat(256))).toThrow(/CHECK constraint/);
+        });
+    });
+
+    describe('exports', () => {
+        it('should export the database handle and testConnection function', () => {
+            expect(sqliteConfig).toHaveProperty('db');
+            expect(typeof sqliteConfig.testConnection).toBe('function');
+        });
+    });
+});
@@ -0,0 +1,354 @@
+/**
+ * Unit Tests for Cross-Database Sync
+ *
+ * The sync service only talks to task repositories, so it is tested with
+ * two real in-memory SQLite repositories standing in for MySQL and PostgreSQL.
+ * The route is tested with mocked MySQL and PostgreSQL pools.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { syncTasks, diffTasks } = require('../src/services/sync.service');
+const syncRoutes = require('../src/routes/sync.routes');
+const mysqlDb = require('../src/config/mysql');
+const postgresDb = require('../src/config/postgresql');
+const { signAccessToken } = require('../src/services/auth.service');
+
+// Mock both server databases for the route tests
+jest.mock('../src/config/mysql');
+jest.mock('../src/config/postgresql');
+
+// The tasks table as the migrations leave it, without the sample rows
+const schema = ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']
+    .map(name => fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'))
+    .join('\n');
+
+/**
+ * Create an empty tasks database and a repository on top of it
+ */
+function createStore() {
+    const db = new Database(':memory:');
+    db.exec(schema);
+
+    const insert = (id, title, status, updatedAt, ownerId = null, deletedAt = null) => db
+        .prepare('INSERT INTO tasks (id, title, status, owner_id, created_at, updated_at, deleted_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .run(id, title, status, ownerId, '2024-01-01 00:00:00', updatedAt, deletedAt);
+
+    return { db, insert, repository: createSqliteTaskRepository(db) };
+}
+
+describe('Sync Service', () => {
+    let mysql;
+    let postgresql;
+    let repositories;
+
+    beforeEach(() => {
+        mysql = createStore();
+        postgresql = createStore();
+        repositories = { mysql: mysql.repository, postgresql: postgresql.repository };
+    });
+
+    afterEach(() => {
+        mysql.db.close();
+        postgresql.db.close();
+    });
+
+    describe('diffTasks', () => {
+        it('should list changed fields and treat empty descriptions as NULL', () => {
+            const diff = diffTasks(
+                { title: 'New', description: '', status: 'completed' },
+                { title: 'Old', description: null, status: 'completed' }
+            );
+
+            expect(diff).toEqual({ title: { from: 'Old', to: 'New' } });
+        });
+    });
+
+    describe('one-way', () => {
+        it('should copy missing tasks with their IDs, owners and timestamps', async () => {
+            mysql.insert(7, 'Only in MySQL', 'pending', '2024-02-01 10:00:00', 3);
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.summary).toMatchObject({ created: 1, updated: 0, conflicts: 0 });
+            const copy = await postgresql.repository.findById(7);
+            expect(copy).toMatchObject({ title: 'Only in MySQL', owner_id: 3 });
+            expect(copy.updated_at.toISOString()).toBe('2024-02-01T10:00:00.000Z');
+        });
+
+        it('should update older target copies and report the diff', async () => {
+            mysql.insert(1, 'Task', 'completed', '2024-02-02 00:00:00');
+            postgresql.insert(1, 'Task', 'pending', '2024-02-01 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.changes).toEqual([
+                expect.objectContaining({
+                    action: 'update',
+                    database: 'postgresql',
+                    id: 1,
+                    diff: { status: { from: 'pending', to: 'completed' } }
+                })
+            ]);
+            expect((await postgresql.repository.findById(1)).status).toBe('completed');
+        });
+
+        it('should report a conflict instead of overwriting a newer target copy', async () => {
+            mysql.insert(1, 'Old title', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(1, 'Newer title', 'pending', '2024-02-02 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.summary.conflicts).toBe(1);
+            expect(result.conflicts[0]).toMatchObject({ id: 1, reason: expect.stringContaining('updated after') });
+            expect((await postgresql.repository.findById(1)).title).toBe('Newer title');
+        });
+
+        it('should overwrite newer target copies with force', async () => {
+            mysql.insert(1, 'Old title', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(1, 'Newer title', 'pending', '2024-02-02 00:00:00');
+
+            await syncTasks(repositories, { direction: 'mysql->postgresql', force: true });
+
+            expect((await postgresql.repository.findById(1)).title).toBe('Old title');
+        });
+
+        it('should only delete tasks missing from the source when pruning', async () => {
+            postgresql.insert(5, 'Extra', 'pending', '2024-02-01 00:00:00');
+
+            await syncTasks(repositories, { direction: 'mysql->postgresql' });
+            expect(await postgresql.repository.findById(5)).not.toBeNull();
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql', prune: true });
+            expect(result.summary.deleted).toBe(1);
+            expect(await postgresql.repository.findById(5)).toBeNull();
+        });
+
+        it('should move the target copy to the trash and copy trashed tasks into the trash', async () => {
+            mysql.insert(1, 'Done with', 'pending', '2024-02-02 00:00:00', null, '2024-02-02 00:00:00');
+            postgresql.insert(1, 'Done with', 'pending', '2024-02-01 00:00:00');
+            mysql.insert(2, 'Never copied', 'pending', '2024-02-02 00:00:00', null, '2024-02-02 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.summary).toMatchObject({ created: 1, updated: 0, trashed: 1, restored: 0 });
+            expect(result.changes[0]).toMatchObject({
+                action: 'trash', database: 'postgresql', id: 1, diff: { deleted_at: { from: null, to: expect.any(Date) } }
+            });
+            expect(postgresql.db.prepare('SELECT id, deleted_at FROM tasks').all()).toEqual([
+                { id: 1, deleted_at: '2024-02-02 00:00:00' },
+                { id: 2, deleted_at: '2024-02-02 00:00:00' }
+            ]);
+            expect((await postgresql.repository.history(1)).map(event => event.action)).toEqual(['delete']);
+
+            const again = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+            expect(again.summary).toMatchObject({ created: 0, trashed: 0, unchanged: 2 });
+        });
+
+        it('should not bring back a task trashed after the source copy changed, unless forced', async () => {
+            mysql.insert(1, 'Task', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(1, 'Task', 'pending', '2024-02-02 00:00:00', null, '2024-02-02 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.summary).toMatchObject({ created: 0, restored: 0, conflicts: 1 });
+            expect(await postgresql.repository.findById(1)).toBeNull();
+
+            const forced = await syncTasks(repositories, { direction: 'mysql->postgresql', force: true });
+            expect(forced.changes).toEqual([expect.objectContaining({ action: 'restore', database: 'postgresql', id: 1 })]);
+            expect(await postgresql.repository.findById(1)).not.toBeNull();
+        });
+
+        it('should not keep finding a change after MySQL rounds fractional seconds', async () => {
+            // PostgreSQL keeps fractions of a second, and MySQL rounds them when it stores a TIMESTAMP
+            const roundToSecond = (value) => value && new Date(Math.round(value.getTime() / 1000) * 1000);
+            repositories.mysql = {
+                ...mysql.repository,
+                put: (task, audit) => mysql.repository.put({
+                    ...task,
+                    created_at: roundToSecond(task.created_at),
+                    updated_at: roundToSecond(task.updated_at),
+                    deleted_at: roundToSecond(task.deleted_at)
+                }, audit)
+            };
+            postgresql.insert(1, 'Done with', 'pending', '2024-02-02 00:00:00.600', null, '2024-02-02 00:00:00.600');
+
+            const result = await syncTasks(repositories, { direction: 'postgresql->mysql' });
+            expect(result.summary).toMatchObject({ created: 1 });
+            expect(mysql.db.prepare('SELECT updated_at, deleted_at FROM tasks').get())
+                .toEqual({ updated_at: '2024-02-02 00:00:00', deleted_at: '2024-02-02 00:00:00' });
+
+            const again = await syncTasks(repositories, { direction: 'postgresql->mysql' });
+            expect(again.summary).toMatchObject({ created: 0, updated: 0, trashed: 0, unchanged: 1, conflicts: 0 });
+        });
+
+        it('should follow pagination to copy every task', async () => {
+            for (let id = 1; id <= 150; id++) {
+                mysql.insert(id, `Task ${id}`, 'pending', '2024-02-01 00:00:00');
+            }
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql' });
+
+            expect(result.summary.created).toBe(150);
+        });
+    });
+
+    describe('bidirectional', () => {
+        it('should copy missing tasks both ways and let the newest copy win', async () => {
+            mysql.insert(1, 'MySQL only', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(2, 'PostgreSQL only', 'pending', '2024-02-01 00:00:00');
+            mysql.insert(3, 'Shared', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(3, 'Shared', 'completed', '2024-02-03 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'bidirectional' });
+
+            expect(result.summary).toMatchObject({ created: 2, updated: 1, unchanged: 0 });
+            expect(await postgresql.repository.findById(1)).not.toBeNull();
+            expect(await mysql.repository.findById(2)).not.toBeNull();
+            expect((await mysql.repository.findById(3)).status).toBe('completed');
+
+            // A second run finds nothing left to do
+            const again = await syncTasks(repositories, { direction: 'bidirectional' });
+            expect(again.summary).toMatchObject({ created: 0, updated: 0, unchanged: 3 });
+        });
+
+        it('should trash or restore the other copy instead of creating it again', async () => {
+            // Trashed in MySQL after the last change in PostgreSQL
+            mysql.insert(1, 'Trashed', 'pending', '2024-02-03 00:00:00', null, '2024-02-03 00:00:00');
+            postgresql.insert(1, 'Trashed', 'pending', '2024-02-01 00:00:00');
+            // Changed in PostgreSQL after it was trashed in MySQL
+            mysql.insert(2, 'Still needed', 'pending', '2024-02-01 00:00:00', null, '2024-02-01 00:00:00');
+            postgresql.insert(2, 'Still needed', 'completed', '2024-02-03 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'bidirectional' });
+
+            expect(result.changes).toEqual([
+                expect.objectContaining({ action: 'trash', database: 'postgresql', id: 1 }),
+                expect.objectContaining({ action: 'restore', database: 'mysql', id: 2 })
+            ]);
+            expect(result.summary).toMatchObject({ created: 0, trashed: 1, restored: 1 });
+            expect(await mysql.repository.findById(1)).toBeNull();
+            expect(await postgresql.repository.findById(1)).toBeNull();
+            expect(await mysql.repository.findById(2)).toMatchObject({ status: 'completed', deleted_at: null });
+
+            const again = await syncTasks(repositories, { direction: 'bidirectional' });
+            expect(again.summary).toMatchObject({ created: 0, trashed: 0, restored: 0, unchanged: 2 });
+        });
+
+        it('should report a conflict when both copies changed in the same second', async () => {
+            mysql.insert(1, 'Title A', 'pending', '2024-02-01 00:00:00');
+            postgresql.insert(1, 'Title B', 'pending', '2024-02-01 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'bidirectional' });
+
+            expect(result.summary.conflicts).toBe(1);
+            expect(result.conflicts[0].tasks.mysql.title).toBe('Title A');
+            expect(result.conflicts[0].tasks.postgresql.title).toBe('Title B');
+        });
+    });
+
+    describe('dry run', () => {
+        it('should report the plan without writing anything', async () => {
+            mysql.insert(1, 'Task', 'pending', '2024-02-01 00:00:00');
+
+            const result = await syncTasks(repositories, { direction: 'mysql->postgresql', dryRun: true });
+
+            expect(result.dryRun).toBe(true);
+            expect(result.summary.created).toBe(1);
+            expect(await postgresql.repository.findById(1)).toBeNull();
+        });
+    });
+});
+
+describe('Sync Routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sync', syncRoutes);
+
+    const token = signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    const api = request.agent(app).set('Authorization', `Bearer ${token}`);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('POST /api/sync', () => {
+        it('should require an access token', async () => {
+            const response = await request(app).post('/api/sync').send({ direction: 'bidirectional' });
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should only let admins sync', async () => {
+            const editorToken = signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' });
+
+            const response = await request(app)
+                .post('/api/sync')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ direction: 'bidirectional' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Insufficient permissions');
+        });
+
+        it('should reject an unknown direction', async () => {
+            const response = await api.post('/api/sync').send({ direction: 'sideways' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { field: 'direction', message: 'direction must be one of: mysql->postgresql, postgresql->mysql, bidirectional' }
+            ]);
+        });
+
+        it('should reject flags that are not booleans', async () => {
+            const response = await api
+                .post('/api/sync')
+                .send({ direction: 'mysql->postgresql', dryRun: 'yes' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('dryRun must be true or false');
+        });
+
+        it('should reject prune for bidirectional syncs', async () => {
+            const response = await api
+                .post('/api/sync')
+                .send({ direction: 'bidirectional', prune: true });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('prune is only supported for one-way syncs');
+        });
+
+        it('should return the diff of a dry run without writing', async () => {
+            const task = { id: 1, title: 'Task', description: null, status: 'pending', updated_at: new Date() };
+            mysqlDb.pool.query = jest.fn()
+                .mockResolvedValueOnce([[task]])
+                .mockResolvedValueOnce([[]]);
+            postgresDb.pool.query = jest.fn()
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const response = await api
+                .post('/api/sync')
+                .send({ direction: 'mysql->postgresql', dryRun: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.summary).toMatchObject({ created: 1, updated: 0 });
+            expect(postgresDb.pool.query).toHaveBeenCalledTimes(2);
+        });
+
+        it('should return 500 when a database is unreachable', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            mysqlDb.pool.query = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+            const response = await api.post('/api/sync').send({ direction: 'bidirectional' });
+
+            expect(response.status).toBe(500);
+            expect(response.body.error).toBe('Failed to sync tasks');
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for Task Priorities and Due Dates
+ *
+ * Tests the 'day' validation rule, priority and due_date filters, sorting
+ * and cursors (utils/taskQuery.js), and GET /tasks/overdue against a real
+ * in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { validate } = require('../src/utils/validation');
+const { overdueToday } = require('../src/utils/taskQuery');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+// Days relative to today (UTC), as YYYY-MM-DD
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromToday = days => overdueToday(new Date(Date.now() + days * DAY_MS));
+
+/**
+ * Create an app on a tasks table holding the given tasks
+ * repository(adapter) may replace the adapter's methods
+ */
+function createApp(tasks = [], { repository: override = () => ({}) } = {}) {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+
+    const insert = db.prepare('INSERT INTO tasks (title, status, priority, due_date, owner_id) VALUES (?, ?, ?, ?, ?)');
+    for (const { title, status = 'pending', priority = 'medium', due_date = null, owner = 1 } of tasks) {
+        insert.run(title, status, priority, due_date, owner);
+    }
+
+    const adapter = createSqliteTaskRepository(db);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter({ ...adapter, ...override(adapter) }));
+    return { app, db, repository: adapter };
+}
+
+describe("the 'day' rule", () => {
+    const schema = { fields: { due: { type: 'day', nullable: true } } };
+
+    it('should keep a calendar date as it is', () => {
+        expect(validate(schema, { due: '2024-02-29' })).toEqual({ value: { due: '2024-02-29' }, errors: [] });
+        expect(validate(schema, { due: null }).value).toEqual({ due: null });
+    });
+
+    it('should reject timestamps, other forms and days that do not exist', () => {
+        for (const due of ['2024-01-31T10:00:00Z', '31/01/2024', '2024-1-31', '2023-02-29', '2024-13-01', 20240131]) {
+            expect(validate(schema, { due }).errors).toEqual([{ field: 'due', message: 'due must be a date in YYYY-MM-DD form' }]);
+        }
+    });
+});
+
+describe('POST and PUT /tasks', () => {
+    it('should default to medium priority and no due date', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Plain' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).toMatchObject({ priority: 'medium', due_date: null });
+    });
+
+    it('should store and change the priority and due date', async () => {
+        const { app } = createApp();
+
+        const created = await request(app)
+            .post('/api/sqlite/tasks')
+            .set(admin)
+            .send({ title: 'Ship it', priority: 'urgent', due_date: '2024-01-31' });
+        const updated = await request(app).put('/api/sqlite/tasks/1').set(admin).send({ priority: 'low', due_date: null });
+
+        expect(created.body.data).toMatchObject({ priority: 'urgent', due_date: '2024-01-31' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.data).toMatchObject({ title: 'Ship it', priority: 'low', due_date: null });
+    });
+
+    it('should reject an unknown priority and an invalid due date', async () => {
+        const { app } = createApp();
+
+        const response = await request(app)
+            .post('/api/sqlite/tasks')
+            .set(admin)
+            .send({ title: 'Ship it', priority: 'asap', due_date: 'tomorrow' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors).toEqual([
+            { field: 'priority', message: 'priority must be one of: low, medium, high, urgent' },
+            { field: 'due_date', message: 'due_date must be a date in YYYY-MM-DD form' }
+        ]);
+    });
+});
+
+describe('GET /tasks', () => {
+    const tasks = [
+        { title: 'Low', priority: 'low', due_date: '2024-03-01' },
+        { title: 'Urgent', priority: 'urgent' },
+        { title: 'High', priority: 'high', due_date: '2024-01-15' },
+        { title: 'Medium', priority: 'medium', due_date: '2024-02-01' },
+        { title: 'Also urgent', priority: 'urgent', due_date: '2024-01-15' }
+    ];
+
+    it('should filter by priority and due date range', async () => {
+        const { app } = createApp(tasks);
+
+        const urgent = await request(app).get('/api/sqlite/tasks?priority=urgent,high').set(admin);
+        const january = await request(app).get('/api/sqlite/tasks?due_from=2024-01-01&due_to=2024-01-31').set(admin);
+
+        expect(urgent.body.data.map(task => task.title).sort()).toEqual(['Also urgent', 'High', 'Urgent']);
+        expect(january.body.data.map(task => task.title).sort()).toEqual(['Also urgent', 'High']);
+    });
+
+    it('should sort by priority rank, not alphabetically', async () => {
+        const { app } = createApp(tasks);
+
+        const response = await request(app).get('/api/sqlite/tasks?sort=priority&order=desc').set(admin);
+
+        expect(response.body.data.map(task => task.title)).toEqual(['Also urgent', 'Urgent', 'High', 'Medium', 'Low']);
+    });
+
+    it('should sort tasks without a due date last and page through them', async () => {
+        const { app } = createApp(tasks);
+
+        const first = await request(app).get('/api/sqlite/tasks?sort=due_date&order=asc&limit=2').set(admin);
+        const second = await request(app)
+            .get(`/api/sqlite/tasks?sort=due_date&order=asc&limit=2&cursor=${first.body.nextCursor}`)
+            .set(admin);
+        const third = await request(app)
+            .get(`/api/sqlite/tasks?sort=due_date&order=asc&limit=2&cursor=${second.body.nextCursor}`)
+            .set(admin);
+
+        expect([...first.body.data, ...second.body.data, ...third.body.data].map(task => task.title))
+            .toEqual(['High', 'Also urgent', 'Medium', 'Low', 'Urgent']);
+        expect(third.body.nextCursor).toBeNull();
+    });
+
+    it('should page through priorities with a cursor', async () => {
+        const { app } = createApp(tasks);
+
+        const first = await request(app).get('/api/sqlite/tasks?sort=priority&order=asc&limit=3').set(admin);
+        const second = await request(app)
+            .get(`/api/sqlite/tasks?sort=priority&order=asc&limit=3&cursor=${first.body.nextCursor}`)
+            .set(admin);
+
+        expect([...first.body.data, ...second.body.data].map(task => task.title))
+            .toEqual(['Low', 'Medium', 'High', 'Urgent', 'Also urgent']);
+    });
+
+    it('should reject an invalid due date range', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).get('/api/sqlite/tasks?due_from=2024-02-30').set(admin);
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].field).toBe('due_from');
+    });
+});
+
+describe('GET /tasks/overdue', () => {
+    const tasks = () => [
+        { title: 'Last week', due_date: daysFromToday(-7) },
+        { title: 'Yesterday', due_date: daysFromToday(-1), priority: 'urgent' },
+        { title: 'Today', due_date: daysFromToday(0) },
+        { title: 'Tomorrow', due_date: daysFromToday(1) },
+        { title: 'Done late', due_date: daysFromToday(-3), status: 'completed' },
+        { title: 'In progress, late', due_date: daysFromToday(-2), status: 'in_progress' },
+        { title: 'Whenever' },
+        { title: "Someone else's", due_date: daysFromToday(-5), owner: 3 }
+    ];
+
+    it('should list unfinished tasks due before today, oldest first', async () => {
+        const { app } = createApp(tasks());
+
+        const response = await request(app).get('/api/sqlite/tasks/overdue').set(admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, count: 4, total: 4, nextCursor: null });
+        expect(response.body.data.map(task => task.title))
+            .toEqual(['Last week', "Someone else's", 'In progress, late', 'Yesterday']);
+    });
+
+    it("should take the list filters and keep to the user's own tasks", async () => {
+        const { app } = createApp(tasks().map(task => ({ owner: 2, ...task })));
+
+        const urgent = await request(app).get('/api/sqlite/tasks/overdue?priority=urgent').set(editor);
+        const mine = await request(app).get('/api/sqlite/tasks/overdue?sort=due_date&order=desc').set(editor);
+
+        expect(urgent.body.data.map(task => task.title)).toEqual(['Yesterday']);
+        expect(mine.body.data.map(task => task.title)).toEqual(['Yesterday', 'In progress, late', 'Last week']);
+    });
+
+    it('should leave out trashed tasks', async () => {
+        const { app, repository } = createApp(tasks());
+
+        await repository.remove(1);
+        const response = await request(app).get('/api/sqlite/tasks/overdue').set(admin);
+
+        expect(response.body.data.map(task => task.id)).not.toContain(1);
+        expect(response.body.total).toBe(3);
+    });
+
+    it('should answer 500 when the query fails', async () => {
+        const { app } = createApp([], { repository: () => ({ list: jest.fn().mockRejectedValue(new Error('SQLITE_BUSY')) }) });
+
+        const response = await request(app).get('/api/sqlite/tasks/overdue').set(admin);
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ success: false, error: 'Failed to fetch overdue tasks' });
+    });
+});
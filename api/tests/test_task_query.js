@@ -0,0 +1,239 @@
+/**
+ * Unit Tests for Task List Query Helpers
+ *
+ * Tests query string parsing, SQL building and cursor pagination
+ */
+
+const Database = require('better-sqlite3');
+const {
+    parseTaskListQuery,
+    buildTaskListQuery,
+    buildScopeFilter,
+    buildPage,
+    encodeCursor,
+    decodeCursor,
+} = require('../src/utils/taskQuery');
+
+const mysqlDialect = { placeholder: () => '?', likeOperator: 'LIKE' };
+const postgresDialect = { placeholder: (index) => `$${index}`, likeOperator: 'ILIKE' };
+
+describe('Task List Query Helpers', () => {
+    describe('parseTaskListQuery', () => {
+        it('should return defaults for an empty query', () => {
+            const { options, error } = parseTaskListQuery({});
+
+            expect(error).toBeUndefined();
+            expect(options).toMatchObject({
+                statuses: [],
+                search: null,
+                sort: 'created_at',
+                order: 'desc',
+                limit: 50,
+                cursor: null,
+            });
+        });
+
+        it('should accept a comma-separated status list', () => {
+            const { options } = parseTaskListQuery({ status: 'pending, completed' });
+
+            expect(options.statuses).toEqual(['pending', 'completed']);
+        });
+
+        it('should reject unknown statuses', () => {
+            const { error } = parseTaskListQuery({ status: 'pending,archived' });
+
+            expect(error).toContain('status');
+        });
+
+        it('should reject columns that are not whitelisted for sorting', () => {
+            const { error } = parseTaskListQuery({ sort: 'description; DROP TABLE tasks' });
+
+            expect(error).toContain('sort');
+        });
+
+        it('should reject invalid order, limit and dates', () => {
+            expect(parseTaskListQuery({ order: 'sideways' }).error).toContain('order');
+            expect(parseTaskListQuery({ limit: '0' }).error).toContain('limit');
+            expect(parseTaskListQuery({ limit: '101' }).error).toContain('limit');
+            expect(parseTaskListQuery({ updated_to: 'yesterday' }).error).toContain('updated_to');
+        });
+
+        it('should parse date ranges into Date values', () => {
+            const { options } = parseTaskListQuery({ created_from: '2024-01-01', updated_to: '2024-02-01' });
+
+            expect(options.dateRanges).toEqual([
+                { column: 'created_at', operator: '>=', value: new Date('2024-01-01') },
+                { column: 'updated_at', operator: '<=', value: new Date('2024-02-01') },
+            ]);
+        });
+    });
+
+    describe('cursors', () => {
+        it('should round-trip a date cursor', () => {
+            const row = { id: 7, created_at: new Date('2024-01-01T12:00:00.000Z') };
+
+            const cursor = encodeCursor(row, 'created_at');
+
+            expect(decodeCursor(cursor, 'created_at')).toEqual({ value: row.created_at, id: 7 });
+        });
+
+        it('should return null for malformed cursors', () => {
+            expect(decodeCursor('garbage', 'created_at')).toBeNull();
+            expect(decodeCursor(Buffer.from('{"v":"a"}').toString('base64url'), 'title')).toBeNull();
+        });
+    });
+
+    describe('buildTaskListQuery', () => {
+        it('should build an unfiltered query', () => {
+            const { options } = parseTaskListQuery({});
+
+            const query = buildTaskListQuery(options, mysqlDialect);
+
+            expect(query.where).toBe('WHERE deleted_at IS NULL');
+            expect(query.values).toEqual([]);
+            expect(query.orderBy).toBe('ORDER BY created_at DESC, id DESC');
+        });
+
+        it('should escape LIKE wildcards in the search term', () => {
+            const { options } = parseTaskListQuery({ q: '100%_done' });
+
+            const { values } = buildTaskListQuery(options, mysqlDialect);
+
+            expect(values[0]).toBe('%100\\%\\_done%');
+        });
+
+        it('should number PostgreSQL placeholders and keep the cursor out of the count', () => {
+            const cursor = encodeCursor({ id: 4, title: 'Beta' }, 'title');
+            const { options } = parseTaskListQuery({ status: 'pending', sort: 'title', order: 'asc', cursor });
+
+            const query = buildTaskListQuery(options, postgresDialect);
+
+            expect(query.where).toBe('WHERE deleted_at IS NULL AND status IN ($1)');
+            expect(query.values).toEqual(['pending']);
+            expect(query.pageWhere).toBe('WHERE deleted_at IS NULL AND status IN ($1) AND (title > $2 OR (title = $3 AND id > $4))');
+            expect(query.pageValues).toEqual(['pending', 'Beta', 'Beta', 4]);
+        });
+
+        it('should sort and compare timestamps through the dialect\'s truncateTimestamp', () => {
+            const dialect = { ...postgresDialect, truncateTimestamp: (column) => `date_trunc('milliseconds', ${column})` };
+            const cursor = encodeCursor({ id: 4, created_at: new Date('2024-01-01T12:00:00.123Z') }, 'created_at');
+            const { options } = parseTaskListQuery({ cursor });
+
+            const query = buildTaskListQuery(options, dialect);
+
+            expect(query.pageWhere).toBe(
+                "WHERE deleted_at IS NULL AND (date_trunc('milliseconds', created_at) < $1 " +
+                "OR (date_trunc('milliseconds', created_at) = $2 AND id < $3))"
+            );
+            expect(query.orderBy).toBe("ORDER BY date_trunc('milliseconds', created_at) DESC, id DESC");
+        });
+
+        it('should leave other sort columns alone', () => {
+            const dialect = { ...postgresDialect, truncateTimestamp: (column) => `date_trunc('milliseconds', ${column})` };
+            const { options } = parseTaskListQuery({ sort: 'title' });
+
+            expect(buildTaskListQuery(options, dialect).orderBy).toBe('ORDER BY title DESC, id DESC');
+        });
+
+        it('should filter by owner first when scoped', () => {
+            const { options } = parseTaskListQuery({ status: 'pending' });
+
+            const query = buildTaskListQuery(options, postgresDialect, { ownerId: 7 });
+
+            expect(query.where).toBe('WHERE deleted_at IS NULL AND owner_id = $1 AND status IN ($2)');
+            expect(query.values).toEqual([7, 'pending']);
+        });
+
+        it('should only list trashed tasks for the trash', () => {
+            const { options } = parseTaskListQuery({});
+
+            const query = buildTaskListQuery({ ...options, trashed: true }, mysqlDialect);
+
+            expect(query.where).toBe('WHERE deleted_at IS NOT NULL');
+        });
+    });
+
+    describe('buildScopeFilter', () => {
+        it('should add nothing for an empty scope', () => {
+            expect(buildScopeFilter({}, mysqlDialect.placeholder)).toEqual({ sql: '', values: [] });
+        });
+
+        it('should continue the placeholder numbering', () => {
+            expect(buildScopeFilter({ ownerId: 7 }, postgresDialect.placeholder, 2))
+                .toEqual({ sql: ' AND owner_id = $3', values: [7] });
+        });
+    });
+
+    describe('buildPage', () => {
+        it('should drop the look-ahead row and return a cursor', () => {
+            const { options } = parseTaskListQuery({ limit: '2', sort: 'id' });
+            const rows = [{ id: 3 }, { id: 2 }, { id: 1 }];
+
+            const page = buildPage(rows, options);
+
+            expect(page.data).toEqual([{ id: 3 }, { id: 2 }]);
+            expect(decodeCursor(page.nextCursor, 'id')).toEqual({ value: 2, id: 2 });
+        });
+
+        it('should return a null cursor on the last page', () => {
+            const { options } = parseTaskListQuery({ limit: '5' });
+
+            expect(buildPage([{ id: 1 }], options).nextCursor).toBeNull();
+        });
+
+        describe('with timestamps more precise than a cursor', () => {
+            // Like PostgreSQL: created_at keeps microseconds (here, fractions of a
+            // millisecond since the epoch), but rows come back as millisecond Dates
+            let db;
+            const dialect = {
+                placeholder: () => '?',
+                likeOperator: 'LIKE',
+                truncateTimestamp: (column) => `whole_ms(${column})`
+            };
+
+            beforeEach(() => {
+                db = new Database(':memory:');
+                db.function('whole_ms', (value) => Math.floor(value));
+                db.exec('CREATE TABLE tasks (id INTEGER PRIMARY KEY, created_at REAL, deleted_at TEXT)');
+
+                // Rows 1-3 were written in the same millisecond, as one CURRENT_TIMESTAMP can be
+                const insert = db.prepare('INSERT INTO tasks (id, created_at) VALUES (?, ?)');
+                const start = Date.parse('2024-01-01T12:00:00.000Z');
+                [[1, start + 0.25], [2, start + 0.5], [3, start + 0.75], [4, start + 1]]
+                    .forEach(([id, createdAt]) => insert.run(id, createdAt));
+            });
+
+            afterEach(() => {
+                db.close();
+            });
+
+            const listAll = (order) => {
+                const ids = [];
+                let cursor;
+
+                do {
+                    const { options } = parseTaskListQuery({ order, limit: '1', ...(cursor && { cursor }) });
+                    const { pageWhere, pageValues, orderBy } = buildTaskListQuery(options, dialect);
+                    const rows = db.prepare(`SELECT * FROM tasks ${pageWhere} ${orderBy} LIMIT ?`)
+                        .all(...pageValues.map(value => (value instanceof Date ? value.getTime() : value)), options.limit + 1)
+                        .map(row => ({ ...row, created_at: new Date(Math.floor(row.created_at)) }));
+
+                    const page = buildPage(rows, options);
+                    ids.push(...page.data.map(row => row.id));
+                    cursor = page.nextCursor;
+                    // A cursor that repeats rows would otherwise page forever
+                } while (cursor && ids.length < 10);
+
+                return ids;
+            };
+
+            it('should page through rows sharing a timestamp in descending order', () => {
+                expect(listAll('desc')).toEqual([4, 3, 2, 1]);
+            });
+
+            it('should page through rows sharing a timestamp in ascending order', () => {
+                expect(listAll('asc')).toEqual([1, 2, 3, 4]);
+            });
+        });
+    });
+});
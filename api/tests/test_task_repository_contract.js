@@ -0,0 +1,522 @@
+/**
+ * Contract Tests for Task Repositories
+ *
+ * Every task repository adapter must behave the same way from the
+ * router's point of view. This suite runs the same tests against each
+ * adapter; a harness per adapter knows how to set up its database state.
+ *
+ * To cover a new adapter, add a harness to the list below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createMysqlTaskRepository } = require('../src/repositories/mysql.repository');
+const { createPostgresTaskRepository } = require('../src/repositories/postgresql.repository');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { assertTaskRepository } = require('../src/repositories/task.repository');
+const { parseTaskListQuery } = require('../src/utils/taskQuery');
+
+const task = { id: 1, title: 'Task 1', description: null, status: 'pending' };
+
+/**
+ * The actor and request ID of the last task_events row a repository added
+ */
+function eventValues(calls) {
+    const [, values] = calls.filter(([sql]) => sql.includes('INSERT INTO task_events')).pop();
+    const [actorId, actorEmail, requestId] = values.slice(-3);
+    return { actorId, actorEmail, requestId };
+}
+
+/**
+ * Harnesses
+ *
+ * Each harness creates a repository and prepares the database state for
+ * one repository call:
+ * - list(rows, total), find(row), create(row), update(row), remove(found), put(row),
+ *   restore(row), purge(found), purgeDeleted(count), history(events), search(rows, total)
+ *
+ * MySQL and PostgreSQL run on a fake pool that returns queued driver responses.
+ * SQLite needs no server, so its harness uses a real in-memory database.
+ * calls() returns the [sql, values] pairs the adapter sent, in order, and
+ * recorded() who the last write said made the change: MySQL and SQLite in
+ * their task_events row, PostgreSQL in the settings for its history trigger
+ * (audit holds the values of those settings when nobody is named).
+ */
+const harnesses = [
+    {
+        name: 'MySQL',
+        placeholder: /\?/,
+        setup() {
+            const pool = { query: jest.fn() };
+            const queue = (...results) => results.forEach(r => pool.query.mockResolvedValueOnce(r));
+            return {
+                calls: () => pool.query.mock.calls,
+                repository: createMysqlTaskRepository(pool),
+                audit: [],
+                recorded: () => eventValues(pool.query.mock.calls),
+                // Writes lock and read the task first, then add a task_events row
+                list: (rows, total) => queue([rows], [[{ total }]]),
+                find: (row) => queue([row ? [row] : []]),
+                create: (row) => queue([{ insertId: row.id }], [[row]], [{}]),
+                update: (row) => (row ? queue([[task]], [{ affectedRows: 1 }], [[row]], [{}]) : queue([[]], [{ affectedRows: 0 }])),
+                remove: (found) => (found ? queue([[task]], [{ affectedRows: 1 }], [[task]], [{}]) : queue([[]], [{ affectedRows: 0 }])),
+                put: (row) => queue([[task]], [{ affectedRows: 2 }], [[row]], [{}]),
+                restore: (row) => (row ? queue([[task]], [{ affectedRows: 1 }], [[row]], [{}]) : queue([[]], [{ affectedRows: 0 }])),
+                purge: (found) => (found ? queue([[task]], [{ affectedRows: 1 }], [{}]) : queue([[]], [{ affectedRows: 0 }])),
+                purgeDeleted: (count) => queue([{ affectedRows: count }]),
+                history: (events) => (events ? queue([[{ id: 1 }]], [events]) : queue([[]])),
+                search: (rows, total) => queue([rows.map(row => ({ ...row, relevance: 1.5 }))], [[{ total }]]),
+            };
+        },
+    },
+    {
+        name: 'PostgreSQL',
+        placeholder: /\$1/,
+        setup() {
+            const pool = { query: jest.fn() };
+            const queue = (...results) => results.forEach(r => pool.query.mockResolvedValueOnce(r));
+            return {
+                calls: () => pool.query.mock.calls,
+                repository: createPostgresTaskRepository(pool),
+                audit: ['', '', ''],
+                recorded: () => {
+                    const [actorId, actorEmail, requestId] = pool.query.mock.calls[0][1].slice(-3);
+                    return { actorId: Number(actorId), actorEmail, requestId };
+                },
+                list: (rows, total) => queue({ rows }, { rows: [{ total: String(total) }] }),
+                find: (row) => queue({ rows: row ? [row] : [] }),
+                create: (row) => queue({ rows: [row] }),
+                update: (row) => queue({ rows: row ? [row] : [] }),
+                remove: (found) => queue({ rowCount: found ? 1 : 0 }),
+                put: (row) => queue({ rows: [row] }, { rows: [] }),
+                restore: (row) => queue({ rows: row ? [row] : [] }),
+                purge: (found) => queue({ rowCount: found ? 1 : 0 }),
+                purgeDeleted: (count) => queue({ rowCount: count }),
+                history: (events) => (events ? queue({ rows: [{ id: 1 }] }, { rows: events }) : queue({ rows: [] })),
+                search: (rows, total) => queue({ rows: rows.map(row => ({ ...row, rank: 0.5 })) }, { rows: [{ total: String(total) }] }),
+            };
+        },
+    },
+    {
+        name: 'SQLite',
+        placeholder: /\?/,
+        setup() {
+            // Same tasks table as production (the schema migrations), without sample rows
+            const db = new Database(':memory:');
+            for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '010_create_task_search', '011_add_task_priority_due_date']) {
+                db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+            }
+
+            // Record every statement the adapter runs along with its bound values
+            const calls = [];
+            const recorder = {
+                prepare(sql) {
+                    const statement = db.prepare(sql);
+                    const record = (method) => (...values) => {
+                        calls.push([sql, values]);
+                        return statement[method](...values);
+                    };
+                    return { all: record('all'), get: record('get'), run: record('run') };
+                },
+            };
+
+            const insert = (rows, deletedAt = null) => rows.forEach(row => db
+                .prepare('INSERT INTO tasks (id, title, description, status, deleted_at) VALUES (?, ?, ?, ?, ?)')
+                .run(row.id, row.title, row.description, row.status, deletedAt));
+
+            return {
+                calls: () => calls,
+                repository: createSqliteTaskRepository(recorder),
+                audit: [],
+                recorded: () => eventValues(calls),
+                list: (rows) => insert(rows),
+                find: (row) => insert(row ? [row] : []),
+                create: () => {},
+                update: (row) => insert(row ? [task] : []),
+                remove: (found) => insert(found ? [task] : []),
+                put: (row) => insert([{ ...row, title: 'Before put' }]),
+                restore: (row) => insert(row ? [row] : [], '2024-01-01 00:00:00'),
+                purge: (found) => insert(found ? [task] : []),
+                purgeDeleted: (count) => insert(
+                    Array.from({ length: count }, (_, i) => ({ ...task, id: i + 1 })),
+                    '2024-01-01 00:00:00'
+                ),
+                history: (events) => {
+                    if (!events) {
+                        return;
+                    }
+                    insert([task]);
+                    events.forEach(event => db
+                        .prepare('INSERT INTO task_events (task_id, action, old_values, new_values) VALUES (?, ?, ?, ?)')
+                        .run(event.task_id, event.action, JSON.stringify(event.old_values), JSON.stringify(event.new_values)));
+                },
+                // The search index is kept up to date by the migration's triggers
+                search: (rows) => insert(rows),
+            };
+        },
+    },
+];
+
+describe.each(harnesses)('Task repository contract: $name', (harness) => {
+    let fake;
+
+    // The statement that changes the tasks table, among the reads and history rows around it
+    const write = () => fake.calls().find(([sql]) => /(INSERT INTO|UPDATE|DELETE FROM) tasks\b/.test(sql));
+    const actor = { actorId: 3, actorEmail: 'ada@example.com', requestId: 'req-1' };
+
+    beforeEach(() => {
+        fake = harness.setup();
+    });
+
+    it('should implement the repository interface', () => {
+        expect(() => assertTaskRepository(fake.repository)).not.toThrow();
+        expect(fake.repository.label).toBe(harness.name);
+    });
+
+    describe('list', () => {
+        it('should resolve to rows and a numeric total', async () => {
+            fake.list([task], 1);
+
+            const result = await fake.repository.list(parseTaskListQuery({}).options);
+
+            expect(result.total).toBe(1);
+            expect(result.rows).toHaveLength(1);
+            expect(result.rows[0]).toMatchObject(task);
+        });
+
+        it('should request one look-ahead row beyond the limit', async () => {
+            fake.list([], 0);
+
+            await fake.repository.list(parseTaskListQuery({ limit: '5' }).options);
+
+            const [, values] = fake.calls()[0];
+            expect(values[values.length - 1]).toBe(6);
+        });
+
+        it('should pass filters as parameters, not inline SQL', async () => {
+            fake.list([], 0);
+
+            await fake.repository.list(parseTaskListQuery({ status: 'completed' }).options);
+
+            const [sql, values] = fake.calls()[0];
+            expect(sql).not.toContain('completed');
+            expect(sql).toMatch(harness.placeholder);
+            expect(values).toContain('completed');
+        });
+    });
+
+    describe('findById', () => {
+        it('should resolve to the task', async () => {
+            fake.find(task);
+
+            await expect(fake.repository.findById(1)).resolves.toMatchObject(task);
+        });
+
+        it('should add the owner to the query when scoped', async () => {
+            fake.find(null);
+
+            await fake.repository.findById(1, { ownerId: 3 });
+
+            const [sql, values] = fake.calls()[0];
+            expect(sql).toMatch(/owner_id = (\?|\$2)/);
+            expect(values).toEqual([1, 3]);
+        });
+
+        it('should resolve to null when the task does not exist', async () => {
+            fake.find(null);
+
+            await expect(fake.repository.findById(999)).resolves.toBeNull();
+        });
+    });
+
+    describe('create', () => {
+        it('should resolve to the created task', async () => {
+            fake.create(task);
+
+            await expect(fake.repository.create({ title: 'Task 1' })).resolves.toMatchObject(task);
+        });
+
+        it('should default status to pending, priority to medium and the rest to null', async () => {
+            fake.create(task);
+
+            await fake.repository.create({ title: 'Task 1' });
+
+            const [, values] = write();
+            expect(values).toEqual(['Task 1', null, 'pending', 'medium', null, null, ...fake.audit]);
+        });
+
+        it('should store the owner', async () => {
+            fake.create({ ...task, owner_id: 3 });
+
+            await fake.repository.create({ title: 'Task 1', owner_id: 3 });
+
+            const [, values] = write();
+            expect(values).toEqual(['Task 1', null, 'pending', 'medium', null, 3, ...fake.audit]);
+        });
+
+        it('should store the priority and due date', async () => {
+            fake.create({ ...task, priority: 'urgent', due_date: '2024-01-31' });
+
+            await fake.repository.create({ title: 'Task 1', priority: 'urgent', due_date: '2024-01-31' });
+
+            const [, values] = write();
+            expect(values).toEqual(['Task 1', null, 'pending', 'urgent', '2024-01-31', null, ...fake.audit]);
+        });
+
+        it('should record who created the task', async () => {
+            fake.create(task);
+
+            await fake.repository.create({ title: 'Task 1' }, actor);
+
+            expect(fake.recorded()).toEqual(actor);
+        });
+    });
+
+    describe('update', () => {
+        it('should only set the provided fields', async () => {
+            fake.update({ ...task, status: 'completed' });
+
+            const result = await fake.repository.update(1, { status: 'completed' });
+
+            expect(result.status).toBe('completed');
+            const [sql, values] = write();
+            expect(sql).not.toMatch(/title =/);
+            expect(values).toEqual(['completed', 1, ...fake.audit]);
+        });
+
+        it('should resolve to null when the task does not exist', async () => {
+            fake.update(null);
+
+            await expect(fake.repository.update(999, { title: 'x' })).resolves.toBeNull();
+        });
+
+        it('should move the task to its next version', async () => {
+            fake.update({ ...task, version: 2 });
+
+            const result = await fake.repository.update(1, { title: 'Task 1' });
+
+            expect(result.version).toBe(2);
+            const [sql] = write();
+            expect(sql).toContain('version = version + 1');
+        });
+
+        it('should only update the expected version', async () => {
+            fake.update(null);
+
+            await expect(fake.repository.update(1, { title: 'x' }, { ownerId: 3 }, { version: 2 })).resolves.toBeNull();
+
+            const [sql, values] = write();
+            expect(sql).toMatch(/AND version = (\?|\$4)/);
+            expect(values).toEqual(['x', 1, 3, 2, ...fake.audit]);
+        });
+
+        it('should record who updated the task', async () => {
+            fake.update(task);
+
+            await fake.repository.update(1, { title: 'Task 1' }, {}, actor);
+
+            expect(fake.recorded()).toEqual(actor);
+        });
+    });
+
+    describe('remove', () => {
+        it('should resolve to true when a task was deleted', async () => {
+            fake.remove(true);
+
+            await expect(fake.repository.remove(1)).resolves.toBe(true);
+        });
+
+        it('should move the task to the trash instead of deleting the row', async () => {
+            fake.remove(true);
+
+            await fake.repository.remove(1);
+
+            const [sql] = write();
+            expect(sql).toContain('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP');
+            expect(sql).toContain('deleted_at IS NULL');
+        });
+
+        it('should resolve to false when the task does not exist', async () => {
+            fake.remove(false);
+
+            await expect(fake.repository.remove(999)).resolves.toBe(false);
+        });
+
+        it("should not delete a task outside the owner's scope", async () => {
+            fake.remove(false);
+
+            await expect(fake.repository.remove(1, { ownerId: 3 })).resolves.toBe(false);
+
+            const [sql, values] = write();
+            expect(sql).toContain('owner_id');
+            expect(values).toEqual([1, 3, ...fake.audit]);
+        });
+
+        it('should only delete the expected version', async () => {
+            fake.remove(false);
+
+            await expect(fake.repository.remove(1, {}, { version: 2 })).resolves.toBe(false);
+
+            const [sql, values] = write();
+            expect(sql).toMatch(/AND version = (\?|\$2)/);
+            expect(values).toEqual([1, 2, ...fake.audit]);
+        });
+
+        it('should record who deleted the task', async () => {
+            fake.remove(true);
+
+            await fake.repository.remove(1, {}, actor);
+
+            expect(fake.recorded()).toEqual(actor);
+        });
+    });
+
+    describe('restore', () => {
+        it('should resolve to the restored task', async () => {
+            fake.restore(task);
+
+            const result = await fake.repository.restore(1);
+
+            expect(result).toMatchObject(task);
+            expect(write()[0]).toContain('deleted_at IS NOT NULL');
+        });
+
+        it('should resolve to null when the task is not in the trash', async () => {
+            fake.restore(null);
+
+            await expect(fake.repository.restore(1)).resolves.toBeNull();
+        });
+    });
+
+    describe('purge', () => {
+        it('should delete the row for good', async () => {
+            fake.purge(true);
+
+            await expect(fake.repository.purge(1)).resolves.toBe(true);
+            expect(write()[0]).toMatch(/DELETE FROM tasks\s+(USING audit\s+)?WHERE id = /);
+        });
+
+        it('should record who deleted the task for good', async () => {
+            fake.purge(true);
+
+            await fake.repository.purge(1, {}, actor);
+
+            expect(fake.recorded()).toEqual(actor);
+        });
+
+        it('should resolve to false when the task does not exist', async () => {
+            fake.purge(false);
+
+            await expect(fake.repository.purge(999, { ownerId: 3 })).resolves.toBe(false);
+        });
+    });
+
+    describe('history', () => {
+        const events = [
+            { id: 1, task_id: 1, action: 'create', old_values: null, new_values: { title: 'Task 1' } },
+            { id: 2, task_id: 1, action: 'update', old_values: { title: 'Task 1' }, new_values: { title: 'Renamed' } },
+        ];
+
+        it('should resolve to the events of the task, oldest first', async () => {
+            fake.history(events);
+
+            const result = await fake.repository.history(1);
+
+            expect(result).toHaveLength(2);
+            expect(result.map(event => event.action)).toEqual(['create', 'update']);
+            expect(result[1]).toMatchObject({ task_id: 1, old_values: { title: 'Task 1' }, new_values: { title: 'Renamed' } });
+        });
+
+        it("should resolve to null when the task does not exist or is outside the owner's scope", async () => {
+            fake.history(null);
+
+            await expect(fake.repository.history(1, { ownerId: 3 })).resolves.toBeNull();
+            expect(fake.calls()[0][0]).toContain('owner_id');
+        });
+    });
+
+    describe('purgeDeleted', () => {
+        it('should resolve to the number of tasks trashed before the cut-off', async () => {
+            fake.purgeDeleted(2);
+
+            await expect(fake.repository.purgeDeleted(new Date('2024-06-01T00:00:00Z'))).resolves.toBe(2);
+            expect(fake.calls()[0][0]).toMatch(/^DELETE FROM tasks WHERE deleted_at < /);
+        });
+    });
+
+    describe('search', () => {
+        const query = { terms: ['task'], statuses: [], limit: 20, offset: 0 };
+
+        it('should resolve to ranked rows and a numeric total', async () => {
+            fake.search([task], 1);
+
+            const result = await fake.repository.search(query);
+
+            expect(result.total).toBe(1);
+            expect(result.rows).toHaveLength(1);
+            expect(result.rows[0]).toMatchObject(task);
+            expect(result.rows[0].rank).toEqual(expect.any(Number));
+        });
+
+        it('should pass the terms and filters as parameters, not inline SQL', async () => {
+            fake.search([], 0);
+
+            await fake.repository.search({ ...query, terms: ['deploy'], statuses: ['completed'] }, { ownerId: 3 });
+
+            const [sql, values] = fake.calls()[0];
+            expect(sql).not.toContain('deploy');
+            expect(sql).not.toContain('completed');
+            expect(sql).toContain('owner_id');
+            expect(values).toEqual(expect.arrayContaining([3, 'completed', expect.stringContaining('deploy')]));
+        });
+    });
+
+    describe('put', () => {
+        const copied = {
+            ...task,
+            id: 7,
+            title: 'Copied task',
+            created_at: new Date('2024-01-01T00:00:00Z'),
+            updated_at: new Date('2024-02-01T12:00:00Z'),
+        };
+
+        it('should store the task under its own ID and keep its timestamps', async () => {
+            fake.put(copied);
+
+            const result = await fake.repository.put(copied);
+
+            expect(result).toMatchObject({ id: 7, title: 'Copied task' });
+            expect(result.updated_at.toISOString()).toBe('2024-02-01T12:00:00.000Z');
+            const [sql, values] = write();
+            expect(sql).toContain('updated_at');
+            expect(values[0]).toBe(7);
+        });
+
+        it('should keep the deleted_at of a trashed task', async () => {
+            const trashed = { ...copied, deleted_at: new Date('2024-02-01T12:00:00Z') };
+            fake.put(trashed);
+
+            const result = await fake.repository.put(trashed);
+
+            expect(result.deleted_at).toBeTruthy();
+            expect(write()[0]).not.toMatch(/deleted_at = NULL/);
+        });
+
+        it('should record who overwrote the task', async () => {
+            fake.put(copied);
+
+            await fake.repository.put(copied, actor);
+
+            expect(fake.recorded()).toEqual(actor);
+        });
+    });
+});
+
+describe('assertTaskRepository', () => {
+    it('should reject an adapter with a missing method', () => {
+        const incomplete = { label: 'Broken', list() {}, findById() {}, create() {}, update() {} };
+
+        expect(() => assertTaskRepository(incomplete)).toThrow('missing remove()');
+    });
+});
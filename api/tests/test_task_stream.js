@@ -0,0 +1,285 @@
+/**
+ * Unit Tests for the Task Stream
+ *
+ * Tests config/taskStream.js, the streams and the PostgreSQL LISTEN/NOTIFY
+ * listener in services/taskStream.service.js, and GET /tasks/stream against
+ * a real in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { createTaskStream, createPostgresTaskListener } = require('../src/services/taskStream.service');
+const { DEFAULT_TASK_STREAM_SETTINGS, getTaskStreamSettings } = require('../src/config/taskStream');
+
+const adminToken = signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+const editorToken = signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' });
+const admin = { Authorization: `Bearer ${adminToken}` };
+
+/**
+ * A response that keeps what is written to it
+ */
+function createResponse() {
+    const res = new EventEmitter();
+    res.body = '';
+    res.status = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.flushHeaders = jest.fn();
+    res.write = jest.fn((chunk) => {
+        res.body += chunk;
+    });
+    res.end = jest.fn(() => res.emit('close'));
+    return res;
+}
+
+/**
+ * Create an app on an empty tasks table, listening on a free port
+ */
+function createServer(stream = createTaskStream()) {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter(createSqliteTaskRepository(db), { stream }));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve({ app, server, stream }));
+    });
+}
+
+/**
+ * Subscribe to the stream and collect its events as { type, data }
+ * Resolves once the response headers arrived
+ */
+function subscribe(server, token) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get({
+            port: server.address().port,
+            path: '/api/sqlite/tasks/stream',
+            headers: { Authorization: `Bearer ${token}` }
+        }, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const type = /^event: (.+)$/m.exec(block);
+                    const data = /^data: (.+)$/m.exec(block);
+                    if (type && data) {
+                        events.push({ type: type[1], data: JSON.parse(data[1]) });
+                    }
+                }
+            });
+            resolve({ res, events, close: () => req.destroy() });
+        });
+        req.on('error', reject);
+    });
+}
+
+// Wait for events that were written to the socket to be read
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('getTaskStreamSettings', () => {
+    afterEach(() => {
+        delete process.env.TASK_STREAM_HEARTBEAT_MS;
+        delete process.env.PG_LISTEN_NOTIFY;
+    });
+
+    it('should use the defaults', () => {
+        expect(getTaskStreamSettings()).toEqual(DEFAULT_TASK_STREAM_SETTINGS);
+    });
+
+    it('should read the settings from the environment', () => {
+        process.env.TASK_STREAM_HEARTBEAT_MS = '1000';
+        process.env.PG_LISTEN_NOTIFY = 'true';
+
+        expect(getTaskStreamSettings()).toEqual({ heartbeatMs: 1000, postgresNotify: true });
+    });
+
+    it('should reject an invalid value', () => {
+        process.env.TASK_STREAM_HEARTBEAT_MS = '0';
+        expect(() => getTaskStreamSettings()).toThrow('TASK_STREAM_HEARTBEAT_MS');
+
+        delete process.env.TASK_STREAM_HEARTBEAT_MS;
+        process.env.PG_LISTEN_NOTIFY = 'yes';
+        expect(() => getTaskStreamSettings()).toThrow('PG_LISTEN_NOTIFY');
+    });
+});
+
+describe('Task Stream', () => {
+    const task = { id: 7, title: 'Write docs', owner_id: 2 };
+
+    it('should send changes as Server-Sent Events', () => {
+        const stream = createTaskStream({ heartbeatMs: 1000 });
+        const res = createResponse();
+
+        stream.subscribe({ taskScope: {} }, res);
+        stream.publish({ type: 'created', task });
+        stream.publish({ type: 'deleted', id: '7' });
+
+        expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        expect(res.body).toBe(
+            'retry: 5000\n\n' +
+            `event: created\ndata: ${JSON.stringify({ id: 7, task })}\n\n` +
+            'event: deleted\ndata: {"id":7}\n\n'
+        );
+    });
+
+    it("should only send a user the changes to their own tasks", () => {
+        const stream = createTaskStream({ heartbeatMs: 1000 });
+        const owner = createResponse();
+        const other = createResponse();
+
+        stream.subscribe({ taskScope: { ownerId: 2 } }, owner);
+        stream.subscribe({ taskScope: { ownerId: 3 } }, other);
+        stream.publish({ type: 'updated', task });
+        stream.publish({ type: 'deleted', id: 7, ownerId: 2 });
+
+        expect(owner.body).toContain('event: updated');
+        expect(owner.body).toContain('event: deleted');
+        expect(other.body).toBe('retry: 5000\n\n');
+    });
+
+    it('should send a heartbeat and forget closed subscriptions', () => {
+        jest.useFakeTimers();
+        const stream = createTaskStream({ heartbeatMs: 1000 });
+        const res = createResponse();
+
+        stream.subscribe({ taskScope: {} }, res);
+        jest.advanceTimersByTime(1000);
+        expect(res.body).toContain(': heartbeat\n\n');
+
+        stream.close();
+        expect(res.end).toHaveBeenCalled();
+        expect(stream.size()).toBe(0);
+        jest.useRealTimers();
+    });
+});
+
+describe('GET /tasks/stream', () => {
+    let server;
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    it('should push the changes made through the routes', async () => {
+        let app;
+        ({ app, server } = await createServer());
+        const subscription = await subscribe(server, adminToken);
+
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await request(app).put('/api/sqlite/tasks/1').set(admin).send({ status: 'completed' });
+        await request(app).delete('/api/sqlite/tasks/1').set(admin);
+        await request(app).post('/api/sqlite/tasks/1/restore').set(admin);
+        await settle();
+        subscription.close();
+
+        expect(subscription.res.statusCode).toBe(200);
+        expect(subscription.events.map(event => event.type)).toEqual(['created', 'updated', 'deleted', 'restored']);
+        expect(subscription.events[1].data).toMatchObject({ id: 1, task: { status: 'completed', version: 2 } });
+        expect(subscription.events[2].data).toEqual({ id: 1 });
+    });
+
+    it("should not push other users' tasks", async () => {
+        let app;
+        ({ app, server } = await createServer());
+        const subscription = await subscribe(server, editorToken);
+
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Not yours' });
+        await settle();
+        subscription.close();
+
+        expect(subscription.events).toEqual([]);
+    });
+
+    it('should leave publishing to the database when it has database events', async () => {
+        let app;
+        ({ app, server } = await createServer(createTaskStream({ databaseEvents: true })));
+        const subscription = await subscribe(server, adminToken);
+
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await settle();
+        subscription.close();
+
+        expect(subscription.events).toEqual([]);
+    });
+
+    it('should require authentication', async () => {
+        let app;
+        ({ app, server } = await createServer());
+
+        const response = await request(app).get('/api/sqlite/tasks/stream');
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('PostgreSQL Task Listener', () => {
+    const task = { id: 7, title: 'Write docs', owner_id: 2 };
+    const notify = (client, payload) => client.emit('notification', { channel: 'task_events', payload: JSON.stringify(payload) });
+
+    /**
+     * A pool whose clients are event emitters
+     */
+    function createPool() {
+        const clients = [];
+        const pool = {
+            clients,
+            connect: jest.fn(async () => {
+                const client = new EventEmitter();
+                client.query = jest.fn().mockResolvedValue({});
+                client.release = jest.fn();
+                clients.push(client);
+                return client;
+            })
+        };
+        return pool;
+    }
+
+    it('should LISTEN and publish each change', async () => {
+        const pool = createPool();
+        const stream = { publish: jest.fn() };
+        const repository = { findById: jest.fn().mockResolvedValue(task) };
+        const listener = createPostgresTaskListener({ pool, stream, repository });
+
+        listener.start();
+        await settle();
+        const [client] = pool.clients;
+        notify(client, { id: 1, task_id: 7, action: 'update', owner_id: 2 });
+        notify(client, { id: 2, task_id: 7, action: 'purge', owner_id: 2 });
+        await settle();
+        listener.stop();
+
+        expect(client.query).toHaveBeenCalledWith('LISTEN task_events');
+        expect(repository.findById).toHaveBeenCalledWith(7);
+        expect(stream.publish).toHaveBeenCalledWith({ type: 'updated', task });
+        expect(stream.publish).toHaveBeenCalledWith({ type: 'deleted', id: 7, ownerId: 2 });
+        expect(client.release).toHaveBeenCalledWith(true);
+    });
+
+    it('should reconnect after losing the connection', async () => {
+        const pool = createPool();
+        const listener = createPostgresTaskListener({ pool, stream: { publish: jest.fn() }, repository: {}, retryMs: 10 });
+
+        listener.start();
+        await settle();
+        pool.clients[0].emit('error', new Error('Connection terminated'));
+        await settle();
+        listener.stop();
+
+        expect(pool.clients[0].release).toHaveBeenCalledWith(true);
+        expect(pool.connect).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for the Task Trash
+ *
+ * Tests config/trash.js, the purge job in services/trash.service.js, and
+ * DELETE, GET /tasks/trash and restore against a real in-memory SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const { signAccessToken } = require('../src/services/auth.service');
+const { createTrashPurger } = require('../src/services/trash.service');
+const { DEFAULT_TRASH_SETTINGS, getTrashSettings } = require('../src/config/trash');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+/**
+ * Create an app on a tasks table holding task 1 (owned by the admin)
+ * and task 2 (owned by the editor)
+ */
+function createApp() {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+    db.prepare("INSERT INTO tasks (id, title, owner_id) VALUES (1, 'Admin task', 1), (2, 'Editor task', 2)").run();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sqlite', createTaskRouter(createSqliteTaskRepository(db)));
+    return { app, db };
+}
+
+describe('getTrashSettings', () => {
+    afterEach(() => {
+        delete process.env.TRASH_RETENTION_DAYS;
+        delete process.env.TRASH_PURGE_INTERVAL_MS;
+    });
+
+    it('should use the defaults', () => {
+        expect(getTrashSettings()).toEqual(DEFAULT_TRASH_SETTINGS);
+    });
+
+    it('should read the settings from the environment', () => {
+        process.env.TRASH_RETENTION_DAYS = '0';
+        process.env.TRASH_PURGE_INTERVAL_MS = '60000';
+
+        expect(getTrashSettings()).toEqual({ retentionDays: 0, purgeIntervalMs: 60000 });
+    });
+
+    it('should reject an invalid value', () => {
+        process.env.TRASH_RETENTION_DAYS = 'a week';
+        expect(() => getTrashSettings()).toThrow('TRASH_RETENTION_DAYS');
+
+        delete process.env.TRASH_RETENTION_DAYS;
+        process.env.TRASH_PURGE_INTERVAL_MS = '0';
+        expect(() => getTrashSettings()).toThrow('TRASH_PURGE_INTERVAL_MS');
+    });
+});
+
+describe('Trash Purger', () => {
+    const now = () => new Date('2024-06-30T00:00:00Z');
+
+    it('should purge tasks trashed before the retention period on every database', async () => {
+        const mysql = { purgeDeleted: jest.fn().mockResolvedValue(3) };
+        const sqlite = { purgeDeleted: jest.fn().mockResolvedValue(0) };
+        const purger = createTrashPurger({ repositories: { mysql, sqlite }, retentionDays: 30, intervalMs: 1000, now });
+
+        await expect(purger.purge()).resolves.toEqual({ mysql: 3, sqlite: 0 });
+        expect(mysql.purgeDeleted).toHaveBeenCalledWith(new Date('2024-05-31T00:00:00Z'));
+    });
+
+    it('should skip unavailable databases and carry on after a failure', async () => {
+        const mysql = { purgeDeleted: jest.fn() };
+        const postgresql = { purgeDeleted: jest.fn().mockRejectedValue(new Error('Connection terminated')) };
+        const sqlite = { purgeDeleted: jest.fn().mockResolvedValue(1) };
+        const purger = createTrashPurger({
+            repositories: { mysql, postgresql, sqlite },
+            retentionDays: 30,
+            intervalMs: 1000,
+            isAvailable: name => name !== 'mysql',
+            now
+        });
+
+        await expect(purger.purge()).resolves.toEqual({ sqlite: 1 });
+        expect(mysql.purgeDeleted).not.toHaveBeenCalled();
+    });
+
+    it('should join a purge that is still running', async () => {
+        const sqlite = { purgeDeleted: jest.fn().mockResolvedValue(1) };
+        const purger = createTrashPurger({ repositories: { sqlite }, retentionDays: 30, intervalMs: 1000, now });
+
+        await Promise.all([purger.purge(), purger.purge()]);
+
+        expect(sqlite.purgeDeleted).toHaveBeenCalledTimes(1);
+    });
+
+    it('should purge on start and then on every interval', () => {
+        jest.useFakeTimers();
+        const sqlite = { purgeDeleted: jest.fn().mockResolvedValue(0) };
+        const purger = createTrashPurger({ repositories: { sqlite }, retentionDays: 30, intervalMs: 1000, now });
+
+        purger.start();
+        expect(sqlite.purgeDeleted).toHaveBeenCalledTimes(1);
+
+        purger.stop();
+        jest.advanceTimersByTime(5000);
+        expect(sqlite.purgeDeleted).toHaveBeenCalledTimes(1);
+        jest.useRealTimers();
+    });
+
+    it('should never purge when the retention period is 0', () => {
+        const sqlite = { purgeDeleted: jest.fn() };
+        const purger = createTrashPurger({ repositories: { sqlite }, retentionDays: 0, intervalMs: 1000, now });
+
+        purger.start();
+        purger.stop();
+
+        expect(sqlite.purgeDeleted).not.toHaveBeenCalled();
+    });
+});
+
+describe('Task Trash Routes', () => {
+    it('should move a deleted task to the trash', async () => {
+        const { app, db } = createApp();
+
+        const deleted = await request(app).delete('/api/sqlite/tasks/1').set(admin);
+        const found = await request(app).get('/api/sqlite/tasks/1').set(admin);
+        const live = await request(app).get('/api/sqlite/tasks').set(admin);
+        const trash = await request(app).get('/api/sqlite/tasks/trash').set(admin);
+
+        expect(deleted.body).toEqual({ success: true, message: 'Task moved to the trash' });
+        expect(found.status).toBe(404);
+        expect(live.body.data.map(task => task.id)).toEqual([2]);
+        expect(trash.body).toMatchObject({ success: true, count: 1, total: 1 });
+        expect(trash.body.data[0]).toMatchObject({ id: 1, version: 2 });
+        expect(trash.body.data[0].deleted_at).toEqual(expect.any(String));
+        expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(2);
+    });
+
+    it('should only list your own trashed tasks', async () => {
+        const { app, db } = createApp();
+        db.prepare('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP').run();
+
+        const response = await request(app).get('/api/sqlite/tasks/trash').set(editor);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(task => task.id)).toEqual([2]);
+    });
+
+    it('should restore a trashed task', async () => {
+        const { app } = createApp();
+        await request(app).delete('/api/sqlite/tasks/1').set(admin);
+
+        const restored = await request(app).post('/api/sqlite/tasks/1/restore').set(admin);
+        const again = await request(app).post('/api/sqlite/tasks/1/restore').set(admin);
+        const found = await request(app).get('/api/sqlite/tasks/1').set(admin);
+
+        expect(restored.status).toBe(200);
+        expect(restored.headers.etag).toBe('"3"');
+        expect(restored.body).toMatchObject({ success: true, data: { id: 1, deleted_at: null }, message: 'Task restored' });
+        expect(again.status).toBe(404);
+        expect(again.body.error).toBe('Task not found in the trash');
+        expect(found.status).toBe(200);
+    });
+
+    it('should delete a task for good with hard=true', async () => {
+        const { app, db } = createApp();
+        await request(app).delete('/api/sqlite/tasks/1').set(admin);
+
+        const purged = await request(app).delete('/api/sqlite/tasks/1?hard=true').set(admin);
+        const live = await request(app).delete('/api/sqlite/tasks/2?hard=true').set(admin);
+
+        expect(purged.body).toEqual({ success: true, message: 'Task deleted permanently' });
+        expect(live.status).toBe(200);
+        expect(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count).toBe(0);
+    });
+
+    it('should reject an invalid hard value', async () => {
+        const { app } = createApp();
+
+        const response = await request(app).delete('/api/sqlite/tasks/1?hard=yes').set(admin);
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should not let editors empty or restore the trash', async () => {
+        const { app } = createApp();
+
+        const restore = await request(app).post('/api/sqlite/tasks/2/restore').set(editor);
+        const purge = await request(app).delete('/api/sqlite/tasks/2?hard=true').set(editor);
+
+        expect(restore.status).toBe(403);
+        expect(purge.status).toBe(403);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Schema Validation
+ *
+ * Tests the validator in utils/validation.js against the task and sync schemas
+ */
+
+const { validate } = require('../src/utils/validation');
+const {
+    createTaskSchema,
+    updateTaskSchema,
+    taskListQuerySchema,
+    bulkTaskSchema,
+    bulkOperationSchema
+} = require('../src/schemas/task.schemas');
+const { syncTasksSchema } = require('../src/schemas/sync.schemas');
+
+describe('Schema Validation', () => {
+    describe('createTaskSchema', () => {
+        it('should accept a valid task and drop unknown fields', () => {
+            const { value, errors } = validate(createTaskSchema, {
+                title: '  Write docs  ',
+                description: null,
+                status: 'pending',
+                owner_id: 42
+            });
+
+            expect(errors).toEqual([]);
+            expect(value).toEqual({ title: 'Write docs', description: null, status: 'pending' });
+        });
+
+        it('should report every invalid field at once', () => {
+            const { errors } = validate(createTaskSchema, { title: 42, status: 'archived' });
+
+            expect(errors).toEqual([
+                { field: 'title', message: 'title must be a string' },
+                { field: 'status', message: 'status must be one of: pending, in_progress, completed' }
+            ]);
+        });
+
+        it('should require a non-blank title', () => {
+            expect(validate(createTaskSchema, {}).errors).toEqual([{ field: 'title', message: 'title is required' }]);
+            expect(validate(createTaskSchema, { title: '   ' }).errors[0].message).toBe('title cannot be empty');
+        });
+
+        it('should match the column limits', () => {
+            const longTitle = validate(createTaskSchema, { title: 'a'.repeat(256) });
+            const emojiTitle = validate(createTaskSchema, { title: '🙂'.repeat(255) });
+            const largeDescription = validate(createTaskSchema, { title: 'Task', description: 'é'.repeat(40000) });
+
+            expect(longTitle.errors[0].message).toBe('title must be at most 255 characters');
+            expect(emojiTitle.errors).toEqual([]);
+            expect(largeDescription.errors[0].message).toBe('description must be at most 65535 bytes');
+        });
+
+        it('should reject a body that is not an object', () => {
+            const { errors } = validate(createTaskSchema, ['title']);
+
+            expect(errors).toEqual([{ field: null, message: 'Request body must be a JSON object' }]);
+        });
+    });
+
+    describe('updateTaskSchema', () => {
+        it('should require at least one field', () => {
+            const { errors } = validate(updateTaskSchema, { id: 3 });
+
+            expect(errors).toEqual([{ field: null, message: 'No fields to update' }]);
+        });
+    });
+
+    describe('taskListQuerySchema', () => {
+        it('should convert query string values', () => {
+            const { value, errors } = validate(taskListQuerySchema, {
+                status: ['pending', 'in_progress,completed'],
+                limit: '20',
+                order: 'ASC',
+                created_from: '2024-01-31'
+            });
+
+            expect(errors).toEqual([]);
+            expect(value).toEqual({
+                status: ['pending', 'in_progress', 'completed'],
+                limit: 20,
+                order: 'asc',
+                created_from: new Date('2024-01-31')
+            });
+        });
+
+        it('should reject a limit that is not a whole number', () => {
+            const { errors } = validate(taskListQuerySchema, { limit: '2.5' });
+
+            expect(errors).toEqual([{ field: 'limit', message: 'limit must be an integer between 1 and 100' }]);
+        });
+    });
+
+    describe('bulkTaskSchema', () => {
+        it('should default to atomic mode', () => {
+            const { value, errors } = validate(bulkTaskSchema, { operations: [{ op: 'delete', id: 1 }] });
+
+            expect(errors).toEqual([]);
+            expect(value).toEqual({ mode: 'atomic', operations: [{ op: 'delete', id: 1 }] });
+        });
+
+        it('should require an array of operations', () => {
+            const { errors } = validate(bulkTaskSchema, { mode: 'all', operations: { op: 'delete' } });
+
+            expect(errors).toEqual([
+                { field: 'mode', message: 'mode must be one of: atomic, best_effort' },
+                { field: 'operations', message: 'operations must be an array' }
+            ]);
+        });
+
+        it('should not take an id when creating a task', () => {
+            const { errors } = validate(bulkOperationSchema, { op: 'create', id: 4, title: 'New' });
+
+            expect(errors).toEqual([{ field: 'id', message: 'id is not allowed when creating a task' }]);
+        });
+    });
+
+    describe('syncTasksSchema', () => {
+        it('should default the flags to false', () => {
+            const { value, errors } = validate(syncTasksSchema, { direction: 'bidirectional' });
+
+            expect(errors).toEqual([]);
+            expect(value).toEqual({ direction: 'bidirectional', dryRun: false, force: false, prune: false });
+        });
+
+        it('should only take booleans, and force and prune only one way', () => {
+            const { errors } = validate(syncTasksSchema, { direction: 'bidirectional', dryRun: 1, force: true, prune: false });
+
+            expect(errors).toEqual([
+                { field: 'dryRun', message: 'dryRun must be true or false' },
+                { field: 'force', message: 'force is only supported for one-way syncs' }
+            ]);
+        });
+    });
+});
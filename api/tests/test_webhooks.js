@@ -0,0 +1,467 @@
+/**
+ * Unit Tests for Webhooks
+ *
+ * Tests config/webhooks.js, the dispatcher in services/webhook.service.js and
+ * /api/webhooks against a real in-memory SQLite database, with a local HTTP
+ * server standing in for the receiver
+ */
+
+// Store webhooks in SQLite, and give up on a silent receiver quickly
+process.env.AUTH_DATABASE = 'sqlite';
+process.env.WEBHOOK_TIMEOUT_MS = '200';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const { createSqliteTaskRepository } = require('../src/repositories/sqlite.repository');
+const { createSqliteWebhookRepository } = require('../src/repositories/sqlite.webhook.repository');
+const { createTaskRouter } = require('../src/routes/tasks.routes');
+const webhookRoutes = require('../src/routes/webhooks.routes');
+const sqliteRoutes = require('../src/routes/sqlite.routes');
+const { getMigrator } = require('../src/migrations');
+const { db: sharedDb } = require('../src/config/sqlite');
+const { signAccessToken } = require('../src/services/auth.service');
+const { DELIVERY_BATCH_SIZE, signPayload, retryDelay, createWebhookDispatcher, getWebhookDispatcher } = require('../src/services/webhook.service');
+const { DEFAULT_WEBHOOK_SETTINGS, getWebhookSettings } = require('../src/config/webhooks');
+
+const admin = { Authorization: `Bearer ${signAccessToken({ id: 1, email: 'admin@example.com', role: 'admin' })}` };
+const editor = { Authorization: `Bearer ${signAccessToken({ id: 2, email: 'editor@example.com', role: 'editor' })}` };
+
+const settings = { maxAttempts: 3, retryBaseMs: 1000, retryMaxMs: 3000, timeoutMs: 200, pollIntervalMs: 1000 };
+
+/**
+ * Create an in-memory database with the task and webhook tables
+ */
+function createDatabase() {
+    const db = new Database(':memory:');
+    for (const name of ['001_create_tasks', '004_add_task_owner', '006_add_task_version', '007_add_task_deleted_at', '008_create_task_events', '009_create_webhooks', '011_add_task_priority_due_date']) {
+        db.exec(fs.readFileSync(path.join(__dirname, `../src/migrations/sqlite/${name}.up.sql`), 'utf8'));
+    }
+    return db;
+}
+
+/**
+ * Start a receiver that records each request and answers with the next
+ * status from `statuses` (the last one repeats); null never answers
+ */
+function createReceiver(statuses = [200]) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            const status = statuses[Math.min(requests.length, statuses.length) - 1];
+            if (status !== null) {
+                res.writeHead(status).end();
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, () => resolve({
+            url: `http://localhost:${server.address().port}/hooks`,
+            requests,
+            close: () => new Promise((done) => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        }));
+    });
+}
+
+/**
+ * A clock the tests move forward by hand
+ */
+function createClock() {
+    const clock = { time: new Date('2026-10-19T12:00:00Z') };
+    clock.now = () => new Date(clock.time);
+    clock.advance = (ms) => {
+        clock.time = new Date(clock.time.getTime() + ms);
+    };
+    return clock;
+}
+
+describe('getWebhookSettings', () => {
+    const names = ['WEBHOOK_MAX_ATTEMPTS', 'WEBHOOK_RETRY_BASE_MS', 'WEBHOOK_RETRY_MAX_MS', 'WEBHOOK_TIMEOUT_MS', 'WEBHOOK_POLL_INTERVAL_MS'];
+    let saved;
+
+    beforeEach(() => {
+        saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+        names.forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    it('should use the defaults', () => {
+        expect(getWebhookSettings()).toEqual(DEFAULT_WEBHOOK_SETTINGS);
+    });
+
+    it('should read the settings from the environment', () => {
+        process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+        process.env.WEBHOOK_RETRY_BASE_MS = '500';
+
+        expect(getWebhookSettings()).toMatchObject({ maxAttempts: 3, retryBaseMs: 500 });
+    });
+
+    it('should reject an invalid value', () => {
+        process.env.WEBHOOK_MAX_ATTEMPTS = '0';
+
+        expect(() => getWebhookSettings()).toThrow('WEBHOOK_MAX_ATTEMPTS');
+    });
+});
+
+describe('retryDelay', () => {
+    it('should double the wait after each attempt, up to the maximum', () => {
+        expect([1, 2, 3, 4].map(attempts => retryDelay(attempts, settings))).toEqual([1000, 2000, 3000, 3000]);
+    });
+});
+
+describe('Webhook Dispatcher', () => {
+    let receiver;
+    let repository;
+    let clock;
+    let dispatcher;
+
+    async function setUp(statuses, events = ['task.created']) {
+        receiver = await createReceiver(statuses);
+        repository = createSqliteWebhookRepository(createDatabase());
+        clock = createClock();
+        dispatcher = createWebhookDispatcher({ repository, settings, now: clock.now });
+
+        const webhook = await repository.create({ url: receiver.url, secret: 'a-secret-of-16-chars', events });
+        await dispatcher.refresh();
+        return webhook;
+    }
+
+    afterEach(() => receiver.close());
+
+    it('should send signed events', async () => {
+        const webhook = await setUp([200]);
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7, title: 'Write docs' } });
+        await dispatcher.deliverDue();
+
+        expect(receiver.requests).toHaveLength(1);
+        const [{ headers, body }] = receiver.requests;
+        const timestamp = String(clock.time.getTime() / 1000);
+        expect(headers['x-webhook-event']).toBe('task.created');
+        expect(headers['x-webhook-timestamp']).toBe(timestamp);
+        expect(headers['x-webhook-signature']).toBe(`sha256=${signPayload('a-secret-of-16-chars', timestamp, body)}`);
+        expect(JSON.parse(body)).toEqual({
+            id: headers['x-webhook-id'],
+            type: 'task.created',
+            created_at: '2026-10-19T12:00:00.000Z',
+            database: 'sqlite',
+            data: { task: { id: 7, title: 'Write docs' } }
+        });
+
+        const [delivery] = await repository.listDeliveries({ webhookId: webhook.id, limit: 10 });
+        expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200, last_error: null });
+        expect(delivery.delivered_at).toEqual(clock.now());
+    });
+
+    it('should only send the events a webhook subscribed to', async () => {
+        await setUp([200], ['task.deleted']);
+
+        expect(dispatcher.isSubscribed('task.created')).toBe(false);
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await dispatcher.deliverDue();
+
+        expect(receiver.requests).toEqual([]);
+    });
+
+    it('should retry with backoff, then move the delivery to the dead letters', async () => {
+        const webhook = await setUp([500]);
+        const deliveries = () => repository.listDeliveries({ webhookId: webhook.id, limit: 10 });
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await dispatcher.deliverDue();
+        expect((await deliveries())[0]).toMatchObject({
+            status: 'pending', attempts: 1, response_status: 500, last_error: 'Receiver answered 500'
+        });
+
+        // Not due yet
+        clock.advance(999);
+        await dispatcher.deliverDue();
+        expect(receiver.requests).toHaveLength(1);
+
+        clock.advance(1);
+        await dispatcher.deliverDue();
+        expect((await deliveries())[0]).toMatchObject({ status: 'pending', attempts: 2 });
+        expect((await deliveries())[0].next_attempt_at).toEqual(new Date(clock.time.getTime() + 2000));
+
+        clock.advance(2000);
+        await dispatcher.deliverDue();
+
+        const [dead] = await repository.listDeliveries({ status: 'dead', limit: 10 });
+        expect(dead).toMatchObject({ status: 'dead', attempts: 3, next_attempt_at: null });
+        expect(receiver.requests).toHaveLength(3);
+
+        // Every attempt is the same event
+        expect(new Set(receiver.requests.map(({ headers }) => headers['x-webhook-id'])).size).toBe(1);
+    });
+
+    it('should send a dead delivery again when it is retried', async () => {
+        await setUp([500, 500, 500, 204]);
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        for (const wait of [0, 1000, 2000]) {
+            clock.advance(wait);
+            await dispatcher.deliverDue();
+        }
+        const [dead] = await repository.listDeliveries({ status: 'dead', limit: 10 });
+
+        const queued = await dispatcher.redeliver(dead.id);
+        await dispatcher.deliverDue();
+
+        expect(queued).toMatchObject({ status: 'pending', attempts: 0 });
+        expect(await dispatcher.redeliver(dead.id)).toBeNull();
+        expect((await repository.listDeliveries({ limit: 10 }))[0]).toMatchObject({ status: 'delivered', attempts: 1, response_status: 204 });
+    });
+
+    it('should not send a delivery that another dispatcher has claimed', async () => {
+        const webhook = await setUp([200]);
+        const other = createWebhookDispatcher({ repository, settings, now: clock.now });
+        await other.refresh();
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await Promise.all([dispatcher.deliverDue(), other.deliverDue()]);
+
+        expect(receiver.requests).toHaveLength(1);
+        expect((await repository.listDeliveries({ webhookId: webhook.id, limit: 10 }))[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+    });
+
+    it('should stop after a round whose outcomes cannot be saved, and send the claimed deliveries later', async () => {
+        const webhook = await setUp([200]);
+        const failing = {
+            ...repository,
+            claimDueDeliveries: jest.fn(repository.claimDueDeliveries),
+            updateDelivery: jest.fn().mockRejectedValue(new Error('SQLITE_BUSY'))
+        };
+        dispatcher = createWebhookDispatcher({ repository: failing, settings, now: clock.now });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await repository.addDeliveries(Array.from({ length: DELIVERY_BATCH_SIZE + 5 }, (_, i) => ({
+            webhook_id: webhook.id, event_id: `event-${i}`, event_type: 'task.created', payload: {}, next_attempt_at: clock.now()
+        })));
+
+        await dispatcher.deliverDue();
+
+        expect(failing.claimDueDeliveries).toHaveBeenCalledTimes(1);
+        expect(receiver.requests).toHaveLength(DELIVERY_BATCH_SIZE);
+
+        // The claimed deliveries are due again once their claim runs out
+        failing.updateDelivery.mockImplementation(repository.updateDelivery);
+        await dispatcher.deliverDue();
+        expect(receiver.requests).toHaveLength(DELIVERY_BATCH_SIZE + 5);
+        clock.advance(settings.timeoutMs + 60 * 1000);
+        await dispatcher.deliverDue();
+        expect(receiver.requests).toHaveLength(2 * DELIVERY_BATCH_SIZE + 5);
+    });
+
+    it('should give up on a receiver that does not answer in time', async () => {
+        await setUp([null]);
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await dispatcher.deliverDue();
+
+        const [delivery] = await repository.listDeliveries({ limit: 10 });
+        expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: null, last_error: 'No answer within 200 ms' });
+    });
+
+    it('should neither queue nor send events once stopped', async () => {
+        await setUp([200]);
+        await dispatcher.stop();
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await dispatcher.deliverDue();
+
+        expect(await repository.listDeliveries({ limit: 10 })).toEqual([]);
+        expect(receiver.requests).toEqual([]);
+    });
+
+    it("should record an unreachable receiver's error", async () => {
+        await setUp([200]);
+        await receiver.close();
+
+        await dispatcher.emit('sqlite', 'task.created', { task: { id: 7 } });
+        await dispatcher.deliverDue();
+
+        const [delivery] = await repository.listDeliveries({ limit: 10 });
+        expect(delivery.last_error).toMatch(/ECONNREFUSED/);
+    });
+});
+
+describe('Task router webhooks', () => {
+    let receiver;
+    let app;
+    let dispatcher;
+
+    beforeEach(async () => {
+        receiver = await createReceiver([200]);
+        const db = createDatabase();
+        const repository = createSqliteWebhookRepository(db);
+        dispatcher = createWebhookDispatcher({ repository, settings });
+
+        await repository.create({ url: receiver.url, secret: 'a-secret-of-16-chars', events: ['task.created', 'task.updated', 'task.status_changed', 'task.deleted'] });
+        await dispatcher.refresh();
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/sqlite', createTaskRouter(createSqliteTaskRepository(db), { webhooks: dispatcher.forDatabase('sqlite') }));
+    });
+
+    afterEach(() => receiver.close());
+
+    /**
+     * The events the receiver got, as { type, data }, once they are all sent
+     */
+    async function received() {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await dispatcher.deliverDue();
+        return receiver.requests.map(({ body }) => JSON.parse(body)).map(({ type, data }) => ({ type, data }));
+    }
+
+    it('should send every change to the webhooks', async () => {
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await request(app).put('/api/sqlite/tasks/1').set(admin).send({ title: 'Write the docs' });
+        await request(app).put('/api/sqlite/tasks/1').set(admin).send({ status: 'completed' });
+        await request(app).delete('/api/sqlite/tasks/1').set(admin);
+
+        const events = await received();
+
+        expect(events.map(event => event.type).sort()).toEqual([
+            'task.created', 'task.deleted', 'task.status_changed', 'task.updated', 'task.updated'
+        ]);
+        expect(events.find(event => event.type === 'task.status_changed').data).toMatchObject({
+            task: { id: 1, status: 'completed' },
+            previous_status: 'pending'
+        });
+        expect(events.find(event => event.type === 'task.deleted').data).toEqual({ id: 1 });
+    });
+
+    it('should not send task.status_changed when the status stays the same', async () => {
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await request(app).put('/api/sqlite/tasks/1').set(admin).set('If-Match', '"1"').send({ status: 'pending' });
+
+        const events = await received();
+
+        expect(events.map(event => event.type).sort()).toEqual(['task.created', 'task.updated']);
+    });
+});
+
+describe('Webhook Routes', () => {
+    let receiver;
+    const app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhookRoutes);
+    app.use('/api/sqlite', sqliteRoutes);
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await getMigrator('sqlite').up();
+    });
+
+    beforeEach(async () => {
+        sharedDb.exec('DELETE FROM webhook_deliveries; DELETE FROM webhooks; DELETE FROM tasks;');
+        await getWebhookDispatcher().refresh();
+        receiver = await createReceiver([200]);
+    });
+
+    afterEach(() => receiver.close());
+
+    async function createWebhook(body = {}) {
+        return request(app).post('/api/webhooks').set(admin).send({ url: receiver.url, events: ['task.created'], ...body });
+    }
+
+    it('should register a webhook and only show its secret once', async () => {
+        const created = await createWebhook({ events: ['task.created', 'task.created', 'task.deleted'] });
+        const list = await request(app).get('/api/webhooks').set(admin);
+        const single = await request(app).get(`/api/webhooks/${created.body.data.id}`).set(admin);
+
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ url: receiver.url, events: ['task.created', 'task.deleted'], created_by: 1 });
+        expect(created.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(list.body).toMatchObject({ success: true, count: 1 });
+        expect(list.body.data[0]).not.toHaveProperty('secret');
+        expect(single.body.data).not.toHaveProperty('secret');
+    });
+
+    it('should deliver task changes and log them', async () => {
+        const { body: { data: webhook } } = await createWebhook({ secret: 'my-own-secret-value' });
+
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await getWebhookDispatcher().deliverDue();
+        const log = await request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=delivered`).set(admin);
+
+        const [{ headers, body }] = receiver.requests;
+        expect(headers['x-webhook-signature']).toBe(`sha256=${signPayload('my-own-secret-value', headers['x-webhook-timestamp'], body)}`);
+        expect(JSON.parse(body)).toMatchObject({ type: 'task.created', database: 'sqlite', data: { task: { title: 'Write docs' } } });
+        expect(log.status).toBe(200);
+        expect(log.body.count).toBe(1);
+        expect(log.body.data[0]).toMatchObject({ webhook_id: webhook.id, event_type: 'task.created', status: 'delivered', attempts: 1 });
+    });
+
+    it('should list and retry dead letters', async () => {
+        const { body: { data: webhook } } = await createWebhook();
+        sharedDb.prepare(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, status, attempts, last_error)
+             VALUES (?, 'e1', 'task.created', '{"type":"task.created"}', 'dead', 8, 'Receiver answered 500')`
+        ).run(webhook.id);
+
+        const deadLetters = await request(app).get('/api/webhooks/dead-letters').set(admin);
+        const retry = await request(app).post(`/api/webhooks/deliveries/${deadLetters.body.data[0].id}/retry`).set(admin);
+        const again = await request(app).post(`/api/webhooks/deliveries/${deadLetters.body.data[0].id}/retry`).set(admin);
+
+        expect(deadLetters.body).toMatchObject({ count: 1, data: [{ event_type: 'task.created', last_error: 'Receiver answered 500' }] });
+        expect(retry.status).toBe(200);
+        expect(retry.body.data).toMatchObject({ status: 'pending', attempts: 0 });
+        expect(again.status).toBe(404);
+    });
+
+    it('should delete a webhook and its deliveries', async () => {
+        const { body: { data: webhook } } = await createWebhook();
+        await request(app).post('/api/sqlite/tasks').set(admin).send({ title: 'Write docs' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const removed = await request(app).delete(`/api/webhooks/${webhook.id}`).set(admin);
+        const missing = await request(app).delete(`/api/webhooks/${webhook.id}`).set(admin);
+        const log = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(admin);
+
+        expect(removed.status).toBe(200);
+        expect(missing.status).toBe(404);
+        expect(log.status).toBe(404);
+        expect(sharedDb.prepare('SELECT COUNT(*) AS count FROM webhook_deliveries').get().count).toBe(0);
+        expect(getWebhookDispatcher().isSubscribed('task.created')).toBe(false);
+    });
+
+    it('should reject an invalid webhook', async () => {
+        const response = await createWebhook({ url: 'ftp://example.com', events: ['task.archived'], secret: 'short' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors.map(error => error.field)).toEqual(['url', 'events', 'secret']);
+    });
+
+    it('should only let admins manage webhooks', async () => {
+        const list = await request(app).get('/api/webhooks').set(editor);
+        const anonymous = await request(app).get('/api/webhooks');
+
+        expect(list.status).toBe(403);
+        expect(anonymous.status).toBe(401);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * useAuth Composable
+ *
+ * Keeps the signed-in user's tokens and provides authFetch(), a drop-in
+ * replacement for fetch() that sends the access token to the API.
+ *
+ * Nuxt auto-imports everything in composables/, so pages can simply call useAuth().
+ *
+ * How the tokens are used:
+ * - The access token is short-lived and sent as "Authorization: Bearer <token>"
+ * - When the API answers 401, authFetch() uses the refresh token to get a new
+ *   token pair once and retries the request
+ * - Tokens are kept in localStorage so a page reload doesn't sign the user out
+ */
+
+// localStorage key for the saved session
+const STORAGE_KEY = 'auth';
+
+// What each role may do - a copy of api/src/config/roles.js used to hide
+// buttons the user can't use. The API still checks every request.
+const ROLE_PERMISSIONS = {
+  viewer: ['tasks:read'],
+  editor: ['tasks:read', 'tasks:create', 'tasks:update'],
+  admin: ['tasks:read', 'tasks:create', 'tasks:update', 'tasks:delete', 'tasks:purge', 'tasks:all_owners', 'sync:run', 'users:manage', 'webhooks:manage']
+};
+
+export function useAuth() {
+  const config = useRuntimeConfig();
+  const apiBase = config.public.apiBase;
+
+  // Read the route now - composables can't be called after an await
+  const route = useRoute();
+
+  // useState() shares the session between every page and component
+  // It starts empty on the server and is restored from localStorage in the browser
+  const session = useState('auth-session', () => {
+    if (import.meta.client) {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    }
+    return null;
+  });
+
+  const user = computed(() => session.value?.user || null);
+  const isLoggedIn = computed(() => Boolean(session.value?.accessToken));
+
+  /**
+   * Check whether the signed-in user's role grants a permission, e.g. can('tasks:delete')
+   */
+  function can(permission) {
+    return Boolean(ROLE_PERMISSIONS[user.value?.role]?.includes(permission));
+  }
+
+  /**
+   * Save (or clear) the session in state and localStorage
+   */
+  function setSession(data) {
+    session.value = data
+      ? { user: data.user, accessToken: data.accessToken, refreshToken: data.refreshToken }
+      : null;
+
+    if (data) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(session.value));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  /**
+   * POST credentials to /api/auth/login or /api/auth/register
+   * Throws an Error with the API's message if it fails
+   */
+  async function authenticate(action, email, password) {
+    const response = await fetch(`${apiBase}/api/auth/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+
+    setSession(result.data);
+    return result.data.user;
+  }
+
+  const login = (email, password) => authenticate('login', email, password);
+  const register = (email, password) => authenticate('register', email, password);
+
+  /**
+   * Revoke the refresh token and forget the session
+   */
+  async function logout() {
+    const refreshToken = session.value?.refreshToken;
+    setSession(null);
+
+    if (refreshToken) {
+      // Signing out locally already happened, so a failure here is not shown
+      await fetch(`${apiBase}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * Returns false (and signs out) if the refresh token is no longer valid
+   */
+  async function refresh() {
+    if (!session.value?.refreshToken) {
+      return false;
+    }
+
+    const response = await fetch(`${apiBase}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.value.refreshToken })
+    });
+
+    if (!response.ok) {
+      setSession(null);
+      return false;
+    }
+
+    setSession((await response.json()).data);
+    return true;
+  }
+
+  /**
+   * fetch() with the access token attached
+   * On a 401 the token pair is refreshed once and the request is retried;
+   * if that fails too, the user is sent to the login page
+   */
+  async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${session.value?.accessToken}`
+      }
+    });
+
+    let response = await send();
+
+    if (response.status === 401 && await refresh()) {
+      response = await send();
+    }
+
+    if (response.status === 401) {
+      setSession(null);
+      await navigateTo({ path: '/login', query: { redirect: route.fullPath } });
+    }
+
+    return response;
+  }
+
+  return {
+    user,
+    isLoggedIn,
+    can,
+    login,
+    register,
+    logout,
+    authFetch
+  };
+}
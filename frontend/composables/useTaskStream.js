@@ -0,0 +1,131 @@
+/**
+ * useTaskStream Composable
+ *
+ * Subscribes to GET /api/{database}/tasks/stream, where the API pushes task
+ * changes as Server-Sent Events, and calls a handler for each one:
+ *
+ *   const { connected, start } = useTaskStream('mysql', {
+ *     created: ({ task }) => ...,
+ *     updated: ({ task }) => ...,
+ *     restored: ({ task }) => ...,
+ *     deleted: ({ id }) => ...,
+ *     reconnected: () => loadTasks()
+ *   });
+ *   onMounted(start);
+ *
+ * The browser's EventSource can't send the Authorization header, so the
+ * stream is read with authFetch() (see composables/useAuth.js) instead.
+ * When the connection drops it is opened again after RETRY_MS, and
+ * reconnected() is called: the API doesn't replay the changes made in
+ * the meantime, so the page should reload its tasks.
+ *
+ * The subscription ends when the page is left.
+ */
+
+// Wait between reconnect attempts (the API suggests the same with retry:)
+const RETRY_MS = 5000;
+
+export function useTaskStream(database, handlers) {
+  const config = useRuntimeConfig();
+  const apiBase = config.public.apiBase;
+  const { authFetch } = useAuth();
+
+  // Whether changes are currently arriving live
+  const connected = ref(false);
+
+  let controller = null;
+  let retryTimer = null;
+  let hasConnected = false;
+
+  /**
+   * Call the handler of one "event: <type>\ndata: <json>" block
+   * Comment lines (the API's heartbeat) and retry: are ignored
+   */
+  function dispatch(block) {
+    const type = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+
+    if (type && data && handlers[type]) {
+      handlers[type](JSON.parse(data));
+    }
+  }
+
+  /**
+   * Open the stream and read it until it ends
+   */
+  async function connect() {
+    controller = new AbortController();
+
+    try {
+      const response = await authFetch(`${apiBase}/api/${database}/tasks/stream`, {
+        headers: { Accept: 'text/event-stream' },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      connected.value = true;
+      if (hasConnected) {
+        handlers.reconnected?.();
+      }
+      hasConnected = true;
+
+      // Events are separated by a blank line and may arrive split across chunks
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        return;
+      }
+      console.error('Task stream disconnected:', err);
+    }
+
+    connected.value = false;
+
+    // Try again, unless stop() was called
+    if (controller && !controller.signal.aborted) {
+      retryTimer = setTimeout(connect, RETRY_MS);
+    }
+  }
+
+  /**
+   * Start receiving changes
+   */
+  function start() {
+    if (!controller) {
+      connect();
+    }
+  }
+
+  /**
+   * Stop receiving changes and close the connection
+   */
+  function stop() {
+    clearTimeout(retryTimer);
+    controller?.abort();
+    controller = null;
+    connected.value = false;
+  }
+
+  onBeforeUnmount(stop);
+
+  return {
+    connected,
+    start,
+    stop
+  };
+}